@@ -1,14 +1,34 @@
 import 'dotenv/config';
-import { Client, GatewayIntentBits, EmbedBuilder } from 'discord.js';
-import https from 'https';
-import fs from 'fs';
+import { Client, GatewayIntentBits, EmbedBuilder, AttachmentBuilder, MessageFlags, PermissionFlagsBits, RESTJSONErrorCodes } from 'discord.js';
 import { DateTime } from 'luxon';
+import { registerCommands } from './src/commands.js';
+import * as storage from './src/storage/index.js';
+import { normalizeNick, parsePlayerQuery } from './src/storage/common.js';
+import { createCheckCoordinator } from './src/checkCoordinator.js';
+import { createApiClient } from './src/geoguessrApi.js';
+import { createChecker } from './src/checker.js';
+import { createDiscordNotifier, getCountryFlag } from './src/notifications.js';
+import { createEventDispatcher } from './src/events.js';
+import { createEventSinks } from './src/sinks/index.js';
+import { createSubscriberSink } from './src/sinks/subscriberSink.js';
+import { createHttpApi } from './src/httpApi.js';
+import { createMetrics } from './src/metrics.js';
+import { createWatchdog } from './src/watchdog.js';
+import { createScanner } from './src/scanner.js';
+import { laddersFromEnv, describeLadders } from './src/ladders.js';
+import { COOKIE_FILE, cleanCookie, loadStoredCookie, saveStoredCookie } from './src/cookieStore.js';
+import { renderEloChart, CHART_FILE_NAME } from './src/eloChart.js';
+import { buildDigest, createDigestScheduler } from './src/digest.js';
+import { createSnapshotArchive, diffSnapshots } from './src/snapshots.js';
+import { createAnomalyDetector, summarizeAnomalyFlags } from './src/anomalyDetector.js';
+import { getNicknames } from './src/nicknames.js';
+import { resolvePlayer } from './src/playerLookup.js';
+import { COUNTRY_SORTS, getCountryName, buildCountryStats, rankCountries, buildCountryReport } from './src/countryStats.js';
+import { parseExportFilters, buildHistoryExport, buildTrackingExport, serializeExport, exportAttachment, HISTORY_EXPORT_COLUMNS, TRACKING_EXPORT_COLUMNS } from './src/exporter.js';
 
 const client = new Client({ 
   intents: [
-    GatewayIntentBits.Guilds, 
-    GatewayIntentBits.GuildMessages, 
-    GatewayIntentBits.MessageContent
+    GatewayIntentBits.Guilds
   ] 
 });
 
@@ -21,31 +41,81 @@ const unsuspended_channel_id = ''; // channel to announce when a suspended playe
 
 const NICKNAME_CHANGE_CHANNEL = ''; // channel to notify if someone renamed themselves
 const logs_channel = ''; // logs channel just to see if the bot is working well
+const DIGEST_CHANNEL_ID = ''; // channel for the weekly/monthly sanction digests ('' = no digest)
+const MODERATOR_CHANNEL_ID = ''; // channel for the players flagged by the ELO spike detector ('' = detector off)
 
-const API_BASE = 'https://www.geoguessr.com/api';
-const NCFA_COOKIE = process.env.GEOGUESSR_COOKIE;
+const API_BASE = process.env.GEOGUESSR_API_BASE || 'https://www.geoguessr.com/api'; // override to point the bot at a local fake API
+const NCFA_COOKIE = loadStoredCookie() || process.env.GEOGUESSR_COOKIE; // a cookie set with /setcookie wins over the .env
 const DISCORD_TOKEN = process.env.DISCORD_TOKEN;
+const DISCORD_GUILD_ID = process.env.DISCORD_GUILD_ID; // optional, registers the slash commands on this server only (instant update)
 
-const HEADERS = {
-  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-  'Content-Type': 'application/json; charset=utf-8',
-  'Accept': 'application/json; charset=utf-8',
-  'Cookie': `_ncfa=${NCFA_COOKIE}`
-};
+// shared request budget for every GeoGuessr API call, lower it if the 429s come back
+const API_REQUESTS_PER_SECOND = Number(process.env.GEOGUESSR_REQUESTS_PER_SECOND) || 12;
+const API_BURST = Number(process.env.GEOGUESSR_BURST) || 20;
+
+const apiClient = createApiClient({
+  baseUrl: API_BASE,
+  cookie: NCFA_COOKIE,
+  requestsPerSecond: API_REQUESTS_PER_SECOND,
+  burst: API_BURST,
+  onRateLimit: logRateLimit
+});
+
+// ranked ladders to follow, see src/ladders.js: solo duels (LEADERBOARD_DEPTH) and team duels
+// (TEAM_DUELS_DEPTH, announced in TEAM_DUELS_CHANNEL_ID if set). To add another, copy the path of
+// its ratings request from the network tab (like for the cookie) and give it a depth and optionally
+// its own channel: { id: 'ranked', name: '...', path: '/v4/...', depth: 500, channelId: '' }
+const LADDERS = laddersFromEnv(process.env);
 
-const PLAYER_TRACKING_FILE = 'player_tracking.json';
-const BANNED_SUSPENDED_CSV = 'banned_suspended_players.csv';
-const UNBANNED_UNSUSPENDED_CSV = 'unbanned_unsuspended_players.csv';
 const CHECK_INTERVAL = 1 * 60 * 60 * 1000; // heure * minutes * secondes * ms
+const WATCHLIST_LIMIT = 200; // every watched player off the leaderboard costs one request per check
+const SUBSCRIPTION_LIMIT = 20; // players one Discord user can follow by DM
+
+// profiles are looked up continuously by risk, every tracked player at least once per SCAN_SLA_HOURS
+// (see src/scanner.js), the hourly check then only reads the leaderboard. SCAN_MODE=hourly looks
+// up every profile during the hourly check instead, like before
+const SCAN_MODE = process.env.SCAN_MODE === 'hourly' ? 'hourly' : 'continuous';
+const SCAN_SLA_HOURS = Number(process.env.SCAN_SLA_HOURS) || 2;
+const SCAN_MAX_CHECKS_PER_HOUR = Number(process.env.SCAN_MAX_CHECKS_PER_HOUR) || 3000;
+
+// every leaderboard fetch is archived in snapshots/: all of them for SNAPSHOT_KEEP_ALL_DAYS days,
+// then one per day for SNAPSHOT_KEEP_DAILY_DAYS days
+const snapshots = createSnapshotArchive({
+  keepAllDays: Number(process.env.SNAPSHOT_KEEP_ALL_DAYS) || 7,
+  keepDailyDays: Number(process.env.SNAPSHOT_KEEP_DAILY_DAYS) || 90
+});
+
+// digests posted in DIGEST_CHANNEL_ID: 'weekly' on Mondays and/or 'monthly' on the 1st, at DIGEST_HOUR
+const DIGEST_SCHEDULE = (process.env.DIGEST_SCHEDULE || 'weekly,monthly').split(',').map(kind => kind.trim()).filter(Boolean);
+const DIGEST_TIMEZONE = process.env.DIGEST_TIMEZONE || 'Europe/Paris';
+const DIGEST_HOUR = process.env.DIGEST_HOUR ? Number(process.env.DIGEST_HOUR) : 9;
+
+// ELO spike detector: rating gain or position jump over ANOMALY_WINDOW_HOURS compared with the
+// players of the same ELO band, flagged from ANOMALY_THRESHOLD robust z-scores. Only the last 30
+// ratings of a player are kept, the window has to fit in them (15 hours with hourly checks)
+const anomalyDetector = MODERATOR_CHANNEL_ID ? createAnomalyDetector({
+  windowHours: Number(process.env.ANOMALY_WINDOW_HOURS) || 6,
+  threshold: Number(process.env.ANOMALY_THRESHOLD) || 4
+}) : null;
+
+// where the bans, unbans, deletions and renames go: EVENT_SINKS lists any of discord (the
+// channels above), webhook (signed POSTs to EVENT_WEBHOOK_URLS, comma separated, with
+// EVENT_WEBHOOK_SECRET), jsonl (appended to EVENT_LOG_FILE) and feed (Atom feed in EVENT_FEED_FILE).
+// The /subscribe DMs are sent whatever it lists
+const EVENT_SINKS = (process.env.EVENT_SINKS || 'discord').split(',').map(kind => kind.trim()).filter(Boolean);
+
+// read-only JSON API over the tracking data and Prometheus metrics on /metrics (see src/httpApi.js),
+// off unless HTTP_API_PORT is set. Listens on localhost only by default, set HTTP_API_HOST=0.0.0.0
+// to reach it from other machines
+const HTTP_API_PORT = process.env.HTTP_API_PORT ? Number(process.env.HTTP_API_PORT) : null;
+const HTTP_API_HOST = process.env.HTTP_API_HOST || '127.0.0.1';
+const metrics = createMetrics({ apiClient, storage, scannerStatus: () => scanner?.status ?? null });
+const httpApi = HTTP_API_PORT !== null ? createHttpApi({ storage, apiKey: process.env.HTTP_API_KEY, metrics }) : null;
 
 let checkInterval;
 let rateLimitCounter = 0;
 let lastRateLimitReset = Date.now();
 
-async function delay(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
 function logRateLimit() {
   rateLimitCounter++;
   const now = Date.now();
@@ -57,1562 +127,1081 @@ function logRateLimit() {
   }
 }
 
-function initializeCSVFiles() {
-  const bannedSuspendedHeaders = 'Date,Username,UserID,Profile_URL,countryCode,ELO,Position,Action_Type,Suspended_Until\n';
-  const unbannedUnsuspendedHeaders = 'Date,Username,UserID,Profile_URL,countryCode,ELO,Position,Previous_Action_Type,Duration_Days\n';
-  
-  if (!fs.existsSync(BANNED_SUSPENDED_CSV)) {
-    fs.writeFileSync(BANNED_SUSPENDED_CSV, bannedSuspendedHeaders, 'utf8');
-  }
-  
-  if (!fs.existsSync(UNBANNED_UNSUSPENDED_CSV)) {
-    fs.writeFileSync(UNBANNED_UNSUSPENDED_CSV, unbannedUnsuspendedHeaders, 'utf8');
-  }
-}
+const notifier = createDiscordNotifier(client, {
+  banChannelId: ALLOWED_CHANNEL_ID,
+  unbanChannelId: UNBAN_CHANNEL_ID,
+  unsuspendedChannelId: unsuspended_channel_id,
+  nicknameChannelId: NICKNAME_CHANGE_CHANNEL,
+  logsChannelId: logs_channel,
+  digestChannelId: DIGEST_CHANNEL_ID,
+  moderatorChannelId: MODERATOR_CHANNEL_ID,
+  banRoleId: BAN_ROLE_ID,
+  unbanRoleId: UNBAN_ROLE_ID,
+  isWatched: userId => storage.isWatched(userId)
+});
 
-function escapeCSV(value) {
-  if (value === null || value === undefined) return '';
-  const str = String(value);
-  if (str.includes(',') || str.includes('"') || str.includes('\n')) {
-    return `"${str.replace(/"/g, '""')}"`;
-  }
-  return str;
-}
+const eventDispatcher = createEventDispatcher({
+  notifier,
+  sinks: [
+    ...createEventSinks({
+      kinds: EVENT_SINKS,
+      notifier,
+      webhookUrls: (process.env.EVENT_WEBHOOK_URLS || '').split(',').map(url => url.trim()).filter(Boolean),
+      webhookSecret: process.env.EVENT_WEBHOOK_SECRET,
+      logFile: process.env.EVENT_LOG_FILE || 'events.jsonl',
+      feedFile: process.env.EVENT_FEED_FILE || 'events.atom',
+      feedLink: process.env.EVENT_FEED_URL || null
+    }),
+    createSubscriberSink({
+      client,
+      getSubscribers: userId => storage.getSubscribers(userId),
+      onDmClosed: discordUserId => storage.removeAllSubscriptions(discordUserId)
+    }),
+    metrics.eventSink
+  ]
+});
 
-function addToBannedSuspendedCSV(player) {
-  try {
-    const date = new Date().toISOString().split('T')[0];
-    const profileUrl = `https://www.geoguessr.com/user/${player.userId}`;
-    const actionType = player.confirmedBanned ? 'BANNED' : 'SUSPENDED';
-    const suspendedUntil = player.suspended && player.suspendedUntil ? 
-      new Date(player.suspendedUntil).toISOString().split('T')[0] : '';
-    
-    const csvLine = [
-      escapeCSV(date),
-      escapeCSV(player.nick),
-      escapeCSV(player.userId),
-      escapeCSV(profileUrl),
-      escapeCSV(player.countryCode),
-      escapeCSV(player.lastRating.rating),
-      escapeCSV(player.lastRating.position),
-      escapeCSV(actionType),
-      escapeCSV(suspendedUntil)
-    ].join(',') + '\n';
-    
-    fs.appendFileSync(BANNED_SUSPENDED_CSV, csvLine, 'utf8');
-    console.log(`Added to banned/suspended CSV: ${player.nick} (${actionType})`);
-  } catch (error) {
-    console.error('Error adding to banned/suspended CSV:', error);
-  }
-}
+const checker = createChecker({ apiClient, storage, notifier: eventDispatcher, ladders: LADDERS, snapshots, anomalyDetector, verifyProfiles: SCAN_MODE === 'hourly' });
+const { checkForBannedPlayers, getUserActivity } = checker;
+
+const scanner = SCAN_MODE === 'continuous' ? createScanner({
+  checker,
+  storage,
+  slaMs: SCAN_SLA_HOURS * 60 * 60 * 1000,
+  maxChecksPerHour: SCAN_MAX_CHECKS_PER_HOUR
+}) : null;
+
+// a lookup from a command waits for the scanner batch (or check run) in progress, they share the
+// checker's lookup state
+const lookUpProfile = userId => scanner ? scanner.exclusive(() => getUserActivity(userId)) : getUserActivity(userId);
+
+// watchdog over the checks and the Discord connection (see src/watchdog.js), alerts go to the logs
+// channel and to WATCHDOG_WEBHOOK_URL when set (a Discord webhook of another server still gets them
+// when the bot lost Discord)
+const watchdog = createWatchdog({
+  notifier,
+  checkIntervalMs: CHECK_INTERVAL,
+  maxRunMs: (Number(process.env.WATCHDOG_MAX_RUN_MINUTES) || 45) * 60 * 1000,
+  missedIntervals: Number(process.env.WATCHDOG_MISSED_INTERVALS) || 3,
+  activityErrorThreshold: process.env.WATCHDOG_ERROR_SHARE ? Number(process.env.WATCHDOG_ERROR_SHARE) : 0.2,
+  isDiscordConnected: () => client.isReady(),
+  fallbackWebhookUrl: process.env.WATCHDOG_WEBHOOK_URL || null
+});
 
-function addToUnbannedUnsuspendedCSV(player, playerData) {
+const checkCoordinator = createCheckCoordinator(async options => {
+  watchdog.runStarted();
+  let run = null;
   try {
-    const date = new Date().toISOString().split('T')[0];
-    const profileUrl = `https://www.geoguessr.com/user/${player.userId}`;
-    
-    const previousActionType = playerData.status === 'banned' ? 'BANNED' : 'SUSPENDED';
-    const actionDuration = playerData.bannedAt || playerData.suspendedAt ? 
-      Math.floor((Date.now() - (playerData.bannedAt || playerData.suspendedAt)) / (24 * 60 * 60 * 1000)) : 0;
-    
-    const csvLine = [
-      escapeCSV(date),
-      escapeCSV(player.nick),
-      escapeCSV(player.userId),
-      escapeCSV(profileUrl),
-      escapeCSV(player.countryCode),
-      escapeCSV(player.rating),
-      escapeCSV(player.position),
-      escapeCSV(previousActionType),
-      escapeCSV(actionDuration)
-    ].join(',') + '\n';
-    
-    fs.appendFileSync(UNBANNED_UNSUSPENDED_CSV, csvLine, 'utf8');
-    console.log(`Added to unbanned/unsuspended CSV: ${player.nick} (${previousActionType} - ${actionDuration} days)`);
-  } catch (error) {
-    console.error('Error adding to unbanned/unsuspended CSV:', error);
+    run = scanner ? await scanner.exclusive(() => checkForBannedPlayers(options)) : await checkForBannedPlayers(options);
+    metrics.recordCheckRun(run);
+    return run;
+  } finally {
+    await watchdog.runFinished(run);
   }
-}
+});
 
-function addToDeletedAccountsCSV(player) {
-  try {
-    const date = new Date().toISOString().split('T')[0];
-    const profileUrl = `https://www.geoguessr.com/user/${player.userId}`;
-    
-    const csvLine = [
-      escapeCSV(date),
-      escapeCSV(player.nick),
-      escapeCSV(player.userId),
-      escapeCSV(profileUrl),
-      escapeCSV(player.countryCode),
-      escapeCSV(player.lastRating.rating),
-      escapeCSV(player.lastRating.position),
-      escapeCSV('DELETED_ACCOUNT'),
-      escapeCSV('')
-    ].join(',') + '\n';
-    
-    fs.appendFileSync(BANNED_SUSPENDED_CSV, csvLine, 'utf8');
-    console.log(`Added to CSV as deleted account: ${player.nick}`);
-  } catch (error) {
-    console.error('Error adding deleted account to CSV:', error);
+const digestScheduler = DIGEST_CHANNEL_ID ? createDigestScheduler({
+  kinds: DIGEST_SCHEDULE,
+  zone: DIGEST_TIMEZONE,
+  hour: DIGEST_HOUR,
+  run: async (kind, scheduledAt) => {
+    const history = {
+      sanctionRows: storage.readSanctionRows(),
+      unsanctionRows: storage.readUnsanctionRows(),
+      players: storage.loadPlayerData().players
+    };
+    await notifier.sendDigest(buildDigest(kind, scheduledAt, { zone: DIGEST_TIMEZONE, history }));
   }
-}
+}) : null;
 
-function makeAPIRequest(url, maxRetries = 3) {
-  return new Promise(async (resolve, reject) => {
-    let lastError;
-    
-    for (let attempt = 0; attempt <= maxRetries; attempt++) {
-      try {
-        const result = await new Promise((resolveInner, rejectInner) => {
-          const request = https.get(url, { headers: HEADERS }, (res) => {
-            if (res.statusCode === 429) {
-              logRateLimit();
-              const retryAfter = parseInt(res.headers['retry-after']) || 15;
-              rejectInner(new Error(`Rate limited. Retry after ${retryAfter} seconds`));
-              return;
-            }
-            
-            if (res.statusCode === 404 || res.statusCode === 403) {
-              rejectInner(new Error(`HTTP ${res.statusCode}: User not accessible`));
-              return;
-            }
-            
-            if (res.statusCode !== 200) {
-              rejectInner(new Error(`HTTP Error: ${res.statusCode}`));
-              return;
-            }
-            
-            let data = '';
-            res.on('data', chunk => data += chunk);
-            res.on('end', () => {
-              try {
-                resolveInner(JSON.parse(data));
-              } catch (error) {
-                rejectInner(new Error('Invalid JSON response'));
-              }
-            });
-          });
-          
-          request.on('error', rejectInner);
-          request.setTimeout(12000, () => {
-            request.destroy();
-            rejectInner(new Error('Request timeout'));
-          });
-        });
-        
-        return resolve(result);
-        
-      } catch (error) {
-        lastError = error;
-        
-        if (attempt < maxRetries) {
-          let waitTime = 1000;
-          
-          if (error.message.includes('Rate limited')) {
-            waitTime = error.message.includes('Retry after') ? 
-              parseInt(error.message.match(/\d+/)[0]) * 1000 : 
-              Math.min(15000 + (attempt * 5000), 45000);
-          } else if (error.message.includes('404') || error.message.includes('403')) {
-            waitTime = 2000 + (attempt * 1000);
-          } else {
-            waitTime = 3000 + (attempt * 2000);
-          }
-          
-          console.log(`Attempt ${attempt + 1} failed, waiting ${waitTime/1000}s: ${error.message}`);
-          await delay(waitTime);
-        }
-      }
-    }
-    
-    reject(lastError);
-  });
+function runScheduledCheck() {
+  const { promise } = checkCoordinator.requestCheck({ source: 'scheduled' });
+  promise.catch(error => console.error('Error in scheduled check:', error));
 }
 
-function loadPlayerData() {
-  try {
-    if (fs.existsSync(PLAYER_TRACKING_FILE)) {
-      const data = fs.readFileSync(PLAYER_TRACKING_FILE, 'utf8');
-      return JSON.parse(data);
-    }
-  } catch (error) {
-    console.log('Error loading player data:', error.message);
-  }
-  return { 
-    players: {},
-    lastCheck: null,
-    totalChecks: 0
-  };
+function startAutomaticChecking() {
+  console.log('Starting automatic checking every hour...');
+  
+  setTimeout(runScheduledCheck, 1000);
+  
+  checkInterval = setInterval(runScheduledCheck, CHECK_INTERVAL);
 }
 
-function savePlayerData(data) {
-  for (const [userId, playerData] of Object.entries(data.players)) {
-    if (playerData.nick) {
-      playerData.nick = normalizeUnicode(playerData.nick);
-    }
+client.once('ready', async () => {
+  console.log(`Logged in as ${client.user.tag}!`);
+  
+  storage.initializeStorage();
+  
+  const integrity = storage.checkIntegrity();
+  if (integrity) {
+    const message = integrity.restored
+      ? `Tracking data was corrupt (${integrity.error}).\nRestored from \`${integrity.backupFile}\`, the corrupt file was kept as \`${integrity.corruptFile}\`.\nChanges since that backup are lost, they will be picked up again by the next checks.`
+      : `Tracking data is corrupt (${integrity.error}) and no valid backup was found.\nChecks will fail until the file is repaired or removed.`;
+    await notifier.sendStatusMessage(message, true, '⚠️ Tracking Data Corrupt');
   }
+  
   try {
-    fs.writeFileSync(PLAYER_TRACKING_FILE, JSON.stringify(data, null, 2));
-    console.log('Player tracking data saved');
+    await registerCommands(client, DISCORD_GUILD_ID);
   } catch (error) {
-    console.error('Error saving player data:', error.message);
+    console.error('Error registering slash commands:', error);
   }
-}
-
+  
+  startAutomaticChecking();
+  scanner?.start();
+  digestScheduler?.start();
+  
+  if (httpApi) {
+    try {
+      const { address, port } = await httpApi.listen(HTTP_API_PORT, HTTP_API_HOST);
+      console.log(`HTTP API listening on http://${address}:${port}`);
+    } catch (error) {
+      console.error('Could not start the HTTP API:', error.message);
+    }
+  }
+});
 
-function getCountryFlag(countryCode) {
-    if (!countryCode || typeof countryCode !== "string" || countryCode.length !== 2) return "🏳️";
-    if (countryCode.toLowerCase() === "zz") return ":1393291205344759918:"; //emoji instead of :flag_zz:
+function formatDiscordTime(timestamp) {
+  if (!timestamp) return null;
+  const ms = typeof timestamp === 'number' ? timestamp : new Date(timestamp).getTime();
+  if (isNaN(ms)) return null;
+  return `<t:${Math.floor(ms / 1000)}:f>`;
+}
 
-    return countryCode
-        .toUpperCase()
-        .split('')
-        .map(char => String.fromCodePoint(0x1F1E6 + char.charCodeAt(0) - 65))
-        .join('');
+function buildRatingsTrend(ratings) {
+  if (!ratings || ratings.length === 0) return 'No rating recorded';
+  
+  const first = ratings[0];
+  const last = ratings[ratings.length - 1];
+  const eloValues = ratings.map(r => r.rating);
+  const minElo = Math.min(...eloValues);
+  const maxElo = Math.max(...eloValues);
+  const bestPosition = Math.min(...ratings.map(r => r.position));
+  
+  const sparkChars = '▁▂▃▄▅▆▇█';
+  const sparkline = eloValues.map(elo => {
+    const index = maxElo === minElo ? 0 : Math.round((elo - minElo) / (maxElo - minElo) * (sparkChars.length - 1));
+    return sparkChars[index];
+  }).join('');
+  
+  const eloChange = last.rating - first.rating;
+  const positionChange = first.position - last.position;
+  const signed = value => (value > 0 ? `+${value}` : `${value}`);
+  
+  return [
+    `\`${sparkline}\``,
+    `${first.rating} → ${last.rating} ELO (${signed(eloChange)}), #${first.position} → #${last.position} (${signed(positionChange)})`,
+    `Range ${minElo}-${maxElo} ELO, best #${bestPosition}, ${ratings.length} samples since ${formatDiscordTime(first.timestamp)}`
+  ].join('\n');
 }
 
+function buildSanctionTimeline(userId) {
+  const sanctionRows = storage.readSanctionRows()
+    .filter(row => row.UserID === userId)
+    .map(row => {
+      const icon = row.Action_Type === 'BANNED' ? '🚫' : row.Action_Type === 'DELETED_ACCOUNT' ? '🗑️' : '⏸️';
+      const until = row.Suspended_Until ? ` until ${row.Suspended_Until}` : '';
+      return { date: row.Date, line: `\`${row.Date}\` ${icon} ${row.Action_Type}${until} as ${row.Username} (#${row.Position}, ${row.ELO} ELO)` };
+    });
+  
+  const unsanctionRows = storage.readUnsanctionRows()
+    .filter(row => row.UserID === userId)
+    .map(row => ({
+      date: row.Date,
+      line: `\`${row.Date}\` 🟢 UN${row.Previous_Action_Type} after ${row.Duration_Days} days as ${row.Username} (#${row.Position}, ${row.ELO} ELO)`
+    }));
+  
+  // stable sort keeps the CSV order for entries of the same day
+  return [...sanctionRows, ...unsanctionRows].sort((a, b) => a.date.localeCompare(b.date));
+}
 
+function formatLadderStandings(playerLadders) {
+  const lines = LADDERS
+    .filter(ladder => playerLadders && playerLadders[ladder.id])
+    .map(ladder => {
+      const { rating, position, lastSeen } = playerLadders[ladder.id];
+      return `${ladder.name}: #${position}, ${rating} ELO (${formatDiscordTime(lastSeen)})`;
+    });
+  return lines.length > 0 ? lines.join('\n') : 'Not seen on a ladder since ladders are tracked';
+}
 
-async function fetchCurrentLeaderboard() {
-  console.log('Fetching top 2000 leaderboard...');
-  const allPlayers = [];
+async function handlePlayerAutocomplete(interaction) {
+  const focused = interaction.options.getFocused();
   
-  for (let offset = 0; offset < 2000; offset += 100) {  // offset < XXXX = top XXXX on the lb only
-    const url = `${API_BASE}/v4/ranked-system/ratings?offset=${offset}&limit=100`;
-    try {
-      const players = await makeAPIRequest(url);
-      if (players.length === 0) break;
-      
-      allPlayers.push(...players);
-      
-      if (offset + 100 < 2000) {
-        await delay(75);
-      }
-      
-    } catch (error) {
-      console.error(`Error fetching leaderboard at offset ${offset}:`, error.message);
-      
-      if (error.message.includes('Rate limited')) {
-        console.log('Rate limited on leaderboard, waiting...');
-        await delay(15000);
-        offset -= 100; // retry la page
-        continue;
-      }
-      break;
-    }
-  }
+  const choices = storage.searchPlayers(focused, 25).map(({ userId, nick, formerNick, lastRating }) => {
+    const positionInfo = lastRating ? ` (#${lastRating.position})` : '';
+    const formerInfo = formerNick ? ` (was ${formerNick})` : '';
+    return { name: `${nick}${formerInfo}${positionInfo}`.substring(0, 100), value: userId };
+  });
   
-  console.log(`Fetched ${allPlayers.length} players from top 2000`);
-  return allPlayers;
+  await interaction.respond(choices);
 }
 
-async function getUserActivity(userId) {
-  try {
-    const url = `${API_BASE}/v3/users/${userId}`;
-    const response = await makeAPIRequest(url);
-    
-    const isBanned = response.isBanned === true || response.banned === true;
-    const suspendedUntil = response.suspendedUntil || response.suspended_until;
-    const isSuspended = suspendedUntil !== null && suspendedUntil !== undefined && new Date(suspendedUntil) > new Date();
-    
-    const currentNick = response.nick || response.username || response.name || 'Unknown';
-    
-    if (isBanned || isSuspended) {
-      console.log(`DEBUG: User ${userId} - isBanned: ${isBanned}, suspendedUntil: ${suspendedUntil}, calculated suspended: ${isSuspended}`);
-    }
-    
-    return {
-      accessible: true,
-      countryCode: response.countryCode || response.country_code,
-      banned: isBanned,
-      suspended: isSuspended,
-      suspendedUntil: suspendedUntil,
-      profile: response.user || response,
-      currentNick: currentNick
-    };
-  } catch (error) {
-    if (error.message.includes('404')) {
-      return { 
-        accessible: false, 
-        banned: false,
-        deleted: true,
-        reason: 'User not found (404)'
-      };
-    } else if (error.message.includes('403')) {
-      console.log(`WARNING: 403 error for user ${userId} - could be private or banned`);
-      return { 
-        accessible: false, 
-        banned: false,
-        deleted: true,
-        reason: 'Access forbidden (403)'
-      };
-    }
-    throw error;
+function formatCheckProgress(progress) {
+  switch (progress.stage) {
+    case 'leaderboard': return 'fetching the leaderboard';
+    case 'missing': return `checking ${progress.count} players missing from the leaderboard`;
+    case 'sanctioned': return `checking ${progress.count} sanctioned players`;
+    case 'watchlist': return `checking ${progress.count} watched players`;
+    case 'players': return `checking the leaderboard players, ${progress.checked}/${progress.total} players`;
+    default: return progress.stage;
   }
 }
 
-async function sendStatusMessage(message, isError = false) {
+async function handleCheckBansCommand(interaction) {
+  console.log(`Manual check requested by ${interaction.user.tag}`);
+  await interaction.deferReply();
+  
+  const waitingEmoji = '<a:waiting:1378781339569885204>';
+  let headline = '';
+  let lastEdit = 0;
+  
+  // Discord rate limits message edits, a progress update every few seconds is plenty
+  const onProgress = progress => {
+    const now = Date.now();
+    if (now - lastEdit < 5000) return;
+    lastEdit = now;
+    interaction.editReply(`${headline}\nProgress: ${formatCheckProgress(progress)}`).catch(() => {});
+  };
+  
+  const { status, promise } = checkCoordinator.requestCheck({ source: 'manual', onProgress });
+  headline = {
+    started: `manual ban check started, this may take up to 5 minutes, please wait... ${waitingEmoji}`,
+    joined: `a check is already running, following it instead of starting a new one... ${waitingEmoji}`,
+    queued: `a check is already running, a new one is queued and will start right after it... ${waitingEmoji}`
+  }[status];
+  await interaction.editReply(headline);
+  
   try {
-    const channel = await client.channels.fetch(logs_channel);
-    const embed = new EmbedBuilder()
-      .setTitle(isError ? '❌ Check Failed' : '✅ Check Completed')
-      .setColor(isError ? 0xFF0000 : 0x00FF00)
-      .setDescription(message)
-      .setTimestamp();
-    
-    await channel.send({ embeds: [embed] });
+    const run = await promise;
+    lastEdit = Infinity;
+    if (run && !run.success) {
+      await interaction.editReply(`Manual ban check failed: ${run.error}`);
+    } else {
+      await interaction.editReply('Manual ban check completed.');
+    }
   } catch (error) {
-    console.error('Error sending status message:', error);
+    console.error('Error in manual check:', error);
+    await interaction.editReply('Error during manual check. Check console for details.');
   }
 }
 
+async function handleStatsCommand(interaction) {
+  await interaction.deferReply();
+  
+  const stats = storage.getStats();
+  const totalPlayers = stats.totalPlayers;
+  const activePlayers = stats.statusCounts.active || 0;
+  const bannedPlayers = stats.statusCounts.banned || 0;
+  const suspendedPlayers = stats.statusCounts.suspended || 0;
+  const eventSummary = stats.eventSummary;
+  const lastCheck = stats.lastCheck;
+  const parisTime = lastCheck
+    ? DateTime.fromMillis(lastCheck).setZone('Europe/Paris').toFormat("dd/MM/yyyy HH:mm:ss")
+    : 'Never';
+  const anomalies = anomalyDetector ? summarizeAnomalyFlags(storage.loadPlayerData().players) : null;
 
-async function verifyAllTop2000Players(currentPlayers, data, currentTime) {
-  console.log(`\n--- Starting verification of all ${currentPlayers.length} top 2000 players ---`);
-  
-  const bannedPlayers = [];
-  const BATCH_SIZE = 15;
-  const INTER_BATCH_DELAY = 150;
-  let rateLimitHits = 0;
-  let processedCount = 0;
-  let consecutiveErrors = 0;
-  
-  for (let i = 0; i < currentPlayers.length; i += BATCH_SIZE) {
-    const batch = currentPlayers.slice(i, i + BATCH_SIZE);
-    const batchNum = Math.floor(i/BATCH_SIZE) + 1;
-    const totalBatches = Math.ceil(currentPlayers.length/BATCH_SIZE);
-    
-    console.log(`\nProcessing batch ${batchNum}/${totalBatches} (players ${i+1}-${Math.min(i+BATCH_SIZE, currentPlayers.length)}):`);
-    
-    const promises = batch.map(async (player, index) => {
-      try {
-        if (index > 0) await new Promise(resolve => setTimeout(resolve, 30 * index));
-        
-        const activityData = await getUserActivity(player.userId);
-        processedCount++;
-        consecutiveErrors = 0;
-        
-        if (activityData.accessible && activityData.currentNick) {
-          const playerData = data.players[player.userId];
-          if (playerData && playerData.nick !== activityData.currentNick) {
-            
-            if (!detectFalseNicknameChange(playerData.nick, activityData.currentNick)) {
-              const changed = checkNicknameChange(player.userId, playerData.nick, activityData.currentNick, playerData);
-              if (changed) {
-                playerData.nick = normalizeUnicode(activityData.currentNick);
-              }
-            } else {
-              console.log(`⚠️ False nickname change detected for ${player.userId}, keeping original: "${playerData.nick}"`);
-            }
-          }
-        }
-        
-        
-        if (activityData.deleted) {
-          let playerData = data.players[player.userId];
-          if (!playerData) {
-            playerData = {
-              nick: player.nick,
-              countryCode: player.countryCode,
-              firstSeen: currentTime,
-              ratings: [{ rating: player.rating, position: player.position, timestamp: currentTime }],
-              lastSeen: currentTime,
-              status: 'active'
-            };
-            data.players[player.userId] = playerData;
-          }
-          
-          let isNewDeletion = false;
-          if (playerData.status !== 'deleted_account') {
-            isNewDeletion = true;
-            playerData.status = 'deleted_account';
-            playerData.deletedAt = currentTime;
-            
-            console.log(`[${processedCount}/${currentPlayers.length}] 🗑️ DELETED ACCOUNT: ${player.nick} (#${player.position}, ${player.rating} ELO)`);
-            
-            return {
-              userId: player.userId,
-              nick: player.nick,
-              countryCode: player.countryCode,
-              deletedAccount: true,
-              lastRating: { rating: player.rating, position: player.position },
-              hoursSinceSeen: 0,
-              isNewDeletion: isNewDeletion
-            };
-          } else {
-            console.log(`[${processedCount}/${currentPlayers.length}] 🔄 Already marked as deleted: ${player.nick} (#${player.position})`);
-            return null;
-          }
-        }
-        
-        if (activityData.banned || activityData.suspended) {
-          let playerData = data.players[player.userId];
-          if (!playerData) {
-            playerData = {
-              nick: player.nick,
-              countryCode: player.countryCode,
-              firstSeen: currentTime,
-              ratings: [{ rating: player.rating, position: player.position, timestamp: currentTime }],
-              lastSeen: currentTime,
-              status: 'active'
-            };
-            data.players[player.userId] = playerData;
-          }
-          
-          let isNewSanction = false;
-          if (activityData.banned) {
-            if (playerData.status !== 'banned') {
-              isNewSanction = true;
-            }
-          } else if (activityData.suspended) {
-            if (playerData.status !== 'suspended' || playerData.suspendedUntil !== activityData.suspendedUntil) {
-              isNewSanction = true;
-            }
-          }
-          
-          if (isNewSanction) {
-            const banType = activityData.banned ? 'BANNED' : 'SUSPENDED';
-            const suspensionInfo = activityData.suspended ? 
-              ` until ${new Date(activityData.suspendedUntil).toLocaleString()}` : '';
-            
-            console.log(`[${processedCount}/${currentPlayers.length}] 🚫🚫🚫 ${banType}: ${player.nick} (#${player.position}, ${player.rating} ELO)${suspensionInfo}`);
-            
-          } else {
-            console.log(`[${processedCount}/${currentPlayers.length}] 🔄 Ongoing sanction: ${player.nick} (#${player.position}) - Status unchanged (API: ${activityData.banned ? 'banned' : 'suspended'})`);
-          }
-          return {
-              userId: player.userId,
-              nick: player.nick,
-              countryCode: activityData.countryCode,
-              confirmedBanned: activityData.banned,
-              suspended: activityData.suspended,
-              suspendedUntil: activityData.suspendedUntil,
-              lastRating: { rating: player.rating, position: player.position },
-              hoursSinceSeen: 0,
-              isNewSanction: isNewSanction
-            };
-        } else {
-          console.log(`[${processedCount}/${currentPlayers.length}] ✅ Active: ${player.nick} (#${player.position}, ${player.rating} ELO)`);
-          return null;
-        }
-      } catch (error) {
-        processedCount++;
-        consecutiveErrors++; 
-        
-        console.log(`[${processedCount}/${currentPlayers.length}] ❌ Error checking ${player.nick} (#${player.position}): ${error.message}`);
-        
-        if (error.message.includes('Rate limited') || error.message.includes('429')) {
-          rateLimitHits++;
-        }
-        
-        if (consecutiveErrors >= 3) {
-          console.log(`⚠️ ${consecutiveErrors} consecutive errors detected, forcing longer delay...`);
-          await new Promise(resolve => setTimeout(resolve, 2000));
-        }
-        
-        return null;
-      }
+  const embed = new EmbedBuilder()
+    .setTitle('📊 Bot Statistics')
+    .setColor(0x00FF00)
+    .addFields([
+      { name: 'Total Players Tracked', value: totalPlayers.toString(), inline: true },
+      { name: 'Active Players', value: activePlayers.toString(), inline: true },
+      { name: 'Banned Players', value: bannedPlayers.toString(), inline: true },
+      { name: 'Suspended Players', value: suspendedPlayers.toString(), inline: true },
+      { name: 'Total Checks', value: stats.totalChecks.toString(), inline: true },
+      { name: 'Rate Limit Hits/Hour', value: rateLimitCounter.toString(), inline: true },
+      { name: 'Bans Recorded', value: eventSummary.bans.toString(), inline: true },
+      { name: 'Suspensions Recorded', value: eventSummary.suspensions.toString(), inline: true },
+      { name: 'Unbans/Unsuspensions Recorded', value: eventSummary.unsanctions.toString(), inline: true },
+      { name: 'Deleted Accounts Recorded', value: eventSummary.deletions.toString(), inline: true },
+      {
+        name: 'Average Sanction Duration',
+        value: eventSummary.averageSanctionDays !== null ? `${eventSummary.averageSanctionDays} days` : 'N/A',
+        inline: true
+      },
+      {
+        name: 'Last Check',
+        value: `${parisTime}\n(CEST - Paris time)`,
+        inline: false
+      },
+      { name: 'Check Frequency', value: `Every hour (${describeLadders(LADDERS)})`, inline: false }
+    ])
+    .setTimestamp();
+
+  if (scanner) {
+    const { targets, overdue, checks } = scanner.status;
+    embed.addFields({
+      name: 'Profile Scanner',
+      value: `${targets} players checked at least every ${SCAN_SLA_HOURS}h, ${overdue} overdue\n${checks} profiles checked since the bot started`,
+      inline: false
     });
-    
-    const results = await Promise.allSettled(promises);
-    
-    results.forEach((result, index) => {
-      if (result.status === 'fulfilled' && result.value !== null) {
-        bannedPlayers.push(result.value);
-      } else if (result.status === 'rejected') {
-        console.log(`[ERROR] Promise rejected for ${batch[index]?.nick}: ${result.reason}`);
-        consecutiveErrors++;
-      }
+  }
+
+  if (anomalies) {
+    embed.addFields({
+      name: 'ELO Spike Detector',
+      value: `${anomalies.flagged} flagged, ${anomalies.sanctioned} sanctioned, ${anomalies.notSanctioned} not sanctioned, ${anomalies.pending} pending` +
+        `\nHit rate: ${anomalies.hitRate !== null ? `${anomalies.hitRate}%` : 'N/A'}`,
+      inline: false
     });
-    
-    if (batchNum % 5 === 0 || batchNum === totalBatches) {
-      console.log(`--- Progress: ${processedCount}/${currentPlayers.length} players checked (${Math.round(processedCount/currentPlayers.length*100)}%) ---`);
-    }
-    
-    if (i + BATCH_SIZE < currentPlayers.length) {
-      let delay = INTER_BATCH_DELAY;
-      
-      if (rateLimitHits > 12) {
-        delay = INTER_BATCH_DELAY * 5;
-        console.log(`Very high rate limit detected (${rateLimitHits}), increasing delay to ${delay}ms`);
-      } else if (rateLimitHits > 8) {
-        delay = INTER_BATCH_DELAY * 3;
-        console.log(`High rate limit detected (${rateLimitHits}), increasing delay to ${delay}ms`);
-      } else if (rateLimitHits > 4) {
-        delay = INTER_BATCH_DELAY * 2;
-        console.log(`Moderate rate limit detected (${rateLimitHits}), increasing delay to ${delay}ms`);
-      } else if (consecutiveErrors > 5) {
-        delay = INTER_BATCH_DELAY * 2;
-        console.log(`High error rate detected (${consecutiveErrors}), increasing delay to ${delay}ms`);
-      }
-      
-      await new Promise(resolve => setTimeout(resolve, delay));
-      
-      if (batchNum % 5 === 0) {
-        rateLimitHits = Math.floor(rateLimitHits / 2);
-        consecutiveErrors = Math.floor(consecutiveErrors / 2);
-      }
-    }
+  }
+
+  await interaction.editReply({ embeds: [embed] });
+}
+
+async function handlePlayerCommand(interaction) {
+  await interaction.deferReply();
+  
+  const query = interaction.options.getString('player');
+  const found = resolvePlayer(storage, query);
+  
+  if (found.status === 'not_found') {
+    await interaction.editReply('Player not found in the tracked players.');
+    return;
+  }
+  
+  if (found.status === 'ambiguous') {
+    const lines = found.matches.map(({ userId, nick, formerNick }) =>
+      `- **${nick}**${formerNick ? ` (was ${formerNick})` : ''}: \`${userId}\``);
+    await interaction.editReply(`Several tracked players match "${query}", use their user ID or profile URL:\n${lines.join('\n')}`);
+    return;
+  }
+  
+  const { userId, playerData } = found;
+  const lastRating = playerData.ratings && playerData.ratings[playerData.ratings.length - 1];
+  const flag = getCountryFlag(playerData.countryCode);
+  
+  const statusColors = { active: 0x00FF00, banned: 0xFF0000, suspended: 0xFFA500, deleted_account: 0x808080 };
+  const statusValue = playerData.status === 'suspended' && playerData.suspendedUntil
+    ? `suspended until ${formatDiscordTime(playerData.suspendedUntil)}`
+    : (playerData.status || 'Unknown');
+  
+  const sanctionDates = [
+    ['Banned At', playerData.bannedAt],
+    ['Suspended At', playerData.suspendedAt],
+    ['Unbanned At', playerData.unbannedAt],
+    ['Unsuspended At', playerData.unsuspendedAt],
+    ['Deleted At', playerData.deletedAt]
+  ]
+    .filter(([, timestamp]) => timestamp)
+    .map(([name, timestamp]) => `${name}: ${formatDiscordTime(timestamp)}`);
+  
+  const formerNicks = getNicknames(playerData).filter(entry => entry.nick !== playerData.nick).map(entry => entry.nick);
+  
+  const timeline = buildSanctionTimeline(userId);
+  let timelineText = timeline.length > 0
+    ? timeline.map(entry => entry.line).join('\n')
+    : 'No ban, suspension or unban recorded for this player.';
+  if (timelineText.length > 4096) {
+    timelineText = timelineText.substring(0, 4093) + '...';
   }
   
-  console.log(`\n--- Top 2000 Verification Summary ---`);
-  console.log(`Total players checked: ${processedCount}/${currentPlayers.length}`);
-  console.log(`Confirmed bans/suspensions found: ${bannedPlayers.filter(p => !p.deletedAccount).length}`);
-  console.log(`Deleted accounts found: ${bannedPlayers.filter(p => p.deletedAccount).length}`);
-  console.log(`Active players: ${processedCount - bannedPlayers.length}`);
-  console.log(`Rate limit hits during verification: ${rateLimitHits}`);
-  console.log(`Final consecutive errors: ${consecutiveErrors}`);
+  const embed = new EmbedBuilder()
+    .setTitle(`${flag} ${playerData.nick}`)
+    .setColor(statusColors[playerData.status] || 0x3498DB)
+    .setDescription(timelineText)
+    .addFields([
+      { name: 'Status', value: statusValue, inline: true },
+      { name: 'Last Position', value: lastRating ? `#${lastRating.position}` : 'N/A', inline: true },
+      { name: 'Last ELO', value: lastRating ? `${lastRating.rating} ELO` : 'N/A', inline: true },
+      { name: 'First Seen', value: formatDiscordTime(playerData.firstSeen) || 'Unknown', inline: true },
+      { name: 'Last Seen', value: formatDiscordTime(playerData.lastSeen) || 'Unknown', inline: true },
+      { name: 'History Entries', value: `${timeline.length}`, inline: true },
+      { name: 'Former Nicknames', value: formerNicks.length > 0 ? formerNicks.join(', ').substring(0, 1024) : 'None', inline: false },
+      { name: 'Rating Trend', value: buildRatingsTrend(playerData.ratings), inline: false },
+      { name: 'Ladders', value: formatLadderStandings(playerData.ladders), inline: false },
+      { name: 'Sanction Dates', value: sanctionDates.length > 0 ? sanctionDates.join('\n') : 'None', inline: false },
+      { name: 'GeoGuessr Profile', value: `[View Profile](https://www.geoguessr.com/user/${userId})`, inline: false }
+    ])
+    .setFooter({ text: userId })
+    .setTimestamp();
   
-  return bannedPlayers;
+  await interaction.editReply({ embeds: [embed] });
 }
 
-async function verifyExistingSanctionedPlayers(sanctionedPlayers, data, currentTime) {
-  console.log(`Verifying status changes for ${sanctionedPlayers.length} sanctioned players`);
-  
-  const statusChanges = [];
-  const BATCH_SIZE = 8;
-  const INTER_BATCH_DELAY = 200;
-  let rateLimitHits = 0;
-  let processedCount = 0;
-  
-  for (let i = 0; i < sanctionedPlayers.length; i += BATCH_SIZE) {
-    const batch = sanctionedPlayers.slice(i, i + BATCH_SIZE);
-    const batchNum = Math.floor(i/BATCH_SIZE) + 1;
-    
-    console.log(`Processing sanctioned batch ${batchNum}/${Math.ceil(sanctionedPlayers.length/BATCH_SIZE)} (${batch.length} players)`);
-    
-    const promises = batch.map(async (player, index) => {
-      try {
-        if (index > 0) await new Promise(resolve => setTimeout(resolve, 75 * index));
-        
-        const activityData = await getUserActivity(player.userId);
-        processedCount++;
-        
-        const playerData = data.players[player.userId];
-        if (activityData.accessible && activityData.currentNick) {
-          if (playerData && playerData.nick !== activityData.currentNick) {
-            checkNicknameChange(player.userId, playerData.nick, activityData.currentNick, playerData);
-            playerData.nick = activityData.currentNick;
-          }
-        }
-        const lastRating = player.ratings[player.ratings.length - 1];
-        const positionInfo = lastRating ? `#${lastRating.position}` : 'N/A';
-        
-        if (activityData.deleted) {
-          let isNewDeletion = false;
-          if (playerData.status !== 'deleted_account') {
-            isNewDeletion = true;
-            playerData.status = 'deleted_account';
-            playerData.deletedAt = currentTime;
-            
-            console.log(`[${processedCount}/${sanctionedPlayers.length}] 🗑️ DELETED ACCOUNT: ${player.nick} (${positionInfo}) - Was ${player.status}`);
-            
-            return {
-              userId: player.userId,
-              nick: player.nick,
-              countryCode: player.countryCode,
-              deletedAccount: true,
-              lastRating: lastRating || { rating: 'N/A', position: 'N/A' },
-              isNewDeletion: isNewDeletion
-            };
-          } else {
-            console.log(`[${processedCount}/${sanctionedPlayers.length}] 🔄 Already marked as deleted: ${player.nick} (${positionInfo})`);
-            return null;
-          }
-        }
-        
-        let hasRealStatusChange = false;
-        let newSanctionType = null;
-        
-        if (activityData.banned) {
-          if (playerData.status !== 'banned') {
-            hasRealStatusChange = true;
-            newSanctionType = 'banned';
-            console.log(`[${processedCount}/${sanctionedPlayers.length}] 🚫⬆️ STATUS UPGRADE TO BANNED: ${player.nick} (${positionInfo}) - ${playerData.status} → BANNED`);
-          } else {
-            console.log(`[${processedCount}/${sanctionedPlayers.length}] 🚫 Still banned: ${player.nick} (${positionInfo})`);
-            return null;
-          }
-        } else if (activityData.suspended) {
-          if (playerData.status === 'banned') {
-            hasRealStatusChange = true;
-            newSanctionType = 'suspended';
-            console.log(`[${processedCount}/${sanctionedPlayers.length}] ⏸️⬇️ STATUS DOWNGRADE TO SUSPENDED: ${player.nick} (${positionInfo}) - BANNED → SUSPENDED until ${new Date(activityData.suspendedUntil).toLocaleString()}`);
-          } else if (playerData.status === 'suspended') {
-            if (playerData.suspendedUntil !== activityData.suspendedUntil) {
-              hasRealStatusChange = true;
-              newSanctionType = 'suspended';
-              console.log(`[${processedCount}/${sanctionedPlayers.length}] ⏸️🔄 SUSPENSION DATE UPDATED: ${player.nick} (${positionInfo}) - New end: ${new Date(activityData.suspendedUntil).toLocaleString()}`);
-            } else {
-              console.log(`[${processedCount}/${sanctionedPlayers.length}] ⏸️ Still suspended: ${player.nick} (${positionInfo}) until ${new Date(activityData.suspendedUntil).toLocaleString()}`);
-              return null;
-            }
-          } else {
-            hasRealStatusChange = true;
-            newSanctionType = 'suspended';
-            console.log(`[${processedCount}/${sanctionedPlayers.length}] ⏸️ NEW SUSPENSION: ${player.nick} (${positionInfo}) - ${playerData.status} → SUSPENDED`);
-          }
-        } else {
-          console.log(`[${processedCount}/${sanctionedPlayers.length}] ✅ NO LONGER SANCTIONED: ${player.nick} (${positionInfo}) - Was ${player.status}`);
-          
-          return {
-            userId: player.userId,
-            nick: player.nick,
-            countryCode: player.countryCode,
-            confirmedBanned: false,
-            suspended: false,
-            deletedAccount: false,
-            lastRating: lastRating || { rating: 'N/A', position: 'N/A' },
-            isUnsuspension: true,
-            previousStatus: player.status
-          };
-        }
-        
-        if (hasRealStatusChange) {
-          return {
-            userId: player.userId,
-            nick: player.nick,
-            countryCode: activityData.countryCode,
-            confirmedBanned: activityData.banned,
-            suspended: activityData.suspended,
-            suspendedUntil: activityData.suspendedUntil,
-            lastRating: lastRating || { rating: 'N/A', position: 'N/A' },
-            hoursSinceSeen: Math.floor((currentTime - player.lastSeen) / (60 * 60 * 1000)),
-            isNewSanction: true,
-            isStatusChange: true,
-            previousStatus: playerData.status
-          };
-        }
-        
-        return null;
-        
-      } catch (error) {
-        processedCount++;
-        console.log(`[${processedCount}/${sanctionedPlayers.length}] ❌ Error checking ${player.nick}: ${error.message}`);
-        
-        if (error.message.includes('Rate limited') || error.message.includes('429')) {
-          rateLimitHits++;
-        }
-        
-        return null;
-      }
-    });
-    
-    const results = await Promise.allSettled(promises);
-    
-    results.forEach((result, index) => {
-      if (result.status === 'fulfilled' && result.value !== null) {
-        statusChanges.push(result.value);
-      } else if (result.status === 'rejected') {
-        console.log(`[ERROR] Promise rejected for ${batch[index]?.nick}: ${result.reason}`);
-      }
-    });
-    
-    if (i + BATCH_SIZE < sanctionedPlayers.length) {
-      let delay = INTER_BATCH_DELAY;
-      
-      if (rateLimitHits > 2) {
-        delay = INTER_BATCH_DELAY * 2;
-        console.log(`Rate limit detected, increasing delay to ${delay}ms`);
-      }
-      
-      await new Promise(resolve => setTimeout(resolve, delay));
-    }
+async function handleChartCommand(interaction) {
+  await interaction.deferReply();
+  
+  const found = storage.findPlayer(interaction.options.getString('player'));
+  
+  if (!found) {
+    await interaction.editReply('Player not found in the tracked players.');
+    return;
+  }
+  
+  const { userId, playerData } = found;
+  const chart = await renderEloChart(playerData);
+  
+  if (!chart) {
+    await interaction.editReply(`No rating recorded yet for ${playerData.nick}.`);
+    return;
   }
   
-  console.log(`\n--- Existing Sanctioned Players Verification Summary ---`);
-  console.log(`Total players checked: ${processedCount}/${sanctionedPlayers.length}`);
-  console.log(`Real status changes detected: ${statusChanges.length}`);
+  const samples = playerData.ratings.length;
+  const embed = new EmbedBuilder()
+    .setTitle(`📈 ${getCountryFlag(playerData.countryCode)} ${playerData.nick}`)
+    .setColor(0x5865F2)
+    .setDescription(`ELO and position over the last ${samples} leaderboard ${samples === 1 ? 'check' : 'checks'} the player was seen in, dashed lines mark bans, suspensions and unbans.`)
+    .setImage(`attachment://${CHART_FILE_NAME}`)
+    .setFooter({ text: userId })
+    .setTimestamp();
   
-  return statusChanges;
+  await interaction.editReply({ embeds: [embed], files: [new AttachmentBuilder(chart, { name: CHART_FILE_NAME })] });
 }
 
-async function checkForBannedPlayers() {
-  const startTime = Date.now();
-  console.log(`\n--- Starting check at ${new Date().toISOString()} ---`);
+async function handleAliasesCommand(interaction) {
+  await interaction.deferReply();
   
-  try {
-    const data = loadPlayerData();
-    const currentPlayers = await fetchCurrentLeaderboard();
-    const currentTime = Date.now();
-    
-    if (!data.eventCache) {
-      data.eventCache = {
-        currentCheckBans: {},
-        currentCheckUnbans: {},
-        lastCleanup: currentTime
-      };
-    }
-    
-    data.eventCache.currentCheckBans = {};
-    data.eventCache.currentCheckUnbans = {};
-    
-    const isFirstCheckAfterRestart = !data.lastCheck || (currentTime - data.lastCheck) > (3 * 60 * 60 * 1000);
-    
-    if (!currentPlayers || currentPlayers.length === 0) {
-      console.log('Failed to fetch leaderboard, skipping check');
-      await sendStatusMessage('Failed to fetch leaderboard data', true);
-      return;
-    }
-    
-    const currentPlayerIds = new Set();
-    const missingPlayers = [];
-    const sixHourAgo = currentTime - (6 * 60 * 60 * 1000);
-
-    for (const [userId, playerData] of Object.entries(data.players)) {
-      if (playerData.lastSeen > sixHourAgo && 
-          playerData.status === 'active') {
-        
-        const isCurrentlyOnLeaderboard = currentPlayers.some(p => p.userId === userId);
-        
-        if (!isCurrentlyOnLeaderboard) {
-          const hoursSinceSeen = Math.floor((currentTime - playerData.lastSeen) / (60 * 60 * 1000));
-          
-          if (hoursSinceSeen >= 1 && hoursSinceSeen < 24) {
-            missingPlayers.push({
-              userId,
-              ...playerData,
-              hoursSinceSeen
-            });
-          }
-        }
-      }
-    }
-    
-    console.log(`Found ${missingPlayers.length} recently missing players to verify first`);
-    
-    let priorityBannedPlayers = [];
-    if (missingPlayers.length > 0) {
-      priorityBannedPlayers = await verifyBannedPlayers(missingPlayers, data, currentTime);
-      
-      if (priorityBannedPlayers.length > 0) {
-        const newBans = priorityBannedPlayers.filter(p => p.isNewSanction && !p.deletedAccount);
-        const newDeletions = priorityBannedPlayers.filter(p => p.deletedAccount && p.isNewDeletion);
-        
-        if (newBans.length > 0) {
-          await sendBanNotification(newBans);
-          
-          for (const player of newBans) {
-            const banKey = `${player.userId}_ban_${player.confirmedBanned ? 'banned' : 'suspended'}`;
-            
-            if (!data.eventCache.currentCheckBans[banKey]) {
-              data.eventCache.currentCheckBans[banKey] = true;
-              addToBannedSuspendedCSV(player);
-              
-              const pDataToUpdate = data.players[player.userId];
-              if (pDataToUpdate) {
-                if (player.confirmedBanned) {
-                  if (pDataToUpdate.status !== 'banned') pDataToUpdate.bannedAt = currentTime;
-                  pDataToUpdate.status = 'banned';
-                  delete pDataToUpdate.suspendedUntil; 
-                  delete pDataToUpdate.suspendedAt;
-                } else if (player.suspended) {
-                  if (pDataToUpdate.status !== 'suspended' || pDataToUpdate.suspendedUntil !== player.suspendedUntil) pDataToUpdate.suspendedAt = currentTime;
-                  pDataToUpdate.status = 'suspended';
-                  pDataToUpdate.suspendedUntil = player.suspendedUntil;
-                }
-              }
-            }
-          }
-        }
-        
-        if (newDeletions.length > 0) {
-          await sendDeletedAccountNotification(newDeletions);
-          for (const player of newDeletions) {
-            addToDeletedAccountsCSV(player);
-          }
-        }
-        
-        savePlayerData(data);
-        
-        const priorityDuration = Math.round((Date.now() - startTime) / 1000);
-        console.log(`Priority check completed in ${priorityDuration}s - found ${newBans.length} new bans/suspensions from missing players`);
-      }
-    }
-    
-    console.log('\nChecking sanctioned players for unsuspensions...');
-    
-    const sanctionedPlayers = [];
-    for (const [userId, playerData] of Object.entries(data.players)) {
-      if ((playerData.status === 'suspended' || playerData.status === 'banned') && 
-          playerData.status !== 'deleted_account') {
-        
-        sanctionedPlayers.push({
-          userId,
-          nick: playerData.nick,
-          countryCode: playerData.countryCode,
-          status: playerData.status,
-          suspendedUntil: playerData.suspendedUntil,
-          lastSeen: playerData.lastSeen,
-          ratings: playerData.ratings
-        });
-      }
-    }
-    
-    console.log(`Verifying ${sanctionedPlayers.length} sanctioned players...`);
-    
-    const unsuspensionResults = await verifyExistingSanctionedPlayers(sanctionedPlayers, data, currentTime);
-    
-    for (const result of unsuspensionResults) {
-      if (result && result.isUnsuspension) {
-        const playerData = data.players[result.userId];
-        const previousStatus = playerData.status;
-        
-        const eventKeySuffix = previousStatus === 'banned' ? 'unban' : 'unsuspend';
-        const unbanKey = `${result.userId}_${eventKeySuffix}`;
-        
-        if (!data.eventCache.currentCheckUnbans[unbanKey]) {
-          console.log(`✅ UNSANCTIONED: ${result.nick} - Was ${previousStatus}, now active`);
-          data.eventCache.currentCheckUnbans[unbanKey] = true;
-          
-          const mockPlayer = {
-            userId: result.userId,
-            nick: result.nick,
-            position: result.lastRating ? result.lastRating.position : 'N/A',
-            rating: result.lastRating ? result.lastRating.rating : 'N/A',
-            countryCode: result.countryCode
-          };
-          
-          if (previousStatus === 'banned') {
-            await sendUnbanNotification(mockPlayer, playerData);
-            console.log(`UNBANNED: ${result.nick} notification sent.`);
-            playerData.unbannedAt = currentTime;
-          } else {
-            await sendUnsuspendNotification(mockPlayer, playerData);
-            console.log(`UNSUSPENDED: ${result.nick} notification sent.`);
-            playerData.unsuspendedAt = currentTime;
-          }
-          
-          addToUnbannedUnsuspendedCSV(mockPlayer, playerData);
-          
-          playerData.status = 'active';
-          delete playerData.suspendedUntil;
-          delete playerData.suspendedAt;
-        }
-      }
-    }
-    
-    console.log(`\nFetching API status for all ${currentPlayers.length} top 2000 players...`);
-    const top2000ApiSanctionInfo = await verifyAllTop2000Players(currentPlayers, data, currentTime);
-
-    for (const player of currentPlayers) {
-      currentPlayerIds.add(player.userId);
-      
-      if (!data.players[player.userId]) {
-        data.players[player.userId] = {
-          nick: player.nick,
-          countryCode: player.countryCode,
-          firstSeen: currentTime,
-          ratings: [{ rating: player.rating, position: player.position, timestamp: currentTime }],
-          lastSeen: currentTime,
-          status: 'active'
-        };
-        console.log(`New player tracked: ${player.nick} (#${player.position})`);
-      } else {
-        const playerData = data.players[player.userId];
-        
-        if (playerData.nick !== player.nick) {
-          const isValidChange = checkNicknameChange(player.userId, playerData.nick, player.nick, playerData);
-          if (isValidChange) {
-            playerData.nick = normalizeUnicode(player.nick);
-          }
-        }
-        
-        playerData.lastSeen = currentTime;
-
-        const apiSanction = top2000ApiSanctionInfo.find(s => s && s.userId === player.userId);
-        const alreadyProcessedByPriority = priorityBannedPlayers.some(p => p && p.userId === player.userId);
-
-        if (apiSanction && !alreadyProcessedByPriority) {
-          if (apiSanction.isNewSanction) {
-            console.log(`[STATUS UPDATE] New sanction for ${player.nick}. Bot status changing from ${playerData.status}.`);
-            if (apiSanction.confirmedBanned) {
-              playerData.status = 'banned';
-              playerData.bannedAt = playerData.bannedAt || currentTime;
-              delete playerData.suspendedUntil;
-              delete playerData.suspendedAt;
-            } else {
-              playerData.status = 'suspended';
-              playerData.suspendedAt = playerData.suspendedAt || currentTime;
-              playerData.suspendedUntil = apiSanction.suspendedUntil;
-            }
-          } else {
-            if (playerData.status === 'active') {
-              console.warn(`[DATA CORRECTION] ${player.nick} is sanctioned by API (${apiSanction.confirmedBanned ? 'banned' : 'suspended'}) but bot thought 'active'. Correcting status.`);
-              if (apiSanction.confirmedBanned) {
-                playerData.status = 'banned';
-                playerData.bannedAt = playerData.bannedAt || currentTime;
-              } else {
-                playerData.status = 'suspended';
-                playerData.suspendedAt = playerData.suspendedAt || currentTime;
-                playerData.suspendedUntil = apiSanction.suspendedUntil;
-              }
-            }
-          }
-        } else if (!alreadyProcessedByPriority) { 
-          if ((playerData.status === 'banned' || playerData.status === 'suspended' || playerData.status === 'suspension_expired') && 
-              playerData.status !== 'deleted_account' &&
-              !isFirstCheckAfterRestart) {
-            
-            const previousStatus = playerData.status;
-            const eventKeySuffix = previousStatus === 'banned' ? 'unban' : 'unsuspend';
-            const unbanKey = `${player.userId}_${eventKeySuffix}`;
-
-            if (!data.eventCache.currentCheckUnbans[unbanKey]) {
-              console.log(`✅ BACK ON LEADERBOARD: ${player.nick} - Was ${previousStatus}, now active`);
-              data.eventCache.currentCheckUnbans[unbanKey] = true;
-
-              if (previousStatus === 'banned') {
-                await sendUnbanNotification(player, playerData);
-                console.log(`UNBANNED: ${player.nick} notification sent.`);
-                playerData.unbannedAt = currentTime;
-              } else {
-                await sendUnsuspendNotification(player, playerData);
-                console.log(`UNSUSPENDED: ${player.nick} notification sent.`);
-                playerData.unsuspendedAt = currentTime;
-              }
-              
-              addToUnbannedUnsuspendedCSV(player, playerData);
-
-              playerData.status = 'active';
-              delete playerData.suspendedUntil;
-              delete playerData.suspendedAt;
-            }
-          } else if (playerData.status !== 'active' && playerData.status !== 'deleted_account') {
-            if (isFirstCheckAfterRestart || playerData.status === 'suspension_expired') {
-              console.log(`[SILENT UPDATE] ${player.nick} from ${playerData.status} to active. API reports active.`);
-            }
-            playerData.status = 'active';
-          }
-        }
-        
-        playerData.ratings.push({
-          rating: player.rating,
-          position: player.position,
-          timestamp: currentTime
-        });
-        
-        if (playerData.ratings.length > 30) {
-          playerData.ratings = playerData.ratings.slice(-30);
-        }
-      }
-    }
-    
-    if (isFirstCheckAfterRestart) {
-      console.log('🔄 First check after restart - skipping unban notifications to avoid false positives');
-    }
-    
-    for (const [userId, playerData] of Object.entries(data.players)) {
-      if (playerData.status === 'suspended' && 
-          playerData.suspendedUntil && 
-          currentTime >= new Date(playerData.suspendedUntil).getTime()) {
-        
-        console.log(`SUSPENSION EXPIRED: ${playerData.nick} suspension has naturally expired`);
-        playerData.status = 'suspension_expired';
-        delete playerData.suspendedUntil;
-        delete playerData.suspendedAt;
-      }
-    }
-    
-    const remainingSanctionedPlayers = [];
-    for (const [userId, playerData] of Object.entries(data.players)) {
-      if ((playerData.status === 'suspended' || playerData.status === 'banned') && 
-          playerData.status !== 'deleted_account' &&
-          playerData.lastSeen > currentTime - (7 * 24 * 60 * 60 * 1000) &&
-          !sanctionedPlayers.some(sp => sp.userId === userId)) {
-        
-        remainingSanctionedPlayers.push({
-          userId,
-          nick: playerData.nick,
-          countryCode: playerData.countryCode,
-          status: playerData.status,
-          suspendedUntil: playerData.suspendedUntil,
-          lastSeen: playerData.lastSeen,
-          ratings: playerData.ratings
-        });
-      }
-    }
+  const found = storage.findPlayer(interaction.options.getString('player'));
+  
+  if (!found) {
+    await interaction.editReply('Player not found in the tracked players.');
+    return;
+  }
+  
+  const { userId, playerData } = found;
+  const nicknames = getNicknames(playerData);
+  const lines = [...nicknames].reverse().map(({ nick, firstSeen, lastSeen }) => {
+    const current = nick === playerData.nick ? ' (current)' : '';
+    return `**${nick}**${current}\nfirst seen ${formatDiscordTime(firstSeen) || 'unknown'}, last seen ${formatDiscordTime(lastSeen) || 'unknown'}`;
+  }).join('\n');
+  
+  const embed = new EmbedBuilder()
+    .setTitle(`🏷️ ${getCountryFlag(playerData.countryCode)} ${playerData.nick}`)
+    .setColor(0x3498DB)
+    .setDescription(lines.length <= 4096 ? lines : lines.substring(0, 4093) + '...')
+    .addFields({ name: 'GeoGuessr Profile', value: `[View Profile](https://www.geoguessr.com/user/${userId})`, inline: false })
+    .setFooter({ text: `${nicknames.length} ${nicknames.length === 1 ? 'nickname' : 'nicknames'} seen - ${userId}` })
+    .setTimestamp();
+  
+  await interaction.editReply({ embeds: [embed] });
+}
 
-    console.log(`Found ${remainingSanctionedPlayers.length} remaining sanctioned players to verify`);
-    const remainingSanctionedApiInfo = remainingSanctionedPlayers.length > 0 ?
-      await verifyExistingSanctionedPlayers(remainingSanctionedPlayers, data, currentTime) : [];
-    
-    const allSanctionsFromApi = [...top2000ApiSanctionInfo, ...remainingSanctionedApiInfo, ...unsuspensionResults].filter(s => s !== null);
-    const allDeletedAccounts = allSanctionsFromApi.filter(s => s && s.deletedAccount && s.isNewDeletion);
-    const allNewSanctionEvents = allSanctionsFromApi.filter(s => s && s.isNewSanction && !s.deletedAccount);
-    
-    if (allNewSanctionEvents.length > 0) {      
-      await sendBanNotification(allNewSanctionEvents);
-      
-      for (const player of allNewSanctionEvents) {
-        const banKey = `${player.userId}_ban_${player.confirmedBanned ? 'banned' : 'suspended'}`;
-        
-        if (!data.eventCache.currentCheckBans[banKey]) {
-          data.eventCache.currentCheckBans[banKey] = true;
-          
-          addToBannedSuspendedCSV(player);
-          
-          const pDataToUpdate = data.players[player.userId];
-          if (pDataToUpdate) {
-            if (player.confirmedBanned) {
-              if (pDataToUpdate.status !== 'banned') pDataToUpdate.bannedAt = currentTime;
-              pDataToUpdate.status = 'banned';
-              delete pDataToUpdate.suspendedUntil; 
-              delete pDataToUpdate.suspendedAt;
-            } else if (player.suspended) {
-              if (pDataToUpdate.status !== 'suspended' || pDataToUpdate.suspendedUntil !== player.suspendedUntil) pDataToUpdate.suspendedAt = currentTime;
-              pDataToUpdate.status = 'suspended';
-              pDataToUpdate.suspendedUntil = player.suspendedUntil;
-            }
-          }
-        }
-      }
-    }
-    
-    if (allDeletedAccounts.length > 0) {
-      console.log(`\nProcessing ${allDeletedAccounts.length} deleted accounts...`);
-      
-      await sendDeletedAccountNotification(allDeletedAccounts);
-      
-      for (const player of allDeletedAccounts) {
-        addToDeletedAccountsCSV(player);
-      }
-    }
+function formatSnapshotChoice({ id, timestamp }) {
+  return { name: DateTime.fromMillis(timestamp, { zone: 'utc' }).toFormat("yyyy-MM-dd HH:mm 'UTC'"), value: id };
+}
 
-    data.lastCheck = currentTime;
-    data.totalChecks = (data.totalChecks || 0) + 1;
-    savePlayerData(data);
-    
-    const duration = Math.round((Date.now() - startTime) / 1000);
-    const totalNewBans = (priorityBannedPlayers.filter(p => p.isNewSanction && !p.deletedAccount).length) + allNewSanctionEvents.length;
-    
-    const statusMessage = totalNewBans > 0 
-      ? `Check completed in ${duration}s. Found ${totalNewBans} new/updated ban(s)/suspension(s).`
-      : `Check completed in ${duration}s. No new or updated bans/suspensions detected.`;
-    
-    await sendStatusMessage(statusMessage);
-    console.log(`Check completed in ${duration} seconds. Total checks: ${data.totalChecks}`);
-    console.log(`At: ${new Date().toLocaleTimeString()}`);
-    
-  } catch (error) {
-    console.error('Error during check:', error);
-    await sendStatusMessage(`Check failed: ${error.message}`, true);
+async function handleLeaderboardDiffAutocomplete(interaction) {
+  const focused = interaction.options.getFocused(true);
+  
+  if (focused.name === 'ladder') {
+    const choices = LADDERS
+      .filter(ladder => ladder.name.toLowerCase().includes(focused.value.toLowerCase()))
+      .map(ladder => ({ name: ladder.name, value: ladder.id }));
+    await interaction.respond(choices);
+    return;
   }
+  
+  const choices = snapshots.list()
+    .reverse()
+    .map(formatSnapshotChoice)
+    .filter(choice => choice.name.includes(focused.value.trim()))
+    .slice(0, 25);
+  await interaction.respond(choices);
+}
+
+const SNAPSHOT_EXIT_LABELS = {
+  banned: '🚫 banned',
+  suspended: '⏸️ suspended',
+  deleted: '🗑️ deleted',
+  decay: '📉 rating decay or pushed out'
+};
+
+function formatDiffLines(players, formatLine, limit = 10) {
+  if (players.length === 0) return 'None';
+  const lines = players.slice(0, limit).map(formatLine);
+  if (players.length > limit) lines.push(`... and ${players.length - limit} more`);
+  const text = lines.join('\n');
+  return text.length <= 1024 ? text : text.substring(0, 1021) + '...';
 }
 
-async function verifyBannedPlayers(missingPlayers, data, currentTime) {
-  console.log(`Verifying ban status for ${missingPlayers.length} missing players`);
+async function handleLeaderboardDiffCommand(interaction) {
+  await interaction.deferReply();
   
-  const top2000MissingPlayers = missingPlayers;
+  const available = snapshots.list();
+  if (available.length < 2) {
+    await interaction.editReply('At least two leaderboard snapshots are needed, one is taken at every check.');
+    return;
+  }
   
-  console.log(`${top2000MissingPlayers.length} of ${missingPlayers.length} missing players were in top 2000`);
+  const toQuery = interaction.options.getString('to');
+  const to = toQuery ? snapshots.find(toQuery) : available.at(-1);
+  if (!to) {
+    await interaction.editReply(`No snapshot found at or before "${toQuery}".`);
+    return;
+  }
   
-  if (top2000MissingPlayers.length === 0) {
-    return [];
+  const fromQuery = interaction.options.getString('from');
+  const from = fromQuery
+    ? snapshots.find(fromQuery)
+    : available.filter(snapshot => snapshot.timestamp <= to.timestamp - 24 * 60 * 60 * 1000).at(-1) || available[0];
+  if (!from) {
+    await interaction.editReply(`No snapshot found at or before "${fromQuery}".`);
+    return;
+  }
+  if (from.timestamp >= to.timestamp) {
+    await interaction.editReply('`from` must be older than `to`.');
+    return;
   }
   
-  const bannedPlayers = [];
-  const BATCH_SIZE = 12;
-  const INTER_BATCH_DELAY = 120;
-  let rateLimitHits = 0;
-  let processedCount = 0;
-  
-  console.log(`\n--- Starting verification of ${top2000MissingPlayers.length} players ---`);
-  
-  for (let i = 0; i < top2000MissingPlayers.length; i += BATCH_SIZE) {
-    const batch = top2000MissingPlayers.slice(i, i + BATCH_SIZE);
-    const batchNum = Math.floor(i/BATCH_SIZE) + 1;    
-    
-    console.log(`\nProcessing batch ${batchNum}/${Math.ceil(top2000MissingPlayers.length/BATCH_SIZE)} (${batch.length} players):`);
-    
-    const promises = batch.map(async (player, index) => {
-      try {
-        if (index > 0) await new Promise(resolve => setTimeout(resolve, 35 * index));
-        
-        const activityData = await getUserActivity(player.userId);
-        processedCount++;
-        
-        const lastRating = player.ratings[player.ratings.length - 1];
-        const positionInfo = lastRating ? `#${lastRating.position}` : 'N/A';
-        const eloInfo = lastRating ? `${lastRating.rating} ELO` : 'N/A';
-        
-        if (activityData.deleted) {
-          const pData = data.players[player.userId];
-          
-          let isNewDeletion = false;
-          if (pData.status !== 'deleted_account') {
-            isNewDeletion = true;
-            pData.status = 'deleted_account';
-            pData.deletedAt = currentTime;
-            
-            console.log(`[${processedCount}/${top2000MissingPlayers.length}] 🗑️ DELETED ACCOUNT: ${player.nick} (${positionInfo}, ${eloInfo}) - Last seen ${player.hoursSinceSeen}h ago`);
-            
-            return {
-              ...player,
-              countryCode: player.countryCode,
-              deletedAccount: true,
-              lastRating: lastRating,
-              isNewDeletion: isNewDeletion
-            };
-          } else {
-            console.log(`[${processedCount}/${top2000MissingPlayers.length}] 🔄 Already marked as deleted: ${player.nick} (${positionInfo})`);
-            return null;
-          }
-        }
-        
-        if (activityData.banned || activityData.suspended) {
-          const pData = data.players[player.userId];
-          
-          let isNewSanction = false;
-          if (activityData.banned) {
-            if (pData.status !== 'banned') {
-              isNewSanction = true;
-            }
-          } else if (activityData.suspended) {
-            if (pData.status !== 'suspended' || pData.suspendedUntil !== activityData.suspendedUntil) {
-              isNewSanction = true;
-            }
-          }
-
-          if (isNewSanction) {
-            const banType = activityData.banned ? 'BANNED' : 'SUSPENDED';
-            const suspensionInfo = activityData.suspended ? 
-              ` until ${new Date(activityData.suspendedUntil).toLocaleString()}` : '';
-            
-            console.log(`[${processedCount}/${top2000MissingPlayers.length}] 🚫 ${banType}: ${player.nick} (${positionInfo}, ${eloInfo}) - Last seen ${player.hoursSinceSeen}h ago${suspensionInfo}`);
-            
-          } else {
-            console.log(`[${processedCount}/${top2000MissingPlayers.length}] 🔄 Ongoing sanction (missing player): ${player.nick} (${positionInfo}) - Status unchanged (API: ${activityData.banned ? 'banned' : 'suspended'})`);
-          }
-          
-          return {
-            ...player,
-            countryCode: activityData.countryCode,
-            confirmedBanned: activityData.banned,
-            suspended: activityData.suspended,
-            suspendedUntil: activityData.suspendedUntil,
-            lastRating: lastRating,
-            isNewSanction: isNewSanction
-          };
-        } else {
-          console.log(`[${processedCount}/${top2000MissingPlayers.length}] ✅ Active (inactive drop): ${player.nick} (${positionInfo}, ${eloInfo}) - Last seen ${player.hoursSinceSeen}h ago`);
-          return null;
-        }
-      } catch (error) {
-        processedCount++;
-        const lastRating = player.ratings[player.ratings.length - 1];
-        const positionInfo = lastRating ? `#${lastRating.position}` : 'N/A';
-        
-        console.log(`[${processedCount}/${top2000MissingPlayers.length}] ❌ Error checking ${player.nick} (${positionInfo}): ${error.message}`);
-        
-        if (error.message.includes('Rate limited') || error.message.includes('429')) {
-          rateLimitHits++;
-        }
-        
-        return null;
-      }
-    });
-    
-    const results = await Promise.allSettled(promises);
-    
-    results.forEach((result, index) => {
-      if (result.status === 'fulfilled' && result.value !== null) {
-        bannedPlayers.push(result.value);
-      } else if (result.status === 'rejected') {
-        console.log(`[ERROR] Promise rejected for ${batch[index]?.nick}: ${result.reason}`);
-      }
-    });
-    
-    if (i + BATCH_SIZE < top2000MissingPlayers.length) {
-      let delay = INTER_BATCH_DELAY;
-      
-      if (rateLimitHits > 5) {
-        delay = INTER_BATCH_DELAY * 3;
-        console.log(`Rate limit detected, increasing delay to ${delay}ms`);
-      } else if (rateLimitHits > 2) {
-        delay = INTER_BATCH_DELAY * 2;
-      }
-      
-      await new Promise(resolve => setTimeout(resolve, delay));
-      
-      if (batchNum % 3 === 0) {
-        rateLimitHits = Math.floor(rateLimitHits / 2);
-      }
-    }
+  const ladder = LADDERS.find(l => l.id === (interaction.options.getString('ladder') || LADDERS[0].id));
+  if (!ladder) {
+    await interaction.editReply('Unknown ladder.');
+    return;
   }
   
-  console.log(`\n--- Missing Players Verification Summary ---`);
-  console.log(`Total players checked: ${processedCount}/${top2000MissingPlayers.length}`);
-  console.log(`Confirmed bans/suspensions: ${bannedPlayers.filter(p => !p.deletedAccount).length}`);
-  console.log(`Deleted accounts: ${bannedPlayers.filter(p => p.deletedAccount).length}`);
-  console.log(`Still active (inactivity drops): ${processedCount - bannedPlayers.length}`);
-  console.log(`Rate limit hits during verification: ${rateLimitHits}`);
+  const diff = diffSnapshots(snapshots.load(from.id), snapshots.load(to.id), {
+    ladderId: ladder.id,
+    players: storage.loadPlayerData().players,
+    // the scanner finds a sanction up to one SLA after the leaderboard lost the player
+    graceMs: scanner ? SCAN_SLA_HOURS * 60 * 60 * 1000 : 0
+  });
+  
+  const player = p => `${getCountryFlag(p.countryCode)} ${p.nick}`;
+  const signed = value => `${value > 0 ? '+' : ''}${value}`;
+  const exits = Object.entries(diff.exitsByReason)
+    .map(([reason, count]) => `${SNAPSHOT_EXIT_LABELS[reason]}: ${count}`)
+    .join('\n');
   
-  return bannedPlayers;
+  const embed = new EmbedBuilder()
+    .setTitle(`📊 ${ladder.name} Leaderboard Changes`)
+    .setColor(0x3498DB)
+    .setDescription(`From ${formatDiscordTime(diff.from)} to ${formatDiscordTime(diff.to)}\n**${diff.entered.length}** entered, **${diff.left.length}** left\n${exits}`)
+    .addFields([
+      { name: 'Entered', value: formatDiffLines(diff.entered, p => `#${p.position} ${player(p)} (${p.rating} ELO)`), inline: false },
+      {
+        name: 'Left After a Sanction',
+        value: formatDiffLines(diff.left.filter(p => p.reason !== 'decay'), p => `#${p.position} ${player(p)} - ${SNAPSHOT_EXIT_LABELS[p.reason]}`),
+        inline: false
+      },
+      { name: 'Left Otherwise', value: formatDiffLines(diff.left.filter(p => p.reason === 'decay'), p => `#${p.position} ${player(p)} (${p.rating} ELO)`), inline: false },
+      { name: 'Biggest Risers', value: formatDiffLines(diff.risers, p => `#${p.previousPosition} → #${p.position} ${player(p)} (${signed(p.ratingChange)} ELO)`), inline: false },
+      { name: 'Biggest Fallers', value: formatDiffLines(diff.fallers, p => `#${p.previousPosition} → #${p.position} ${player(p)} (${signed(p.ratingChange)} ELO)`), inline: false }
+    ])
+    .setFooter({ text: `${from.id} → ${to.id}` })
+    .setTimestamp();
+  
+  await interaction.editReply({ embeds: [embed] });
 }
 
-function normalizeUnicode(str) {
-  if (!str || typeof str !== 'string') return str;
+async function handleHistoryCommand(interaction) {
+  await interaction.deferReply();
+  
+  const type = interaction.options.getString('type') || 'sanctions';
+  const limit = interaction.options.getInteger('limit') || 10;
+  const isSanctions = type === 'sanctions';
+  
+  const rows = isSanctions ? storage.readSanctionRows() : storage.readUnsanctionRows();
+  const latestRows = rows.slice(-limit).reverse();
+  
+  if (latestRows.length === 0) {
+    await interaction.editReply('No history recorded yet.');
+    return;
+  }
+  
+  const lines = latestRows.map(row => {
+    const flag = getCountryFlag(row.countryCode);
+    const details = isSanctions
+      ? `${row.Action_Type}${row.Suspended_Until ? ` until ${row.Suspended_Until}` : ''}`
+      : `was ${row.Previous_Action_Type} for ${row.Duration_Days} days`;
+    return `\`${row.Date}\` ${flag} [${row.Username}](${row.Profile_URL}) - #${row.Position}, ${row.ELO} ELO - ${details}`;
+  }).join('\n');
+  
+  const embed = new EmbedBuilder()
+    .setTitle(isSanctions ? '📜 Latest Bans/Suspensions' : '📜 Latest Unbans/Unsuspensions')
+    .setColor(isSanctions ? 0xFF0000 : 0x00FF00)
+    .setDescription(lines.length <= 4096 ? lines : lines.substring(0, 4093) + '...')
+    .setFooter({ text: `${rows.length} entries recorded in total` })
+    .setTimestamp();
   
-  return str.normalize('NFC');
+  await interaction.editReply({ embeds: [embed] });
 }
 
-function isValidNicknameChange(oldNick, newNick) {
-  if (!oldNick || !newNick) return false;
+function formatRate(rate) {
+  return `${(rate * 100).toFixed(1)}%`;
+}
+
+async function handleCountryAutocomplete(interaction) {
+  const focused = interaction.options.getFocused().trim().toLowerCase();
+  const { countries } = buildCountryStats(storage.loadPlayerData().players, []);
+  
+  const choices = rankCountries(countries)
+    .filter(({ countryCode }) => countryCode.startsWith(focused) || getCountryName(countryCode).toLowerCase().startsWith(focused))
+    .slice(0, 25)
+    .map(({ countryCode, tracked }) => ({
+      name: `${getCountryName(countryCode)} (${countryCode.toUpperCase()}, ${tracked} players)`.substring(0, 100),
+      value: countryCode
+    }));
+  
+  await interaction.respond(choices);
+}
+
+async function handleCountryCommand(interaction) {
+  await interaction.deferReply();
+  
+  const countryCode = interaction.options.getString('country').trim();
+  if (!/^[a-z]{2}$/i.test(countryCode)) {
+    await interaction.editReply('`country` must be a two-letter country code like FR');
+    return;
+  }
+  
+  const report = buildCountryReport(countryCode, {
+    players: storage.loadPlayerData().players,
+    sanctionRows: storage.readSanctionRows(),
+    unsanctionRows: storage.readUnsanctionRows()
+  });
+  const { stats, global } = report;
   
-  const hasReplacementChars = /�/.test(oldNick) || /�/.test(newNick);
-  if (hasReplacementChars) {
-    console.log(`⚠️ Detected replacement characters in nickname change: "${oldNick}" -> "${newNick}"`);
-    return false;
+  if (stats.tracked === 0 && report.recentEvents.length === 0) {
+    await interaction.editReply(`No tracked player from ${getCountryName(report.countryCode)} (${report.countryCode.toUpperCase()}).`);
+    return;
   }
   
-  const normalizedOld = normalizeUnicode(oldNick);
-  const normalizedNew = normalizeUnicode(newNick);
+  const comparison = global.sanctionRate > 0
+    ? ` (${(stats.sanctionRate / global.sanctionRate).toFixed(2)}x the global ${formatRate(global.sanctionRate)})`
+    : '';
+  const topPlayers = report.topPlayers
+    .map(({ userId, nick, lastRating }) => `#${lastRating.position} [${nick}](https://www.geoguessr.com/user/${userId}) - ${lastRating.rating} ELO`)
+    .join('\n');
+  const recentEvents = report.recentEvents
+    .map(row => {
+      const action = row.Action === 'UNBANNED'
+        ? (row.Previous_Action_Type === 'BANNED' ? 'unbanned' : 'unsuspended')
+        : row.Action.toLowerCase().replace('_', ' ');
+      return `\`${row.Date}\` [${row.Username}](${row.Profile_URL}) - #${row.Position}, ${row.ELO} ELO - ${action}`;
+    })
+    .join('\n');
+  
+  const embed = new EmbedBuilder()
+    .setTitle(`${getCountryFlag(report.countryCode)} ${getCountryName(report.countryCode)}`)
+    .setColor(0x3498DB)
+    .addFields([
+      { name: 'Tracked Players', value: stats.tracked.toString(), inline: true },
+      { name: 'Active Players', value: stats.active.toString(), inline: true },
+      { name: 'Currently Banned', value: stats.banned.toString(), inline: true },
+      { name: 'Currently Suspended', value: stats.suspended.toString(), inline: true },
+      { name: 'Deleted Accounts', value: stats.deleted.toString(), inline: true },
+      { name: 'Ever Banned/Suspended', value: stats.sanctioned.toString(), inline: true },
+      { name: 'Sanction Rate', value: `${formatRate(stats.sanctionRate)}${comparison}`, inline: false },
+      { name: 'Top Ranked Active Players', value: (topPlayers || 'None').substring(0, 1024), inline: false },
+      { name: 'Latest Events', value: (recentEvents || 'None').substring(0, 1024), inline: false }
+    ])
+    .setFooter({ text: 'Sanction rate: players ever banned or suspended / tracked players' })
+    .setTimestamp();
+  
+  await interaction.editReply({ embeds: [embed] });
+}
+
+async function handleCountriesCommand(interaction) {
+  await interaction.deferReply();
+  
+  const sort = interaction.options.getString('sort') || 'tracked';
+  // a handful of players is enough to top the sanction rate by chance
+  const minPlayers = interaction.options.getInteger('min_players') || (sort === 'rate' ? 10 : 1);
+  
+  const { global, countries } = buildCountryStats(storage.loadPlayerData().players, storage.readSanctionRows());
+  const ranking = rankCountries(countries, { sort, minPlayers });
   
-  if (normalizedOld === normalizedNew) {
-    return false;
+  if (ranking.length === 0) {
+    await interaction.editReply(`No country with ${minPlayers} tracked players or more.`);
+    return;
   }
   
-  return true;
+  const lines = ranking.slice(0, 25).map((stats, index) =>
+    `${index + 1}. ${getCountryFlag(stats.countryCode)} **${getCountryName(stats.countryCode)}** - ${stats.tracked} tracked, ` +
+    `${stats.banned} banned, ${stats.suspended} suspended, ${formatRate(stats.sanctionRate)} sanctioned`
+  ).join('\n');
+  
+  const embed = new EmbedBuilder()
+    .setTitle(`🌍 Countries by ${COUNTRY_SORTS[sort].label}`)
+    .setColor(0x3498DB)
+    .setDescription(lines.length <= 4096 ? lines : lines.substring(0, 4093) + '...')
+    .setFooter({ text: `${ranking.length} countries with ${minPlayers}+ tracked players - global sanction rate ${formatRate(global.sanctionRate)} of ${global.tracked} players` })
+    .setTimestamp();
+  
+  await interaction.editReply({ embeds: [embed] });
 }
 
-function checkNicknameChange(userId, storedNick, currentNick, playerData) {
-  if (!currentNick || currentNick === 'Unknown') {
-    return false;
+const GEOGUESSR_USER_ID = /^[0-9a-f]{24}$/i;
+
+async function handleWatchCommand(interaction) {
+  await interaction.deferReply();
+  
+  const query = interaction.options.getString('player');
+  let userId = parsePlayerQuery(query);
+  if (!GEOGUESSR_USER_ID.test(userId)) {
+    const tracked = storage.findPlayer(query);
+    if (!tracked) {
+      await interaction.editReply('Give a GeoGuessr user ID, a profile URL or the nickname of a tracked player.');
+      return;
+    }
+    userId = tracked.userId;
+  }
+  
+  if (storage.isWatched(userId)) {
+    await interaction.editReply('This player is already on the watchlist.');
+    return;
   }
   
-  if (detectFalseNicknameChange(storedNick, currentNick)) {
-    return false;
+  if (storage.getWatchlist().length >= WATCHLIST_LIMIT) {
+    await interaction.editReply(`The watchlist is full (${WATCHLIST_LIMIT} players), remove someone with /unwatch first.`);
+    return;
   }
   
-  const normalizedStored = normalizeUnicode(storedNick);
-  const normalizedCurrent = normalizeUnicode(currentNick);
+  let activity;
+  try {
+    activity = await lookUpProfile(userId);
+  } catch (error) {
+    await interaction.editReply(`Could not look up this player on GeoGuessr (${error.message}), try again later.`);
+    return;
+  }
   
-  if (normalizedStored !== normalizedCurrent && isValidNicknameChange(storedNick, currentNick)) {
-    sendNicknameChangeNotification(userId, storedNick, currentNick, playerData);
-    return true;
+  if (activity.deleted) {
+    await interaction.editReply('No GeoGuessr account found with this ID.');
+    return;
   }
   
-  return false;
+  storage.addToWatchlist({
+    userId,
+    nick: activity.currentNick,
+    countryCode: activity.countryCode,
+    addedBy: interaction.user.tag,
+    addedAt: Date.now()
+  });
+  console.log(`${activity.currentNick} (${userId}) added to the watchlist by ${interaction.user.tag}`);
+  
+  const status = activity.banned ? 'currently banned' : activity.suspended ? 'currently suspended' : 'currently active';
+  await interaction.editReply(`👁️ **${activity.currentNick}** (${status}) is now on the watchlist and will be checked on every run.`);
 }
 
-function detectFalseNicknameChange(oldNick, newNick) {
-  if (!oldNick || !newNick) return false;
+async function handleUnwatchCommand(interaction) {
+  await interaction.deferReply();
   
-  const oldHasReplacement = /�/.test(oldNick);
-  const newHasReplacement = /�/.test(newNick);
+  const query = interaction.options.getString('player');
+  const userId = parsePlayerQuery(query);
+  const normalizedQuery = normalizeNick(query.trim());
+  const entry = storage.getWatchlist().find(watched =>
+    watched.userId === userId || (watched.nick && normalizeNick(watched.nick) === normalizedQuery));
   
-  if (oldHasReplacement || newHasReplacement) {
-    const oldCleaned = oldNick.replace(/�+/g, '');
-    const newCleaned = newNick.replace(/�+/g, '');
-    
-    if (oldCleaned === newCleaned && oldCleaned.length > 0) {
-      return true;
-    }
+  if (!entry) {
+    await interaction.editReply('This player is not on the watchlist.');
+    return;
   }
-  const normalizedOld = normalizeUnicode(oldNick);
-  const normalizedNew = normalizeUnicode(newNick);
   
-  if (normalizedOld === normalizedNew) {
-    return true;
+  storage.removeFromWatchlist(entry.userId);
+  console.log(`${entry.nick} (${entry.userId}) removed from the watchlist by ${interaction.user.tag}`);
+  await interaction.editReply(`**${entry.nick}** was removed from the watchlist, they stay tracked while they are on the leaderboard.`);
+}
+
+async function handleWatchlistAutocomplete(interaction) {
+  const focused = normalizeNick(interaction.options.getFocused());
+  
+  const choices = storage.getWatchlist()
+    .filter(entry => (entry.nick && normalizeNick(entry.nick).includes(focused)) || entry.userId.startsWith(focused))
+    .slice(0, 25)
+    .map(entry => ({ name: `${entry.nick || entry.userId}`.substring(0, 100), value: entry.userId }));
+  
+  await interaction.respond(choices);
+}
+
+async function handleWatchlistCommand(interaction) {
+  await interaction.deferReply();
+  
+  const watchlist = storage.getWatchlist();
+  if (watchlist.length === 0) {
+    await interaction.editReply('The watchlist is empty, add players with /watch.');
+    return;
   }
   
-  return false;
+  const players = storage.loadPlayerData().players;
+  const statusIcons = { active: '🟢', banned: '🚫', suspended: '⏸️', suspension_expired: '⏸️', deleted_account: '🗑️' };
+  
+  const lines = watchlist.map(entry => {
+    const playerData = players[entry.userId];
+    const status = playerData ? `${statusIcons[playerData.status] || ''} ${playerData.status}` : 'not checked yet';
+    const nick = playerData?.nick || entry.nick || entry.userId;
+    return `${getCountryFlag(entry.countryCode)} [${nick}](https://www.geoguessr.com/user/${entry.userId}) - ${status} - added by ${entry.addedBy} ${formatDiscordTime(entry.addedAt)}`;
+  }).join('\n');
+  
+  const embed = new EmbedBuilder()
+    .setTitle('👁️ Watchlist')
+    .setColor(0x3498DB)
+    .setDescription(lines.length <= 4096 ? lines : lines.substring(0, 4093) + '...')
+    .setFooter({ text: `${watchlist.length}/${WATCHLIST_LIMIT} players watched` })
+    .setTimestamp();
+  
+  await interaction.editReply({ embeds: [embed] });
 }
 
-async function sendUnbanNotification(player, playerData) {
+async function handleSubscribeCommand(interaction) {
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+  
+  const found = storage.findPlayer(interaction.options.getString('player'));
+  if (!found) {
+    await interaction.editReply('Player not found in the tracked players, only players on the leaderboard or the watchlist can be followed.');
+    return;
+  }
+  
+  const { userId, playerData } = found;
+  const subscriptions = storage.getSubscriptions(interaction.user.id);
+  if (subscriptions.includes(userId)) {
+    await interaction.editReply(`You already follow **${playerData.nick}**.`);
+    return;
+  }
+  if (subscriptions.length >= SUBSCRIPTION_LIMIT) {
+    await interaction.editReply(`You already follow ${SUBSCRIPTION_LIMIT} players, the maximum. Use /unsubscribe to make room.`);
+    return;
+  }
+  
+  // a confirmation DM doubles as a check that the bot can reach the user at all
   try {
-    const channel = await client.channels.fetch(UNBAN_CHANNEL_ID);
-    const profileUrl = `https://www.geoguessr.com/user/${player.userId}`;
-    
-    const actionDuration = playerData.bannedAt || playerData.suspendedAt ? 
-      Math.floor((Date.now() - (playerData.bannedAt || playerData.suspendedAt)) / (24 * 60 * 60 * 1000)) : 'Unknown';
-    
-    const actionType = playerData.status === 'banned' ? 'Ban' : 'Suspension';
-    
-    const embed = new EmbedBuilder()
-      .setTitle('🟢 Player Unbanned/Unsuspended')
-      .setColor(0x00FF00)
-      .setDescription(`**${player.nick}** has been unbanned/unsuspended and is back on the leaderboard`)
-      .addFields([
-        { name: 'Current Position', value: `#${player.position}`, inline: true },
-        { name: 'Current ELO', value: `${player.rating} ELO`, inline: true },
-        { name: `${actionType} Duration`, value: `${actionDuration} days`, inline: true },
-        { name: 'GeoGuessr Profile', value: `[View Profile](${profileUrl})`, inline: false }
-      ])
-      .setTimestamp();
-    
-    await channel.send({ 
-      content: `<@&${UNBAN_ROLE_ID}>`,
-      embeds: [embed] 
-    });
-    console.log(`Unban/unsuspend notification sent for ${player.nick}`);
+    await interaction.user.send(`🔔 You now follow **${playerData.nick}**, you will get a DM when they are banned, suspended, unbanned, delete their account or change nickname. Use /unsubscribe to stop.`);
   } catch (error) {
-    console.error('Error sending unban notification:', error);
+    if (error.code === RESTJSONErrorCodes.CannotSendMessagesToThisUser) {
+      await interaction.editReply('I cannot send you DMs. Allow direct messages from server members in your privacy settings, then try again.');
+      return;
+    }
+    throw error;
   }
+  
+  storage.addSubscription(interaction.user.id, userId);
+  console.log(`${interaction.user.tag} now follows ${playerData.nick} (${userId})`);
+  await interaction.editReply(`You now follow **${playerData.nick}** (${subscriptions.length + 1}/${SUBSCRIPTION_LIMIT}).`);
 }
 
-async function sendBanNotification(bannedPlayers) {
-  try {
-    const channel = await client.channels.fetch(ALLOWED_CHANNEL_ID);
-    
-    if (bannedPlayers.length === 1) {
-      const player = bannedPlayers[0];
-      const profileUrl = `https://www.geoguessr.com/user/${player.userId}`;
-
-      const flag = player.countryCode ? `:flag_${player.countryCode.toLowerCase()}:` : '';
-      
-      const title = player.confirmedBanned ? '🚫 Player Banned' : '⏸️ Player Suspended';
-      const description = player.confirmedBanned ? 
-        `${flag} **${player.nick}** has been banned !!!` :
-        `${flag} **${player.nick}** has been suspended until ${new Date(player.suspendedUntil).toLocaleString()}`;
-      
-      const embed = new EmbedBuilder()
-        .setTitle(title)
-        .setColor(player.confirmedBanned ? 0xFF0000 : 0xFFA500)
-        .setDescription(description)
-        .addFields([
-          { name: 'Last Position', value: `#${player.lastRating.position}`, inline: true },
-          { name: 'ELO at Ban/Suspension', value: `${player.lastRating.rating} ELO`, inline: true },
-          { name: 'Last Seen', value: `${player.hoursSinceSeen} hours ago`, inline: true },
-          { name: 'GeoGuessr Profile', value: `[View Profile](${profileUrl})`, inline: false }
-        ])
-        .setTimestamp();
-      
-      await channel.send({ 
-        content: `<@&${BAN_ROLE_ID}>`,
-        embeds: [embed] 
-      });
-    } else {
-      const banned = bannedPlayers.filter(p => p.confirmedBanned);
-      const suspended = bannedPlayers.filter(p => p.suspended && !p.confirmedBanned);
-      
-      let title = '';
-      if (banned.length > 0 && suspended.length > 0) {
-        title = `🚫 ${banned.length} Banned, ⏸️ ${suspended.length} Suspended`;
-      } else if (banned.length > 0) {
-        title = `🚫 ${banned.length} Players Banned`;
-      } else {
-        title = `⏸️ ${suspended.length} Players Suspended`;
-      }
-      
-      const embed = new EmbedBuilder()
-        .setTitle(title)
-        .setColor(0xFF0000)
-        .setTimestamp();
-      
-      const allPlayers = [...banned, ...suspended].sort((a, b) => a.lastRating.position - b.lastRating.position);
-      
-      const playerList = allPlayers.map(p => {
-        const profileUrl = `https://www.geoguessr.com/user/${p.userId}`;
-        const status = p.confirmedBanned ? '🚫' : '⏸️';
-        const flag = getCountryFlag(p.countryCode);
-        return `${status} **#${p.lastRating.position}** ${flag} [${p.nick}](${profileUrl}) - ${p.lastRating.rating} ELO`;
-      }).join('\n');
-      
-      if (playerList.length <= 4096) {
-        embed.setDescription(playerList);
-      } else {
-        const truncatedList = playerList.substring(0, 4093) + '...';
-        embed.setDescription(truncatedList);
-        embed.addFields([
-          { name: 'Note', value: 'List truncated - too many players to display', inline: false }
-        ]);
-      }
-      
-      embed.setFooter({ text: `${bannedPlayers.length} total actions detected` });
-      
-      await channel.send({ 
-        content: `<@&${BAN_ROLE_ID}>`,
-        embeds: [embed] 
-      });
-    }
-    
-    console.log(`Ban/suspension notification sent for ${bannedPlayers.length} players`);
-  } catch (error) {
-    console.error('Error sending ban notification:', error);
+function subscriptionNick(userId, players) {
+  return players[userId]?.nick || userId;
+}
+
+async function handleUnsubscribeCommand(interaction) {
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+  
+  const query = interaction.options.getString('player').trim();
+  if (query.toLowerCase() === 'all') {
+    const count = storage.removeAllSubscriptions(interaction.user.id);
+    await interaction.editReply(count > 0 ? `You no longer follow anyone (${count} players removed).` : 'You do not follow anyone.');
+    return;
+  }
+  
+  const found = storage.findPlayer(query);
+  const userId = found ? found.userId : parsePlayerQuery(query);
+  if (!storage.removeSubscription(interaction.user.id, userId)) {
+    await interaction.editReply('You do not follow this player.');
+    return;
   }
+  
+  await interaction.editReply(`You no longer follow **${found ? found.playerData.nick : userId}**.`);
 }
 
-async function sendDeletedAccountNotification(deletedPlayers) {
-  try {
-    const channel = await client.channels.fetch(ALLOWED_CHANNEL_ID);
-    
-    if (deletedPlayers.length === 1) {
-      const player = deletedPlayers[0];
-      const profileUrl = `https://www.geoguessr.com/user/${player.userId}`;
-      const flag = getCountryFlag(player.countryCode);
-      
-      const embed = new EmbedBuilder()
-        .setTitle('🗑️ Account Deleted')
-        .setColor(0x808080)
-        .setDescription(`${flag} **${player.nick}** has deleted their account`)
-        .addFields([
-          { name: 'Last Position', value: `#${player.lastRating.position}`, inline: true },
-          { name: 'Last ELO', value: `${player.lastRating.rating} ELO`, inline: true },
-          { name: 'Last Seen', value: `${player.hoursSinceSeen || 0} hours ago`, inline: true },
-          { name: 'Profile URL', value: `[Deleted Profile](${profileUrl})`, inline: false }
-        ])
-        .setTimestamp();
-      
-      await channel.send({ embeds: [embed] });
-    } else {
-      const embed = new EmbedBuilder()
-        .setTitle(`🗑️ ${deletedPlayers.length} Accounts Deleted`)
-        .setColor(0x808080)
-        .setTimestamp();
-      
-      const playerList = deletedPlayers.map(p => {
-        const profileUrl = `https://www.geoguessr.com/user/${p.userId}`;
-        const flag = getCountryFlag(p.countryCode);
-        return `🗑️ **#${p.lastRating.position}** ${flag} [${p.nick}](${profileUrl}) - ${p.lastRating.rating} ELO`;
-      }).join('\n');
-      
-      if (playerList.length <= 4096) {
-        embed.setDescription(playerList);
-      } else {
-        const truncatedList = playerList.substring(0, 4093) + '...';
-        embed.setDescription(truncatedList);
-        embed.addFields([
-          { name: 'Note', value: 'List truncated - too many accounts to display', inline: false }
-        ]);
-      }
-      
-      embed.setFooter({ text: `${deletedPlayers.length} accounts deleted` });
-      
-      await channel.send({ embeds: [embed] });
-    }
-    
-    console.log(`Deleted account notification sent for ${deletedPlayers.length} players`);
-  } catch (error) {
-    console.error('Error sending deleted account notification:', error);
+async function handleSubscriptionAutocomplete(interaction) {
+  const focused = normalizeNick(interaction.options.getFocused());
+  const players = storage.loadPlayerData().players;
+  
+  const choices = [{ name: 'All players I follow', value: 'all' }, ...storage.getSubscriptions(interaction.user.id)
+    .map(userId => ({ name: subscriptionNick(userId, players).substring(0, 100), value: userId }))]
+    .filter(choice => normalizeNick(choice.name).includes(focused) || choice.value.startsWith(focused))
+    .slice(0, 25);
+  
+  await interaction.respond(choices);
+}
+
+async function handleSubscriptionsCommand(interaction) {
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+  
+  const subscriptions = storage.getSubscriptions(interaction.user.id);
+  if (subscriptions.length === 0) {
+    await interaction.editReply('You do not follow anyone, use /subscribe to get a DM about a player.');
+    return;
   }
+  
+  const players = storage.loadPlayerData().players;
+  const lines = subscriptions.map(userId => {
+    const playerData = players[userId];
+    const status = playerData ? playerData.status : 'unknown';
+    return `${getCountryFlag(playerData?.countryCode)} [${subscriptionNick(userId, players)}](https://www.geoguessr.com/user/${userId}) - ${status}`;
+  });
+  
+  const embed = new EmbedBuilder()
+    .setTitle('🔔 Players You Follow')
+    .setColor(0x3498DB)
+    .setDescription(lines.join('\n'))
+    .setFooter({ text: `${subscriptions.length}/${SUBSCRIPTION_LIMIT} players followed` })
+    .setTimestamp();
+  
+  await interaction.editReply({ embeds: [embed] });
 }
 
-async function sendUnsuspendNotification(player, playerData) {
+async function handleSetCookieCommand(interaction) {
+  // ephemeral so the cookie never shows up in the channel
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+  
+  // the command is hidden from non admins by default, but server settings can override that
+  if (!interaction.memberPermissions?.has(PermissionFlagsBits.Administrator)) {
+    await interaction.editReply('Only server administrators can change the GeoGuessr cookie.');
+    return;
+  }
+  
+  const cookie = cleanCookie(interaction.options.getString('cookie'));
+  if (!cookie) {
+    await interaction.editReply('The cookie is empty.');
+    return;
+  }
+  
+  let valid;
   try {
-    const channel = await client.channels.fetch(unsuspended_channel_id);
-    
-    const embed = new EmbedBuilder()
-      .setTitle('🟢 Player Unsuspended')
-      .setColor(0x00FF00)
-      .setDescription(`**${player.nick}** has been unsuspended`)
-      .addFields(
-        { name: 'Position', value: `#${player.position}`, inline: true },
-        { name: 'ELO', value: `${player.rating}`, inline: true },
-        { name: 'Country', value: getCountryFlag(player.countryCode), inline: true },
-        { name: 'Profile', value: `[View Profile](https://www.geoguessr.com/user/${player.userId})`, inline: false }
-      )
-      .setTimestamp();
-    
-    await channel.send({ embeds: [embed] });
-    console.log(`Unsuspend notification sent for ${player.nick}`);
+    valid = await apiClient.checkAuth(cookie);
   } catch (error) {
-    console.error('Error sending unsuspend notification:', error);
+    await interaction.editReply(`Could not check the cookie with GeoGuessr (${error.message}), it was not changed.`);
+    return;
+  }
+  
+  if (!valid) {
+    await interaction.editReply('GeoGuessr rejected this cookie (not logged in), it was not changed.');
+    return;
   }
+  
+  saveStoredCookie(cookie, interaction.user.tag);
+  apiClient.setCookie(cookie);
+  console.log(`GeoGuessr cookie updated by ${interaction.user.tag}, saved to ${COOKIE_FILE}`);
+  
+  await interaction.editReply('Cookie accepted by GeoGuessr and saved, the next check will use it.');
+  await notifier.sendStatusMessage(`The GeoGuessr cookie was updated by ${interaction.user.tag}.`, false, '🔑 GeoGuessr Cookie Updated');
 }
 
-async function sendNicknameChangeNotification(userId, oldNick, newNick, playerData) {
-  try {
-    const channel = await client.channels.fetch(NICKNAME_CHANGE_CHANNEL);
-    const flag = getCountryFlag(playerData.countryCode);
-    
-    const embed = new EmbedBuilder()
-      .setTitle('<:exclamation:1393328259285909705> Nickname Change Detected <:exclamation:1393328259285909705>')
-      .setColor(0x3498DB)
-      .addFields(
-        { name: 'Old Nickname', value: `${oldNick}`, inline: true },
-        { name: 'New Nickname', value: `${newNick}`, inline: true },
-        { name: 'Country', value: `${flag}`, inline: true },
-        { name: 'Profile', value: `[View Profile](https://www.geoguessr.com/user/${userId})`, inline: false }
-      )
-      .setTimestamp()
-      .setFooter({ text: 'GeoGuessr Tracker' });
-    
-    await channel.send({ embeds: [embed] });
-    console.log(`Nickname change notification sent for ${oldNick} -> ${newNick}`);
-  } catch (error) {
-    console.error('Error sending nickname change notification:', error);
+// sends `content` as a file, gzipped past the attachment limit
+async function replyWithExport(interaction, content, name, message = null) {
+  const attachment = exportAttachment(content, name);
+  if (!attachment) {
+    await interaction.editReply('This export is too big for a Discord attachment even gzipped, narrow it down with the filters.');
+    return;
   }
+  
+  const note = attachment.compressed ? 'Gzipped to fit the Discord attachment limit.' : null;
+  await interaction.editReply({
+    content: [message, note].filter(Boolean).join(' ') || undefined,
+    files: [new AttachmentBuilder(attachment.data, { name: attachment.name })]
+  });
 }
 
-function startAutomaticChecking() {
-  console.log('Starting automatic checking every hour...');
+async function handleExportCommand(interaction) {
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+  
+  const dataset = interaction.options.getString('dataset');
+  const format = interaction.options.getString('format') || 'csv';
+  
+  if (dataset === 'tracking') {
+    await replyWithExport(interaction, JSON.stringify(storage.loadPlayerData(), null, 2), 'player_tracking.json');
+    return;
+  }
+  
+  let filters;
+  try {
+    filters = parseExportFilters({
+      from: interaction.options.getString('from'),
+      to: interaction.options.getString('to'),
+      action: interaction.options.getString('action'),
+      country: interaction.options.getString('country'),
+      minElo: interaction.options.getInteger('min_elo'),
+      maxElo: interaction.options.getInteger('max_elo')
+    });
+  } catch (error) {
+    await interaction.editReply(error.message);
+    return;
+  }
+  
+  const rows = dataset === 'history'
+    ? buildHistoryExport(storage.readSanctionRows(), storage.readUnsanctionRows(), filters)
+    : buildTrackingExport(storage.loadPlayerData(), filters);
   
-  setTimeout(checkForBannedPlayers, 1000);
+  if (rows.length === 0) {
+    await interaction.editReply('Nothing matches these filters.');
+    return;
+  }
   
-  checkInterval = setInterval(checkForBannedPlayers, CHECK_INTERVAL);
+  const columns = dataset === 'history' ? HISTORY_EXPORT_COLUMNS : TRACKING_EXPORT_COLUMNS;
+  const content = serializeExport(rows, columns, format);
+  const name = `${dataset}_${new Date().toISOString().split('T')[0]}.${format}`;
+  
+  await replyWithExport(interaction, content, name, `${rows.length} ${rows.length === 1 ? 'row' : 'rows'} exported.`);
 }
 
-client.once('ready', () => {
-  console.log(`Logged in as ${client.user.tag}!`);
-  
-  initializeCSVFiles();
-  startAutomaticChecking();
-});
+const commandHandlers = {
+  checkbans: handleCheckBansCommand,
+  stats: handleStatsCommand,
+  player: handlePlayerCommand,
+  chart: handleChartCommand,
+  aliases: handleAliasesCommand,
+  history: handleHistoryCommand,
+  country: handleCountryCommand,
+  countries: handleCountriesCommand,
+  leaderboarddiff: handleLeaderboardDiffCommand,
+  export: handleExportCommand,
+  watch: handleWatchCommand,
+  unwatch: handleUnwatchCommand,
+  watchlist: handleWatchlistCommand,
+  subscribe: handleSubscribeCommand,
+  unsubscribe: handleUnsubscribeCommand,
+  subscriptions: handleSubscriptionsCommand,
+  setcookie: handleSetCookieCommand
+};
 
+// commands answered in any channel, privately: a cookie is better pasted anywhere than in the bans channel
+const ANY_CHANNEL_COMMANDS = ['setcookie'];
 
-client.on('messageCreate', async (message) => {
-  if (message.author.bot) return;
-  if (message.channelId !== ALLOWED_CHANNEL_ID) return;
-  
-  if (message.content === '!checkbans') {
-    console.log(`Manual check requested by ${message.author.tag}`);
-    await message.channel.sendTyping();
-    
-    await message.channel.send('manual ban check started, this may take up to 5 minutes, please wait... <a:waiting:1378781339569885204>');
+// like the old message commands, the other slash commands only answer in the bans channel
+function isAllowedChannel(interaction) {
+  return interaction.channelId === ALLOWED_CHANNEL_ID || ANY_CHANNEL_COMMANDS.includes(interaction.commandName);
+}
 
-    
+client.on('interactionCreate', async (interaction) => {
+  if (interaction.isAutocomplete()) {
+    if (!isAllowedChannel(interaction)) {
+      await interaction.respond([]).catch(() => {});
+      return;
+    }
     try {
-      await checkForBannedPlayers();
-      await message.channel.send('Manual ban check completed.');
+      if (interaction.commandName === 'unwatch') {
+        await handleWatchlistAutocomplete(interaction);
+      } else if (interaction.commandName === 'unsubscribe') {
+        await handleSubscriptionAutocomplete(interaction);
+      } else if (interaction.commandName === 'leaderboarddiff') {
+        await handleLeaderboardDiffAutocomplete(interaction);
+      } else if (interaction.commandName === 'country') {
+        await handleCountryAutocomplete(interaction);
+      } else {
+        await handlePlayerAutocomplete(interaction);
+      }
     } catch (error) {
-      console.error('Error in manual check:', error);
-      await message.reply('Error during manual check. Check console for details.');
+      console.error('Error during autocomplete:', error);
     }
+    return;
   }
   
-  if (message.content === '!stats') {
-    try {
-      const data = loadPlayerData();
-      const totalPlayers = Object.keys(data.players).length;
-      const activePlayers = Object.values(data.players).filter(p => p.status === 'active').length;
-      const bannedPlayers = Object.values(data.players).filter(p => p.status === 'banned').length;
-      const suspendedPlayers = Object.values(data.players).filter(p => p.status === 'suspended').length;
-      const lastCheck = data.lastCheck;
-      const parisTime = lastCheck
-        ? DateTime.fromMillis(lastCheck).setZone('Europe/Paris').toFormat("dd/MM/yyyy HH:mm:ss")
-        : 'Never';
-
-      const embed = new EmbedBuilder()
-        .setTitle('📊 Bot Statistics (Top 2000)')
-        .setColor(0x00FF00)
-        .addFields([
-          { name: 'Total Players Tracked', value: totalPlayers.toString(), inline: true },
-          { name: 'Active Players', value: activePlayers.toString(), inline: true },
-          { name: 'Banned Players', value: bannedPlayers.toString(), inline: true },
-          { name: 'Suspended Players', value: suspendedPlayers.toString(), inline: true },
-          { name: 'Total Checks', value: (data.totalChecks || 0).toString(), inline: true },
-          { name: 'Rate Limit Hits/Hour', value: rateLimitCounter.toString(), inline: true },
-          {
-            name: 'Last Check',
-            value: `${parisTime}\n(CEST - Paris time)`,
-            inline: false
-          },
-          { name: 'Check Frequency', value: 'Every 2 hours (Top 2000 only)', inline: false }
-        ])
-        .setTimestamp();
-
-      await message.reply({ embeds: [embed] });
-    } catch (error) {
-      console.error('Error getting stats:', error);
-      await message.reply('Error getting statistics.');
+  if (!interaction.isChatInputCommand()) return;
+  
+  const handler = commandHandlers[interaction.commandName];
+  if (!handler) return;
+  
+  if (!isAllowedChannel(interaction)) {
+    await interaction.reply({ content: `Commands only work in <#${ALLOWED_CHANNEL_ID}>.`, flags: MessageFlags.Ephemeral }).catch(() => {});
+    return;
+  }
+  
+  try {
+    await handler(interaction);
+  } catch (error) {
+    console.error(`Error handling /${interaction.commandName}:`, error);
+    const reply = { content: `Error during /${interaction.commandName}. Check console for details.` };
+    if (interaction.deferred || interaction.replied) {
+      await interaction.editReply(reply).catch(() => {});
+    } else {
+      await interaction.reply({ ...reply, flags: MessageFlags.Ephemeral }).catch(() => {});
     }
   }
 });
 
 if (!NCFA_COOKIE || NCFA_COOKIE === 'YOUR_NCFA_COOKIE_HERE') {
-  console.error('GEOGUESSR_COOKIE environment variable required');
+  console.error(`GEOGUESSR_COOKIE environment variable required (or a cookie saved in ${COOKIE_FILE})`);
   process.exit(1);
 }
 
@@ -1621,4 +1210,6 @@ if (!DISCORD_TOKEN) {
   process.exit(1);
 }
 
+// started before the login, a bot that never reaches Discord is reported to the fallback webhook
+watchdog.start();
 client.login(DISCORD_TOKEN);
@@ -0,0 +1,59 @@
+// One-shot import of player_tracking.json, both CSV files, the watchlist and the DM subscriptions into the SQLite database.
+// Usage: npm run migrate:sqlite [-- --force]
+import fs from 'fs';
+import * as jsonStore from '../src/storage/jsonStore.js';
+import * as sqliteStore from '../src/storage/sqliteStore.js';
+
+function readJSON(file) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+}
+
+async function migrate() {
+  const force = process.argv.includes('--force');
+  const existing = sqliteStore.getStats();
+
+  if (existing.totalPlayers > 0 && !force) {
+    console.error(`${sqliteStore.SQLITE_FILE} already contains ${existing.totalPlayers} players, run with --force to import again`);
+    process.exit(1);
+  }
+
+  if (!fs.existsSync(jsonStore.PLAYER_TRACKING_FILE)) {
+    console.error(`${jsonStore.PLAYER_TRACKING_FILE} not found, nothing to migrate`);
+    process.exit(1);
+  }
+
+  const data = JSON.parse(fs.readFileSync(jsonStore.PLAYER_TRACKING_FILE, 'utf8'));
+  const { sanctionRows, unsanctionRows } = await jsonStore.readHistoryRows();
+
+  // history rows have no natural key, a forced re-import would duplicate them
+  if (existing.totalPlayers > 0 && sqliteStore.readSanctionRows().length + sqliteStore.readUnsanctionRows().length > 0) {
+    console.log('History tables already filled, skipping the CSV import');
+  } else {
+    sqliteStore.importHistoryRows(sanctionRows, unsanctionRows);
+    console.log(`Imported ${sanctionRows.length} ban/suspension rows and ${unsanctionRows.length} unban/unsuspension rows`);
+  }
+
+  sqliteStore.savePlayerData(data);
+  console.log(`Imported ${Object.keys(data.players).length} players into ${sqliteStore.SQLITE_FILE}`);
+
+  // already watched players are skipped, a forced re-import does not duplicate them
+  const watchlist = jsonStore.getWatchlist();
+  const addedWatched = watchlist.filter(entry => sqliteStore.addToWatchlist(entry)).length;
+  if (watchlist.length > 0) {
+    console.log(`Imported ${addedWatched} of ${watchlist.length} watched players`);
+  }
+
+  let addedSubscriptions = 0;
+  for (const [discordUserId, userIds] of Object.entries(readJSON(jsonStore.SUBSCRIPTIONS_FILE))) {
+    addedSubscriptions += userIds.filter(userId => sqliteStore.addSubscription(discordUserId, userId)).length;
+  }
+  if (addedSubscriptions > 0) {
+    console.log(`Imported ${addedSubscriptions} DM subscriptions`);
+  }
+  console.log('Set STORAGE_BACKEND=sqlite in the .env to use it');
+}
+
+migrate().catch(error => {
+  console.error('Migration failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,76 @@
+// Rebuilds the tracking data from the ban/unban history (banned_suspended_players.csv and
+// unbanned_unsuspended_players.csv, or their tables with STORAGE_BACKEND=sqlite), merged with a fresh
+// leaderboard fetch. Stop the bot first, a running check would overwrite the result.
+// Conflicts between the history and GeoGuessr are listed in rebuild_report.json, see src/rebuild.js.
+// Usage: npm run rebuild [-- --dry-run] [-- --offline] [-- --force]
+//   --dry-run  only write the report
+//   --offline  no GeoGuessr request, the history alone
+//   --force    replace tracking data that still has players
+import 'dotenv/config';
+import fs from 'fs';
+import * as storage from '../src/storage/index.js';
+import { createApiClient } from '../src/geoguessrApi.js';
+import { createChecker } from '../src/checker.js';
+import { laddersFromEnv } from '../src/ladders.js';
+import { loadStoredCookie } from '../src/cookieStore.js';
+import { rebuildTracking, countTrackedPlayers } from '../src/rebuild.js';
+
+const REPORT_FILE = 'rebuild_report.json';
+
+async function rebuild() {
+  const dryRun = process.argv.includes('--dry-run');
+  const offline = process.argv.includes('--offline');
+  const force = process.argv.includes('--force');
+
+  storage.initializeStorage();
+  const existingPlayers = countTrackedPlayers(storage);
+  if (existingPlayers > 0 && !force && !dryRun) {
+    console.error(`The tracking data still has ${existingPlayers} players, run with --force to replace it`);
+    process.exit(1);
+  }
+
+  const currentTime = Date.now();
+  let checker = null;
+
+  if (!offline) {
+    const cookie = loadStoredCookie() || process.env.GEOGUESSR_COOKIE;
+    if (!cookie) {
+      console.error('GEOGUESSR_COOKIE required to fetch the leaderboard, or run with --offline');
+      process.exit(1);
+    }
+
+    const apiClient = createApiClient({
+      baseUrl: process.env.GEOGUESSR_API_BASE || 'https://www.geoguessr.com/api',
+      cookie,
+      requestsPerSecond: Number(process.env.GEOGUESSR_REQUESTS_PER_SECOND) || 12,
+      burst: Number(process.env.GEOGUESSR_BURST) || 20
+    });
+    if (!(await apiClient.checkAuth())) {
+      console.error('GeoGuessr rejected the cookie, set a valid one or run with --offline');
+      process.exit(1);
+    }
+
+    checker = createChecker({ apiClient, storage, notifier: null, ladders: laddersFromEnv(process.env) });
+  }
+
+  const { data, conflicts } = await rebuildTracking({ storage, checker, currentTime });
+
+  fs.writeFileSync(REPORT_FILE, JSON.stringify({ rebuiltAt: new Date(currentTime).toISOString(), offline, conflicts }, null, 2), 'utf8');
+  for (const { type, nick, userId, detail } of conflicts) {
+    console.log(`[${type}] ${nick || userId || '-'}: ${detail}`);
+  }
+  console.log(`${conflicts.length} conflicts, written to ${REPORT_FILE}`);
+
+  if (dryRun) {
+    console.log('Dry run, the tracking data was not changed');
+    return;
+  }
+  // replaces every player, their events included, in one write (one transaction with SQLite)
+  storage.savePlayerData(data);
+  console.log(`Tracking data saved with ${Object.keys(data.players).length} players`);
+}
+
+rebuild().catch(error => {
+  console.error('Rebuild failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,185 @@
+// Flags players whose rating gain or position jump over the last `windowHours` is far outside what
+// players of the same ELO band did over the same window. Runs at the end of each check on the
+// leaderboard players of that check, using playerData.ratings.
+//
+// "Far outside" is a robust z-score: (value - band median) / (1.4826 * band MAD), so the flagged
+// players themselves barely move the reference. A band with fewer than `minBandPlayers` players is
+// compared with the whole leaderboard instead.
+//
+// Each flag is kept in playerData.anomalyFlags and resolved by the following checks: 'sanctioned'
+// when the player is banned or suspended within `followUpDays`, 'not_sanctioned' after that.
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const SANCTIONS = ['banned', 'suspended'];
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// falls back to the standard deviation when most values are equal (MAD of 0)
+function robustScale(values) {
+  const center = median(values);
+  const mad = median(values.map(value => Math.abs(value - center))) * 1.4826;
+  if (mad > 0) return { center, scale: mad };
+
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const std = Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length);
+  return { center, scale: std };
+}
+
+function zScore(value, { center, scale }) {
+  return scale > 0 ? (value - center) / scale : 0;
+}
+
+function round(value, decimals = 1) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+export function createAnomalyDetector({
+  windowHours = 6,
+  threshold = 4,
+  bandSize = 100,
+  minBandPlayers = 30,
+  minRatingGain = 30,
+  minPositionJump = 10,
+  followUpDays = 30
+} = {}) {
+  const windowMs = windowHours * HOUR_MS;
+
+  // rating/position change of every player seen at `currentTime` since the start of the window
+  function collectMoves(players, currentTime) {
+    const moves = [];
+    for (const [userId, playerData] of Object.entries(players)) {
+      if (playerData.status !== 'active') continue;
+      const ratings = playerData.ratings || [];
+      const last = ratings.at(-1);
+      if (!last || last.timestamp !== currentTime) continue;
+
+      // a player back after a long absence has no comparable baseline
+      const base = ratings.filter(sample => sample.timestamp <= currentTime - windowMs).at(-1);
+      if (!base || base.timestamp < currentTime - 2 * windowMs) continue;
+
+      moves.push({
+        userId,
+        playerData,
+        base,
+        last,
+        band: Math.floor(base.rating / bandSize) * bandSize,
+        ratingGain: last.rating - base.rating,
+        positionJump: base.position - last.position
+      });
+    }
+    return moves;
+  }
+
+  function detect(players, currentTime) {
+    const moves = collectMoves(players, currentTime);
+    if (moves.length < minBandPlayers) return [];
+
+    const reference = list => ({
+      rating: robustScale(list.map(move => move.ratingGain)),
+      position: robustScale(list.map(move => move.positionJump)),
+      players: list.length,
+      scope: list === moves ? 'leaderboard' : 'band'
+    });
+    const overall = reference(moves);
+    const bands = new Map();
+    for (const move of moves) {
+      if (!bands.has(move.band)) bands.set(move.band, []);
+      bands.get(move.band).push(move);
+    }
+    const bandReferences = new Map([...bands].map(([band, list]) => [band, list.length >= minBandPlayers ? reference(list) : overall]));
+
+    const flagged = [];
+    for (const move of moves) {
+      // one open flag per player, the outcome of the first one is what gets measured
+      if ((move.playerData.anomalyFlags || []).some(flag => !flag.outcome)) continue;
+
+      const { rating, position, players: referencePlayers, scope } = bandReferences.get(move.band);
+      const ratingZ = zScore(move.ratingGain, rating);
+      const positionZ = zScore(move.positionJump, position);
+      const ratingSpike = ratingZ >= threshold && move.ratingGain >= minRatingGain;
+      const positionSpike = positionZ >= threshold && move.positionJump >= minPositionJump;
+      if (!ratingSpike && !positionSpike) continue;
+
+      flagged.push({
+        userId: move.userId,
+        nick: move.playerData.nick,
+        countryCode: move.playerData.countryCode,
+        flag: {
+          flaggedAt: currentTime,
+          windowStart: move.base.timestamp,
+          band: move.band,
+          // the band itself, or the whole leaderboard when the band is too small
+          reference: scope,
+          referencePlayers,
+          from: { rating: move.base.rating, position: move.base.position },
+          to: { rating: move.last.rating, position: move.last.position },
+          ratingGain: move.ratingGain,
+          positionJump: move.positionJump,
+          ratingZ: round(ratingZ),
+          positionZ: round(positionZ),
+          medianRatingGain: round(rating.center),
+          medianPositionJump: round(position.center),
+          outcome: null
+        }
+      });
+    }
+    return flagged;
+  }
+
+  function resolve(players, currentTime) {
+    const resolved = [];
+    for (const [userId, playerData] of Object.entries(players)) {
+      for (const flag of playerData.anomalyFlags || []) {
+        if (flag.outcome) continue;
+
+        const sanction = (playerData.events || []).find(event => event.timestamp >= flag.flaggedAt && SANCTIONS.includes(event.to));
+        if (sanction) {
+          flag.outcome = 'sanctioned';
+          flag.resolvedAt = sanction.timestamp;
+          flag.sanction = sanction.to;
+          resolved.push({ userId, flag });
+        } else if (currentTime - flag.flaggedAt > followUpDays * DAY_MS) {
+          flag.outcome = 'not_sanctioned';
+          flag.resolvedAt = currentTime;
+          resolved.push({ userId, flag });
+        }
+      }
+    }
+    return resolved;
+  }
+
+  // resolves the open flags, then flags the new spikes into the tracking data
+  function run(data, currentTime) {
+    const resolved = resolve(data.players, currentTime);
+    const flagged = detect(data.players, currentTime);
+    for (const { userId, flag } of flagged) {
+      const playerData = data.players[userId];
+      if (!playerData.anomalyFlags) playerData.anomalyFlags = [];
+      playerData.anomalyFlags.push(flag);
+    }
+    return { flagged, resolved };
+  }
+
+  return { run, detect, resolve, windowHours, followUpDays };
+}
+
+export function summarizeAnomalyFlags(players) {
+  const summary = { flagged: 0, sanctioned: 0, notSanctioned: 0, pending: 0, hitRate: null };
+  for (const playerData of Object.values(players)) {
+    for (const flag of playerData.anomalyFlags || []) {
+      summary.flagged++;
+      if (flag.outcome === 'sanctioned') summary.sanctioned++;
+      else if (flag.outcome === 'not_sanctioned') summary.notSanctioned++;
+      else summary.pending++;
+    }
+  }
+  const resolved = summary.sanctioned + summary.notSanctioned;
+  if (resolved > 0) summary.hitRate = Math.round(summary.sanctioned / resolved * 100);
+  return summary;
+}
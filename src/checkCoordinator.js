@@ -0,0 +1,79 @@
+// Serializes check runs so two runs never load, check and save the same data at the same time.
+// A manual request during a run joins it if the run started recently enough, otherwise it waits
+// in a single queued run that every later request shares. Scheduled requests only ever join.
+
+function createRun() {
+  const run = { startedAt: null, listeners: new Set() };
+  run.promise = new Promise((resolve, reject) => {
+    run.resolve = resolve;
+    run.reject = reject;
+  });
+  return run;
+}
+
+export function createCheckCoordinator(runCheck, { joinWindowMs = 60 * 1000, now = Date.now } = {}) {
+  let currentRun = null;
+  let queuedRun = null;
+
+  function emitProgress(run, progress) {
+    for (const listener of run.listeners) {
+      try {
+        listener(progress);
+      } catch (error) {
+        console.error('Error in check progress listener:', error);
+      }
+    }
+  }
+
+  function startRun(run) {
+    currentRun = run;
+    run.startedAt = now();
+
+    runCheck({ onProgress: progress => emitProgress(run, progress) })
+      .then(run.resolve, run.reject)
+      .finally(() => {
+        currentRun = null;
+        if (queuedRun) {
+          const nextRun = queuedRun;
+          queuedRun = null;
+          console.log('Starting queued check');
+          startRun(nextRun);
+        }
+      });
+  }
+
+  function attach(run, onProgress) {
+    if (onProgress) {
+      run.listeners.add(onProgress);
+      // a listener only follows the run it asked for
+      run.promise.finally(() => run.listeners.delete(onProgress)).catch(() => {});
+    }
+    return run.promise;
+  }
+
+  function requestCheck({ source = 'manual', onProgress } = {}) {
+    if (!currentRun) {
+      const run = createRun();
+      const promise = attach(run, onProgress);
+      startRun(run);
+      return { status: 'started', promise };
+    }
+
+    const runningFor = now() - currentRun.startedAt;
+    if (source !== 'manual' || runningFor <= joinWindowMs) {
+      console.log(`Check requested (${source}) while a check is running, joining it`);
+      return { status: 'joined', promise: attach(currentRun, onProgress) };
+    }
+
+    if (!queuedRun) {
+      queuedRun = createRun();
+    }
+    console.log(`Check requested (${source}) while a check is running for ${Math.round(runningFor / 1000)}s, queued`);
+    return { status: 'queued', promise: attach(queuedRun, onProgress) };
+  }
+
+  return {
+    requestCheck,
+    isRunning: () => currentRun !== null
+  };
+}
@@ -0,0 +1,1253 @@
+import { recordStatusChange, getSanctionDurationDays } from './playerEvents.js';
+import { SOLO_DUELS_LADDER, validateLadders } from './ladders.js';
+import { summarizeAnomalyFlags } from './anomalyDetector.js';
+import { recordNickname } from './nicknames.js';
+
+// Detection logic: one check run compares the leaderboard with the tracking data, verifies the
+// missing players through the API and records/announces what changed. Everything it talks to is
+// passed in (API client, storage, notifier, clock) so a run can be driven against fakes.
+
+export function normalizeUnicode(str) {
+  if (!str || typeof str !== 'string') return str;
+  
+  return str.normalize('NFC');
+}
+
+function isValidNicknameChange(oldNick, newNick) {
+  if (!oldNick || !newNick) return false;
+  
+  const hasReplacementChars = /�/.test(oldNick) || /�/.test(newNick);
+  if (hasReplacementChars) {
+    console.log(`⚠️ Detected replacement characters in nickname change: "${oldNick}" -> "${newNick}"`);
+    return false;
+  }
+  
+  const normalizedOld = normalizeUnicode(oldNick);
+  const normalizedNew = normalizeUnicode(newNick);
+  
+  if (normalizedOld === normalizedNew) {
+    return false;
+  }
+  
+  return true;
+}
+
+function detectFalseNicknameChange(oldNick, newNick) {
+  if (!oldNick || !newNick) return false;
+  
+  const oldHasReplacement = /�/.test(oldNick);
+  const newHasReplacement = /�/.test(newNick);
+  
+  if (oldHasReplacement || newHasReplacement) {
+    const oldCleaned = oldNick.replace(/�+/g, '');
+    const newCleaned = newNick.replace(/�+/g, '');
+    
+    if (oldCleaned === newCleaned && oldCleaned.length > 0) {
+      return true;
+    }
+  }
+  const normalizedOld = normalizeUnicode(oldNick);
+  const normalizedNew = normalizeUnicode(newNick);
+  
+  if (normalizedOld === normalizedNew) {
+    return true;
+  }
+  
+  return false;
+}
+
+// where a player currently stands on each ladder listing them, stored as playerData.ladders
+export function ladderSnapshot(player, timestamp) {
+  return Object.fromEntries(Object.entries(player.ladders || {})
+    .map(([ladderId, { rating, position }]) => [ladderId, { rating, position, lastSeen: timestamp }]));
+}
+
+// `snapshots` (src/snapshots.js) archives every complete leaderboard fetch, null to keep none
+// `anomalyDetector` (src/anomalyDetector.js) flags ELO spikes after each check, null to disable
+// `verifyProfiles` false leaves every profile lookup to the continuous scanner (src/scanner.js and
+// checkProfiles below), a check run then only reads the leaderboard
+const SESSION_PROBE_MS = 60 * 1000;
+
+export function createChecker({ apiClient, storage, notifier, ladders = [SOLO_DUELS_LADDER], snapshots = null, anomalyDetector = null, verifyProfiles = true, now = Date.now }) {
+  validateLadders(ladders);
+
+  // the cookie alert is sent once when the cookie stops working, not on every skipped check
+  let cookieAlertSent = false;
+
+  // profile lookups since the last recorded run and how many failed (a deleted account is not a
+  // failure), recorded with the run for the watchdog
+  let activityStats = { calls: 0, errors: 0 };
+  // users whose lookup failed during the current checkProfiles batch
+  const failedLookups = new Set();
+
+  // every profile answers 403 once the cookie expired, a 403 is a deleted account only while the
+  // session is still logged in. Probed again on a 403, at most once a minute
+  let sessionProbe = null;
+  function isSessionValid() {
+    if (!sessionProbe || now() - sessionProbe.at > SESSION_PROBE_MS) {
+      sessionProbe = { at: now(), valid: apiClient.checkAuth().catch(() => false) };
+    }
+    return sessionProbe.valid;
+  }
+
+  // a player is announced in the channel of every ladder they were seen on, null is the
+  // notifier's default channel (ladders without their own channel, players seen before ladders existed)
+  function announcementChannels(playerData) {
+    const channels = new Set();
+    for (const ladderId of Object.keys(playerData?.ladders || {})) {
+      const ladder = ladders.find(l => l.id === ladderId);
+      if (ladder) channels.add(ladder.channelId || null);
+    }
+    return channels.size > 0 ? [...channels] : [null];
+  }
+
+  async function announce(send, players, data) {
+    const groups = new Map();
+    for (const player of players) {
+      for (const channelId of announcementChannels(data.players[player.userId])) {
+        if (!groups.has(channelId)) groups.set(channelId, []);
+        groups.get(channelId).push(player);
+      }
+    }
+    for (const [channelId, group] of groups) {
+      await send(group, channelId, data);
+    }
+  }
+
+  function addToBannedSuspendedCSV(player) {
+    try {
+      const date = new Date(now()).toISOString().split('T')[0];
+      const profileUrl = `https://www.geoguessr.com/user/${player.userId}`;
+      const actionType = player.confirmedBanned ? 'BANNED' : 'SUSPENDED';
+      const suspendedUntil = player.suspended && player.suspendedUntil ? 
+        new Date(player.suspendedUntil).toISOString().split('T')[0] : '';
+    
+      storage.appendSanctionRow({
+        Date: date,
+        Username: player.nick,
+        UserID: player.userId,
+        Profile_URL: profileUrl,
+        countryCode: player.countryCode,
+        ELO: player.lastRating.rating,
+        Position: player.lastRating.position,
+        Action_Type: actionType,
+        Suspended_Until: suspendedUntil
+      });
+      console.log(`Added to banned/suspended CSV: ${player.nick} (${actionType})`);
+    } catch (error) {
+      console.error('Error adding to banned/suspended CSV:', error);
+    }
+  }
+
+  function addToUnbannedUnsuspendedCSV(player, playerData) {
+    try {
+      const date = new Date(now()).toISOString().split('T')[0];
+      const profileUrl = `https://www.geoguessr.com/user/${player.userId}`;
+    
+      const previousActionType = playerData.status === 'banned' ? 'BANNED' : 'SUSPENDED';
+      const actionDuration = getSanctionDurationDays(playerData, now()) ?? 0;
+    
+      storage.appendUnsanctionRow({
+        Date: date,
+        Username: player.nick,
+        UserID: player.userId,
+        Profile_URL: profileUrl,
+        countryCode: player.countryCode,
+        ELO: player.rating,
+        Position: player.position,
+        Previous_Action_Type: previousActionType,
+        Duration_Days: actionDuration
+      });
+      console.log(`Added to unbanned/unsuspended CSV: ${player.nick} (${previousActionType} - ${actionDuration} days)`);
+    } catch (error) {
+      console.error('Error adding to unbanned/unsuspended CSV:', error);
+    }
+  }
+
+  function addToDeletedAccountsCSV(player) {
+    try {
+      const date = new Date(now()).toISOString().split('T')[0];
+      const profileUrl = `https://www.geoguessr.com/user/${player.userId}`;
+    
+      storage.appendSanctionRow({
+        Date: date,
+        Username: player.nick,
+        UserID: player.userId,
+        Profile_URL: profileUrl,
+        countryCode: player.countryCode,
+        ELO: player.lastRating.rating,
+        Position: player.lastRating.position,
+        Action_Type: 'DELETED_ACCOUNT',
+        Suspended_Until: ''
+      });
+      console.log(`Added to CSV as deleted account: ${player.nick}`);
+    } catch (error) {
+      console.error('Error adding deleted account to CSV:', error);
+    }
+  }
+
+  // announces the new sanctions and records each of them once per check (CSV row, status change)
+  async function applySanctions(players, data, currentTime) {
+    if (players.length === 0) return;
+    await announce(notifier.sendBanNotification, players, data);
+
+    for (const player of players) {
+      const banKey = `${player.userId}_ban_${player.confirmedBanned ? 'banned' : 'suspended'}`;
+      if (data.eventCache.currentCheckBans[banKey]) continue;
+      data.eventCache.currentCheckBans[banKey] = true;
+
+      addToBannedSuspendedCSV(player);
+
+      const pDataToUpdate = data.players[player.userId];
+      if (pDataToUpdate) {
+        const eventInfo = { timestamp: currentTime, source: player.source, rating: player.lastRating?.rating, position: player.lastRating?.position };
+        if (player.confirmedBanned) {
+          if (pDataToUpdate.status !== 'banned') pDataToUpdate.bannedAt = currentTime;
+          recordStatusChange(pDataToUpdate, 'banned', eventInfo);
+          delete pDataToUpdate.suspendedUntil; 
+          delete pDataToUpdate.suspendedAt;
+        } else if (player.suspended) {
+          if (pDataToUpdate.status !== 'suspended' || pDataToUpdate.suspendedUntil !== player.suspendedUntil) pDataToUpdate.suspendedAt = currentTime;
+          recordStatusChange(pDataToUpdate, 'suspended', { ...eventInfo, suspendedUntil: player.suspendedUntil });
+        }
+      }
+    }
+  }
+
+  // the deletion itself is recorded when the profile answers 404 (or 403 with a logged in session)
+  async function applyDeletions(players, data) {
+    if (players.length === 0) return;
+    await announce(notifier.sendDeletedAccountNotification, players, data);
+    for (const player of players) {
+      addToDeletedAccountsCSV(player);
+    }
+  }
+
+  // sanctioned players whose profile is clean again
+  async function applyUnsanctions(results, data, currentTime) {
+    for (const result of results) {
+      if (!result || !result.isUnsuspension) continue;
+
+      const playerData = data.players[result.userId];
+      const previousStatus = playerData.status;
+
+      const eventKeySuffix = previousStatus === 'banned' ? 'unban' : 'unsuspend';
+      const unbanKey = `${result.userId}_${eventKeySuffix}`;
+      if (data.eventCache.currentCheckUnbans[unbanKey]) continue;
+
+      console.log(`✅ UNSANCTIONED: ${result.nick} - Was ${previousStatus}, now active`);
+      data.eventCache.currentCheckUnbans[unbanKey] = true;
+
+      const mockPlayer = {
+        userId: result.userId,
+        nick: result.nick,
+        position: result.lastRating ? result.lastRating.position : 'N/A',
+        rating: result.lastRating ? result.lastRating.rating : 'N/A',
+        countryCode: result.countryCode
+      };
+
+      if (previousStatus === 'banned') {
+        for (const channelId of announcementChannels(playerData)) {
+          await notifier.sendUnbanNotification(mockPlayer, playerData, channelId);
+        }
+        console.log(`UNBANNED: ${result.nick} notification sent.`);
+        playerData.unbannedAt = currentTime;
+      } else {
+        for (const channelId of announcementChannels(playerData)) {
+          await notifier.sendUnsuspendNotification(mockPlayer, playerData, channelId);
+        }
+        console.log(`UNSUSPENDED: ${result.nick} notification sent.`);
+        playerData.unsuspendedAt = currentTime;
+      }
+
+      addToUnbannedUnsuspendedCSV(mockPlayer, playerData);
+
+      recordStatusChange(playerData, 'active', { timestamp: currentTime, source: result.source, rating: mockPlayer.rating, position: mockPlayer.position });
+      delete playerData.suspendedUntil;
+      delete playerData.suspendedAt;
+    }
+  }
+
+  function savePlayerData(data) {
+    for (const [userId, playerData] of Object.entries(data.players)) {
+      if (playerData.nick) {
+        playerData.nick = normalizeUnicode(playerData.nick);
+      }
+    }
+    try {
+      storage.savePlayerData(data);
+      console.log('Player tracking data saved');
+    } catch (error) {
+      console.error('Error saving player data:', error.message);
+    }
+  }
+
+  function saveCheckRun(checkRun) {
+    const run = { ...checkRun, activityCalls: activityStats.calls, activityErrors: activityStats.errors };
+    activityStats = { calls: 0, errors: 0 };
+    try {
+      storage.recordCheckRun(run);
+    } catch (error) {
+      console.error('Error recording check run:', error.message);
+    }
+    return run;
+  }
+
+  async function fetchLadder(ladder) {
+    console.log(`Fetching top ${ladder.depth} of the ${ladder.name} leaderboard...`);
+    const allPlayers = [];
+  
+    for (let offset = 0; offset < ladder.depth; offset += 100) {
+      try {
+        const players = await apiClient.getRatings(ladder.path, offset, Math.min(100, ladder.depth - offset));
+        if (players.length === 0) break;
+      
+        allPlayers.push(...players);
+      
+      } catch (error) {
+        console.error(`Error fetching leaderboard at offset ${offset}:`, error.message);
+        break;
+      }
+    }
+  
+    console.log(`Fetched ${allPlayers.length} players from the ${ladder.name} leaderboard`);
+    return allPlayers;
+  }
+
+  // one entry per player across all ladders, rating and position are the ones of the first ladder
+  // listing the player and `ladders` has their rating and position on each ladder
+  async function fetchCurrentLeaderboard() {
+    const merged = new Map();
+    const failedLadders = [];
+
+    for (const ladder of ladders) {
+      const players = await fetchLadder(ladder);
+      if (players.length === 0) {
+        failedLadders.push(ladder.name);
+        continue;
+      }
+
+      for (const player of players) {
+        if (!merged.has(player.userId)) {
+          merged.set(player.userId, { ...player, ladders: {} });
+        }
+        merged.get(player.userId).ladders[ladder.id] = { rating: player.rating, position: player.position };
+      }
+    }
+
+    return { players: [...merged.values()], failedLadders };
+  }
+
+  async function getUserActivity(userId) {
+    activityStats.calls++;
+    try {
+      const response = await apiClient.getUser(userId);
+    
+      const isBanned = response.isBanned === true || response.banned === true;
+      const suspendedUntil = response.suspendedUntil || response.suspended_until;
+      const isSuspended = suspendedUntil !== null && suspendedUntil !== undefined && new Date(suspendedUntil) > new Date(now());
+    
+      const currentNick = response.nick || response.username || response.name || 'Unknown';
+    
+      if (isBanned || isSuspended) {
+        console.log(`DEBUG: User ${userId} - isBanned: ${isBanned}, suspendedUntil: ${suspendedUntil}, calculated suspended: ${isSuspended}`);
+      }
+    
+      return {
+        accessible: true,
+        countryCode: response.countryCode || response.country_code,
+        banned: isBanned,
+        suspended: isSuspended,
+        suspendedUntil: suspendedUntil,
+        profile: response.user || response,
+        currentNick: currentNick
+      };
+    } catch (error) {
+      if (error.status === 404 || (error.status === 403 && await isSessionValid())) {
+        return { 
+          accessible: false, 
+          banned: false,
+          deleted: true,
+          reason: `User not accessible (${error.status})`
+        };
+      }
+      activityStats.errors++;
+      failedLookups.add(userId);
+      if (error.status === 403) {
+        console.log(`WARNING: 403 error for user ${userId} and the session is not logged in - status unknown, not treated as deleted`);
+      }
+      throw error;
+    }
+  }
+
+  async function verifyLeaderboardPlayers(currentPlayers, data, currentTime, onProgress = () => {}) {
+    console.log(`\n--- Starting verification of all ${currentPlayers.length} leaderboard players ---`);
+  
+    const bannedPlayers = [];
+    const rateLimitedBefore = apiClient.stats.rateLimited;
+    let processedCount = 0;
+    let errorCount = 0;
+  
+    const reportProgress = () => {
+      if (processedCount % 100 === 0 || processedCount === currentPlayers.length) {
+        console.log(`--- Progress: ${processedCount}/${currentPlayers.length} players checked (${Math.round(processedCount/currentPlayers.length*100)}%) ---`);
+      }
+      onProgress({ stage: 'players', checked: processedCount, total: currentPlayers.length });
+    };
+  
+    // the API client paces the requests, every player can be submitted at once
+    const promises = currentPlayers.map(async (player) => {
+      try {
+        const activityData = await getUserActivity(player.userId);
+        processedCount++;
+        reportProgress();
+      
+        if (activityData.accessible && activityData.currentNick) {
+          const playerData = data.players[player.userId];
+          if (playerData && playerData.nick !== activityData.currentNick) {
+          
+            if (!detectFalseNicknameChange(playerData.nick, activityData.currentNick)) {
+              const changed = checkNicknameChange(player.userId, playerData.nick, activityData.currentNick, playerData);
+              if (changed) {
+                recordNickname(playerData, activityData.currentNick, currentTime);
+                playerData.nick = normalizeUnicode(activityData.currentNick);
+              }
+            } else {
+              console.log(`⚠️ False nickname change detected for ${player.userId}, keeping original: "${playerData.nick}"`);
+            }
+          }
+        }
+      
+      
+        if (activityData.deleted) {
+          let playerData = data.players[player.userId];
+          if (!playerData) {
+            playerData = {
+              nick: player.nick,
+              countryCode: player.countryCode,
+              firstSeen: currentTime,
+              ratings: [{ rating: player.rating, position: player.position, timestamp: currentTime }],
+              lastSeen: currentTime,
+              ladders: ladderSnapshot(player, currentTime),
+              status: 'active'
+            };
+            data.players[player.userId] = playerData;
+          }
+        
+          let isNewDeletion = false;
+          if (playerData.status !== 'deleted_account') {
+            isNewDeletion = true;
+            recordStatusChange(playerData, 'deleted_account', { timestamp: currentTime, source: 'leaderboard', rating: player.rating, position: player.position });
+            playerData.deletedAt = currentTime;
+          
+            console.log(`[${processedCount}/${currentPlayers.length}] 🗑️ DELETED ACCOUNT: ${player.nick} (#${player.position}, ${player.rating} ELO)`);
+          
+            return {
+              userId: player.userId,
+              nick: player.nick,
+              countryCode: player.countryCode,
+              deletedAccount: true,
+              lastRating: { rating: player.rating, position: player.position },
+              hoursSinceSeen: 0,
+              isNewDeletion: isNewDeletion,
+              source: 'leaderboard'
+            };
+          } else {
+            console.log(`[${processedCount}/${currentPlayers.length}] 🔄 Already marked as deleted: ${player.nick} (#${player.position})`);
+            return null;
+          }
+        }
+      
+        if (activityData.banned || activityData.suspended) {
+          let playerData = data.players[player.userId];
+          if (!playerData) {
+            playerData = {
+              nick: player.nick,
+              countryCode: player.countryCode,
+              firstSeen: currentTime,
+              ratings: [{ rating: player.rating, position: player.position, timestamp: currentTime }],
+              lastSeen: currentTime,
+              ladders: ladderSnapshot(player, currentTime),
+              status: 'active'
+            };
+            data.players[player.userId] = playerData;
+          }
+        
+          let isNewSanction = false;
+          if (activityData.banned) {
+            if (playerData.status !== 'banned') {
+              isNewSanction = true;
+            }
+          } else if (activityData.suspended) {
+            if (playerData.status !== 'suspended' || playerData.suspendedUntil !== activityData.suspendedUntil) {
+              isNewSanction = true;
+            }
+          }
+        
+          if (isNewSanction) {
+            const banType = activityData.banned ? 'BANNED' : 'SUSPENDED';
+            const suspensionInfo = activityData.suspended ? 
+              ` until ${new Date(activityData.suspendedUntil).toLocaleString()}` : '';
+          
+            console.log(`[${processedCount}/${currentPlayers.length}] 🚫🚫🚫 ${banType}: ${player.nick} (#${player.position}, ${player.rating} ELO)${suspensionInfo}`);
+          
+          } else {
+            console.log(`[${processedCount}/${currentPlayers.length}] 🔄 Ongoing sanction: ${player.nick} (#${player.position}) - Status unchanged (API: ${activityData.banned ? 'banned' : 'suspended'})`);
+          }
+          return {
+              userId: player.userId,
+              nick: player.nick,
+              countryCode: activityData.countryCode,
+              confirmedBanned: activityData.banned,
+              suspended: activityData.suspended,
+              suspendedUntil: activityData.suspendedUntil,
+              lastRating: { rating: player.rating, position: player.position },
+              hoursSinceSeen: 0,
+              isNewSanction: isNewSanction,
+              source: 'leaderboard'
+            };
+        } else {
+          console.log(`[${processedCount}/${currentPlayers.length}] ✅ Active: ${player.nick} (#${player.position}, ${player.rating} ELO)`);
+          return null;
+        }
+      } catch (error) {
+        processedCount++;
+        errorCount++;
+        reportProgress();
+      
+        console.log(`[${processedCount}/${currentPlayers.length}] ❌ Error checking ${player.nick} (#${player.position}): ${error.message}`);
+      
+        return null;
+      }
+    });
+  
+    const results = await Promise.allSettled(promises);
+  
+    results.forEach((result, index) => {
+      if (result.status === 'fulfilled' && result.value !== null) {
+        bannedPlayers.push(result.value);
+      } else if (result.status === 'rejected') {
+        console.log(`[ERROR] Promise rejected for ${currentPlayers[index]?.nick}: ${result.reason}`);
+      }
+    });
+  
+    console.log(`\n--- Leaderboard Verification Summary ---`);
+    console.log(`Total players checked: ${processedCount}/${currentPlayers.length}`);
+    console.log(`Confirmed bans/suspensions found: ${bannedPlayers.filter(p => !p.deletedAccount).length}`);
+    console.log(`Deleted accounts found: ${bannedPlayers.filter(p => p.deletedAccount).length}`);
+    console.log(`Active players: ${processedCount - bannedPlayers.length - errorCount}`);
+    console.log(`Rate limit hits during verification: ${apiClient.stats.rateLimited - rateLimitedBefore}`);
+    console.log(`Errors: ${errorCount}`);
+  
+    return bannedPlayers;
+  }
+
+  // also used for watched players off the leaderboard (source 'watchlist'), their status changes
+  // are detected the same way
+  async function verifyExistingSanctionedPlayers(sanctionedPlayers, data, currentTime, source = 'sanctioned_recheck') {
+    console.log(`Verifying status changes for ${sanctionedPlayers.length} ${source === 'watchlist' ? 'watched' : 'sanctioned'} players`);
+  
+    const statusChanges = [];
+    let processedCount = 0;
+  
+    const promises = sanctionedPlayers.map(async (player) => {
+      try {
+        const activityData = await getUserActivity(player.userId);
+        processedCount++;
+      
+        const playerData = data.players[player.userId];
+        if (activityData.accessible && activityData.currentNick) {
+          if (playerData && playerData.nick !== activityData.currentNick) {
+            if (checkNicknameChange(player.userId, playerData.nick, activityData.currentNick, playerData)) {
+              recordNickname(playerData, activityData.currentNick, currentTime);
+              playerData.nick = normalizeUnicode(activityData.currentNick);
+            }
+          }
+        }
+        const lastRating = player.ratings[player.ratings.length - 1];
+        const positionInfo = lastRating ? `#${lastRating.position}` : 'N/A';
+      
+        if (activityData.deleted) {
+          let isNewDeletion = false;
+          if (playerData.status !== 'deleted_account') {
+            isNewDeletion = true;
+            recordStatusChange(playerData, 'deleted_account', { timestamp: currentTime, source, rating: lastRating?.rating, position: lastRating?.position });
+            playerData.deletedAt = currentTime;
+          
+            console.log(`[${processedCount}/${sanctionedPlayers.length}] 🗑️ DELETED ACCOUNT: ${player.nick} (${positionInfo}) - Was ${player.status}`);
+          
+            return {
+              userId: player.userId,
+              nick: player.nick,
+              countryCode: player.countryCode,
+              deletedAccount: true,
+              lastRating: lastRating || { rating: 'N/A', position: 'N/A' },
+              isNewDeletion: isNewDeletion,
+              source
+            };
+          } else {
+            console.log(`[${processedCount}/${sanctionedPlayers.length}] 🔄 Already marked as deleted: ${player.nick} (${positionInfo})`);
+            return null;
+          }
+        }
+      
+        let hasRealStatusChange = false;
+        let newSanctionType = null;
+      
+        if (activityData.banned) {
+          if (playerData.status !== 'banned') {
+            hasRealStatusChange = true;
+            newSanctionType = 'banned';
+            console.log(`[${processedCount}/${sanctionedPlayers.length}] 🚫⬆️ STATUS UPGRADE TO BANNED: ${player.nick} (${positionInfo}) - ${playerData.status} → BANNED`);
+          } else {
+            console.log(`[${processedCount}/${sanctionedPlayers.length}] 🚫 Still banned: ${player.nick} (${positionInfo})`);
+            return null;
+          }
+        } else if (activityData.suspended) {
+          if (playerData.status === 'banned') {
+            hasRealStatusChange = true;
+            newSanctionType = 'suspended';
+            console.log(`[${processedCount}/${sanctionedPlayers.length}] ⏸️⬇️ STATUS DOWNGRADE TO SUSPENDED: ${player.nick} (${positionInfo}) - BANNED → SUSPENDED until ${new Date(activityData.suspendedUntil).toLocaleString()}`);
+          } else if (playerData.status === 'suspended') {
+            if (playerData.suspendedUntil !== activityData.suspendedUntil) {
+              hasRealStatusChange = true;
+              newSanctionType = 'suspended';
+              console.log(`[${processedCount}/${sanctionedPlayers.length}] ⏸️🔄 SUSPENSION DATE UPDATED: ${player.nick} (${positionInfo}) - New end: ${new Date(activityData.suspendedUntil).toLocaleString()}`);
+            } else {
+              console.log(`[${processedCount}/${sanctionedPlayers.length}] ⏸️ Still suspended: ${player.nick} (${positionInfo}) until ${new Date(activityData.suspendedUntil).toLocaleString()}`);
+              return null;
+            }
+          } else {
+            hasRealStatusChange = true;
+            newSanctionType = 'suspended';
+            console.log(`[${processedCount}/${sanctionedPlayers.length}] ⏸️ NEW SUSPENSION: ${player.nick} (${positionInfo}) - ${playerData.status} → SUSPENDED`);
+          }
+        } else if (playerData.status === 'active') {
+          // only watched players can be active here
+          console.log(`[${processedCount}/${sanctionedPlayers.length}] ✅ Still active: ${player.nick}`);
+          return null;
+        } else {
+          console.log(`[${processedCount}/${sanctionedPlayers.length}] ✅ NO LONGER SANCTIONED: ${player.nick} (${positionInfo}) - Was ${player.status}`);
+        
+          return {
+            userId: player.userId,
+            nick: player.nick,
+            countryCode: player.countryCode,
+            confirmedBanned: false,
+            suspended: false,
+            deletedAccount: false,
+            lastRating: lastRating || { rating: 'N/A', position: 'N/A' },
+            isUnsuspension: true,
+            previousStatus: player.status,
+            source
+          };
+        }
+      
+        if (hasRealStatusChange) {
+          return {
+            userId: player.userId,
+            nick: player.nick,
+            countryCode: activityData.countryCode,
+            confirmedBanned: activityData.banned,
+            suspended: activityData.suspended,
+            suspendedUntil: activityData.suspendedUntil,
+            lastRating: lastRating || { rating: 'N/A', position: 'N/A' },
+            // watched players may never have been on the leaderboard
+            hoursSinceSeen: player.lastSeen ? Math.floor((currentTime - player.lastSeen) / (60 * 60 * 1000)) : null,
+            isNewSanction: true,
+            isStatusChange: true,
+            previousStatus: playerData.status,
+            source
+          };
+        }
+      
+        return null;
+      
+      } catch (error) {
+        processedCount++;
+        console.log(`[${processedCount}/${sanctionedPlayers.length}] ❌ Error checking ${player.nick}: ${error.message}`);
+      
+        return null;
+      }
+    });
+  
+    const results = await Promise.allSettled(promises);
+  
+    results.forEach((result, index) => {
+      if (result.status === 'fulfilled' && result.value !== null) {
+        statusChanges.push(result.value);
+      } else if (result.status === 'rejected') {
+        console.log(`[ERROR] Promise rejected for ${sanctionedPlayers[index]?.nick}: ${result.reason}`);
+      }
+    });
+  
+    console.log(`\n--- Existing Sanctioned Players Verification Summary ---`);
+    console.log(`Total players checked: ${processedCount}/${sanctionedPlayers.length}`);
+    console.log(`Real status changes detected: ${statusChanges.length}`);
+  
+    return statusChanges;
+  }
+
+  async function checkForBannedPlayers({ onProgress = () => {} } = {}) {
+    const startTime = now();
+    console.log(`\n--- Starting check at ${new Date(now()).toISOString()} ---`);
+  
+    try {
+      // with an expired cookie profiles answer 401/403, checking anything would only produce garbage
+      if (!(await apiClient.checkAuth())) {
+        const error = 'GeoGuessr cookie expired or invalid';
+        console.log(`${error}, skipping check`);
+        const run = saveCheckRun({ startedAt: startTime, finishedAt: now(), success: false, error });
+        if (!cookieAlertSent) {
+          cookieAlertSent = true;
+          await notifier.sendStatusMessage(
+            'GeoGuessr rejected the `_ncfa` cookie (not logged in). Checks are skipped until a new cookie is set with `/setcookie`.',
+            true,
+            '🔑 GeoGuessr Cookie Expired'
+          );
+        }
+        return run;
+      }
+      cookieAlertSent = false;
+
+      const data = storage.loadPlayerData();
+      onProgress({ stage: 'leaderboard' });
+      const { players: currentPlayers, failedLadders } = await fetchCurrentLeaderboard();
+      const currentTime = now();
+    
+      if (!data.eventCache) {
+        data.eventCache = {
+          currentCheckBans: {},
+          currentCheckUnbans: {},
+          lastCleanup: currentTime
+        };
+      }
+    
+      data.eventCache.currentCheckBans = {};
+      data.eventCache.currentCheckUnbans = {};
+    
+      const isFirstCheckAfterRestart = !data.lastCheck || (currentTime - data.lastCheck) > (3 * 60 * 60 * 1000);
+    
+      // a ladder missing from the results would make all of its players look missing
+      if (failedLadders.length > 0) {
+        const error = `Failed to fetch leaderboard data (${failedLadders.join(', ')})`;
+        console.log(`${error}, skipping check`);
+        const run = saveCheckRun({ startedAt: startTime, finishedAt: now(), success: false, error });
+        await notifier.sendStatusMessage(error, true);
+        return run;
+      }
+
+      if (snapshots) {
+        try {
+          snapshots.save(currentTime, currentPlayers, ladders);
+        } catch (error) {
+          console.error('Error saving leaderboard snapshot:', error.message);
+        }
+      }
+    
+      const currentPlayerIds = new Set();
+      const missingPlayers = [];
+      const sixHourAgo = currentTime - (6 * 60 * 60 * 1000);
+
+      for (const [userId, playerData] of Object.entries(data.players)) {
+        if (playerData.lastSeen > sixHourAgo && 
+            playerData.status === 'active') {
+        
+          const isCurrentlyOnLeaderboard = currentPlayers.some(p => p.userId === userId);
+        
+          if (!isCurrentlyOnLeaderboard) {
+            const hoursSinceSeen = Math.floor((currentTime - playerData.lastSeen) / (60 * 60 * 1000));
+          
+            if (hoursSinceSeen >= 1 && hoursSinceSeen < 24) {
+              missingPlayers.push({
+                userId,
+                ...playerData,
+                hoursSinceSeen
+              });
+            }
+          }
+        }
+      }
+    
+      console.log(`Found ${missingPlayers.length} recently missing players to verify first`);
+    
+      let priorityBannedPlayers = [];
+      if (missingPlayers.length > 0 && verifyProfiles) {
+        onProgress({ stage: 'missing', count: missingPlayers.length });
+        priorityBannedPlayers = await verifyBannedPlayers(missingPlayers, data, currentTime);
+      
+        if (priorityBannedPlayers.length > 0) {
+          const newBans = priorityBannedPlayers.filter(p => p.isNewSanction && !p.deletedAccount);
+          const newDeletions = priorityBannedPlayers.filter(p => p.deletedAccount && p.isNewDeletion);
+        
+          await applySanctions(newBans, data, currentTime);
+          await applyDeletions(newDeletions, data);
+        
+          savePlayerData(data);
+        
+          const priorityDuration = Math.round((now() - startTime) / 1000);
+          console.log(`Priority check completed in ${priorityDuration}s - found ${newBans.length} new bans/suspensions from missing players`);
+        }
+      }
+    
+      console.log('\nChecking sanctioned players for unsuspensions...');
+    
+      const sanctionedPlayers = [];
+      for (const [userId, playerData] of Object.entries(data.players)) {
+        if ((playerData.status === 'suspended' || playerData.status === 'banned') && 
+            playerData.status !== 'deleted_account') {
+        
+          sanctionedPlayers.push({
+            userId,
+            nick: playerData.nick,
+            countryCode: playerData.countryCode,
+            status: playerData.status,
+            suspendedUntil: playerData.suspendedUntil,
+            lastSeen: playerData.lastSeen,
+            ratings: playerData.ratings
+          });
+        }
+      }
+    
+      console.log(`Verifying ${sanctionedPlayers.length} sanctioned players...`);
+    
+      let sanctionedResults = [];
+      if (verifyProfiles) {
+        onProgress({ stage: 'sanctioned', count: sanctionedPlayers.length });
+        sanctionedResults = await verifyExistingSanctionedPlayers(sanctionedPlayers, data, currentTime);
+      }
+
+      // watched players on the leaderboard are verified with it below, the others are checked here
+      const alreadyChecked = new Set([...currentPlayers, ...missingPlayers, ...sanctionedPlayers].map(p => p.userId));
+      const watchedPlayers = [];
+      for (const entry of storage.getWatchlist()) {
+        if (alreadyChecked.has(entry.userId)) continue;
+
+        if (!data.players[entry.userId]) {
+          data.players[entry.userId] = {
+            nick: entry.nick,
+            countryCode: entry.countryCode,
+            firstSeen: currentTime,
+            ratings: [],
+            status: 'active'
+          };
+          console.log(`New watched player tracked: ${entry.nick}`);
+        }
+
+        const playerData = data.players[entry.userId];
+        if (playerData.status === 'deleted_account') continue;
+
+        watchedPlayers.push({
+          userId: entry.userId,
+          nick: playerData.nick,
+          countryCode: playerData.countryCode,
+          status: playerData.status,
+          suspendedUntil: playerData.suspendedUntil,
+          lastSeen: playerData.lastSeen,
+          ratings: playerData.ratings
+        });
+      }
+
+      let watchlistResults = [];
+      if (watchedPlayers.length > 0 && verifyProfiles) {
+        onProgress({ stage: 'watchlist', count: watchedPlayers.length });
+        watchlistResults = await verifyExistingSanctionedPlayers(watchedPlayers, data, currentTime, 'watchlist');
+      }
+      const unsuspensionResults = [...sanctionedResults, ...watchlistResults];
+      await applyUnsanctions(unsuspensionResults, data, currentTime);
+    
+      let leaderboardApiSanctionInfo = [];
+      if (verifyProfiles) {
+        console.log(`\nFetching API status for all ${currentPlayers.length} leaderboard players...`);
+        leaderboardApiSanctionInfo = await verifyLeaderboardPlayers(currentPlayers, data, currentTime, onProgress);
+      }
+
+      for (const player of currentPlayers) {
+        currentPlayerIds.add(player.userId);
+      
+        if (!data.players[player.userId]) {
+          data.players[player.userId] = {
+            nick: player.nick,
+            countryCode: player.countryCode,
+            firstSeen: currentTime,
+            ratings: [{ rating: player.rating, position: player.position, timestamp: currentTime }],
+            lastSeen: currentTime,
+            ladders: ladderSnapshot(player, currentTime),
+            status: 'active'
+          };
+          recordNickname(data.players[player.userId], player.nick, currentTime);
+          console.log(`New player tracked: ${player.nick} (#${player.position})`);
+        } else {
+          const playerData = data.players[player.userId];
+        
+          if (playerData.nick !== player.nick) {
+            const isValidChange = checkNicknameChange(player.userId, playerData.nick, player.nick, playerData);
+            if (isValidChange) {
+              recordNickname(playerData, player.nick, currentTime);
+              playerData.nick = normalizeUnicode(player.nick);
+            }
+          }
+          recordNickname(playerData, playerData.nick, currentTime);
+        
+          playerData.lastSeen = currentTime;
+          playerData.ladders = { ...playerData.ladders, ...ladderSnapshot(player, currentTime) };
+
+          const apiSanction = leaderboardApiSanctionInfo.find(s => s && s.userId === player.userId);
+          const alreadyProcessedByPriority = priorityBannedPlayers.some(p => p && p.userId === player.userId);
+
+          // a sanction found on the leaderboard is recorded with the others by applySanctions below
+          if (!apiSanction && !alreadyProcessedByPriority && verifyProfiles) {
+            // without the profile a sanctioned player back on the leaderboard is left to the scanner
+            if ((playerData.status === 'banned' || playerData.status === 'suspended' || playerData.status === 'suspension_expired') && 
+                playerData.status !== 'deleted_account' &&
+                !isFirstCheckAfterRestart) {
+            
+              const previousStatus = playerData.status;
+              const eventKeySuffix = previousStatus === 'banned' ? 'unban' : 'unsuspend';
+              const unbanKey = `${player.userId}_${eventKeySuffix}`;
+
+              if (!data.eventCache.currentCheckUnbans[unbanKey]) {
+                console.log(`✅ BACK ON LEADERBOARD: ${player.nick} - Was ${previousStatus}, now active`);
+                data.eventCache.currentCheckUnbans[unbanKey] = true;
+
+                if (previousStatus === 'banned') {
+                  for (const channelId of announcementChannels(playerData)) {
+                    await notifier.sendUnbanNotification(player, playerData, channelId);
+                  }
+                  console.log(`UNBANNED: ${player.nick} notification sent.`);
+                  playerData.unbannedAt = currentTime;
+                } else {
+                  for (const channelId of announcementChannels(playerData)) {
+                    await notifier.sendUnsuspendNotification(player, playerData, channelId);
+                  }
+                  console.log(`UNSUSPENDED: ${player.nick} notification sent.`);
+                  playerData.unsuspendedAt = currentTime;
+                }
+              
+                addToUnbannedUnsuspendedCSV(player, playerData);
+
+                recordStatusChange(playerData, 'active', { timestamp: currentTime, source: 'leaderboard_return', rating: player.rating, position: player.position });
+                delete playerData.suspendedUntil;
+                delete playerData.suspendedAt;
+              }
+            } else if (playerData.status !== 'active' && playerData.status !== 'deleted_account') {
+              if (isFirstCheckAfterRestart || playerData.status === 'suspension_expired') {
+                console.log(`[SILENT UPDATE] ${player.nick} from ${playerData.status} to active. API reports active.`);
+              }
+              recordStatusChange(playerData, 'active', { timestamp: currentTime, source: 'leaderboard_return', rating: player.rating, position: player.position });
+            }
+          }
+        
+          playerData.ratings.push({
+            rating: player.rating,
+            position: player.position,
+            timestamp: currentTime
+          });
+        
+          if (playerData.ratings.length > 30) {
+            playerData.ratings = playerData.ratings.slice(-30);
+          }
+        }
+      }
+    
+      if (isFirstCheckAfterRestart) {
+        console.log('🔄 First check after restart - skipping unban notifications to avoid false positives');
+      }
+    
+      for (const [userId, playerData] of Object.entries(data.players)) {
+        if (playerData.status === 'suspended' && 
+            playerData.suspendedUntil && 
+            currentTime >= new Date(playerData.suspendedUntil).getTime()) {
+        
+          console.log(`SUSPENSION EXPIRED: ${playerData.nick} suspension has naturally expired`);
+          const lastRating = playerData.ratings[playerData.ratings.length - 1];
+          recordStatusChange(playerData, 'suspension_expired', { timestamp: currentTime, source: 'suspension_expired', rating: lastRating?.rating, position: lastRating?.position });
+          delete playerData.suspendedUntil;
+          delete playerData.suspendedAt;
+        }
+      }
+    
+      const remainingSanctionedPlayers = [];
+      for (const [userId, playerData] of Object.entries(data.players)) {
+        if ((playerData.status === 'suspended' || playerData.status === 'banned') && 
+            playerData.status !== 'deleted_account' &&
+            playerData.lastSeen > currentTime - (7 * 24 * 60 * 60 * 1000) &&
+            !sanctionedPlayers.some(sp => sp.userId === userId)) {
+        
+          remainingSanctionedPlayers.push({
+            userId,
+            nick: playerData.nick,
+            countryCode: playerData.countryCode,
+            status: playerData.status,
+            suspendedUntil: playerData.suspendedUntil,
+            lastSeen: playerData.lastSeen,
+            ratings: playerData.ratings
+          });
+        }
+      }
+
+      console.log(`Found ${remainingSanctionedPlayers.length} remaining sanctioned players to verify`);
+      const remainingSanctionedApiInfo = remainingSanctionedPlayers.length > 0 && verifyProfiles ?
+        await verifyExistingSanctionedPlayers(remainingSanctionedPlayers, data, currentTime) : [];
+    
+      const allSanctionsFromApi = [...leaderboardApiSanctionInfo, ...remainingSanctionedApiInfo, ...unsuspensionResults].filter(s => s !== null);
+      const allDeletedAccounts = allSanctionsFromApi.filter(s => s && s.deletedAccount && s.isNewDeletion);
+      const allNewSanctionEvents = allSanctionsFromApi.filter(s => s && s.isNewSanction && !s.deletedAccount);
+    
+      await applySanctions(allNewSanctionEvents, data, currentTime);
+    
+      if (allDeletedAccounts.length > 0) {
+        console.log(`\nProcessing ${allDeletedAccounts.length} deleted accounts...`);
+        await applyDeletions(allDeletedAccounts, data);
+      }
+
+      // after the sanctions of this check, so a flag raised earlier can be resolved by them
+      let anomalies = { flagged: [], resolved: [] };
+      if (anomalyDetector) {
+        try {
+          anomalies = anomalyDetector.run(data, currentTime);
+          if (anomalies.flagged.length > 0 || anomalies.resolved.length > 0) {
+            console.log(`Anomaly detector: ${anomalies.flagged.length} players flagged, ${anomalies.resolved.length} flags resolved`);
+          }
+        } catch (error) {
+          console.error('Error running the anomaly detector:', error);
+        }
+      }
+
+      data.lastCheck = currentTime;
+      data.totalChecks = (data.totalChecks || 0) + 1;
+      savePlayerData(data);
+
+      if (anomalies.flagged.length > 0) {
+        await notifier.sendAnomalyNotification(anomalies.flagged, summarizeAnomalyFlags(data.players), data);
+      }
+    
+      const duration = Math.round((now() - startTime) / 1000);
+      const totalNewBans = (priorityBannedPlayers.filter(p => p.isNewSanction && !p.deletedAccount).length) + allNewSanctionEvents.length;
+    
+      const statusMessage = !verifyProfiles
+        ? `Leaderboard updated in ${duration}s (${currentPlayers.length} players), profiles are checked continuously.`
+        : totalNewBans > 0 
+          ? `Check completed in ${duration}s. Found ${totalNewBans} new/updated ban(s)/suspension(s).`
+          : `Check completed in ${duration}s. No new or updated bans/suspensions detected.`;
+    
+      const run = saveCheckRun({
+        startedAt: startTime,
+        finishedAt: now(),
+        success: true,
+        playersChecked: verifyProfiles
+          ? currentPlayers.length + missingPlayers.length + sanctionedPlayers.length + watchedPlayers.length + remainingSanctionedPlayers.length
+          : currentPlayers.length,
+        newSanctions: totalNewBans,
+        newDeletions: priorityBannedPlayers.filter(p => p.deletedAccount && p.isNewDeletion).length + allDeletedAccounts.length,
+        unsanctions: Object.keys(data.eventCache.currentCheckUnbans).length
+      });
+    
+      await notifier.sendStatusMessage(statusMessage);
+      console.log(`Check completed in ${duration} seconds. Total checks: ${data.totalChecks}`);
+      console.log(`At: ${new Date(now()).toLocaleTimeString()}`);
+      return run;
+    
+    } catch (error) {
+      console.error('Error during check:', error);
+      const run = saveCheckRun({ startedAt: startTime, finishedAt: now(), success: false, error: error.message });
+      await notifier.sendStatusMessage(`Check failed: ${error.message}`, true);
+      return run;
+    }
+  }
+
+  // one batch of the continuous scanner (src/scanner.js): looks up the profiles of `targets`
+  // ({ userId, kind }, kind is leaderboard, missing, sanctioned or watchlist, which says how a
+  // check run would have verified the player) and announces what changed right away. Each player
+  // looked up gets `profileCheckedAt`, which the scanner schedules from, and `data` is saved when one
+  // of the players changed. Returns the users whose lookup failed.
+  async function checkProfiles(targets, data = storage.loadPlayerData()) {
+    const currentTime = now();
+    failedLookups.clear();
+    data.eventCache = { lastCleanup: currentTime, ...data.eventCache, currentCheckBans: {}, currentCheckUnbans: {} };
+
+    const tracked = targets.filter(({ userId }) => data.players[userId]);
+    const before = new Map(tracked.map(({ userId }) => [userId, JSON.stringify(data.players[userId])]));
+    const ofKind = kind => tracked.filter(target => target.kind === kind).map(({ userId }) => ({ userId, ...data.players[userId] }));
+
+    const leaderboardPlayers = ofKind('leaderboard').map(player => ({
+      userId: player.userId,
+      nick: player.nick,
+      countryCode: player.countryCode,
+      rating: player.ratings?.at(-1)?.rating,
+      position: player.ratings?.at(-1)?.position,
+      ladders: player.ladders
+    }));
+    const missingPlayers = ofKind('missing').map(player => ({
+      ...player,
+      hoursSinceSeen: Math.floor((currentTime - player.lastSeen) / (60 * 60 * 1000))
+    }));
+
+    const results = [
+      ...(leaderboardPlayers.length > 0 ? await verifyLeaderboardPlayers(leaderboardPlayers, data, currentTime) : []),
+      ...(missingPlayers.length > 0 ? await verifyBannedPlayers(missingPlayers, data, currentTime) : []),
+      ...(ofKind('sanctioned').length > 0 ? await verifyExistingSanctionedPlayers(ofKind('sanctioned'), data, currentTime) : []),
+      ...(ofKind('watchlist').length > 0 ? await verifyExistingSanctionedPlayers(ofKind('watchlist'), data, currentTime, 'watchlist') : [])
+    ];
+
+    await applyUnsanctions(results, data, currentTime);
+    await applySanctions(results.filter(result => result.isNewSanction && !result.deletedAccount), data, currentTime);
+    await applyDeletions(results.filter(result => result.deletedAccount && result.isNewDeletion), data);
+
+    for (const { userId } of tracked) {
+      if (!failedLookups.has(userId)) data.players[userId].profileCheckedAt = currentTime;
+    }
+
+    if (tracked.some(({ userId }) => JSON.stringify(data.players[userId]) !== before.get(userId))) {
+      savePlayerData(data);
+    }
+    return { checked: tracked.length, failed: [...failedLookups] };
+  }
+
+  async function verifyBannedPlayers(missingPlayers, data, currentTime) {
+    console.log(`Verifying ban status for ${missingPlayers.length} missing players`);
+  
+    if (missingPlayers.length === 0) {
+      return [];
+    }
+  
+    const bannedPlayers = [];
+    const rateLimitedBefore = apiClient.stats.rateLimited;
+    let processedCount = 0;
+  
+    console.log(`\n--- Starting verification of ${missingPlayers.length} players ---`);
+  
+    const promises = missingPlayers.map(async (player) => {
+      try {
+        const activityData = await getUserActivity(player.userId);
+        processedCount++;
+      
+        const lastRating = player.ratings[player.ratings.length - 1];
+        const positionInfo = lastRating ? `#${lastRating.position}` : 'N/A';
+        const eloInfo = lastRating ? `${lastRating.rating} ELO` : 'N/A';
+      
+        if (activityData.deleted) {
+          const pData = data.players[player.userId];
+        
+          let isNewDeletion = false;
+          if (pData.status !== 'deleted_account') {
+            isNewDeletion = true;
+            recordStatusChange(pData, 'deleted_account', { timestamp: currentTime, source: 'missing', rating: lastRating?.rating, position: lastRating?.position });
+            pData.deletedAt = currentTime;
+          
+            console.log(`[${processedCount}/${missingPlayers.length}] 🗑️ DELETED ACCOUNT: ${player.nick} (${positionInfo}, ${eloInfo}) - Last seen ${player.hoursSinceSeen}h ago`);
+          
+            return {
+              ...player,
+              countryCode: player.countryCode,
+              deletedAccount: true,
+              lastRating: lastRating,
+              isNewDeletion: isNewDeletion,
+              source: 'missing'
+            };
+          } else {
+            console.log(`[${processedCount}/${missingPlayers.length}] 🔄 Already marked as deleted: ${player.nick} (${positionInfo})`);
+            return null;
+          }
+        }
+      
+        if (activityData.banned || activityData.suspended) {
+          const pData = data.players[player.userId];
+        
+          let isNewSanction = false;
+          if (activityData.banned) {
+            if (pData.status !== 'banned') {
+              isNewSanction = true;
+            }
+          } else if (activityData.suspended) {
+            if (pData.status !== 'suspended' || pData.suspendedUntil !== activityData.suspendedUntil) {
+              isNewSanction = true;
+            }
+          }
+
+          if (isNewSanction) {
+            const banType = activityData.banned ? 'BANNED' : 'SUSPENDED';
+            const suspensionInfo = activityData.suspended ? 
+              ` until ${new Date(activityData.suspendedUntil).toLocaleString()}` : '';
+          
+            console.log(`[${processedCount}/${missingPlayers.length}] 🚫 ${banType}: ${player.nick} (${positionInfo}, ${eloInfo}) - Last seen ${player.hoursSinceSeen}h ago${suspensionInfo}`);
+          
+          } else {
+            console.log(`[${processedCount}/${missingPlayers.length}] 🔄 Ongoing sanction (missing player): ${player.nick} (${positionInfo}) - Status unchanged (API: ${activityData.banned ? 'banned' : 'suspended'})`);
+          }
+        
+          return {
+            ...player,
+            countryCode: activityData.countryCode,
+            confirmedBanned: activityData.banned,
+            suspended: activityData.suspended,
+            suspendedUntil: activityData.suspendedUntil,
+            lastRating: lastRating,
+            isNewSanction: isNewSanction,
+            source: 'missing'
+          };
+        } else {
+          console.log(`[${processedCount}/${missingPlayers.length}] ✅ Active (inactive drop): ${player.nick} (${positionInfo}, ${eloInfo}) - Last seen ${player.hoursSinceSeen}h ago`);
+          return null;
+        }
+      } catch (error) {
+        processedCount++;
+        const lastRating = player.ratings[player.ratings.length - 1];
+        const positionInfo = lastRating ? `#${lastRating.position}` : 'N/A';
+      
+        console.log(`[${processedCount}/${missingPlayers.length}] ❌ Error checking ${player.nick} (${positionInfo}): ${error.message}`);
+      
+        return null;
+      }
+    });
+  
+    const results = await Promise.allSettled(promises);
+  
+    results.forEach((result, index) => {
+      if (result.status === 'fulfilled' && result.value !== null) {
+        bannedPlayers.push(result.value);
+      } else if (result.status === 'rejected') {
+        console.log(`[ERROR] Promise rejected for ${missingPlayers[index]?.nick}: ${result.reason}`);
+      }
+    });
+  
+    console.log(`\n--- Missing Players Verification Summary ---`);
+    console.log(`Total players checked: ${processedCount}/${missingPlayers.length}`);
+    console.log(`Confirmed bans/suspensions: ${bannedPlayers.filter(p => !p.deletedAccount).length}`);
+    console.log(`Deleted accounts: ${bannedPlayers.filter(p => p.deletedAccount).length}`);
+    console.log(`Still active (inactivity drops): ${processedCount - bannedPlayers.length}`);
+    console.log(`Rate limit hits during verification: ${apiClient.stats.rateLimited - rateLimitedBefore}`);
+  
+    return bannedPlayers;
+  }
+
+  function checkNicknameChange(userId, storedNick, currentNick, playerData) {
+    if (!currentNick || currentNick === 'Unknown') {
+      return false;
+    }
+  
+    if (detectFalseNicknameChange(storedNick, currentNick)) {
+      return false;
+    }
+  
+    const normalizedStored = normalizeUnicode(storedNick);
+    const normalizedCurrent = normalizeUnicode(currentNick);
+  
+    if (normalizedStored !== normalizedCurrent && isValidNicknameChange(storedNick, currentNick)) {
+      // not awaited, the check goes on while the rename is announced
+      notifier.sendNicknameChangeNotification(userId, storedNick, currentNick, playerData)
+        .catch(error => console.error('Error sending nickname change notification:', error));
+      return true;
+    }
+  
+    return false;
+  }
+
+  return {
+    checkForBannedPlayers,
+    verifyBannedPlayers,
+    checkProfiles,
+    getUserActivity,
+    fetchCurrentLeaderboard
+  };
+}
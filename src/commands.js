@@ -0,0 +1,217 @@
+import { SlashCommandBuilder, PermissionFlagsBits } from 'discord.js';
+
+// Slash command definitions, registered on startup by registerCommands()
+export const commandDefinitions = [
+  new SlashCommandBuilder()
+    .setName('checkbans')
+    .setDescription('Run a ban/suspension check now (does not affect the hourly check)')
+    // a full check is thousands of GeoGuessr requests
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageMessages),
+
+  new SlashCommandBuilder()
+    .setName('stats')
+    .setDescription('Show stats about the past checks'),
+
+  new SlashCommandBuilder()
+    .setName('player')
+    .setDescription('Look up a tracked player')
+    .addStringOption(option => option
+      .setName('player')
+      .setDescription('Nickname, GeoGuessr user ID or profile URL')
+      .setRequired(true)
+      .setAutocomplete(true)),
+
+  new SlashCommandBuilder()
+    .setName('chart')
+    .setDescription('Show the ELO and position chart of a tracked player, with their bans and suspensions')
+    .addStringOption(option => option
+      .setName('player')
+      .setDescription('Nickname, GeoGuessr user ID or profile URL')
+      .setRequired(true)
+      .setAutocomplete(true)),
+
+  new SlashCommandBuilder()
+    .setName('aliases')
+    .setDescription('List every nickname a tracked player was seen with')
+    .addStringOption(option => option
+      .setName('player')
+      .setDescription('Current or former nickname, GeoGuessr user ID or profile URL')
+      .setRequired(true)
+      .setAutocomplete(true)),
+
+  new SlashCommandBuilder()
+    .setName('leaderboarddiff')
+    .setDescription('Compare two leaderboard snapshots: who entered, left, rose and fell')
+    .addStringOption(option => option
+      .setName('from')
+      .setDescription('Older snapshot, or a UTC date like 2025-01-31 18:00 (default: one day before `to`)')
+      .setAutocomplete(true))
+    .addStringOption(option => option
+      .setName('to')
+      .setDescription('Newer snapshot, or a UTC date like 2025-01-31 18:00 (default: the latest)')
+      .setAutocomplete(true))
+    .addStringOption(option => option
+      .setName('ladder')
+      .setDescription('Ladder to compare (default: the first one)')
+      .setAutocomplete(true)),
+
+  new SlashCommandBuilder()
+    .setName('history')
+    .setDescription('Show the latest recorded sanctions or unsanctions')
+    .addStringOption(option => option
+      .setName('type')
+      .setDescription('Which history to show')
+      .addChoices(
+        { name: 'Bans / suspensions / deleted accounts', value: 'sanctions' },
+        { name: 'Unbans / unsuspensions', value: 'unsanctions' }
+      ))
+    .addIntegerOption(option => option
+      .setName('limit')
+      .setDescription('Number of entries to show (default 10)')
+      .setMinValue(1)
+      .setMaxValue(25)),
+
+  new SlashCommandBuilder()
+    .setName('country')
+    .setDescription('Show the tracked players, sanctions and latest events of a country')
+    .addStringOption(option => option
+      .setName('country')
+      .setDescription('Two-letter country code like FR')
+      .setRequired(true)
+      .setMinLength(2)
+      .setMaxLength(2)
+      .setAutocomplete(true)),
+
+  new SlashCommandBuilder()
+    .setName('countries')
+    .setDescription('Rank the countries of the tracked players')
+    .addStringOption(option => option
+      .setName('sort')
+      .setDescription('What to rank by (default tracked players)')
+      .addChoices(
+        { name: 'Tracked players', value: 'tracked' },
+        { name: 'Players ever banned or suspended', value: 'sanctioned' },
+        { name: 'Currently banned or suspended', value: 'current' },
+        { name: 'Sanction rate', value: 'rate' }
+      ))
+    .addIntegerOption(option => option
+      .setName('min_players')
+      .setDescription('Leave out countries with fewer tracked players (default 10 for the sanction rate, 1 otherwise)')
+      .setMinValue(1)),
+
+  new SlashCommandBuilder()
+    .setName('export')
+    .setDescription('Download the bot data as a file')
+    // the raw tracking data included
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageMessages)
+    .addStringOption(option => option
+      .setName('dataset')
+      .setDescription('Which data to export')
+      .setRequired(true)
+      .addChoices(
+        { name: 'Bans / suspensions / deleted accounts / unbans history', value: 'history' },
+        { name: 'Tracked players, one row per player', value: 'players' },
+        { name: 'Full player tracking data (raw JSON, no filters)', value: 'tracking' }
+      ))
+    .addStringOption(option => option
+      .setName('format')
+      .setDescription('File format (default CSV)')
+      .addChoices(
+        { name: 'CSV', value: 'csv' },
+        { name: 'JSON', value: 'json' }
+      ))
+    .addStringOption(option => option
+      .setName('from')
+      .setDescription('History only: first day to export (YYYY-MM-DD, UTC)'))
+    .addStringOption(option => option
+      .setName('to')
+      .setDescription('History only: last day to export (YYYY-MM-DD, UTC)'))
+    .addStringOption(option => option
+      .setName('action')
+      .setDescription('History only: type of event')
+      .addChoices(
+        { name: 'Banned', value: 'BANNED' },
+        { name: 'Suspended', value: 'SUSPENDED' },
+        { name: 'Deleted account', value: 'DELETED_ACCOUNT' },
+        { name: 'Unbanned / unsuspended', value: 'UNBANNED' }
+      ))
+    .addStringOption(option => option
+      .setName('country')
+      .setDescription('Two-letter country code, like FR')
+      .setMinLength(2)
+      .setMaxLength(2))
+    .addIntegerOption(option => option
+      .setName('min_elo')
+      .setDescription('Minimum ELO (at the time of the event, or last ELO seen for players)')
+      .setMinValue(0))
+    .addIntegerOption(option => option
+      .setName('max_elo')
+      .setDescription('Maximum ELO (at the time of the event, or last ELO seen for players)')
+      .setMinValue(0)),
+
+  new SlashCommandBuilder()
+    .setName('watch')
+    .setDescription('Check a player on every run even when they are not on the leaderboard')
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageMessages)
+    .addStringOption(option => option
+      .setName('player')
+      .setDescription('GeoGuessr user ID or profile URL (or the nickname of a tracked player)')
+      .setRequired(true)),
+
+  new SlashCommandBuilder()
+    .setName('unwatch')
+    .setDescription('Remove a player from the watchlist')
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageMessages)
+    .addStringOption(option => option
+      .setName('player')
+      .setDescription('Watched player')
+      .setRequired(true)
+      .setAutocomplete(true)),
+
+  new SlashCommandBuilder()
+    .setName('watchlist')
+    .setDescription('Show the watched players and their status'),
+
+  new SlashCommandBuilder()
+    .setName('subscribe')
+    .setDescription('Get a DM when a tracked player is banned, unbanned, deletes their account or changes nickname')
+    .addStringOption(option => option
+      .setName('player')
+      .setDescription('Nickname, GeoGuessr user ID or profile URL of a tracked player')
+      .setRequired(true)
+      .setAutocomplete(true)),
+
+  new SlashCommandBuilder()
+    .setName('unsubscribe')
+    .setDescription('Stop the DMs about a player you follow')
+    .addStringOption(option => option
+      .setName('player')
+      .setDescription('Followed player, or "all"')
+      .setRequired(true)
+      .setAutocomplete(true)),
+
+  new SlashCommandBuilder()
+    .setName('subscriptions')
+    .setDescription('List the players you follow'),
+
+  new SlashCommandBuilder()
+    .setName('setcookie')
+    .setDescription('Replace the GeoGuessr _ncfa cookie used by the bot (admins only)')
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+    .addStringOption(option => option
+      .setName('cookie')
+      .setDescription('Value of the _ncfa cookie')
+      .setRequired(true))
+].map(command => command.toJSON());
+
+export async function registerCommands(client, guildId) {
+  if (guildId) {
+    // guild commands are available instantly, global ones can take up to an hour to show up
+    const guild = await client.guilds.fetch(guildId);
+    await guild.commands.set(commandDefinitions);
+    console.log(`Registered ${commandDefinitions.length} slash commands for guild ${guildId}`);
+  } else {
+    await client.application.commands.set(commandDefinitions);
+    console.log(`Registered ${commandDefinitions.length} global slash commands`);
+  }
+}
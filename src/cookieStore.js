@@ -0,0 +1,30 @@
+import fs from 'fs';
+
+// The `_ncfa` cookie set at runtime with /setcookie, kept on disk so it survives restarts and takes
+// precedence over GEOGUESSR_COOKIE. It gives full access to the GeoGuessr account: the file is only
+// readable by the bot's user and the cookie is never logged.
+export const COOKIE_FILE = process.env.GEOGUESSR_COOKIE_FILE || 'geoguessr_cookie.json';
+
+// accepts the raw value as well as what gets copied from the browser ("_ncfa=...;")
+export function cleanCookie(value) {
+  return String(value || '').trim().replace(/^_ncfa=/, '').replace(/;$/, '').trim();
+}
+
+export function loadStoredCookie() {
+  if (!fs.existsSync(COOKIE_FILE)) return null;
+
+  try {
+    const { cookie } = JSON.parse(fs.readFileSync(COOKIE_FILE, 'utf8'));
+    return typeof cookie === 'string' && cookie ? cookie : null;
+  } catch (error) {
+    console.error(`Could not read ${COOKIE_FILE}, using GEOGUESSR_COOKIE: ${error.message}`);
+    return null;
+  }
+}
+
+export function saveStoredCookie(cookie, updatedBy) {
+  const content = JSON.stringify({ cookie, updatedAt: new Date().toISOString(), updatedBy }, null, 2);
+  const tempFile = `${COOKIE_FILE}.tmp-${process.pid}`;
+  fs.writeFileSync(tempFile, content, { encoding: 'utf8', mode: 0o600 });
+  fs.renameSync(tempFile, COOKIE_FILE);
+}
@@ -0,0 +1,103 @@
+import { buildHistoryExport, parseExportFilters } from './exporter.js';
+
+// Per-country view of the tracking data behind /country and /countries. A player counts as
+// sanctioned when they were ever banned or suspended, from their events or the CSV history, and the
+// sanction rate of a country is its sanctioned players over its tracked players. Players without a
+// country code are only part of the global numbers.
+
+const SANCTIONED_STATUSES = ['banned', 'suspended'];
+const regionNames = new Intl.DisplayNames(['en'], { type: 'region' });
+
+export const COUNTRY_SORTS = {
+  tracked: { label: 'tracked players', value: stats => stats.tracked },
+  sanctioned: { label: 'sanctioned players', value: stats => stats.sanctioned },
+  current: { label: 'currently banned or suspended', value: stats => stats.banned + stats.suspended },
+  rate: { label: 'sanction rate', value: stats => stats.sanctionRate }
+};
+
+export function getCountryName(countryCode) {
+  if (!countryCode) return 'Unknown';
+  if (countryCode.toLowerCase() === 'zz') return 'No country';
+  try {
+    return regionNames.of(countryCode.toUpperCase());
+  } catch {
+    return countryCode.toUpperCase();
+  }
+}
+
+function wasSanctioned(playerData, sanctionedInHistory, userId) {
+  return SANCTIONED_STATUSES.includes(playerData.status)
+    || (playerData.events || []).some(event => SANCTIONED_STATUSES.includes(event.to))
+    || sanctionedInHistory.has(userId);
+}
+
+function emptyStats(countryCode) {
+  return { countryCode, tracked: 0, active: 0, banned: 0, suspended: 0, deleted: 0, sanctioned: 0, sanctionRate: 0 };
+}
+
+function addPlayer(stats, playerData, sanctioned) {
+  stats.tracked++;
+  if (playerData.status === 'active') stats.active++;
+  if (playerData.status === 'banned') stats.banned++;
+  if (playerData.status === 'suspended') stats.suspended++;
+  if (playerData.status === 'deleted_account') stats.deleted++;
+  if (sanctioned) stats.sanctioned++;
+}
+
+function rate(stats) {
+  stats.sanctionRate = stats.tracked > 0 ? stats.sanctioned / stats.tracked : 0;
+  return stats;
+}
+
+// { global, countries: Map(countryCode => stats) }, country codes in lower case
+export function buildCountryStats(players, sanctionRows) {
+  const sanctionedInHistory = new Set(sanctionRows
+    .filter(row => row.Action_Type === 'BANNED' || row.Action_Type === 'SUSPENDED')
+    .map(row => row.UserID));
+
+  const global = emptyStats(null);
+  const countries = new Map();
+  for (const [userId, playerData] of Object.entries(players)) {
+    const sanctioned = wasSanctioned(playerData, sanctionedInHistory, userId);
+    addPlayer(global, playerData, sanctioned);
+
+    const countryCode = (playerData.countryCode || '').toLowerCase();
+    if (!countryCode) continue;
+    if (!countries.has(countryCode)) countries.set(countryCode, emptyStats(countryCode));
+    addPlayer(countries.get(countryCode), playerData, sanctioned);
+  }
+
+  for (const stats of countries.values()) rate(stats);
+  return { global: rate(global), countries };
+}
+
+// countries with at least `minPlayers` tracked players, best first for `sort`, ties by tracked players
+export function rankCountries(countries, { sort = 'tracked', minPlayers = 1 } = {}) {
+  const { value } = COUNTRY_SORTS[sort];
+  return [...countries.values()]
+    .filter(stats => stats.tracked >= minPlayers)
+    .sort((a, b) => value(b) - value(a) || b.tracked - a.tracked);
+}
+
+// one country: its stats, its best placed active players and its latest history rows
+export function buildCountryReport(countryCode, { players, sanctionRows, unsanctionRows }, { topLimit = 10, recentLimit = 10 } = {}) {
+  const code = countryCode.trim().toLowerCase();
+  const { global, countries } = buildCountryStats(players, sanctionRows);
+
+  const topPlayers = Object.entries(players)
+    .filter(([, playerData]) => (playerData.countryCode || '').toLowerCase() === code && playerData.status === 'active')
+    .map(([userId, playerData]) => ({ userId, nick: playerData.nick, lastRating: playerData.ratings?.at(-1) }))
+    .filter(player => player.lastRating)
+    .sort((a, b) => a.lastRating.position - b.lastRating.position)
+    .slice(0, topLimit);
+
+  const history = buildHistoryExport(sanctionRows, unsanctionRows, parseExportFilters({ country: code }));
+
+  return {
+    countryCode: code,
+    stats: countries.get(code) || emptyStats(code),
+    global,
+    topPlayers,
+    recentEvents: history.slice(-recentLimit).reverse()
+  };
+}
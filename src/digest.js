@@ -0,0 +1,163 @@
+import { DateTime } from 'luxon';
+
+// Weekly and monthly digests of the sanctions. A digest runs at `hour` on Monday (weekly) or on the
+// 1st (monthly) in the configured timezone and covers the week or month that just ended, compared
+// with the one before it. Counts come from the CSV history, whose dates are UTC days, the average
+// suspension length from the suspension events in the tracking data.
+
+export const DIGEST_KINDS = {
+  weekly: { unit: 'week', label: 'Weekly' },
+  monthly: { unit: 'month', label: 'Monthly' }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ELO_BAND_SIZE = 100;
+const TOP_SANCTIONED = 5;
+// setTimeout overflows past ~24.8 days, a monthly digest is waited for in steps
+const MAX_TIMER_MS = 24 * 60 * 60 * 1000;
+
+export function validateDigestConfig({ kinds, zone, hour }) {
+  for (const kind of kinds) {
+    if (!DIGEST_KINDS[kind]) {
+      throw new Error(`Unknown digest "${kind}", use ${Object.keys(DIGEST_KINDS).join(' or ')}`);
+    }
+  }
+  if (!DateTime.now().setZone(zone).isValid) {
+    throw new Error(`Unknown digest timezone "${zone}"`);
+  }
+  if (!Number.isInteger(hour) || hour < 0 || hour > 23) {
+    throw new Error(`Digest hour must be between 0 and 23, got ${hour}`);
+  }
+}
+
+// first run of the digest strictly after `from` (ms)
+export function nextDigestTime(kind, from, { zone, hour }) {
+  const { unit } = DIGEST_KINDS[kind];
+  const current = DateTime.fromMillis(from, { zone });
+  let next = current.startOf(unit).set({ hour });
+  if (next <= current) {
+    next = current.startOf(unit).plus({ [`${unit}s`]: 1 }).set({ hour });
+  }
+  return next.toMillis();
+}
+
+// the period ending at the start of the week/month `at` falls in, and the one before it
+export function getDigestPeriods(kind, at, zone) {
+  const { unit } = DIGEST_KINDS[kind];
+  const end = DateTime.fromMillis(at, { zone }).startOf(unit);
+  const start = end.minus({ [`${unit}s`]: 1 });
+  return {
+    current: { start, end },
+    previous: { start: start.minus({ [`${unit}s`]: 1 }), end: start }
+  };
+}
+
+function inPeriod(row, { start, end }) {
+  return row.Date >= start.toISODate() && row.Date < end.toISODate();
+}
+
+function countBy(rows, keyOf) {
+  const counts = new Map();
+  for (const row of rows) {
+    const key = keyOf(row);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return counts;
+}
+
+function eloBand(row) {
+  const elo = Number(row.ELO);
+  if (!Number.isFinite(elo)) return null;
+  return Math.floor(elo / ELO_BAND_SIZE) * ELO_BAND_SIZE;
+}
+
+export function buildDigestStats({ sanctionRows, unsanctionRows, players }, period) {
+  const sanctions = sanctionRows.filter(row => inPeriod(row, period));
+  const bansAndSuspensions = sanctions.filter(row => row.Action_Type === 'BANNED' || row.Action_Type === 'SUSPENDED');
+
+  const byCountry = [...countBy(bansAndSuspensions, row => (row.countryCode || '').toLowerCase() || null)]
+    .sort((a, b) => b[1] - a[1]);
+
+  const byEloBand = [...countBy(bansAndSuspensions, eloBand)]
+    .sort((a, b) => (b[0] ?? -1) - (a[0] ?? -1))
+    .map(([band, count]) => [band === null ? 'Unknown' : `${band}-${band + ELO_BAND_SIZE - 1}`, count]);
+
+  const topSanctioned = bansAndSuspensions
+    .filter(row => Number.isFinite(Number(row.Position)) && String(row.Position) !== '')
+    .sort((a, b) => Number(a.Position) - Number(b.Position))
+    .slice(0, TOP_SANCTIONED);
+
+  const startMs = period.start.toMillis();
+  const endMs = period.end.toMillis();
+  const suspensionDays = [];
+  for (const playerData of Object.values(players)) {
+    for (const event of playerData.events || []) {
+      if (event.to !== 'suspended' || !event.suspendedUntil) continue;
+      if (event.timestamp < startMs || event.timestamp >= endMs) continue;
+      const length = Date.parse(event.suspendedUntil) - event.timestamp;
+      if (length > 0) suspensionDays.push(length / DAY_MS);
+    }
+  }
+
+  return {
+    bans: sanctions.filter(row => row.Action_Type === 'BANNED').length,
+    suspensions: sanctions.filter(row => row.Action_Type === 'SUSPENDED').length,
+    deletions: sanctions.filter(row => row.Action_Type === 'DELETED_ACCOUNT').length,
+    unsanctions: unsanctionRows.filter(row => inPeriod(row, period)).length,
+    byCountry,
+    byEloBand,
+    topSanctioned,
+    averageSuspensionDays: suspensionDays.length > 0
+      ? Math.round(suspensionDays.reduce((sum, days) => sum + days, 0) / suspensionDays.length * 10) / 10
+      : null
+  };
+}
+
+export function buildDigest(kind, at, { zone, history }) {
+  const periods = getDigestPeriods(kind, at, zone);
+  return {
+    kind,
+    label: DIGEST_KINDS[kind].label,
+    unit: DIGEST_KINDS[kind].unit,
+    period: periods.current,
+    current: buildDigestStats(history, periods.current),
+    previous: buildDigestStats(history, periods.previous)
+  };
+}
+
+// Calls run(kind, scheduledAt) at every scheduled digest. Digests missed while the bot was offline
+// are not sent afterwards.
+export function createDigestScheduler({ kinds, zone, hour, run, now = Date.now }) {
+  validateDigestConfig({ kinds, zone, hour });
+  const timers = new Map();
+
+  function schedule(kind, dueAt) {
+    const wait = Math.min(dueAt - now(), MAX_TIMER_MS);
+    timers.set(kind, setTimeout(async () => {
+      if (now() < dueAt) {
+        schedule(kind, dueAt);
+        return;
+      }
+      try {
+        await run(kind, dueAt);
+      } catch (error) {
+        console.error(`Error sending the ${kind} digest:`, error);
+      }
+      schedule(kind, nextDigestTime(kind, dueAt, { zone, hour }));
+    }, Math.max(0, wait)));
+  }
+
+  return {
+    start() {
+      for (const kind of kinds) {
+        const dueAt = nextDigestTime(kind, now(), { zone, hour });
+        console.log(`Next ${kind} digest: ${DateTime.fromMillis(dueAt, { zone }).toFormat('dd/MM/yyyy HH:mm ZZZZ')}`);
+        schedule(kind, dueAt);
+      }
+    },
+    stop() {
+      for (const timer of timers.values()) clearTimeout(timer);
+      timers.clear();
+    }
+  };
+}
@@ -0,0 +1,138 @@
+import sharp from 'sharp';
+
+// ELO history chart of a player: rating (left axis) and leaderboard position (right axis, #1 on
+// top) from playerData.ratings, with a vertical marker for each ban, suspension and unban in
+// playerData.events. Drawn as an SVG and rendered to PNG with sharp.
+
+export const CHART_FILE_NAME = 'elo-chart.png';
+
+const WIDTH = 900;
+const HEIGHT = 420;
+const MARGIN = { top: 40, right: 70, bottom: 50, left: 70 };
+const TICKS = 5;
+
+const COLORS = {
+  background: '#2b2d31',
+  grid: '#3f4147',
+  text: '#b5bac1',
+  rating: '#5865f2',
+  position: '#fee75c',
+  banned: '#ed4245',
+  suspended: '#faa61a',
+  unbanned: '#57f287'
+};
+
+const SANCTION_STATUSES = ['banned', 'suspended', 'suspension_expired'];
+
+function escapeXml(text) {
+  return String(text).replace(/[<>&'"]/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+function formatDate(timestamp) {
+  const iso = new Date(timestamp).toISOString();
+  return `${iso.slice(5, 10)} ${iso.slice(11, 16)}`;
+}
+
+// a flat series still needs some height on the chart
+function paddedRange(values, minSpan) {
+  let min = Math.min(...values);
+  let max = Math.max(...values);
+  if (max - min < minSpan) {
+    const middle = (min + max) / 2;
+    min = middle - minSpan / 2;
+    max = middle + minSpan / 2;
+  }
+  return { min, max };
+}
+
+export function getChartMarkers(events = []) {
+  const markers = [];
+  for (const event of events) {
+    if (event.to === 'banned') {
+      markers.push({ timestamp: event.timestamp, label: 'banned', color: COLORS.banned });
+    } else if (event.to === 'suspended') {
+      markers.push({ timestamp: event.timestamp, label: 'suspended', color: COLORS.suspended });
+    } else if (event.to === 'active' && SANCTION_STATUSES.includes(event.from)) {
+      markers.push({ timestamp: event.timestamp, label: 'unbanned', color: COLORS.unbanned });
+    }
+  }
+  return markers;
+}
+
+// null when the player has no rating sample to draw
+export function buildEloChartSvg(playerData) {
+  const ratings = (playerData.ratings || []).filter(sample =>
+    typeof sample.rating === 'number' && typeof sample.position === 'number' && sample.timestamp);
+  if (ratings.length === 0) return null;
+
+  const firstSample = ratings[0].timestamp;
+  const markers = getChartMarkers(playerData.events).filter(marker => marker.timestamp >= firstSample);
+
+  const timestamps = [...ratings.map(sample => sample.timestamp), ...markers.map(marker => marker.timestamp)];
+  const time = paddedRange(timestamps, 60 * 60 * 1000);
+  const rating = paddedRange(ratings.map(sample => sample.rating), 20);
+  const position = paddedRange(ratings.map(sample => sample.position), 4);
+
+  const plotWidth = WIDTH - MARGIN.left - MARGIN.right;
+  const plotHeight = HEIGHT - MARGIN.top - MARGIN.bottom;
+  const x = timestamp => MARGIN.left + (timestamp - time.min) / (time.max - time.min) * plotWidth;
+  const ratingY = value => MARGIN.top + (rating.max - value) / (rating.max - rating.min) * plotHeight;
+  const positionY = value => MARGIN.top + (value - position.min) / (position.max - position.min) * plotHeight;
+
+  const parts = [
+    `<rect width="${WIDTH}" height="${HEIGHT}" fill="${COLORS.background}"/>`,
+    `<text x="${MARGIN.left}" y="24" font-size="16" fill="#ffffff">${escapeXml(playerData.nick || 'Unknown')}</text>`,
+    `<text x="${WIDTH - MARGIN.right}" y="24" font-size="12" text-anchor="end">` +
+      `<tspan fill="${COLORS.rating}">━ ELO</tspan><tspan fill="${COLORS.position}" dx="12">━ Position</tspan></text>`
+  ];
+
+  for (let i = 0; i <= TICKS; i++) {
+    const y = MARGIN.top + i / TICKS * plotHeight;
+    const ratingValue = Math.round(rating.max - i / TICKS * (rating.max - rating.min));
+    const positionValue = Math.round(position.min + i / TICKS * (position.max - position.min));
+    const timestamp = time.min + i / TICKS * (time.max - time.min);
+    parts.push(
+      `<line x1="${MARGIN.left}" y1="${y}" x2="${WIDTH - MARGIN.right}" y2="${y}" stroke="${COLORS.grid}"/>`,
+      `<text x="${MARGIN.left - 8}" y="${y + 4}" font-size="11" text-anchor="end" fill="${COLORS.rating}">${ratingValue}</text>`,
+      `<text x="${WIDTH - MARGIN.right + 8}" y="${y + 4}" font-size="11" fill="${COLORS.position}">#${positionValue}</text>`,
+      `<text x="${x(timestamp)}" y="${HEIGHT - MARGIN.bottom + 20}" font-size="11" text-anchor="middle">${formatDate(timestamp)}</text>`
+    );
+  }
+
+  for (const marker of markers) {
+    const markerX = x(marker.timestamp);
+    // labels of markers near the right edge go on the left of the line
+    const label = markerX > WIDTH - MARGIN.right - 60
+      ? `x="${markerX - 4}" text-anchor="end"`
+      : `x="${markerX + 4}"`;
+    parts.push(
+      `<line x1="${markerX}" y1="${MARGIN.top}" x2="${markerX}" y2="${HEIGHT - MARGIN.bottom}" stroke="${marker.color}" stroke-width="2" stroke-dasharray="6 4"/>`,
+      `<text ${label} y="${MARGIN.top + 12}" font-size="11" fill="${marker.color}">${marker.label}</text>`
+    );
+  }
+
+  const series = [
+    { color: COLORS.position, y: sample => positionY(sample.position) },
+    { color: COLORS.rating, y: sample => ratingY(sample.rating) }
+  ];
+  for (const { color, y } of series) {
+    const points = ratings.map(sample => `${x(sample.timestamp).toFixed(1)},${y(sample).toFixed(1)}`);
+    if (points.length > 1) {
+      parts.push(`<polyline points="${points.join(' ')}" fill="none" stroke="${color}" stroke-width="2"/>`);
+    }
+    for (const point of points) {
+      const [pointX, pointY] = point.split(',');
+      parts.push(`<circle cx="${pointX}" cy="${pointY}" r="3" fill="${color}"/>`);
+    }
+  }
+
+  parts.push(`<text x="${WIDTH / 2}" y="${HEIGHT - 10}" font-size="11" text-anchor="middle">UTC</text>`);
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}" font-family="sans-serif" fill="${COLORS.text}">${parts.join('')}</svg>`;
+}
+
+export async function renderEloChart(playerData) {
+  const svg = buildEloChartSvg(playerData);
+  if (!svg) return null;
+  return sharp(Buffer.from(svg)).png().toBuffer();
+}
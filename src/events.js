@@ -0,0 +1,163 @@
+import crypto from 'crypto';
+import { getSanctionDurationDays } from './playerEvents.js';
+
+// Event dispatch between the checks and the outputs. The dispatcher has the notifier interface the
+// checker calls (sendBanNotification...), turns every call into typed events and hands them to the
+// configured sinks (src/sinks/). An event looks like:
+//   { id, type, timestamp, player: { userId, nick, countryCode, profileUrl }, details }
+// type and details:
+//   ban                { rating, position, hoursSinceSeen }
+//   suspension         { suspendedUntil, rating, position, hoursSinceSeen }
+//   suspension_update  { suspendedUntil, previousSuspendedUntil, rating, position, hoursSinceSeen }
+//   unban, unsuspension { rating, position, sanctionDays }
+//   deletion           { rating, position, hoursSinceSeen }
+//   nickname_change    { oldNick, newNick }
+// A player on several ladders is announced in several Discord channels, the Discord sink gets every
+// announcement, the other sinks each event once.
+
+export const EVENT_TYPES = ['ban', 'suspension', 'suspension_update', 'unban', 'unsuspension', 'deletion', 'nickname_change'];
+
+const DEDUP_MS = 10 * 60 * 1000;
+
+function numberOrNull(value) {
+  return typeof value === 'number' ? value : null;
+}
+
+function playerInfo(userId, nick, countryCode) {
+  return { userId, nick, countryCode: countryCode || null, profileUrl: `https://www.geoguessr.com/user/${userId}` };
+}
+
+// part of the dedup keys: the last transition recorded for the player. An event is announced before
+// its transition is recorded (a deletion after), so the same event announced in several channels
+// shares it and a second one (banned again, unbanned again) does not
+function lastTransition(playerData) {
+  return playerData?.events?.at(-1)?.timestamp ?? 'none';
+}
+
+function createEvent(type, player, details, timestamp, dedupKey) {
+  return { id: crypto.randomUUID(), type, timestamp: new Date(timestamp).toISOString(), player, details, dedupKey };
+}
+
+// the suspension replaced by `suspendedUntil` when the player was already suspended, undefined when
+// it is a new sanction. Sanctions are announced before they are recorded (applySanctions in
+// src/checker.js), so the tracking data still has the previous status.
+function replacedSuspension(playerData, suspendedUntil) {
+  if (playerData?.status !== 'suspended' || playerData.suspendedUntil === suspendedUntil) return undefined;
+  return playerData.suspendedUntil ?? null;
+}
+
+export function sanctionEvents(players, data, timestamp) {
+  return players.map(player => {
+    const info = playerInfo(player.userId, player.nick, player.countryCode);
+    const seen = {
+      rating: numberOrNull(player.lastRating?.rating),
+      position: numberOrNull(player.lastRating?.position),
+      hoursSinceSeen: player.hoursSinceSeen ?? null
+    };
+    const playerData = data?.players[player.userId];
+    if (player.confirmedBanned) {
+      return createEvent('ban', info, seen, timestamp, `ban:${player.userId}:${lastTransition(playerData)}`);
+    }
+
+    const previousSuspendedUntil = replacedSuspension(playerData, player.suspendedUntil);
+    const suspendedUntil = player.suspendedUntil ? new Date(player.suspendedUntil).toISOString() : null;
+    const dedupKey = `suspension:${player.userId}:${suspendedUntil}:${lastTransition(playerData)}`;
+    return previousSuspendedUntil === undefined
+      ? createEvent('suspension', info, { suspendedUntil, ...seen }, timestamp, dedupKey)
+      : createEvent('suspension_update', info, { suspendedUntil, previousSuspendedUntil, ...seen }, timestamp, dedupKey);
+  });
+}
+
+export function deletionEvents(players, data, timestamp) {
+  return players.map(player => createEvent('deletion', playerInfo(player.userId, player.nick, player.countryCode), {
+    rating: numberOrNull(player.lastRating?.rating),
+    position: numberOrNull(player.lastRating?.position),
+    hoursSinceSeen: player.hoursSinceSeen ?? null
+  }, timestamp, `deletion:${player.userId}:${lastTransition(data?.players[player.userId])}`));
+}
+
+// `type` is 'unban' or 'unsuspension'
+export function unsanctionEvent(type, player, playerData, timestamp) {
+  return createEvent(type, playerInfo(player.userId, player.nick, player.countryCode || playerData?.countryCode), {
+    rating: numberOrNull(player.rating),
+    position: numberOrNull(player.position),
+    sanctionDays: playerData ? getSanctionDurationDays(playerData, timestamp) : null
+  }, timestamp, `${type}:${player.userId}:${lastTransition(playerData)}`);
+}
+
+export function nicknameChangeEvent(userId, oldNick, newNick, playerData, timestamp) {
+  return createEvent('nickname_change', playerInfo(userId, newNick, playerData?.countryCode), { oldNick, newNick }, timestamp, `nickname:${userId}:${newNick}`);
+}
+
+// what sinks receive, without the dispatcher's bookkeeping
+export function publicEvent({ dedupKey, ...event }) {
+  return event;
+}
+
+// `notifier` is the Discord notifier, still used for the status messages, digests and anomaly alerts
+// whatever the sinks. Sinks: { name, announcements, handle(events, announcement) }, a sink with
+// `announcements` gets every call of the checker (announcement = { method, args }), the others only
+// the events they were not given yet.
+export function createEventDispatcher({ notifier, sinks = [], now = Date.now }) {
+  const recent = new Map();
+
+  function unseen(events) {
+    const time = now();
+    for (const [key, seenAt] of recent) {
+      if (time - seenAt > DEDUP_MS) recent.delete(key);
+    }
+    return events.filter(event => {
+      if (recent.has(event.dedupKey)) return false;
+      recent.set(event.dedupKey, time);
+      return true;
+    });
+  }
+
+  async function dispatch(events, method, args) {
+    const fresh = unseen(events).map(publicEvent);
+    const all = events.map(publicEvent);
+
+    for (const sink of sinks) {
+      const batch = sink.announcements ? all : fresh;
+      if (batch.length === 0) continue;
+      try {
+        await sink.handle(batch, { method, args });
+      } catch (error) {
+        console.error(`Error in the ${sink.name} event sink:`, error);
+      }
+    }
+  }
+
+  return {
+    sendStatusMessage: (...args) => notifier.sendStatusMessage(...args),
+    sendDigest: (...args) => notifier.sendDigest(...args),
+    sendAnomalyNotification: (...args) => notifier.sendAnomalyNotification(...args),
+
+    sendBanNotification: (players, channelId = null, data = null) =>
+      dispatch(sanctionEvents(players, data, now()), 'sendBanNotification', [players, channelId, data]),
+    sendDeletedAccountNotification: (players, channelId = null, data = null) =>
+      dispatch(deletionEvents(players, data, now()), 'sendDeletedAccountNotification', [players, channelId, data]),
+    sendUnbanNotification: (player, playerData, channelId = null) =>
+      dispatch([unsanctionEvent('unban', player, playerData, now())], 'sendUnbanNotification', [player, playerData, channelId]),
+    sendUnsuspendNotification: (player, playerData, channelId = null) =>
+      dispatch([unsanctionEvent('unsuspension', player, playerData, now())], 'sendUnsuspendNotification', [player, playerData, channelId]),
+    sendNicknameChangeNotification: (userId, oldNick, newNick, playerData) =>
+      dispatch([nicknameChangeEvent(userId, oldNick, newNick, playerData, now())], 'sendNicknameChangeNotification', [userId, oldNick, newNick, playerData])
+  };
+}
+
+const DESCRIPTIONS = {
+  ban: ({ details }) => `banned${details.position !== null ? ` (#${details.position}, ${details.rating} ELO)` : ''}`,
+  suspension: ({ details }) => `suspended until ${details.suspendedUntil ? details.suspendedUntil.split('T')[0] : 'an unknown date'}`,
+  suspension_update: ({ details }) => `suspension changed to end on ${details.suspendedUntil ? details.suspendedUntil.split('T')[0] : 'an unknown date'}` +
+    (details.previousSuspendedUntil ? ` instead of ${details.previousSuspendedUntil.split('T')[0]}` : ''),
+  unban: ({ details }) => `unbanned${details.sanctionDays !== null ? ` after ${details.sanctionDays} days` : ''}`,
+  unsuspension: ({ details }) => `unsuspended${details.sanctionDays !== null ? ` after ${details.sanctionDays} days` : ''}`,
+  deletion: () => 'deleted their account',
+  nickname_change: ({ details }) => `renamed from ${details.oldNick}`
+};
+
+// one line for humans, "Flykii banned (#12, 2100 ELO)"
+export function describeEvent(event) {
+  return `${event.player.nick} ${DESCRIPTIONS[event.type](event)}`;
+}
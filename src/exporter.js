@@ -0,0 +1,142 @@
+import zlib from 'zlib';
+import Papa from 'papaparse';
+import { DateTime } from 'luxon';
+
+// Data behind /export. The history merges the two CSV files into one row per event, the tracking
+// export flattens player_tracking.json into one row per player for spreadsheets. Filters:
+//   from / to   dates (YYYY-MM-DD, inclusive) of the history rows
+//   action      BANNED, SUSPENDED, DELETED_ACCOUNT or UNBANNED (unbanned and unsuspended rows)
+//   country     two-letter country code
+//   minElo / maxElo  ELO at the time of the event, or the last ELO seen for the tracking export
+
+export const EXPORT_ACTIONS = ['BANNED', 'SUSPENDED', 'DELETED_ACCOUNT', 'UNBANNED'];
+
+// largest attachment a bot can send to a server without boosts
+export const ATTACHMENT_LIMIT_BYTES = 10 * 1024 * 1024;
+
+export const HISTORY_EXPORT_COLUMNS = [
+  'Date', 'Username', 'UserID', 'Profile_URL', 'countryCode', 'ELO', 'Position',
+  'Action', 'Suspended_Until', 'Previous_Action_Type', 'Duration_Days'
+];
+
+export const TRACKING_EXPORT_COLUMNS = [
+  'UserID', 'Nick', 'countryCode', 'Status', 'Suspended_Until', 'ELO', 'Position', 'Ladders',
+  'First_Seen', 'Last_Seen', 'Banned_At', 'Suspended_At', 'Unbanned_At', 'Unsuspended_At', 'Deleted_At',
+  'Events', 'Profile_URL'
+];
+
+function parseDate(value, name) {
+  if (!value) return null;
+  const date = DateTime.fromISO(value, { zone: 'utc' });
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || !date.isValid) {
+    throw new Error(`\`${name}\` must be a date like 2025-01-31`);
+  }
+  return value;
+}
+
+// throws an Error with a message that can be shown to the user
+export function parseExportFilters({ from, to, action, country, minElo, maxElo } = {}) {
+  const filters = {
+    from: parseDate(from, 'from'),
+    to: parseDate(to, 'to'),
+    action: action || null,
+    country: country ? country.trim().toLowerCase() : null,
+    minElo: minElo ?? null,
+    maxElo: maxElo ?? null
+  };
+
+  if (filters.from && filters.to && filters.from > filters.to) {
+    throw new Error('`from` is after `to`');
+  }
+  if (filters.action && !EXPORT_ACTIONS.includes(filters.action)) {
+    throw new Error(`\`action\` must be one of ${EXPORT_ACTIONS.join(', ')}`);
+  }
+  if (filters.country && !/^[a-z]{2}$/.test(filters.country)) {
+    throw new Error('`country` must be a two-letter country code like FR');
+  }
+  if (filters.minElo !== null && filters.maxElo !== null && filters.minElo > filters.maxElo) {
+    throw new Error('`min_elo` is above `max_elo`');
+  }
+  return filters;
+}
+
+function matchesPlayerFilters(countryCode, elo, filters) {
+  if (filters.country && (countryCode || '').toLowerCase() !== filters.country) return false;
+  if (filters.minElo !== null || filters.maxElo !== null) {
+    const value = Number(elo);
+    if (elo === null || elo === undefined || elo === '' || !Number.isFinite(value)) return false;
+    if (filters.minElo !== null && value < filters.minElo) return false;
+    if (filters.maxElo !== null && value > filters.maxElo) return false;
+  }
+  return true;
+}
+
+export function buildHistoryExport(sanctionRows, unsanctionRows, filters) {
+  const rows = [
+    ...sanctionRows.map(row => ({ ...row, Action: row.Action_Type })),
+    ...unsanctionRows.map(row => ({ ...row, Action: 'UNBANNED' }))
+  ];
+
+  return rows
+    .filter(row => !filters.action || row.Action === filters.action)
+    .filter(row => !filters.from || row.Date >= filters.from)
+    .filter(row => !filters.to || row.Date <= filters.to)
+    .filter(row => matchesPlayerFilters(row.countryCode, row.ELO, filters))
+    // stable sort, rows of the same day keep the order they were recorded in
+    .sort((a, b) => (a.Date < b.Date ? -1 : a.Date > b.Date ? 1 : 0))
+    .map(row => Object.fromEntries(HISTORY_EXPORT_COLUMNS.map(column => [column, row[column] ?? ''])));
+}
+
+function isoDate(timestamp) {
+  return timestamp ? new Date(timestamp).toISOString() : '';
+}
+
+// date and action filters only apply to the history
+export function buildTrackingExport(data, filters) {
+  const rows = [];
+  for (const [userId, playerData] of Object.entries(data.players)) {
+    const lastRating = playerData.ratings?.at(-1);
+    if (!matchesPlayerFilters(playerData.countryCode, lastRating?.rating, filters)) continue;
+
+    rows.push({
+      UserID: userId,
+      Nick: playerData.nick || '',
+      countryCode: playerData.countryCode || '',
+      Status: playerData.status || '',
+      Suspended_Until: playerData.suspendedUntil || '',
+      ELO: lastRating?.rating ?? '',
+      Position: lastRating?.position ?? '',
+      Ladders: Object.entries(playerData.ladders || {})
+        .map(([ladderId, { rating, position }]) => `${ladderId}:${rating}#${position}`)
+        .join(' '),
+      First_Seen: isoDate(playerData.firstSeen),
+      Last_Seen: isoDate(playerData.lastSeen),
+      Banned_At: isoDate(playerData.bannedAt),
+      Suspended_At: isoDate(playerData.suspendedAt),
+      Unbanned_At: isoDate(playerData.unbannedAt),
+      Unsuspended_At: isoDate(playerData.unsuspendedAt),
+      Deleted_At: isoDate(playerData.deletedAt),
+      Events: (playerData.events || []).length,
+      Profile_URL: `https://www.geoguessr.com/user/${userId}`
+    });
+  }
+  return rows;
+}
+
+// nicknames come from GeoGuessr users, a cell starting with = + - or @ is quoted so spreadsheets
+// do not run it as a formula
+export function serializeExport(rows, columns, format) {
+  return format === 'json'
+    ? JSON.stringify(rows, null, 2)
+    : Papa.unparse({ fields: columns, data: rows.map(row => columns.map(column => row[column])) }, { escapeFormulae: true });
+}
+
+// the attachment for `content`, gzipped when it is over the Discord limit. null when it is too big
+// even then
+export function exportAttachment(content, name, limit = ATTACHMENT_LIMIT_BYTES) {
+  const data = Buffer.from(content, 'utf8');
+  if (data.length <= limit) return { data, name, compressed: false };
+
+  const gzipped = zlib.gzipSync(data);
+  return gzipped.length <= limit ? { data: gzipped, name: `${name}.gz`, compressed: true } : null;
+}
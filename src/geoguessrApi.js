@@ -0,0 +1,224 @@
+import http from 'http';
+import https from 'https';
+
+// GeoGuessr API client. Every request goes through one token bucket (requestsPerSecond, up to
+// `burst` at once) shared by all callers, so callers can fire their requests all together and
+// let the client pace them. A 429 pauses the whole bucket for the Retry-After duration.
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36';
+
+async function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(header, now) {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(header);
+  return isNaN(date) ? null : Math.max(0, date - now());
+}
+
+export function createTokenBucket({ requestsPerSecond, burst, now = Date.now }) {
+  let tokens = burst;
+  let lastRefill = now();
+  let pausedUntil = 0;
+  let timer = null;
+  const waiters = [];
+
+  function refill() {
+    const time = now();
+    // lastRefill is in the future while paused
+    if (time <= lastRefill) return;
+    tokens = Math.min(burst, tokens + (time - lastRefill) / 1000 * requestsPerSecond);
+    lastRefill = time;
+  }
+
+  function pump() {
+    timer = null;
+    refill();
+
+    const time = now();
+    while (waiters.length > 0 && time >= pausedUntil && tokens >= 1) {
+      tokens -= 1;
+      waiters.shift()();
+    }
+
+    if (waiters.length > 0) {
+      const waitForToken = tokens >= 1 ? 0 : (1 - tokens) / requestsPerSecond * 1000;
+      const wait = Math.max(pausedUntil - time, waitForToken);
+      timer = setTimeout(pump, Math.ceil(wait));
+    }
+  }
+
+  return {
+    take() {
+      return new Promise(resolve => {
+        waiters.push(resolve);
+        if (!timer) pump();
+      });
+    },
+    pause(ms) {
+      pausedUntil = Math.max(pausedUntil, now() + ms);
+      // nothing was sent during the pause, don't let the bucket refill into a burst right after it
+      tokens = 0;
+      lastRefill = pausedUntil;
+    },
+    get queued() {
+      return waiters.length;
+    }
+  };
+}
+
+export function createApiClient({
+  baseUrl,
+  cookie,
+  requestsPerSecond = 12,
+  burst = 20,
+  maxRetries = 3,
+  timeoutMs = 12000,
+  onRateLimit = () => {},
+  now = Date.now
+}) {
+  const isHttps = baseUrl.startsWith('https:');
+  const transport = isHttps ? https : http;
+  const agent = new transport.Agent({ keepAlive: true, maxSockets: burst });
+  const bucket = createTokenBucket({ requestsPerSecond, burst, now });
+
+  let currentCookie = cookie;
+
+  const stats = {
+    requests: 0,
+    byStatus: {},
+    rateLimited: 0,
+    retries: 0,
+    networkErrors: 0 // no response at all: connection errors and timeouts
+  };
+
+  function headers(cookieValue) {
+    return {
+      'User-Agent': USER_AGENT,
+      'Content-Type': 'application/json; charset=utf-8',
+      'Accept': 'application/json; charset=utf-8',
+      'Cookie': `_ncfa=${cookieValue}`
+    };
+  }
+
+  function requestOnce(url, cookieValue) {
+    return new Promise((resolve, reject) => {
+      const request = transport.get(url, { headers: headers(cookieValue), agent }, (res) => {
+        stats.requests++;
+        stats.byStatus[res.statusCode] = (stats.byStatus[res.statusCode] || 0) + 1;
+
+        let body = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => body += chunk);
+        res.on('end', () => {
+          if (res.statusCode === 429) {
+            const error = new Error('Rate limited');
+            error.status = 429;
+            error.retryAfterMs = parseRetryAfter(res.headers['retry-after'], now);
+            return reject(error);
+          }
+
+          if (res.statusCode === 401) {
+            const error = new Error('HTTP 401: Not logged in');
+            error.status = 401;
+            return reject(error);
+          }
+
+          if (res.statusCode === 404 || res.statusCode === 403) {
+            const error = new Error(`HTTP ${res.statusCode}: User not accessible`);
+            error.status = res.statusCode;
+            return reject(error);
+          }
+
+          if (res.statusCode !== 200) {
+            const error = new Error(`HTTP Error: ${res.statusCode}`);
+            error.status = res.statusCode;
+            return reject(error);
+          }
+
+          try {
+            resolve(JSON.parse(body));
+          } catch (error) {
+            reject(new Error('Invalid JSON response'));
+          }
+        });
+      });
+
+      request.on('error', error => {
+        stats.networkErrors++;
+        reject(error);
+      });
+      request.setTimeout(timeoutMs, () => {
+        request.destroy(new Error('Request timeout'));
+      });
+    });
+  }
+
+  // `cookie` sends the request with another cookie than the current one (to try a new one)
+  async function get(path, { retries = maxRetries, cookie: cookieValue = currentCookie } = {}) {
+    const url = `${baseUrl}${path}`;
+    let lastError;
+
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      await bucket.take();
+
+      try {
+        return await requestOnce(url, cookieValue);
+      } catch (error) {
+        lastError = error;
+
+        // the session is gone or the account does not exist, retrying cannot fix that
+        if (error.status === 401 || error.status === 404) throw error;
+
+        if (error.status === 429) {
+          stats.rateLimited++;
+          onRateLimit();
+          const waitTime = error.retryAfterMs ?? Math.min(15000 + attempt * 5000, 45000);
+          bucket.pause(waitTime);
+          console.log(`Rate limited on ${path}, pausing all requests for ${Math.round(waitTime / 1000)}s`);
+        }
+
+        if (attempt < retries) {
+          stats.retries++;
+          if (error.status !== 429) {
+            const waitTime = error.status === 403 ? 2000 + attempt * 1000 : 3000 + attempt * 2000;
+            console.log(`Attempt ${attempt + 1} failed for ${path}, waiting ${waitTime / 1000}s: ${error.message}`);
+            await delay(waitTime);
+          }
+        }
+      }
+    }
+
+    throw lastError;
+  }
+
+  // Probes an endpoint that needs a logged in session: false when the cookie is expired or
+  // invalid, other errors (network, 5xx) are thrown since they say nothing about the cookie
+  async function checkAuth(cookieValue = currentCookie) {
+    try {
+      await get('/v3/profiles', { retries: 1, cookie: cookieValue });
+      return true;
+    } catch (error) {
+      if (error.status === 401 || error.status === 403) return false;
+      throw error;
+    }
+  }
+
+  return {
+    get,
+    checkAuth,
+    setCookie(newCookie) {
+      currentCookie = newCookie;
+    },
+    getUser: userId => get(`/v3/users/${userId}`),
+    getRatings: (path, offset, limit) => get(`${path}?offset=${offset}&limit=${limit}`),
+    stats,
+    get queued() {
+      return bucket.queued;
+    }
+  };
+}
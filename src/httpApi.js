@@ -0,0 +1,259 @@
+import crypto from 'crypto';
+import http from 'http';
+import { parseExportFilters, buildHistoryExport } from './exporter.js';
+import { getNicknames } from './nicknames.js';
+
+// Read-only JSON API over the tracking data, for the tools that cannot read the bot's files. Every
+// request needs the key, as `Authorization: Bearer <key>` or `X-API-Key: <key>`.
+//   GET /players          ?status=banned,suspended &country=fr &min_elo= &max_elo= &offset= &limit=
+//   GET /players/:userId  one player with its ratings, status changes, nicknames and CSV history
+//   GET /events           status changes of every player, newest first, ?since=2025-01-31 &offset= &limit=
+//   GET /checks/last      the last check run and the check counters
+//   GET /metrics          Prometheus metrics (src/metrics.js) when `metrics` is given
+// Lists are { total, offset, limit, items }, ordered so that consecutive pages do not overlap
+// while the data does not change. Errors are { error } with the HTTP status.
+
+export const PLAYER_STATUSES = ['active', 'banned', 'suspended', 'suspension_expired', 'deleted_account'];
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+const JSON_CONTENT_TYPE = 'application/json; charset=utf-8';
+const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+class ApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function isoDate(timestamp) {
+  return timestamp ? new Date(timestamp).toISOString() : null;
+}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest();
+}
+
+function requestKey(req) {
+  const bearer = req.headers.authorization?.match(/^Bearer\s+(.+)$/i);
+  return bearer ? bearer[1].trim() : req.headers['x-api-key'] || null;
+}
+
+function parseInteger(params, name, fallback, min, max) {
+  const value = params.get(name);
+  if (value === null || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new ApiError(400, `\`${name}\` must be a whole number between ${min} and ${max}`);
+  }
+  return number;
+}
+
+function paginate(items, params) {
+  const offset = parseInteger(params, 'offset', 0, 0, Number.MAX_SAFE_INTEGER);
+  const limit = parseInteger(params, 'limit', DEFAULT_LIMIT, 1, MAX_LIMIT);
+  return { total: items.length, offset, limit, items: items.slice(offset, offset + limit) };
+}
+
+function parseStatuses(value) {
+  if (!value) return null;
+  const statuses = value.split(',').map(status => status.trim()).filter(Boolean);
+  const unknown = statuses.find(status => !PLAYER_STATUSES.includes(status));
+  if (unknown) {
+    throw new ApiError(400, `Unknown status "${unknown}", use ${PLAYER_STATUSES.join(', ')}`);
+  }
+  return statuses;
+}
+
+function parsePlayerFilters(params) {
+  const elo = name => {
+    const value = params.get(name);
+    if (value === null || value === '') return null;
+    if (!Number.isFinite(Number(value))) throw new ApiError(400, `\`${name}\` must be a number`);
+    return Number(value);
+  };
+
+  try {
+    return {
+      statuses: parseStatuses(params.get('status')),
+      ...parseExportFilters({ country: params.get('country'), minElo: elo('min_elo'), maxElo: elo('max_elo') })
+    };
+  } catch (error) {
+    throw error instanceof ApiError ? error : new ApiError(400, error.message);
+  }
+}
+
+function playerSummary(userId, playerData) {
+  const lastRating = playerData.ratings?.at(-1);
+  return {
+    userId,
+    nick: playerData.nick || null,
+    countryCode: playerData.countryCode || null,
+    status: playerData.status || null,
+    suspendedUntil: playerData.suspendedUntil || null,
+    rating: lastRating?.rating ?? null,
+    position: lastRating?.position ?? null,
+    ladders: playerData.ladders || {},
+    firstSeen: isoDate(playerData.firstSeen),
+    lastSeen: isoDate(playerData.lastSeen),
+    profileUrl: `https://www.geoguessr.com/user/${userId}`
+  };
+}
+
+function statusChange(event) {
+  return {
+    from: event.from ?? null,
+    to: event.to,
+    timestamp: isoDate(event.timestamp),
+    source: event.source ?? null,
+    suspendedUntil: event.suspendedUntil ?? null,
+    rating: event.rating ?? null,
+    position: event.position ?? null
+  };
+}
+
+export function createHttpApi({ storage, apiKey, metrics = null }) {
+  if (!apiKey) {
+    throw new Error('An API key is required to serve the HTTP API');
+  }
+  const expectedKey = hashKey(apiKey);
+
+  function listPlayers(params) {
+    const filters = parsePlayerFilters(params);
+    const players = Object.entries(storage.loadPlayerData().players)
+      .filter(([, playerData]) => !filters.statuses || filters.statuses.includes(playerData.status))
+      .map(([userId, playerData]) => playerSummary(userId, playerData))
+      .filter(player => !filters.country || (player.countryCode || '').toLowerCase() === filters.country)
+      .filter(player => filters.minElo === null || (player.rating !== null && player.rating >= filters.minElo))
+      .filter(player => filters.maxElo === null || (player.rating !== null && player.rating <= filters.maxElo))
+      // best rated first, players without a rating last
+      .sort((a, b) => (b.rating ?? -Infinity) - (a.rating ?? -Infinity) || a.userId.localeCompare(b.userId));
+    return paginate(players, params);
+  }
+
+  function getPlayer(userId) {
+    const playerData = storage.loadPlayerData().players[userId];
+    if (!playerData) throw new ApiError(404, `No tracked player with the id ${userId}`);
+
+    const history = buildHistoryExport(
+      storage.readSanctionRows().filter(row => row.UserID === userId),
+      storage.readUnsanctionRows().filter(row => row.UserID === userId),
+      parseExportFilters()
+    );
+    return {
+      ...playerSummary(userId, playerData),
+      ratings: (playerData.ratings || []).map(({ rating, position, timestamp }) => ({ rating, position, timestamp: isoDate(timestamp) })),
+      events: (playerData.events || []).map(statusChange),
+      nicknames: getNicknames(playerData).map(({ nick, firstSeen, lastSeen }) => ({ nick, firstSeen: isoDate(firstSeen), lastSeen: isoDate(lastSeen) })),
+      history
+    };
+  }
+
+  function listEvents(params) {
+    const sinceValue = params.get('since');
+    const since = sinceValue ? Date.parse(sinceValue) : null;
+    if (sinceValue && isNaN(since)) throw new ApiError(400, '`since` must be a date like 2025-01-31');
+
+    const events = [];
+    for (const [userId, playerData] of Object.entries(storage.loadPlayerData().players)) {
+      for (const event of playerData.events || []) {
+        if (since !== null && new Date(event.timestamp).getTime() < since) continue;
+        events.push({ userId, nick: playerData.nick || null, countryCode: playerData.countryCode || null, ...statusChange(event) });
+      }
+    }
+    // ISO timestamps sort as strings
+    events.sort((a, b) => (b.timestamp || '').localeCompare(a.timestamp || '') || a.userId.localeCompare(b.userId));
+    return paginate(events, params);
+  }
+
+  function getLastCheck() {
+    const { lastCheck, totalChecks } = storage.getStats();
+    const run = storage.getLastCheckRun();
+    return {
+      lastCheck: isoDate(lastCheck),
+      totalChecks,
+      lastRun: run && {
+        startedAt: isoDate(run.startedAt),
+        finishedAt: isoDate(run.finishedAt),
+        success: run.success,
+        playersChecked: run.playersChecked ?? null,
+        newSanctions: run.newSanctions ?? null,
+        newDeletions: run.newDeletions ?? null,
+        unsanctions: run.unsanctions ?? null,
+        error: run.error ?? null
+      }
+    };
+  }
+
+  function route(method, pathname, params) {
+    if (method !== 'GET') throw new ApiError(405, 'Only GET requests are supported');
+
+    if (pathname === '/players') return listPlayers(params);
+    const playerMatch = pathname.match(/^\/players\/([^/]+)$/);
+    if (playerMatch) {
+      let userId;
+      try {
+        userId = decodeURIComponent(playerMatch[1]);
+      } catch {
+        throw new ApiError(400, 'Malformed player id');
+      }
+      return getPlayer(userId);
+    }
+    if (pathname === '/events') return listEvents(params);
+    if (pathname === '/checks/last') return getLastCheck();
+    if (pathname === '/metrics' && metrics) return metrics.render();
+    throw new ApiError(404, `Unknown endpoint ${pathname}`);
+  }
+
+  function handle(req, res) {
+    let status = 200;
+    let contentType = JSON_CONTENT_TYPE;
+    let content;
+    try {
+      const key = requestKey(req);
+      if (!key || !crypto.timingSafeEqual(hashKey(key), expectedKey)) {
+        throw new ApiError(401, 'Missing or invalid API key');
+      }
+      const url = new URL(req.url, 'http://localhost');
+      const body = route(req.method, url.pathname.replace(/\/+$/, '') || '/', url.searchParams);
+      // only the metrics come as text
+      if (typeof body === 'string') {
+        content = body;
+        contentType = PROMETHEUS_CONTENT_TYPE;
+      } else {
+        content = JSON.stringify(body);
+      }
+    } catch (error) {
+      if (!(error instanceof ApiError)) console.error(`Error in the HTTP API for ${req.url}:`, error);
+      status = error instanceof ApiError ? error.status : 500;
+      content = JSON.stringify({ error: error instanceof ApiError ? error.message : 'Internal error, check the bot logs' });
+    }
+
+    res.writeHead(status, {
+      'Content-Type': contentType,
+      'Content-Length': Buffer.byteLength(content),
+      'Cache-Control': 'no-store',
+      ...(status === 401 ? { 'WWW-Authenticate': 'Bearer' } : {}),
+      ...(status === 405 ? { Allow: 'GET' } : {})
+    });
+    res.end(content);
+  }
+
+  const server = http.createServer(handle);
+
+  return {
+    // resolves with the address actually listened on, port 0 picks a free port
+    listen: (port, host = '127.0.0.1') => new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, () => {
+        server.off('error', reject);
+        resolve(server.address());
+      });
+    }),
+    close: () => new Promise(resolve => {
+      server.close(() => resolve());
+      server.closeAllConnections();
+    })
+  };
+}
@@ -0,0 +1,60 @@
+// Ranked ladders the checks follow. Each ladder is one ratings endpoint:
+//   id        key used in playerData.ladders and the logs
+//   name      shown in Discord
+//   path      ratings endpoint, paged with ?offset=&limit=
+//   depth     how many players from the top of the ladder are tracked
+//   channelId where the ladder's bans, unbans and deletions are announced ('' = the default channels)
+// playerData.ladders keeps the last rating/position seen on each ladder, playerData.ratings keeps
+// the history of the first configured ladder listing the player (solo duels for most players).
+
+export const SOLO_DUELS_LADDER = {
+  id: 'solo',
+  name: 'Solo Duels',
+  path: '/v4/ranked-system/ratings',
+  depth: 2000,
+  channelId: ''
+};
+
+export const TEAM_DUELS_LADDER = {
+  id: 'team',
+  name: 'Team Duels',
+  path: '/v4/ranked-team-duels/ratings',
+  depth: 500,
+  channelId: ''
+};
+
+// the ladders of the .env: LEADERBOARD_DEPTH for solo duels, TEAM_DUELS_DEPTH (0 = not followed)
+// and TEAM_DUELS_CHANNEL_ID for team duels
+export function laddersFromEnv(env = process.env) {
+  const teamDepth = env.TEAM_DUELS_DEPTH !== undefined && env.TEAM_DUELS_DEPTH !== '' ? Number(env.TEAM_DUELS_DEPTH) : TEAM_DUELS_LADDER.depth;
+  const ladders = [{ ...SOLO_DUELS_LADDER, depth: Number(env.LEADERBOARD_DEPTH) || SOLO_DUELS_LADDER.depth }];
+  if (teamDepth !== 0) {
+    ladders.push({ ...TEAM_DUELS_LADDER, depth: teamDepth, channelId: env.TEAM_DUELS_CHANNEL_ID || '' });
+  }
+  return validateLadders(ladders);
+}
+
+export function validateLadders(ladders) {
+  if (!Array.isArray(ladders) || ladders.length === 0) {
+    throw new Error('At least one ladder must be configured');
+  }
+
+  const ids = new Set();
+  for (const ladder of ladders) {
+    if (!ladder.id || !ladder.name || !ladder.path) {
+      throw new Error(`Ladder ${JSON.stringify(ladder)} needs an id, a name and a path`);
+    }
+    if (ids.has(ladder.id)) {
+      throw new Error(`Ladder id "${ladder.id}" is used twice`);
+    }
+    if (!Number.isInteger(ladder.depth) || ladder.depth <= 0) {
+      throw new Error(`Ladder "${ladder.id}" needs a positive depth`);
+    }
+    ids.add(ladder.id);
+  }
+  return ladders;
+}
+
+export function describeLadders(ladders) {
+  return ladders.map(ladder => `top ${ladder.depth} ${ladder.name}`).join(', ');
+}
@@ -0,0 +1,133 @@
+import { EVENT_TYPES } from './events.js';
+
+// Prometheus metrics, served in the text format on GET /metrics by the HTTP API (src/httpApi.js).
+// The check metrics are recorded from the check runs, the events from an event sink, the GeoGuessr
+// API ones are read from the client's counters and the tracked players from the storage after each
+// check. Counters start from 0 when the bot restarts, Prometheus handles that with rate().
+
+// seconds, a full check of a 2000 players leaderboard takes a few minutes
+const CHECK_DURATION_BUCKETS = [30, 60, 120, 300, 600, 1200, 1800, 3600];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  return entries.length === 0 ? '' : `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+// `samples` is a list of [labels, value], or a single value for a metric without labels
+function formatMetric(name, type, help, samples) {
+  const list = Array.isArray(samples) ? samples : [[{}, samples]];
+  return [
+    `# HELP ${name} ${help}`,
+    `# TYPE ${name} ${type}`,
+    ...list.map(([labels, value]) => `${name}${formatLabels(labels)} ${value}`)
+  ].join('\n');
+}
+
+function formatHistogram(name, help, bounds, bucketCounts, sum, count) {
+  return [
+    `# HELP ${name} ${help}`,
+    `# TYPE ${name} histogram`,
+    ...bounds.map((bound, index) => `${name}_bucket{le="${bound}"} ${bucketCounts[index]}`),
+    `${name}_bucket{le="+Inf"} ${count}`,
+    `${name}_sum ${sum}`,
+    `${name}_count ${count}`
+  ].join('\n');
+}
+
+// `scannerStatus` returns the status of the profile scanner (src/scanner.js), null when checks run hourly
+export function createMetrics({ apiClient, storage, scannerStatus = null }) {
+  const checks = { success: 0, failure: 0 };
+  const durationBuckets = CHECK_DURATION_BUCKETS.map(() => 0);
+  let durationSum = 0;
+  let durationCount = 0;
+  let playersCheckedTotal = 0;
+  let lastPlayersChecked = null;
+  let lastSuccessfulCheck = null;
+  let trackedPlayers = null;
+  const events = Object.fromEntries(EVENT_TYPES.map(type => [type, 0]));
+
+  // tracked players and last check from the storage, so they are right from the first scrape
+  function refreshStorage() {
+    try {
+      const stats = storage.getStats();
+      trackedPlayers = stats.statusCounts;
+      if (stats.lastCheck) lastSuccessfulCheck = Math.max(lastSuccessfulCheck ?? 0, stats.lastCheck);
+    } catch (error) {
+      console.error('Error reading the storage for the metrics:', error.message);
+    }
+  }
+
+  function recordCheckRun(run) {
+    checks[run.success ? 'success' : 'failure']++;
+
+    if (run.finishedAt && run.startedAt) {
+      const seconds = (run.finishedAt - run.startedAt) / 1000;
+      durationSum += seconds;
+      durationCount++;
+      CHECK_DURATION_BUCKETS.forEach((bound, index) => {
+        if (seconds <= bound) durationBuckets[index]++;
+      });
+    }
+
+    if (run.success) {
+      playersCheckedTotal += run.playersChecked || 0;
+      lastPlayersChecked = run.playersChecked ?? null;
+      lastSuccessfulCheck = run.finishedAt;
+    }
+    refreshStorage();
+  }
+
+  // for the event dispatcher (src/events.js), counts every event once
+  const eventSink = {
+    name: 'metrics',
+    handle(newEvents) {
+      for (const event of newEvents) {
+        events[event.type] = (events[event.type] || 0) + 1;
+      }
+    }
+  };
+
+  function render() {
+    if (trackedPlayers === null) refreshStorage();
+    const { stats } = apiClient;
+
+    const metrics = [
+      formatMetric('geoban_checks_total', 'counter', 'Check runs by result.',
+        Object.entries(checks).map(([result, count]) => [{ result }, count])),
+      formatHistogram('geoban_check_duration_seconds', 'Duration of the check runs.',
+        CHECK_DURATION_BUCKETS, durationBuckets, durationSum, durationCount),
+      formatMetric('geoban_players_checked_total', 'counter', 'Players checked by the successful check runs.', playersCheckedTotal),
+      formatMetric('geoban_tracked_players', 'gauge', 'Tracked players by status.',
+        Object.entries(trackedPlayers || {}).map(([status, count]) => [{ status }, count])),
+      formatMetric('geoban_events_total', 'counter', 'Events detected by type.',
+        Object.entries(events).map(([type, count]) => [{ type }, count])),
+      formatMetric('geoban_geoguessr_requests_total', 'counter', 'GeoGuessr API responses by HTTP status code.',
+        Object.entries(stats.byStatus).map(([code, count]) => [{ code }, count])),
+      formatMetric('geoban_geoguessr_network_errors_total', 'counter', 'GeoGuessr API requests that got no response (network error or timeout).', stats.networkErrors),
+      formatMetric('geoban_geoguessr_rate_limited_total', 'counter', 'GeoGuessr API 429 responses.', stats.rateLimited),
+      formatMetric('geoban_geoguessr_retries_total', 'counter', 'GeoGuessr API requests retried after an error.', stats.retries),
+      formatMetric('geoban_geoguessr_queued_requests', 'gauge', 'GeoGuessr API requests waiting for the rate limiter.', apiClient.queued)
+    ];
+    if (lastPlayersChecked !== null) {
+      metrics.push(formatMetric('geoban_last_check_players_checked', 'gauge', 'Players checked by the last successful check run.', lastPlayersChecked));
+    }
+    if (lastSuccessfulCheck !== null) {
+      metrics.push(formatMetric('geoban_last_successful_check_timestamp_seconds', 'gauge', 'Unix time of the end of the last successful check.', lastSuccessfulCheck / 1000));
+    }
+    const scanner = scannerStatus?.();
+    if (scanner) {
+      metrics.push(
+        formatMetric('geoban_scanner_profile_checks_total', 'counter', 'Profiles looked up by the scanner.', scanner.checks),
+        formatMetric('geoban_scanner_targets', 'gauge', 'Players the scanner keeps checking.', scanner.targets),
+        formatMetric('geoban_scanner_overdue_players', 'gauge', 'Players not checked within the scanner SLA.', scanner.overdue)
+      );
+    }
+    return metrics.join('\n') + '\n';
+  }
+
+  return { recordCheckRun, eventSink, render };
+}
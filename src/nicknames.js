@@ -0,0 +1,94 @@
+import { normalizeNick } from './storage/common.js';
+
+// Every nickname a player was seen with, kept in playerData.nicknames:
+//   [{ nick, firstSeen, lastSeen }], one entry per name, oldest first
+// Players tracked before the list existed start it with their current nick.
+// Searches match the current and former names, exactly, then by "skeleton": the name without
+// accents, zero-width characters and case, with look-alike letters (Cyrillic а, Greek ο, 0 for O,
+// 1 and I for l...) replaced by the Latin letter they imitate.
+
+const CONFUSABLES = {
+  // Cyrillic
+  'а': 'a', 'в': 'b', 'е': 'e', 'ё': 'e', 'к': 'k', 'м': 'm', 'н': 'h', 'о': 'o', 'р': 'p', 'с': 'c',
+  'т': 't', 'у': 'y', 'х': 'x', 'ѕ': 's', 'і': 'l', 'ї': 'l', 'ј': 'j', 'ԁ': 'd', 'һ': 'h', 'ӏ': 'l',
+  'ԛ': 'q', 'ԝ': 'w', 'ь': 'b',
+  // Greek
+  'α': 'a', 'β': 'b', 'ε': 'e', 'η': 'n', 'ι': 'l', 'κ': 'k', 'ν': 'v', 'ο': 'o', 'ρ': 'p', 'τ': 't',
+  'υ': 'u', 'χ': 'x', 'ω': 'w',
+  // digits and symbols standing in for letters
+  '0': 'o', '1': 'l', '|': 'l', 'i': 'l', '!': 'l', '5': 's', '$': 's', '@': 'a'
+};
+const INVISIBLE = /[\u00AD\u200B-\u200F\u2060\uFEFF]/g;
+
+// i and l are one letter here, "Il1|" all look the same in most fonts
+export function nickSkeleton(nick) {
+  if (!nick) return '';
+  return [...nick.normalize('NFKD').replace(/\p{M}/gu, '').replace(INVISIBLE, '').toLowerCase()]
+    .map(char => CONFUSABLES[char] || char)
+    .join('')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+export function getNicknames(playerData) {
+  if (playerData.nicknames?.length) return playerData.nicknames;
+  if (!playerData.nick) return [];
+  return [{ nick: playerData.nick, firstSeen: playerData.firstSeen ?? null, lastSeen: playerData.lastSeen ?? null }];
+}
+
+// call before changing playerData.nick, so the list of a player tracked before it existed starts
+// with the name being replaced
+export function recordNickname(playerData, nick, timestamp) {
+  if (!nick) return;
+  if (!playerData.nicknames?.length) {
+    playerData.nicknames = getNicknames(playerData).map(entry => ({ ...entry, nick: entry.nick.normalize('NFC') }));
+  }
+
+  const normalized = nick.normalize('NFC');
+  const entry = playerData.nicknames.find(existing => existing.nick === normalized);
+  if (entry) {
+    entry.lastSeen = Math.max(entry.lastSeen ?? timestamp, timestamp);
+  } else {
+    playerData.nicknames.push({ nick: normalized, firstSeen: timestamp, lastSeen: timestamp });
+  }
+}
+
+// How well `query` matches a player, lower is better, null for no match:
+//   0 current nick, 1 former nick, 2 same skeleton, 3 part of a nick or start of the user id,
+//   4 part of a skeleton
+// `names` are all the nicknames of the player, the current one included
+function matchRank(query, userId, nick, names) {
+  const normalizedQuery = normalizeNick(query);
+  const skeletonQuery = nickSkeleton(query);
+  const all = [nick, ...names.filter(name => name !== nick)].filter(Boolean);
+
+  const best = (test, rank) => {
+    const name = all.find(test);
+    return name !== undefined ? { rank: rank(name), matchedNick: name } : null;
+  };
+
+  return best(name => normalizeNick(name) === normalizedQuery, name => (name === nick ? 0 : 1))
+    || (skeletonQuery && best(name => nickSkeleton(name) === skeletonQuery, () => 2))
+    || best(name => normalizeNick(name).includes(normalizedQuery), () => 3)
+    || (userId.startsWith(query) ? { rank: 3, matchedNick: nick } : null)
+    || (skeletonQuery && best(name => nickSkeleton(name).includes(skeletonQuery), () => 4))
+    || null;
+}
+
+// candidates: [{ userId, nick, names }], returns the matches best first:
+//   [{ userId, nick, matchedNick, rank }], matchedNick is the name that matched (maybe a former one)
+export function searchNicknames(query, candidates) {
+  const matches = [];
+  for (const { userId, nick, names } of candidates) {
+    if (!nick) continue;
+    const match = matchRank(query, userId, nick, names);
+    if (match) matches.push({ userId, nick, ...match });
+  }
+  return matches.sort((a, b) => a.rank - b.rank);
+}
+
+// a query names a player when it is one of their names or has the same skeleton
+export function findByNickname(query, candidates) {
+  const [best] = searchNicknames(query, candidates);
+  return best && best.rank <= 2 ? best : null;
+}
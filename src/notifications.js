@@ -0,0 +1,423 @@
+import { AttachmentBuilder, EmbedBuilder } from 'discord.js';
+import { getSanctionDurationDays, recordStatusChange } from './playerEvents.js';
+import { renderEloChart, CHART_FILE_NAME } from './eloChart.js';
+
+// Discord side of the checks: every announcement goes through the notifier returned here.
+// The checker only sees these methods, tests swap the client for a fake one.
+
+const WATCHLIST_TAG = '👁️ watchlist';
+
+export function getCountryFlag(countryCode) {
+    if (!countryCode || typeof countryCode !== "string" || countryCode.length !== 2) return "🏳️";
+    if (countryCode.toLowerCase() === "zz") return ":1393291205344759918:"; //emoji instead of :flag_zz:
+
+    return countryCode
+        .toUpperCase()
+        .split('')
+        .map(char => String.fromCodePoint(0x1F1E6 + char.charCodeAt(0) - 65))
+        .join('');
+}
+
+export function createDiscordNotifier(client, {
+  banChannelId,
+  unbanChannelId,
+  unsuspendedChannelId,
+  nicknameChannelId,
+  logsChannelId,
+  digestChannelId,
+  moderatorChannelId,
+  banRoleId,
+  unbanRoleId,
+  isWatched = () => false,
+  renderChart = renderEloChart,
+  now = Date.now
+}) {
+  // players added with /watch are tagged in every announcement about them
+  function tagWatched(embed, userId) {
+    if (isWatched(userId)) {
+      embed.addFields({ name: 'Tag', value: WATCHLIST_TAG, inline: false });
+    }
+    return embed;
+  }
+
+  function watchedSuffix(userId) {
+    return isWatched(userId) ? ` ${WATCHLIST_TAG}` : '';
+  }
+
+  // ELO chart attached to an embed, a chart that cannot be rendered is left out of the message
+  async function attachChart(embed, playerData, fileName = CHART_FILE_NAME) {
+    if (!playerData) return [];
+    try {
+      const png = await renderChart(playerData);
+      if (!png) return [];
+      embed.setImage(`attachment://${fileName}`);
+      return [new AttachmentBuilder(png, { name: fileName })];
+    } catch (error) {
+      console.error('Error rendering ELO chart:', error);
+      return [];
+    }
+  }
+
+  // a sanction is recorded after its announcement, the chart gets its marker from a copy of the player
+  function withPendingSanction(playerData, player) {
+    if (!playerData || !(player.confirmedBanned || player.suspended)) return playerData;
+    const pending = { ...playerData, events: [...(playerData.events || [])] };
+    const eventInfo = { timestamp: now(), source: player.source, rating: player.lastRating?.rating, position: player.lastRating?.position };
+    if (player.confirmedBanned) {
+      recordStatusChange(pending, 'banned', eventInfo);
+    } else {
+      recordStatusChange(pending, 'suspended', { ...eventInfo, suspendedUntil: player.suspendedUntil });
+    }
+    return pending;
+  }
+
+  async function sendStatusMessage(message, isError = false, title = null) {
+    try {
+      const channel = await client.channels.fetch(logsChannelId);
+      const embed = new EmbedBuilder()
+        .setTitle(title || (isError ? '❌ Check Failed' : '✅ Check Completed'))
+        .setColor(isError ? 0xFF0000 : 0x00FF00)
+        .setDescription(message)
+        .setTimestamp();
+    
+      await channel.send({ embeds: [embed] });
+    } catch (error) {
+      console.error('Error sending status message:', error);
+    }
+  }
+
+  // channelId overrides the default channel, for ladders announced in their own channel
+  async function sendUnbanNotification(player, playerData, channelId = null) {
+    try {
+      const channel = await client.channels.fetch(channelId || unbanChannelId);
+      const profileUrl = `https://www.geoguessr.com/user/${player.userId}`;
+    
+      const actionDuration = getSanctionDurationDays(playerData) ?? 'Unknown';
+    
+      const actionType = playerData.status === 'banned' ? 'Ban' : 'Suspension';
+    
+      const embed = new EmbedBuilder()
+        .setTitle('🟢 Player Unbanned/Unsuspended')
+        .setColor(0x00FF00)
+        .setDescription(`**${player.nick}** has been unbanned/unsuspended and is back on the leaderboard`)
+        .addFields([
+          { name: 'Current Position', value: `#${player.position}`, inline: true },
+          { name: 'Current ELO', value: `${player.rating} ELO`, inline: true },
+          { name: `${actionType} Duration`, value: `${actionDuration} days`, inline: true },
+          { name: 'GeoGuessr Profile', value: `[View Profile](${profileUrl})`, inline: false }
+        ])
+        .setTimestamp();
+      tagWatched(embed, player.userId);
+    
+      await channel.send({ 
+        content: `<@&${unbanRoleId}>`,
+        embeds: [embed] 
+      });
+      console.log(`Unban/unsuspend notification sent for ${player.nick}`);
+    } catch (error) {
+      console.error('Error sending unban notification:', error);
+    }
+  }
+
+  // `data` is the tracking data of the check, used to chart the ELO of a single banned player
+  async function sendBanNotification(bannedPlayers, channelId = null, data = null) {
+    try {
+      const channel = await client.channels.fetch(channelId || banChannelId);
+    
+      if (bannedPlayers.length === 1) {
+        const player = bannedPlayers[0];
+        const profileUrl = `https://www.geoguessr.com/user/${player.userId}`;
+
+        const flag = player.countryCode ? `:flag_${player.countryCode.toLowerCase()}:` : '';
+      
+        const title = player.confirmedBanned ? '🚫 Player Banned' : '⏸️ Player Suspended';
+        const description = player.confirmedBanned ? 
+          `${flag} **${player.nick}** has been banned !!!` :
+          `${flag} **${player.nick}** has been suspended until ${new Date(player.suspendedUntil).toLocaleString()}`;
+      
+        const embed = new EmbedBuilder()
+          .setTitle(title)
+          .setColor(player.confirmedBanned ? 0xFF0000 : 0xFFA500)
+          .setDescription(description)
+          .addFields([
+            { name: 'Last Position', value: `#${player.lastRating.position}`, inline: true },
+            { name: 'ELO at Ban/Suspension', value: `${player.lastRating.rating} ELO`, inline: true },
+            {
+              name: 'Last Seen',
+              value: player.hoursSinceSeen !== null && player.hoursSinceSeen !== undefined ? `${player.hoursSinceSeen} hours ago` : 'Not on the leaderboard',
+              inline: true
+            },
+            { name: 'GeoGuessr Profile', value: `[View Profile](${profileUrl})`, inline: false }
+          ])
+          .setTimestamp();
+        tagWatched(embed, player.userId);
+        const files = await attachChart(embed, withPendingSanction(data?.players[player.userId], player));
+      
+        await channel.send({ 
+          content: `<@&${banRoleId}>`,
+          embeds: [embed],
+          files
+        });
+      } else {
+        const banned = bannedPlayers.filter(p => p.confirmedBanned);
+        const suspended = bannedPlayers.filter(p => p.suspended && !p.confirmedBanned);
+      
+        let title = '';
+        if (banned.length > 0 && suspended.length > 0) {
+          title = `🚫 ${banned.length} Banned, ⏸️ ${suspended.length} Suspended`;
+        } else if (banned.length > 0) {
+          title = `🚫 ${banned.length} Players Banned`;
+        } else {
+          title = `⏸️ ${suspended.length} Players Suspended`;
+        }
+      
+        const embed = new EmbedBuilder()
+          .setTitle(title)
+          .setColor(0xFF0000)
+          .setTimestamp();
+      
+        const allPlayers = [...banned, ...suspended].sort((a, b) => a.lastRating.position - b.lastRating.position);
+      
+        const playerList = allPlayers.map(p => {
+          const profileUrl = `https://www.geoguessr.com/user/${p.userId}`;
+          const status = p.confirmedBanned ? '🚫' : '⏸️';
+          const flag = getCountryFlag(p.countryCode);
+          return `${status} **#${p.lastRating.position}** ${flag} [${p.nick}](${profileUrl}) - ${p.lastRating.rating} ELO${watchedSuffix(p.userId)}`;
+        }).join('\n');
+      
+        if (playerList.length <= 4096) {
+          embed.setDescription(playerList);
+        } else {
+          const truncatedList = playerList.substring(0, 4093) + '...';
+          embed.setDescription(truncatedList);
+          embed.addFields([
+            { name: 'Note', value: 'List truncated - too many players to display', inline: false }
+          ]);
+        }
+      
+        embed.setFooter({ text: `${bannedPlayers.length} total actions detected` });
+      
+        await channel.send({ 
+          content: `<@&${banRoleId}>`,
+          embeds: [embed] 
+        });
+      }
+    
+      console.log(`Ban/suspension notification sent for ${bannedPlayers.length} players`);
+    } catch (error) {
+      console.error('Error sending ban notification:', error);
+    }
+  }
+
+  async function sendDeletedAccountNotification(deletedPlayers, channelId = null) {
+    try {
+      const channel = await client.channels.fetch(channelId || banChannelId);
+    
+      if (deletedPlayers.length === 1) {
+        const player = deletedPlayers[0];
+        const profileUrl = `https://www.geoguessr.com/user/${player.userId}`;
+        const flag = getCountryFlag(player.countryCode);
+      
+        const embed = new EmbedBuilder()
+          .setTitle('🗑️ Account Deleted')
+          .setColor(0x808080)
+          .setDescription(`${flag} **${player.nick}** has deleted their account`)
+          .addFields([
+            { name: 'Last Position', value: `#${player.lastRating.position}`, inline: true },
+            { name: 'Last ELO', value: `${player.lastRating.rating} ELO`, inline: true },
+            { name: 'Last Seen', value: `${player.hoursSinceSeen || 0} hours ago`, inline: true },
+            { name: 'Profile URL', value: `[Deleted Profile](${profileUrl})`, inline: false }
+          ])
+          .setTimestamp();
+        tagWatched(embed, player.userId);
+      
+        await channel.send({ embeds: [embed] });
+      } else {
+        const embed = new EmbedBuilder()
+          .setTitle(`🗑️ ${deletedPlayers.length} Accounts Deleted`)
+          .setColor(0x808080)
+          .setTimestamp();
+      
+        const playerList = deletedPlayers.map(p => {
+          const profileUrl = `https://www.geoguessr.com/user/${p.userId}`;
+          const flag = getCountryFlag(p.countryCode);
+          return `🗑️ **#${p.lastRating.position}** ${flag} [${p.nick}](${profileUrl}) - ${p.lastRating.rating} ELO${watchedSuffix(p.userId)}`;
+        }).join('\n');
+      
+        if (playerList.length <= 4096) {
+          embed.setDescription(playerList);
+        } else {
+          const truncatedList = playerList.substring(0, 4093) + '...';
+          embed.setDescription(truncatedList);
+          embed.addFields([
+            { name: 'Note', value: 'List truncated - too many accounts to display', inline: false }
+          ]);
+        }
+      
+        embed.setFooter({ text: `${deletedPlayers.length} accounts deleted` });
+      
+        await channel.send({ embeds: [embed] });
+      }
+    
+      console.log(`Deleted account notification sent for ${deletedPlayers.length} players`);
+    } catch (error) {
+      console.error('Error sending deleted account notification:', error);
+    }
+  }
+
+  async function sendUnsuspendNotification(player, playerData, channelId = null) {
+    try {
+      const channel = await client.channels.fetch(channelId || unsuspendedChannelId);
+    
+      const embed = new EmbedBuilder()
+        .setTitle('🟢 Player Unsuspended')
+        .setColor(0x00FF00)
+        .setDescription(`**${player.nick}** has been unsuspended`)
+        .addFields(
+          { name: 'Position', value: `#${player.position}`, inline: true },
+          { name: 'ELO', value: `${player.rating}`, inline: true },
+          { name: 'Country', value: getCountryFlag(player.countryCode), inline: true },
+          { name: 'Profile', value: `[View Profile](https://www.geoguessr.com/user/${player.userId})`, inline: false }
+        )
+        .setTimestamp();
+      tagWatched(embed, player.userId);
+    
+      await channel.send({ embeds: [embed] });
+      console.log(`Unsuspend notification sent for ${player.nick}`);
+    } catch (error) {
+      console.error('Error sending unsuspend notification:', error);
+    }
+  }
+
+  async function sendNicknameChangeNotification(userId, oldNick, newNick, playerData) {
+    try {
+      const channel = await client.channels.fetch(nicknameChannelId);
+      const flag = getCountryFlag(playerData.countryCode);
+    
+      const embed = new EmbedBuilder()
+        .setTitle('<:exclamation:1393328259285909705> Nickname Change Detected <:exclamation:1393328259285909705>')
+        .setColor(0x3498DB)
+        .addFields(
+          { name: 'Old Nickname', value: `${oldNick}`, inline: true },
+          { name: 'New Nickname', value: `${newNick}`, inline: true },
+          { name: 'Country', value: `${flag}`, inline: true },
+          { name: 'Profile', value: `[View Profile](https://www.geoguessr.com/user/${userId})`, inline: false }
+        )
+        .setTimestamp()
+        .setFooter({ text: 'GeoGuessr Tracker' });
+      tagWatched(embed, userId);
+    
+      await channel.send({ embeds: [embed] });
+      console.log(`Nickname change notification sent for ${oldNick} -> ${newNick}`);
+    } catch (error) {
+      console.error('Error sending nickname change notification:', error);
+    }
+  }
+
+  // digest built by src/digest.js, `current` and `previous` are the stats of the two periods
+  async function sendDigest({ label, unit, period, current, previous }) {
+    try {
+      const channel = await client.channels.fetch(digestChannelId);
+      const lastDay = period.end.minus({ days: 1 });
+
+      const change = key => {
+        const diff = current[key] - previous[key];
+        return diff === 0 ? 'same as' : `${diff > 0 ? '+' : ''}${diff} vs`;
+      };
+      const totals = [
+        ['🚫 Bans', 'bans'],
+        ['⏸️ Suspensions', 'suspensions'],
+        ['🟢 Unbans/unsuspensions', 'unsanctions'],
+        ['🗑️ Deleted accounts', 'deletions']
+      ].map(([name, key]) => `${name}: **${current[key]}** (${change(key)} previous ${unit}: ${previous[key]})`);
+
+      const countries = current.byCountry.slice(0, 10)
+        .map(([countryCode, count]) => `${getCountryFlag(countryCode)} ${count}`)
+        .join('  ');
+      const eloBands = current.byEloBand
+        .map(([band, count]) => `${band}: ${count}`)
+        .join('\n');
+      const topPlayers = current.topSanctioned
+        .map(row => `#${row.Position} ${getCountryFlag(row.countryCode)} [${row.Username}](${row.Profile_URL}) - ${row.ELO} ELO - ${row.Action_Type === 'BANNED' ? 'banned' : 'suspended'}`)
+        .join('\n');
+      const averageSuspension = current.averageSuspensionDays !== null
+        ? `${current.averageSuspensionDays} days` + (previous.averageSuspensionDays !== null ? ` (previous ${unit}: ${previous.averageSuspensionDays} days)` : '')
+        : 'No suspension';
+
+      const embed = new EmbedBuilder()
+        .setTitle(`📅 ${label} digest: ${period.start.toFormat('dd/MM/yyyy')} - ${lastDay.toFormat('dd/MM/yyyy')}`)
+        .setColor(0x5865F2)
+        .setDescription(totals.join('\n'))
+        .addFields([
+          { name: 'By Country', value: countries || 'None', inline: false },
+          { name: 'By ELO', value: eloBands || 'None', inline: true },
+          { name: 'Average Suspension Length', value: averageSuspension, inline: true },
+          { name: 'Highest Ranked Sanctioned Players', value: (topPlayers || 'None').substring(0, 1024), inline: false }
+        ])
+        .setFooter({ text: `Timezone: ${period.start.zoneName}` })
+        .setTimestamp();
+
+      await channel.send({ embeds: [embed] });
+      console.log(`${label} digest sent`);
+    } catch (error) {
+      console.error('Error sending digest:', error);
+    }
+  }
+
+  // players flagged by src/anomalyDetector.js, `summary` is the hit rate of the past flags
+  async function sendAnomalyNotification(flaggedPlayers, summary, data = null) {
+    try {
+      const channel = await client.channels.fetch(moderatorChannelId);
+      const hitRate = summary.hitRate !== null
+        ? `Hit rate: ${summary.hitRate}% (${summary.sanctioned}/${summary.sanctioned + summary.notSanctioned} flags sanctioned, ${summary.pending} pending)`
+        : `Hit rate: no outcome yet (${summary.pending} pending)`;
+
+      // 10 embeds per message at most
+      for (let i = 0; i < flaggedPlayers.length; i += 10) {
+        const embeds = [];
+        const files = [];
+
+        for (const { userId, nick, countryCode, flag } of flaggedPlayers.slice(i, i + 10)) {
+          const hours = Math.round((flag.flaggedAt - flag.windowStart) / (60 * 60 * 1000));
+          const others = flag.reference === 'band' ? `the other ${flag.band}-${flag.band + 99} ELO players` : 'the rest of the leaderboard';
+          const embed = new EmbedBuilder()
+            .setTitle(`📈 Suspicious ELO spike: ${nick}`)
+            .setColor(0x9B59B6)
+            .setDescription(`${getCountryFlag(countryCode)} **${nick}** moved far more than ${others} in the last ${hours} hours`)
+            .addFields([
+              { name: 'ELO', value: `${flag.from.rating} → ${flag.to.rating} (${flag.ratingGain >= 0 ? '+' : ''}${flag.ratingGain})`, inline: true },
+              { name: 'Position', value: `#${flag.from.position} → #${flag.to.position}`, inline: true },
+              { name: 'Z-scores', value: `ELO ${flag.ratingZ}, position ${flag.positionZ}`, inline: true },
+              {
+                name: 'Typical Move',
+                value: `${flag.medianRatingGain >= 0 ? '+' : ''}${flag.medianRatingGain} ELO, ${flag.medianPositionJump} places (median of ${flag.referencePlayers} players)`,
+                inline: false
+              },
+              { name: 'GeoGuessr Profile', value: `[View Profile](https://www.geoguessr.com/user/${userId})`, inline: false }
+            ])
+            .setFooter({ text: hitRate })
+            .setTimestamp(flag.flaggedAt);
+          tagWatched(embed, userId);
+          files.push(...await attachChart(embed, data?.players[userId], `elo-chart-${userId}.png`));
+          embeds.push(embed);
+        }
+
+        await channel.send({ embeds, files });
+      }
+      console.log(`Anomaly notification sent for ${flaggedPlayers.length} players`);
+    } catch (error) {
+      console.error('Error sending anomaly notification:', error);
+    }
+  }
+
+  return {
+    sendStatusMessage,
+    sendDigest,
+    sendAnomalyNotification,
+    sendBanNotification,
+    sendUnbanNotification,
+    sendDeletedAccountNotification,
+    sendUnsuspendNotification,
+    sendNicknameChangeNotification
+  };
+}
@@ -0,0 +1,84 @@
+// Append-only status transition log kept in playerData.events.
+// Each entry: { from, to, timestamp, source, suspendedUntil?, rating?, position? }
+// source is where the transition was detected: 'leaderboard' ('top2000' in older records), 'missing',
+// 'sanctioned_recheck', 'watchlist', 'leaderboard_return', 'suspension_expired' or 'csv_rebuild'
+// (rebuilt from the CSV history by scripts/rebuild-tracking.js)
+
+const SANCTION_STATUSES = ['banned', 'suspended', 'suspension_expired'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function recordStatusChange(playerData, to, { timestamp, source, suspendedUntil, rating, position }) {
+  const from = playerData.status;
+  const suspensionChanged = to === 'suspended' && playerData.suspendedUntil !== suspendedUntil;
+
+  playerData.status = to;
+  if (to === 'suspended') {
+    playerData.suspendedUntil = suspendedUntil;
+  }
+
+  if (from === to && !suspensionChanged) {
+    return false;
+  }
+
+  const event = { from: from || null, to, timestamp, source };
+  if (to === 'suspended' && suspendedUntil) event.suspendedUntil = suspendedUntil;
+  if (rating !== undefined && rating !== 'N/A') event.rating = rating;
+  if (position !== undefined && position !== 'N/A') event.position = position;
+
+  if (!playerData.events) playerData.events = [];
+  playerData.events.push(event);
+  return true;
+}
+
+function isSanctionStart(event) {
+  return (event.to === 'banned' || event.to === 'suspended') && !SANCTION_STATUSES.includes(event.from);
+}
+
+// Start of the sanction the player is currently under (ban and suspension in a row count as one)
+export function getSanctionStart(playerData) {
+  const events = playerData.events || [];
+  for (let i = events.length - 1; i >= 0; i--) {
+    if (isSanctionStart(events[i])) return events[i].timestamp;
+    if (!SANCTION_STATUSES.includes(events[i].to)) break;
+  }
+  // records created before the events log only have the timestamps of the latest sanction
+  return playerData.bannedAt || playerData.suspendedAt || null;
+}
+
+export function getSanctionDurationDays(playerData, now = Date.now()) {
+  const start = getSanctionStart(playerData);
+  return start !== null ? Math.floor((now - start) / DAY_MS) : null;
+}
+
+export function summarizeEvents(players) {
+  const summary = { bans: 0, suspensions: 0, unsanctions: 0, deletions: 0, averageSanctionDays: null };
+  let totalSanctionMs = 0;
+  let completedSanctions = 0;
+
+  for (const playerData of Object.values(players)) {
+    let sanctionStart = null;
+
+    for (const event of playerData.events || []) {
+      if (event.to === 'banned' && event.from !== 'banned') summary.bans++;
+      if (event.to === 'suspended' && event.from !== 'suspended') summary.suspensions++;
+      if (event.to === 'deleted_account') summary.deletions++;
+
+      if (isSanctionStart(event)) {
+        sanctionStart = event.timestamp;
+      } else if (event.to === 'active' && SANCTION_STATUSES.includes(event.from)) {
+        summary.unsanctions++;
+        if (sanctionStart !== null) {
+          totalSanctionMs += event.timestamp - sanctionStart;
+          completedSanctions++;
+        }
+        sanctionStart = null;
+      }
+    }
+  }
+
+  if (completedSanctions > 0) {
+    summary.averageSanctionDays = Math.round(totalSanctionMs / completedSanctions / DAY_MS * 10) / 10;
+  }
+  return summary;
+}
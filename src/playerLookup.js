@@ -0,0 +1,25 @@
+import { parsePlayerQuery } from './storage/common.js';
+
+// Resolves the player option of /player: a user id, a profile URL or a nickname, current or former
+// or a look-alike of one (see src/nicknames.js). A name matching several players equally well is
+// not guessed, the command lists them so the user can pick one by id. Returns one of:
+//   { status: 'found', userId, playerData }
+//   { status: 'ambiguous', matches: [{ userId, nick, formerNick }] }
+//   { status: 'not_found' }
+
+const AMBIGUOUS_LIMIT = 10;
+
+export function resolvePlayer(storage, query) {
+  const found = storage.findPlayer(query);
+  if (!found) return { status: 'not_found' };
+  if (found.userId === parsePlayerQuery(query)) return { status: 'found', ...found };
+
+  const [best, ...others] = storage.searchPlayers(query, AMBIGUOUS_LIMIT);
+  const tied = others.filter(match => match.rank === best.rank);
+  if (tied.length === 0) return { status: 'found', ...found };
+
+  return {
+    status: 'ambiguous',
+    matches: [best, ...tied].map(({ userId, nick, formerNick }) => ({ userId, nick, formerNick }))
+  };
+}
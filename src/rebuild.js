@@ -0,0 +1,235 @@
+import { recordStatusChange } from './playerEvents.js';
+import { emptyPlayerData } from './storage/common.js';
+import { ladderSnapshot } from './checker.js';
+import { recordNickname } from './nicknames.js';
+
+// Rebuilds the tracking data from the two CSV histories, for when player_tracking.json is lost.
+// The CSVs only have days, so rebuilt timestamps are midnight UTC of the day of each row. Anything
+// the history and GeoGuessr disagree on is reported as a conflict and left as the history says,
+// the next checks sort it out. The names of each player's rows become their nickname history.
+// Conflict types:
+//   invalid_row           row without a user id, a valid date or a known action, skipped
+//   unexpected_unsanction unban/unsuspension of a player the history does not have sanctioned
+//   same_day              sanctioned and unsanctioned on the last day of their history, order unknown
+//   on_leaderboard        on the leaderboard while banned, deleted or suspended by the history
+//   suspension_mismatch   GeoGuessr does not confirm a suspension the history has as ongoing
+
+const ACTION_STATUSES = { BANNED: 'banned', SUSPENDED: 'suspended', DELETED_ACCOUNT: 'deleted_account' };
+
+function dayTimestamp(date) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) return null;
+  const timestamp = Date.parse(`${date}T00:00:00.000Z`);
+  return isNaN(timestamp) ? null : timestamp;
+}
+
+function numberOrUndefined(value) {
+  const number = Number(value);
+  return value !== '' && value !== null && value !== undefined && Number.isFinite(number) ? number : undefined;
+}
+
+function conflict(type, userId, nick, detail) {
+  return { type, userId, nick: nick || null, detail };
+}
+
+export function replayHistory(sanctionRows, unsanctionRows, currentTime) {
+  const conflicts = [];
+  const entries = [];
+
+  const collect = (rows, kind, file) => rows.forEach((row, index) => {
+    const timestamp = dayTimestamp(row.Date);
+    if (!row.UserID || timestamp === null || (kind === 'sanction' && !ACTION_STATUSES[row.Action_Type])) {
+      conflicts.push(conflict('invalid_row', row.UserID || null, row.Username, `${file} row ${index + 1} skipped: ${JSON.stringify(row)}`));
+      return;
+    }
+    entries.push({ row, kind, index, timestamp });
+  });
+  collect(sanctionRows, 'sanction', 'ban/suspension history');
+  collect(unsanctionRows, 'unsanction', 'unban/unsuspension history');
+
+  // rows of the same day keep the order of their file, sanctions before unsanctions
+  entries.sort((a, b) => a.timestamp - b.timestamp
+    || (a.kind === b.kind ? a.index - b.index : a.kind === 'sanction' ? -1 : 1));
+
+  const data = emptyPlayerData();
+  const lastDays = new Map();
+
+  for (const { row, kind, timestamp } of entries) {
+    const userId = row.UserID;
+    if (!data.players[userId]) {
+      data.players[userId] = { nick: row.Username, countryCode: row.countryCode || undefined, firstSeen: timestamp, ratings: [] };
+    }
+    const playerData = data.players[userId];
+    if (row.Username) {
+      recordNickname(playerData, row.Username, timestamp);
+      playerData.nick = row.Username;
+    }
+    if (row.countryCode) playerData.countryCode = row.countryCode;
+
+    const rating = numberOrUndefined(row.ELO);
+    const position = numberOrUndefined(row.Position);
+    if (rating !== undefined && position !== undefined) {
+      playerData.ratings = [{ rating, position, timestamp }];
+      playerData.lastSeen = timestamp;
+    }
+
+    const eventInfo = { timestamp, source: 'csv_rebuild', rating, position };
+    if (kind === 'sanction') {
+      const status = ACTION_STATUSES[row.Action_Type];
+      if (status === 'suspended') {
+        const until = dayTimestamp(row.Suspended_Until);
+        recordStatusChange(playerData, 'suspended', { ...eventInfo, suspendedUntil: until !== null ? new Date(until).toISOString() : undefined });
+        playerData.suspendedAt = timestamp;
+      } else {
+        if (status === 'banned' && playerData.status !== 'banned') playerData.bannedAt = timestamp;
+        if (status === 'deleted_account') playerData.deletedAt = timestamp;
+        recordStatusChange(playerData, status, eventInfo);
+        delete playerData.suspendedUntil;
+        delete playerData.suspendedAt;
+      }
+    } else {
+      const expected = row.Previous_Action_Type === 'BANNED' ? 'banned' : 'suspended';
+      if (playerData.status !== expected) {
+        conflicts.push(conflict('unexpected_unsanction', userId, playerData.nick,
+          `${row.Previous_Action_Type} lifted on ${row.Date} but the history has them ${playerData.status || 'never sanctioned'} before that`));
+      }
+      if (expected === 'banned') {
+        playerData.unbannedAt = timestamp;
+      } else {
+        playerData.unsuspendedAt = timestamp;
+      }
+      recordStatusChange(playerData, 'active', eventInfo);
+      delete playerData.suspendedUntil;
+      delete playerData.suspendedAt;
+    }
+
+    const lastDay = lastDays.get(userId);
+    if (lastDay && lastDay.timestamp === timestamp) {
+      lastDay.kinds.add(kind);
+    } else {
+      lastDays.set(userId, { timestamp, date: row.Date, kinds: new Set([kind]) });
+    }
+  }
+
+  for (const [userId, { date, kinds }] of lastDays) {
+    if (kinds.size > 1) {
+      conflicts.push(conflict('same_day', userId, data.players[userId].nick,
+        `sanctioned and unsanctioned on ${date}, the order is unknown, kept ${data.players[userId].status}`));
+    }
+  }
+
+  // same as the checks: a suspension past its end is expired until the player is seen again
+  for (const playerData of Object.values(data.players)) {
+    if (playerData.status === 'suspended' && playerData.suspendedUntil && Date.parse(playerData.suspendedUntil) <= currentTime) {
+      recordStatusChange(playerData, 'suspension_expired', { timestamp: currentTime, source: 'csv_rebuild' });
+      delete playerData.suspendedUntil;
+      delete playerData.suspendedAt;
+    }
+  }
+
+  return { data, conflicts };
+}
+
+// Adds the players of a fresh leaderboard fetch (fetchCurrentLeaderboard of the checker). Ratings,
+// ladders and nicknames are taken from the leaderboard, statuses are left as the history says.
+export function mergeLeaderboard(data, leaderboardPlayers, currentTime) {
+  const conflicts = [];
+
+  for (const player of leaderboardPlayers) {
+    const sample = { rating: player.rating, position: player.position, timestamp: currentTime };
+    const playerData = data.players[player.userId];
+
+    if (!playerData) {
+      data.players[player.userId] = {
+        nick: player.nick,
+        countryCode: player.countryCode,
+        firstSeen: currentTime,
+        ratings: [sample],
+        lastSeen: currentTime,
+        ladders: ladderSnapshot(player, currentTime),
+        status: 'active'
+      };
+      recordNickname(data.players[player.userId], player.nick, currentTime);
+      continue;
+    }
+
+    recordNickname(playerData, player.nick, currentTime);
+    playerData.nick = player.nick;
+    if (player.countryCode) playerData.countryCode = player.countryCode;
+    playerData.ratings.push(sample);
+    playerData.lastSeen = currentTime;
+    playerData.ladders = ladderSnapshot(player, currentTime);
+
+    if (playerData.status === 'banned' || playerData.status === 'deleted_account' || playerData.status === 'suspended') {
+      const since = playerData.events?.at(-1)?.timestamp;
+      conflicts.push(conflict('on_leaderboard', player.userId, player.nick,
+        `on the leaderboard (#${player.position}, ${player.rating} ELO) but ${playerData.status} in the history` +
+        (since ? ` since ${new Date(since).toISOString().split('T')[0]}` : '')));
+    }
+  }
+
+  return conflicts;
+}
+
+// The history only has the day a suspension ends, the checks compare the exact end time GeoGuessr
+// gives: without it every ongoing suspension would be announced again as a new one.
+export async function confirmSuspensions(data, getUserActivity) {
+  const conflicts = [];
+
+  for (const [userId, playerData] of Object.entries(data.players)) {
+    if (playerData.status !== 'suspended') continue;
+
+    let activity;
+    try {
+      activity = await getUserActivity(userId);
+    } catch (error) {
+      conflicts.push(conflict('suspension_mismatch', userId, playerData.nick, `could not be checked on GeoGuessr: ${error.message}`));
+      continue;
+    }
+
+    const sameDay = activity.suspended && playerData.suspendedUntil &&
+      new Date(activity.suspendedUntil).toISOString().split('T')[0] === playerData.suspendedUntil.split('T')[0];
+    if (sameDay) {
+      playerData.suspendedUntil = activity.suspendedUntil;
+      continue;
+    }
+
+    const actual = activity.deleted ? 'deleted' : activity.banned ? 'banned'
+      : activity.suspended ? `suspended until ${activity.suspendedUntil}` : 'not sanctioned';
+    conflicts.push(conflict('suspension_mismatch', userId, playerData.nick,
+      `suspended until ${playerData.suspendedUntil ? playerData.suspendedUntil.split('T')[0] : 'an unknown date'} in the history, GeoGuessr says ${actual}`));
+  }
+
+  return conflicts;
+}
+
+// players in the tracking data a rebuild would replace, a file too damaged to load counts as none
+export function countTrackedPlayers(storage) {
+  try {
+    return Object.keys(storage.loadPlayerData().players).length;
+  } catch (error) {
+    console.error(`${error.message}, the rebuild replaces it`);
+    return 0;
+  }
+}
+
+// The whole rebuild, without saving: replays the history kept by `storage` (the CSV files, or the
+// history tables of the SQLite store), then with a `checker` merges a fresh leaderboard and confirms
+// the ongoing suspensions. `checker` null is an offline rebuild from the history alone.
+export async function rebuildTracking({ storage, checker = null, currentTime }) {
+  const { sanctionRows, unsanctionRows } = await storage.readHistoryRows();
+  console.log(`Replaying ${sanctionRows.length} ban/suspension rows and ${unsanctionRows.length} unban/unsuspension rows`);
+
+  const { data, conflicts } = replayHistory(sanctionRows, unsanctionRows, currentTime);
+  console.log(`${Object.keys(data.players).length} players rebuilt from the history`);
+  if (!checker) return { data, conflicts };
+
+  const { players, failedLadders } = await checker.fetchCurrentLeaderboard();
+  if (failedLadders.length > 0) {
+    throw new Error(`Could not fetch ${failedLadders.join(', ')}, nothing was changed`);
+  }
+  conflicts.push(...mergeLeaderboard(data, players, currentTime));
+  console.log(`Merged ${players.length} leaderboard players`);
+
+  conflicts.push(...await confirmSuspensions(data, checker.getUserActivity));
+  return { data, conflicts };
+}
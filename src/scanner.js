@@ -0,0 +1,155 @@
+// Continuous profile checks, instead of looking up every profile in one burst at each check run.
+// The check runs only read the leaderboard (createChecker with verifyProfiles false), the scanner
+// then looks up a few profiles every `tickMs`, so the GeoGuessr API sees a steady trickle and the
+// events are announced as soon as a profile changed.
+//
+// Each tick picks:
+//   - its share of the SLA: every tracked player is looked up at least once per `slaMs`, the ones
+//     checked the longest ago first (a player whose lookup failed stays first in line)
+//   - then, with what is left of `maxChecksPerHour`, the risky players due for a recheck:
+//       missing          active players gone from the leaderboard in the last 6 hours
+//       sanction_review  sanctioned players on the leaderboard or whose suspension ends within the hour
+//       mover            big ELO or position moves in the last 6 hours, or an open anomaly flag
+// The time of each player's last lookup is kept in the tracking data (`profileCheckedAt`, set by
+// checkProfiles), so a restart does not start the SLA over. Players never looked up go first, and
+// count as overdue once the bot has run for longer than the SLA.
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const RECENT_MS = 6 * HOUR;
+const MOVER_RATING = 50;
+const MOVER_POSITIONS = 100;
+
+// most urgent first
+const RECHECK_MS = {
+  missing: 15 * MINUTE,
+  sanction_review: 15 * MINUTE,
+  mover: 30 * MINUTE
+};
+const RISK_TIERS = Object.keys(RECHECK_MS);
+
+function isMover(playerData, time) {
+  if ((playerData.anomalyFlags || []).some(flag => !flag.outcome)) return true;
+  const recent = (playerData.ratings || []).filter(entry => entry.timestamp >= time - RECENT_MS);
+  if (recent.length < 2) return false;
+  const first = recent[0];
+  const last = recent[recent.length - 1];
+  return Math.abs(last.rating - first.rating) >= MOVER_RATING || Math.abs(last.position - first.position) >= MOVER_POSITIONS;
+}
+
+// how the scanner looks at a tracked player: `kind` is how the checker verifies the profile (see
+// checkProfiles in src/checker.js), `priority` a risk tier or 'routine'. null for the players that
+// are not checked anymore (deleted accounts, players long gone from the leaderboard)
+export function classifyPlayer(playerData, { lastLeaderboardAt, watched = false, time }) {
+  const onLeaderboard = Boolean(lastLeaderboardAt) && playerData.lastSeen >= lastLeaderboardAt;
+
+  switch (playerData.status) {
+    case 'deleted_account':
+      return null;
+    case 'banned':
+    case 'suspended': {
+      const endsSoon = playerData.status === 'suspended' && playerData.suspendedUntil &&
+        new Date(playerData.suspendedUntil).getTime() - time < HOUR;
+      return { kind: 'sanctioned', priority: onLeaderboard || endsSoon ? 'sanction_review' : 'routine' };
+    }
+  }
+
+  if (onLeaderboard) {
+    if (playerData.status === 'suspension_expired') return { kind: 'sanctioned', priority: 'sanction_review' };
+    return { kind: 'leaderboard', priority: isMover(playerData, time) ? 'mover' : 'routine' };
+  }
+  if (playerData.status === 'active' && playerData.lastSeen > time - RECENT_MS) {
+    return { kind: 'missing', priority: 'missing' };
+  }
+  return watched ? { kind: 'watchlist', priority: 'routine' } : null;
+}
+
+export function createScanner({ checker, storage, slaMs = 2 * HOUR, tickMs = 10 * 1000, maxChecksPerHour = 3000, now = Date.now }) {
+  const startedAt = now();
+  const perTick = Math.ceil(maxChecksPerHour * tickMs / HOUR);
+  let slaCredit = 0;
+  let lock = Promise.resolve();
+  let busy = false;
+  let timer = null;
+  let lastStatus = { targets: 0, overdue: 0 };
+  let checks = 0;
+
+  // runs `fn` alone against the tracking data, the check runs go through it too so a batch never
+  // saves over a leaderboard update (or the other way around)
+  function exclusive(fn) {
+    const result = lock.then(fn);
+    lock = result.catch(() => {});
+    return result;
+  }
+
+  function listTargets(data, time) {
+    const watched = new Set(storage.getWatchlist().map(entry => entry.userId));
+    const targets = [];
+    for (const [userId, playerData] of Object.entries(data.players)) {
+      const target = classifyPlayer(playerData, { lastLeaderboardAt: data.lastCheck, watched: watched.has(userId), time });
+      if (target) targets.push({ userId, ...target, checkedAt: playerData.profileCheckedAt ?? null });
+    }
+    return targets;
+  }
+
+  // the SLA share first (a bit ahead of it, so a slow tick does not make players late), then the
+  // risky players due for a recheck
+  function pickBatch(targets, time) {
+    slaCredit += targets.length * tickMs / (slaMs * 0.9);
+    const slaCount = Math.min(Math.floor(slaCredit), perTick, targets.length);
+    slaCredit = Math.min(slaCredit - slaCount, perTick);
+
+    const byAge = [...targets].sort((a, b) => (a.checkedAt ?? -Infinity) - (b.checkedAt ?? -Infinity) || 0);
+    const batch = byAge.slice(0, slaCount);
+    const picked = new Set(batch.map(target => target.userId));
+
+    const due = targets
+      .filter(target => !picked.has(target.userId) && RECHECK_MS[target.priority] &&
+        time - (target.checkedAt ?? 0) >= RECHECK_MS[target.priority])
+      .sort((a, b) => RISK_TIERS.indexOf(a.priority) - RISK_TIERS.indexOf(b.priority) || (a.checkedAt ?? 0) - (b.checkedAt ?? 0));
+    return [...batch, ...due.slice(0, perTick - batch.length)];
+  }
+
+  async function runBatch() {
+    const time = now();
+    const data = storage.loadPlayerData();
+    const targets = listTargets(data, time);
+    lastStatus = { targets: targets.length, overdue: targets.filter(target => time - (target.checkedAt ?? startedAt) > slaMs).length };
+
+    const batch = pickBatch(targets, time);
+    if (batch.length === 0) return { checked: 0, failed: [] };
+
+    const result = await checker.checkProfiles(batch.map(({ userId, kind }) => ({ userId, kind })), data);
+    checks += batch.length - result.failed.length;
+    if (result.failed.length > 0) console.log(`Scanner: ${result.failed.length} of ${batch.length} profile lookups failed, retried next tick`);
+    return result;
+  }
+
+  // a tick that comes while the previous batch (or a check run) is still going is skipped
+  async function tick() {
+    if (busy) return null;
+    busy = true;
+    try {
+      return await exclusive(runBatch);
+    } finally {
+      busy = false;
+    }
+  }
+
+  return {
+    exclusive,
+    tick,
+    start() {
+      console.log(`Scanning profiles continuously (every tracked player within ${Math.round(slaMs / MINUTE)} min, at most ${maxChecksPerHour} lookups per hour)`);
+      timer = setInterval(() => tick().catch(error => console.error('Error in the profile scanner:', error)), tickMs);
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+    // players to check and how many of them are past the SLA, as of the last tick
+    get status() {
+      return { ...lastStatus, checks };
+    }
+  };
+}
@@ -0,0 +1,9 @@
+// The Discord announcements as they were before the event sinks: every call of the checker is
+// replayed on the Discord notifier (src/notifications.js), one per ladder channel.
+export function createDiscordSink(notifier) {
+  return {
+    name: 'discord',
+    announcements: true,
+    handle: (events, { method, args }) => notifier[method](...args)
+  };
+}
@@ -0,0 +1,68 @@
+import fs from 'fs';
+import { describeEvent } from '../events.js';
+
+// Atom feed of the latest `limit` events written to `file`, for feed readers. The events themselves
+// are kept in `<file>.json` so the feed survives restarts. `link` is the public URL of the feed when
+// it is served somewhere, used as its id and self link.
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function writeFileAtomic(file, content) {
+  const tempFile = `${file}.tmp-${process.pid}`;
+  fs.writeFileSync(tempFile, content, 'utf8');
+  fs.renameSync(tempFile, file);
+}
+
+export function buildAtomFeed(events, { title, link }) {
+  const updated = events[0]?.timestamp || new Date(0).toISOString();
+  const entries = events.map(event => [
+    '  <entry>',
+    `    <id>urn:uuid:${event.id}</id>`,
+    `    <title>${escapeXml(describeEvent(event))}</title>`,
+    `    <updated>${event.timestamp}</updated>`,
+    `    <link href="${escapeXml(event.player.profileUrl)}"/>`,
+    `    <category term="${event.type}"/>`,
+    `    <content type="text">${escapeXml(JSON.stringify(event, null, 2))}</content>`,
+    '  </entry>'
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <title>${escapeXml(title)}</title>`,
+    `  <id>${escapeXml(link || 'urn:geoban:events')}</id>`,
+    link ? `  <link rel="self" href="${escapeXml(link)}"/>` : null,
+    `  <updated>${updated}</updated>`,
+    '  <author><name>GeoBan</name></author>',
+    ...entries,
+    '</feed>',
+    ''
+  ].filter(line => line !== null).join('\n');
+}
+
+export function createFeedSink({ file = 'events.atom', limit = 50, title = 'GeoBan events', link = null } = {}) {
+  const stateFile = `${file}.json`;
+  let events = [];
+  try {
+    if (fs.existsSync(stateFile)) events = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+  } catch (error) {
+    console.error(`Could not read ${stateFile}, the feed starts empty:`, error.message);
+  }
+
+  return {
+    name: 'feed',
+    handle(newEvents) {
+      // newest first
+      events = [...[...newEvents].reverse(), ...events].slice(0, limit);
+      writeFileAtomic(stateFile, JSON.stringify(events));
+      writeFileAtomic(file, buildAtomFeed(events, { title, link }));
+    }
+  };
+}
@@ -0,0 +1,31 @@
+import { createDiscordSink } from './discordSink.js';
+import { createWebhookSink } from './webhookSink.js';
+import { createJsonlSink } from './jsonlSink.js';
+import { createFeedSink } from './feedSink.js';
+
+// Where the events of src/events.js go, `kinds` lists the sinks to use:
+//   discord  the channel announcements (src/notifications.js)
+//   webhook  a signed POST to each of `webhookUrls`
+//   jsonl    one line per event appended to `logFile`
+//   feed     an Atom feed of the latest events written to `feedFile`
+export const SINK_KINDS = ['discord', 'webhook', 'jsonl', 'feed'];
+
+export function createEventSinks({ kinds, notifier, webhookUrls = [], webhookSecret, logFile, feedFile, feedLink }) {
+  for (const kind of kinds) {
+    if (!SINK_KINDS.includes(kind)) {
+      throw new Error(`Unknown event sink "${kind}", use ${SINK_KINDS.join(', ')}`);
+    }
+  }
+  if (kinds.includes('webhook') && webhookUrls.length === 0) {
+    throw new Error('The webhook event sink needs at least one URL');
+  }
+
+  const sinks = [];
+  if (kinds.includes('discord')) sinks.push(createDiscordSink(notifier));
+  if (kinds.includes('webhook')) {
+    for (const url of webhookUrls) sinks.push(createWebhookSink({ url, secret: webhookSecret }));
+  }
+  if (kinds.includes('jsonl')) sinks.push(createJsonlSink({ file: logFile }));
+  if (kinds.includes('feed')) sinks.push(createFeedSink({ file: feedFile, link: feedLink }));
+  return sinks;
+}
@@ -0,0 +1,11 @@
+import fs from 'fs';
+
+// Appends every event to `file`, one JSON object per line, for tools that tail or replay it
+export function createJsonlSink({ file = 'events.jsonl' } = {}) {
+  return {
+    name: 'jsonl',
+    handle(events) {
+      fs.appendFileSync(file, events.map(event => JSON.stringify(event)).join('\n') + '\n', 'utf8');
+    }
+  };
+}
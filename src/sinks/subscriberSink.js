@@ -0,0 +1,66 @@
+import { EmbedBuilder, RESTJSONErrorCodes } from 'discord.js';
+import { describeEvent } from '../events.js';
+import { getCountryFlag } from '../notifications.js';
+
+// DMs each event to the Discord users following the player (/subscribe). Always on, whatever
+// EVENT_SINKS says: the subscriptions are made by the users, not by the server config. Like the
+// other sinks it gets each event once, a player announced in several ladder channels is DMed once.
+// The DMs are sent in the background one after the other, after the channel announcement (the
+// Discord sink comes first) and without holding up the check.
+
+const DM_HEADER = '🔔 Update on a player you follow (use /unsubscribe to stop these messages)';
+
+const EMBEDS = {
+  ban: { title: '🚫 Player Banned', color: 0xFF0000 },
+  suspension: { title: '⏸️ Player Suspended', color: 0xFFA500 },
+  suspension_update: { title: '⏸️ Suspension Changed', color: 0xFFA500 },
+  unban: { title: '🟢 Player Unbanned', color: 0x00FF00 },
+  unsuspension: { title: '🟢 Player Unsuspended', color: 0x00FF00 },
+  deletion: { title: '🗑️ Account Deleted', color: 0x808080 },
+  nickname_change: { title: '✏️ Nickname Changed', color: 0x3498DB }
+};
+
+function eventEmbed(event) {
+  const { title, color } = EMBEDS[event.type];
+  return new EmbedBuilder()
+    .setTitle(title)
+    .setColor(color)
+    .setDescription(`${getCountryFlag(event.player.countryCode)} ${describeEvent(event)}`)
+    .addFields({ name: 'GeoGuessr Profile', value: `[View Profile](${event.player.profileUrl})`, inline: false })
+    .setTimestamp(new Date(event.timestamp));
+}
+
+export function createSubscriberSink({ client, getSubscribers, onDmClosed = () => {} }) {
+  let queue = Promise.resolve();
+
+  async function sendDm(discordUserId, embed) {
+    try {
+      const user = await client.users.fetch(discordUserId);
+      await user.send({ content: DM_HEADER, embeds: [embed] });
+    } catch (error) {
+      // closed DMs or a blocked bot, keeping the subscriptions would only fail again
+      if (error.code === RESTJSONErrorCodes.CannotSendMessagesToThisUser) {
+        console.log(`Cannot DM ${discordUserId}, removing their subscriptions`);
+        onDmClosed(discordUserId);
+      } else {
+        console.error(`Error sending subscriber DM to ${discordUserId}:`, error);
+      }
+    }
+  }
+
+  return {
+    name: 'subscribers',
+    handle(events) {
+      for (const event of events) {
+        const subscribers = getSubscribers(event.player.userId);
+        if (subscribers.length === 0) continue;
+        const embed = eventEmbed(event);
+        for (const discordUserId of subscribers) {
+          queue = queue.then(() => sendDm(discordUserId, embed));
+        }
+      }
+    },
+    // resolves once every DM queued so far was sent or given up
+    idle: () => queue
+  };
+}
@@ -0,0 +1,96 @@
+import crypto from 'crypto';
+import http from 'http';
+import https from 'https';
+
+// POSTs every event as JSON to `url`, one request per event. Requests are signed so the receiver
+// can check they come from the bot:
+//   X-GeoBan-Timestamp  unix seconds of the attempt
+//   X-GeoBan-Signature  sha256=<hex HMAC-SHA256 of "<timestamp>.<body>" with the shared secret>
+//   X-GeoBan-Event      event type
+//   X-GeoBan-Delivery   event id, the same on every attempt so retries can be deduplicated
+// Network errors, timeouts, 408, 429 and 5xx are retried `maxAttempts` times with exponential
+// backoff (Retry-After wins when given). Deliveries run in the background one after the other,
+// a slow endpoint never holds up a check.
+
+const RETRY_STATUSES = [408, 429];
+
+async function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+export function post(url, headers, body, timeoutMs) {
+  const transport = url.startsWith('https:') ? https : http;
+  return new Promise((resolve, reject) => {
+    const request = transport.request(url, { method: 'POST', headers, timeout: timeoutMs }, (res) => {
+      res.resume();
+      res.on('end', () => resolve({ status: res.statusCode, retryAfter: res.headers['retry-after'] }));
+    });
+    request.on('timeout', () => request.destroy(new Error(`No answer after ${timeoutMs}ms`)));
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+export function createWebhookSink({ url, secret, maxAttempts = 5, retryDelayMs = 2000, timeoutMs = 10000, sleep = delay }) {
+  if (!secret) {
+    throw new Error(`A secret is required to sign the webhook requests to ${url}`);
+  }
+
+  let queue = Promise.resolve();
+
+  async function deliver(event) {
+    const body = JSON.stringify(event);
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const timestamp = Math.floor(Date.now() / 1000);
+      let retryAfterMs = null;
+      let failure;
+      try {
+        const { status, retryAfter } = await post(url, {
+          'Content-Type': 'application/json; charset=utf-8',
+          'Content-Length': Buffer.byteLength(body),
+          'User-Agent': 'GeoBan-Webhook',
+          'X-GeoBan-Timestamp': String(timestamp),
+          'X-GeoBan-Signature': signPayload(secret, timestamp, body),
+          'X-GeoBan-Event': event.type,
+          'X-GeoBan-Delivery': event.id
+        }, body, timeoutMs);
+
+        if (status >= 200 && status < 300) return true;
+        if (status < 500 && !RETRY_STATUSES.includes(status)) {
+          console.error(`Webhook ${url} refused ${event.type} event ${event.id} with ${status}, not retried`);
+          return false;
+        }
+        failure = `HTTP ${status}`;
+        const seconds = Number(retryAfter);
+        if (retryAfter && !isNaN(seconds)) retryAfterMs = seconds * 1000;
+      } catch (error) {
+        failure = error.message;
+      }
+
+      if (attempt < maxAttempts) {
+        const wait = retryAfterMs ?? retryDelayMs * 2 ** (attempt - 1);
+        console.log(`Webhook ${url} failed (${failure}), attempt ${attempt}/${maxAttempts}, retrying in ${Math.round(wait / 1000)}s`);
+        await sleep(wait);
+      } else {
+        console.error(`Webhook ${url} failed (${failure}), ${event.type} event ${event.id} dropped after ${maxAttempts} attempts`);
+      }
+    }
+    return false;
+  }
+
+  return {
+    name: 'webhook',
+    handle(events) {
+      for (const event of events) {
+        queue = queue.then(() => deliver(event));
+      }
+    },
+    // resolves once everything queued so far was delivered or dropped
+    idle: () => queue
+  };
+}
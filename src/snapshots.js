@@ -0,0 +1,153 @@
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+
+// Archive of every successful leaderboard fetch, one gzipped JSON file per check in `dir`:
+//   { timestamp, ladders: [{ id, name, depth }], players: [{ userId, nick, countryCode, ladders: { id: { rating, position } } }] }
+// Retention: every snapshot of the last `keepAllDays` days, then the first one of each UTC day
+// up to `keepDailyDays` days, older ones are deleted.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FILE_PATTERN = /^leaderboard-(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)\.json\.gz$/;
+
+// ids are the ISO time of the snapshot with ':' and '.' replaced, safe in file names
+export function snapshotId(timestamp) {
+  return new Date(timestamp).toISOString().replace(/[:.]/g, '-');
+}
+
+function idToTimestamp(id) {
+  const [, date, hours, minutes, seconds, ms] = id.match(/^(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/) || [];
+  return date ? Date.parse(`${date}T${hours}:${minutes}:${seconds}.${ms}Z`) : null;
+}
+
+export function createSnapshotArchive({ dir = 'snapshots', keepAllDays = 7, keepDailyDays = 90, now = Date.now } = {}) {
+  if (keepDailyDays < keepAllDays) {
+    throw new Error('Snapshots kept daily must cover at least the days where all snapshots are kept');
+  }
+
+  function fileFor(id) {
+    return path.join(dir, `leaderboard-${id}.json.gz`);
+  }
+
+  // oldest first
+  function list() {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+      .map(file => file.match(FILE_PATTERN)?.[1])
+      .filter(Boolean)
+      .map(id => ({ id, timestamp: idToTimestamp(id) }))
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  function load(id) {
+    const file = fileFor(id);
+    if (!fs.existsSync(file)) return null;
+    return JSON.parse(zlib.gunzipSync(fs.readFileSync(file)).toString('utf8'));
+  }
+
+  function prune() {
+    const currentTime = now();
+    const keptDays = new Set();
+    let removed = 0;
+
+    for (const { id, timestamp } of list()) {
+      const age = currentTime - timestamp;
+      const day = id.slice(0, 10);
+      const keep = age <= keepAllDays * DAY_MS || (age <= keepDailyDays * DAY_MS && !keptDays.has(day));
+      if (keep) {
+        keptDays.add(day);
+      } else {
+        fs.unlinkSync(fileFor(id));
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  function save(timestamp, players, ladders) {
+    const snapshot = {
+      timestamp,
+      ladders: ladders.map(({ id, name, depth }) => ({ id, name, depth })),
+      players: players.map(({ userId, nick, countryCode, ladders: playerLadders }) => ({ userId, nick, countryCode, ladders: playerLadders }))
+    };
+
+    fs.mkdirSync(dir, { recursive: true });
+    const id = snapshotId(timestamp);
+    const tempFile = `${fileFor(id)}.tmp-${process.pid}`;
+    fs.writeFileSync(tempFile, zlib.gzipSync(JSON.stringify(snapshot)));
+    fs.renameSync(tempFile, fileFor(id));
+
+    const removed = prune();
+    console.log(`Leaderboard snapshot ${id} saved${removed > 0 ? `, ${removed} old snapshots removed` : ''}`);
+    return id;
+  }
+
+  // an exact id, or the last snapshot taken at or before a date ("2025-01-31" or "2025-01-31 18:00", UTC)
+  function find(query) {
+    const snapshots = list();
+    const trimmed = (query || '').trim();
+    const exact = snapshots.find(snapshot => snapshot.id === trimmed);
+    if (exact) return exact;
+
+    const isDayOnly = /^\d{4}-\d{2}-\d{2}$/.test(trimmed);
+    const time = Date.parse(isDayOnly ? `${trimmed}T23:59:59.999Z` : `${trimmed.replace(' ', 'T')}Z`);
+    if (isNaN(time)) return null;
+    return snapshots.filter(snapshot => snapshot.timestamp <= time).at(-1) || null;
+  }
+
+  return { save, list, load, find, prune };
+}
+
+const EXIT_REASONS = { banned: 'banned', suspended: 'suspended', deleted_account: 'deleted' };
+
+// the check that takes a snapshot records its sanctions with the same timestamp
+function exitReason(playerData, from, to) {
+  const event = (playerData?.events || []).find(e => e.timestamp > from && e.timestamp <= to && EXIT_REASONS[e.to]);
+  return event ? EXIT_REASONS[event.to] : 'decay';
+}
+
+// Compares one ladder of two snapshots. `players` (the tracking data) explains the exits: a ban,
+// suspension or deletion recorded after the older snapshot, otherwise rating decay or being pushed
+// out by others ('decay'). `graceMs` also counts what was recorded that long after the newer one,
+// for the sanctions the profile scanner only finds after the leaderboard was read.
+export function diffSnapshots(older, newer, { ladderId, players = {}, limit = 10, graceMs = 0 } = {}) {
+  const id = ladderId || newer.ladders[0]?.id;
+  const ranking = snapshot => new Map(snapshot.players
+    .filter(player => player.ladders?.[id])
+    .map(player => [player.userId, { ...player, ...player.ladders[id] }]));
+
+  const before = ranking(older);
+  const after = ranking(newer);
+
+  const entered = [...after.values()].filter(player => !before.has(player.userId))
+    .sort((a, b) => a.position - b.position);
+
+  const left = [...before.values()].filter(player => !after.has(player.userId))
+    .map(player => ({ ...player, reason: exitReason(players[player.userId], older.timestamp, newer.timestamp + graceMs) }))
+    .sort((a, b) => a.position - b.position);
+
+  const moves = [...after.values()].filter(player => before.has(player.userId))
+    .map(player => {
+      const previous = before.get(player.userId);
+      return {
+        ...player,
+        previousPosition: previous.position,
+        positionChange: previous.position - player.position,
+        ratingChange: player.rating - previous.rating
+      };
+    });
+
+  const exitsByReason = { banned: 0, suspended: 0, deleted: 0, decay: 0 };
+  for (const player of left) exitsByReason[player.reason]++;
+
+  return {
+    ladderId: id,
+    from: older.timestamp,
+    to: newer.timestamp,
+    entered,
+    left,
+    exitsByReason,
+    risers: moves.filter(move => move.positionChange > 0).sort((a, b) => b.positionChange - a.positionChange).slice(0, limit),
+    fallers: moves.filter(move => move.positionChange < 0).sort((a, b) => a.positionChange - b.positionChange).slice(0, limit)
+  };
+}
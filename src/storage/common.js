@@ -0,0 +1,23 @@
+// Shared between the storage backends
+
+export const SANCTION_COLUMNS = ['Date', 'Username', 'UserID', 'Profile_URL', 'countryCode', 'ELO', 'Position', 'Action_Type', 'Suspended_Until'];
+export const UNSANCTION_COLUMNS = ['Date', 'Username', 'UserID', 'Profile_URL', 'countryCode', 'ELO', 'Position', 'Previous_Action_Type', 'Duration_Days'];
+
+export function emptyPlayerData() {
+  return {
+    players: {},
+    lastCheck: null,
+    totalChecks: 0
+  };
+}
+
+export function normalizeNick(nick) {
+  return nick.normalize('NFC').toLowerCase();
+}
+
+// accepts a user id, a profile url or a nickname
+export function parsePlayerQuery(query) {
+  const trimmed = query.trim();
+  const profileMatch = trimmed.match(/geoguessr\.com\/(?:[a-z-]+\/)?user\/([0-9a-f]+)/i);
+  return profileMatch ? profileMatch[1] : trimmed;
+}
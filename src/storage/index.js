@@ -0,0 +1,33 @@
+// Storage layer used by the rest of the bot. STORAGE_BACKEND=sqlite switches from the
+// JSON + CSV files to a local SQLite database (run `npm run migrate:sqlite` once first).
+export const STORAGE_BACKEND = process.env.STORAGE_BACKEND === 'sqlite' ? 'sqlite' : 'json';
+
+const backend = STORAGE_BACKEND === 'sqlite'
+  ? await import('./sqliteStore.js')
+  : await import('./jsonStore.js');
+
+export const {
+  initializeStorage,
+  checkIntegrity,
+  loadPlayerData,
+  savePlayerData,
+  findPlayer,
+  searchPlayers,
+  getStats,
+  appendSanctionRow,
+  appendUnsanctionRow,
+  readSanctionRows,
+  readUnsanctionRows,
+  readHistoryRows,
+  recordCheckRun,
+  getLastCheckRun,
+  getWatchlist,
+  isWatched,
+  addToWatchlist,
+  removeFromWatchlist,
+  getSubscriptions,
+  getSubscribers,
+  addSubscription,
+  removeSubscription,
+  removeAllSubscriptions
+} = backend;
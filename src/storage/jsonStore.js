@@ -0,0 +1,365 @@
+import fs from 'fs';
+import path from 'path';
+import Papa from 'papaparse';
+import csv from 'csv-parser';
+import { summarizeEvents } from '../playerEvents.js';
+import { getNicknames, searchNicknames, findByNickname } from '../nicknames.js';
+import { SANCTION_COLUMNS, UNSANCTION_COLUMNS, emptyPlayerData, parsePlayerQuery } from './common.js';
+
+// Original storage: one JSON file for the tracking state, two CSV files for the history
+export const PLAYER_TRACKING_FILE = 'player_tracking.json';
+export const BANNED_SUSPENDED_CSV = 'banned_suspended_players.csv';
+export const UNBANNED_UNSUSPENDED_CSV = 'unbanned_unsuspended_players.csv';
+export const WATCHLIST_FILE = 'watchlist.json';
+export const SUBSCRIPTIONS_FILE = 'subscriptions.json';
+const CHECK_RUNS_FILE = 'check_runs.jsonl';
+const CHECK_RUNS_MAX_BYTES = 1024 * 1024; // then moved to check_runs.jsonl.1, about 4000 runs
+const CHECK_RUNS_TAIL_BYTES = 16 * 1024;
+const BACKUP_DIR = 'backups';
+// the data is saved many times an hour (every scanner batch), so one backup per hour for 2 days
+const BACKUP_INTERVAL_MS = 60 * 60 * 1000;
+const BACKUP_MAX_AGE_MS = 48 * 60 * 60 * 1000;
+
+function escapeCSV(value) {
+  if (value === null || value === undefined) return '';
+  const str = String(value);
+  if (str.includes(',') || str.includes('"') || str.includes('\n')) {
+    return `"${str.replace(/"/g, '""')}"`;
+  }
+  return str;
+}
+
+function appendCSVRow(file, columns, row) {
+  const csvLine = columns.map(column => escapeCSV(row[column])).join(',') + '\n';
+  fs.appendFileSync(file, csvLine, 'utf8');
+}
+
+// write to a temp file first so a crash mid-write never leaves a truncated file behind
+function writeFileAtomic(file, content) {
+  const tempFile = `${file}.tmp-${process.pid}`;
+  const fd = fs.openSync(tempFile, 'w');
+  try {
+    fs.writeSync(fd, content);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tempFile, file);
+}
+
+function parsePlayerData(content) {
+  const data = JSON.parse(content);
+  if (!data || typeof data.players !== 'object' || data.players === null) {
+    throw new Error('missing players object');
+  }
+  return data;
+}
+
+function listBackups() {
+  if (!fs.existsSync(BACKUP_DIR)) return [];
+  // timestamps are zero-padded ISO dates, so newest first is a reverse string sort
+  return fs.readdirSync(BACKUP_DIR)
+    .filter(name => name.startsWith('player_tracking-') && name.endsWith('.json'))
+    .sort()
+    .reverse()
+    .map(name => path.join(BACKUP_DIR, name));
+}
+
+// player_tracking-2025-06-01T12-00-00-000Z.json -> its time
+function backupTime(file) {
+  const [, date, hours, minutes, seconds, ms] = path.basename(file).match(/^player_tracking-(.+)T(\d+)-(\d+)-(\d+)-(\d+)Z\.json$/) || [];
+  return date ? Date.parse(`${date}T${hours}:${minutes}:${seconds}.${ms}Z`) : NaN;
+}
+
+function writeBackup(content) {
+  const time = Date.now();
+  const backups = listBackups();
+  if (backups.length > 0 && time - backupTime(backups[0]) < BACKUP_INTERVAL_MS) return;
+
+  fs.mkdirSync(BACKUP_DIR, { recursive: true });
+  const stamp = new Date(time).toISOString().replace(/[:.]/g, '-');
+  writeFileAtomic(path.join(BACKUP_DIR, `player_tracking-${stamp}.json`), content);
+
+  for (const oldBackup of backups.filter(file => time - backupTime(file) > BACKUP_MAX_AGE_MS)) {
+    fs.unlinkSync(oldBackup);
+  }
+}
+
+function readCSVRows(file) {
+  if (!fs.existsSync(file)) return [];
+  const content = fs.readFileSync(file, 'utf8');
+  return Papa.parse(content, { header: true, skipEmptyLines: true }).data;
+}
+
+export function initializeStorage() {
+  if (!fs.existsSync(BANNED_SUSPENDED_CSV)) {
+    fs.writeFileSync(BANNED_SUSPENDED_CSV, SANCTION_COLUMNS.join(',') + '\n', 'utf8');
+  }
+
+  if (!fs.existsSync(UNBANNED_UNSUSPENDED_CSV)) {
+    fs.writeFileSync(UNBANNED_UNSUSPENDED_CSV, UNSANCTION_COLUMNS.join(',') + '\n', 'utf8');
+  }
+}
+
+// Restores the newest valid backup if the tracking file is corrupt, returns what happened
+// (or null when the file is fine) so the caller can alert about it
+export function checkIntegrity() {
+  if (!fs.existsSync(PLAYER_TRACKING_FILE)) return null;
+
+  try {
+    parsePlayerData(fs.readFileSync(PLAYER_TRACKING_FILE, 'utf8'));
+    return null;
+  } catch (error) {
+    console.error(`${PLAYER_TRACKING_FILE} is corrupt: ${error.message}`);
+
+    for (const backupFile of listBackups()) {
+      try {
+        const content = fs.readFileSync(backupFile, 'utf8');
+        parsePlayerData(content);
+
+        const corruptFile = `${PLAYER_TRACKING_FILE}.corrupt-${Date.now()}`;
+        fs.renameSync(PLAYER_TRACKING_FILE, corruptFile);
+        writeFileAtomic(PLAYER_TRACKING_FILE, content);
+        console.log(`Restored ${PLAYER_TRACKING_FILE} from ${backupFile}, corrupt file kept as ${corruptFile}`);
+
+        return { restored: true, error: error.message, backupFile, corruptFile };
+      } catch (backupError) {
+        console.error(`Backup ${backupFile} is not usable: ${backupError.message}`);
+      }
+    }
+
+    return { restored: false, error: error.message };
+  }
+}
+
+export function loadPlayerData() {
+  if (!fs.existsSync(PLAYER_TRACKING_FILE)) {
+    return emptyPlayerData();
+  }
+  // a corrupt file must not be mistaken for an empty dataset, every player would be announced again
+  try {
+    return parsePlayerData(fs.readFileSync(PLAYER_TRACKING_FILE, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not load ${PLAYER_TRACKING_FILE}: ${error.message}`);
+  }
+}
+
+export function savePlayerData(data) {
+  const content = JSON.stringify(data, null, 2);
+  writeFileAtomic(PLAYER_TRACKING_FILE, content);
+  writeBackup(content);
+}
+
+export function findPlayer(query) {
+  const data = loadPlayerData();
+  const userIdOrNick = parsePlayerQuery(query);
+
+  if (data.players[userIdOrNick]) {
+    return { userId: userIdOrNick, playerData: data.players[userIdOrNick] };
+  }
+
+  const match = findByNickname(userIdOrNick, nicknameCandidates(data));
+  return match ? { userId: match.userId, playerData: data.players[match.userId] } : null;
+}
+
+function nicknameCandidates(data) {
+  return Object.entries(data.players).map(([userId, playerData]) => ({
+    userId,
+    nick: playerData.nick,
+    names: getNicknames(playerData).map(entry => entry.nick)
+  }));
+}
+
+// matches current and former nicknames, `formerNick` is set when a former one matched and `rank`
+// says how well it matched (see src/nicknames.js)
+export function searchPlayers(query, limit) {
+  const data = loadPlayerData();
+
+  return searchNicknames(query, nicknameCandidates(data))
+    .slice(0, limit)
+    .map(({ userId, nick, matchedNick, rank }) => {
+      const ratings = data.players[userId].ratings;
+      return {
+        userId,
+        nick,
+        formerNick: matchedNick !== nick ? matchedNick : undefined,
+        rank,
+        lastRating: ratings && ratings[ratings.length - 1]
+      };
+    });
+}
+
+export function getStats() {
+  const data = loadPlayerData();
+  const statusCounts = {};
+  for (const playerData of Object.values(data.players)) {
+    statusCounts[playerData.status] = (statusCounts[playerData.status] || 0) + 1;
+  }
+
+  return {
+    totalPlayers: Object.keys(data.players).length,
+    statusCounts,
+    lastCheck: data.lastCheck,
+    totalChecks: data.totalChecks || 0,
+    eventSummary: summarizeEvents(data.players)
+  };
+}
+
+export function appendSanctionRow(row) {
+  appendCSVRow(BANNED_SUSPENDED_CSV, SANCTION_COLUMNS, row);
+}
+
+export function appendUnsanctionRow(row) {
+  appendCSVRow(UNBANNED_UNSUSPENDED_CSV, UNSANCTION_COLUMNS, row);
+}
+
+export function readSanctionRows() {
+  return readCSVRows(BANNED_SUSPENDED_CSV);
+}
+
+export function readUnsanctionRows() {
+  return readCSVRows(UNBANNED_UNSUSPENDED_CSV);
+}
+
+// streamed with csv-parser, for the rebuild and the migration that go through the whole history
+function streamCSVRows(file) {
+  return new Promise((resolve, reject) => {
+    if (!fs.existsSync(file)) return resolve([]);
+
+    const rows = [];
+    fs.createReadStream(file)
+      .pipe(csv())
+      .on('data', row => {
+        // an empty line comes out as a row without columns
+        if (Object.keys(row).length > 0) rows.push(row);
+      })
+      .on('end', () => resolve(rows))
+      .on('error', reject);
+  });
+}
+
+export async function readHistoryRows() {
+  return {
+    sanctionRows: await streamCSVRows(BANNED_SUSPENDED_CSV),
+    unsanctionRows: await streamCSVRows(UNBANNED_UNSUSPENDED_CSV)
+  };
+}
+
+// one run per line, the file is moved aside when it gets big so it never has to be read whole
+export function recordCheckRun(run) {
+  if (fs.existsSync(CHECK_RUNS_FILE) && fs.statSync(CHECK_RUNS_FILE).size >= CHECK_RUNS_MAX_BYTES) {
+    fs.renameSync(CHECK_RUNS_FILE, `${CHECK_RUNS_FILE}.1`);
+  }
+  fs.appendFileSync(CHECK_RUNS_FILE, JSON.stringify(run) + '\n', 'utf8');
+}
+
+// reads the end of the file only, a run is a few hundred bytes
+export function getLastCheckRun() {
+  if (!fs.existsSync(CHECK_RUNS_FILE)) return null;
+  const fd = fs.openSync(CHECK_RUNS_FILE, 'r');
+  try {
+    const size = fs.fstatSync(fd).size;
+    const length = Math.min(size, CHECK_RUNS_TAIL_BYTES);
+    const buffer = Buffer.alloc(length);
+    fs.readSync(fd, buffer, 0, length, size - length);
+    const lines = buffer.toString('utf8').trim().split('\n');
+    return lines.at(-1) ? JSON.parse(lines.at(-1)) : null;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// kept apart from the tracking data: a check saves the data it loaded when it started, a
+// watchlist change made during the check would be lost
+function loadWatchlist() {
+  if (!fs.existsSync(WATCHLIST_FILE)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(WATCHLIST_FILE, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not load ${WATCHLIST_FILE}: ${error.message}`);
+  }
+}
+
+export function getWatchlist() {
+  return Object.entries(loadWatchlist()).map(([userId, entry]) => ({ userId, ...entry }));
+}
+
+export function isWatched(userId) {
+  return Object.hasOwn(loadWatchlist(), userId);
+}
+
+// returns false when the player is already watched
+export function addToWatchlist({ userId, nick, countryCode, addedBy, addedAt }) {
+  const watchlist = loadWatchlist();
+  if (watchlist[userId]) return false;
+
+  watchlist[userId] = { nick, countryCode, addedBy, addedAt };
+  writeFileAtomic(WATCHLIST_FILE, JSON.stringify(watchlist, null, 2));
+  return true;
+}
+
+export function removeFromWatchlist(userId) {
+  const watchlist = loadWatchlist();
+  if (!watchlist[userId]) return false;
+
+  delete watchlist[userId];
+  writeFileAtomic(WATCHLIST_FILE, JSON.stringify(watchlist, null, 2));
+  return true;
+}
+
+// discord user id -> followed GeoGuessr user ids, kept apart from the tracking data like the watchlist
+function loadSubscriptions() {
+  if (!fs.existsSync(SUBSCRIPTIONS_FILE)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(SUBSCRIPTIONS_FILE, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not load ${SUBSCRIPTIONS_FILE}: ${error.message}`);
+  }
+}
+
+function saveSubscriptions(subscriptions) {
+  writeFileAtomic(SUBSCRIPTIONS_FILE, JSON.stringify(subscriptions, null, 2));
+}
+
+export function getSubscriptions(discordUserId) {
+  return loadSubscriptions()[discordUserId] || [];
+}
+
+export function getSubscribers(userId) {
+  return Object.entries(loadSubscriptions())
+    .filter(([, userIds]) => userIds.includes(userId))
+    .map(([discordUserId]) => discordUserId);
+}
+
+// returns false when the player is already followed
+export function addSubscription(discordUserId, userId) {
+  const subscriptions = loadSubscriptions();
+  const userIds = subscriptions[discordUserId] || [];
+  if (userIds.includes(userId)) return false;
+
+  subscriptions[discordUserId] = [...userIds, userId];
+  saveSubscriptions(subscriptions);
+  return true;
+}
+
+export function removeSubscription(discordUserId, userId) {
+  const subscriptions = loadSubscriptions();
+  const userIds = subscriptions[discordUserId] || [];
+  if (!userIds.includes(userId)) return false;
+
+  subscriptions[discordUserId] = userIds.filter(id => id !== userId);
+  if (subscriptions[discordUserId].length === 0) delete subscriptions[discordUserId];
+  saveSubscriptions(subscriptions);
+  return true;
+}
+
+// returns how many players the user stopped following
+export function removeAllSubscriptions(discordUserId) {
+  const subscriptions = loadSubscriptions();
+  const count = (subscriptions[discordUserId] || []).length;
+  if (count === 0) return 0;
+
+  delete subscriptions[discordUserId];
+  saveSubscriptions(subscriptions);
+  return count;
+}
@@ -0,0 +1,615 @@
+import Database from 'better-sqlite3';
+import { summarizeEvents } from '../playerEvents.js';
+import { searchNicknames, findByNickname } from '../nicknames.js';
+import { SANCTION_COLUMNS, UNSANCTION_COLUMNS, emptyPlayerData, parsePlayerQuery } from './common.js';
+
+export const SQLITE_FILE = process.env.SQLITE_FILE || 'geoban.db';
+
+// playerData field -> players column, everything else goes into the `extra` JSON column
+const PLAYER_COLUMNS = {
+  nick: 'nick',
+  countryCode: 'country_code',
+  status: 'status',
+  firstSeen: 'first_seen',
+  lastSeen: 'last_seen',
+  suspendedUntil: 'suspended_until',
+  bannedAt: 'banned_at',
+  suspendedAt: 'suspended_at',
+  unbannedAt: 'unbanned_at',
+  unsuspendedAt: 'unsuspended_at',
+  deletedAt: 'deleted_at'
+};
+const SEPARATE_TABLE_FIELDS = ['ratings', 'events', 'nicknames'];
+
+const HISTORY_COLUMNS = {
+  Date: 'date',
+  Username: 'username',
+  UserID: 'user_id',
+  Profile_URL: 'profile_url',
+  countryCode: 'country_code',
+  ELO: 'elo',
+  Position: 'position',
+  Action_Type: 'action_type',
+  Suspended_Until: 'suspended_until',
+  Previous_Action_Type: 'previous_action_type',
+  Duration_Days: 'duration_days'
+};
+
+const db = new Database(SQLITE_FILE);
+db.pragma('journal_mode = WAL');
+
+db.exec(`
+  CREATE TABLE IF NOT EXISTS players (
+    user_id TEXT PRIMARY KEY,
+    nick TEXT,
+    country_code TEXT,
+    status TEXT,
+    first_seen INTEGER,
+    last_seen INTEGER,
+    suspended_until TEXT,
+    banned_at INTEGER,
+    suspended_at INTEGER,
+    unbanned_at INTEGER,
+    unsuspended_at INTEGER,
+    deleted_at INTEGER,
+    extra TEXT
+  );
+  CREATE INDEX IF NOT EXISTS players_status ON players (status);
+
+  CREATE TABLE IF NOT EXISTS ratings (
+    user_id TEXT NOT NULL,
+    rating INTEGER,
+    position INTEGER,
+    timestamp INTEGER NOT NULL,
+    PRIMARY KEY (user_id, timestamp)
+  );
+
+  CREATE TABLE IF NOT EXISTS nicknames (
+    user_id TEXT NOT NULL,
+    nick TEXT NOT NULL,
+    first_seen INTEGER,
+    last_seen INTEGER,
+    PRIMARY KEY (user_id, nick)
+  );
+
+  CREATE TABLE IF NOT EXISTS events (
+    user_id TEXT NOT NULL,
+    seq INTEGER NOT NULL,
+    from_status TEXT,
+    to_status TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    source TEXT,
+    suspended_until TEXT,
+    rating INTEGER,
+    position INTEGER,
+    PRIMARY KEY (user_id, seq)
+  );
+  CREATE INDEX IF NOT EXISTS events_timestamp ON events (timestamp);
+
+  CREATE TABLE IF NOT EXISTS check_runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    started_at INTEGER NOT NULL,
+    finished_at INTEGER,
+    success INTEGER NOT NULL,
+    players_checked INTEGER,
+    new_sanctions INTEGER,
+    new_deletions INTEGER,
+    unsanctions INTEGER,
+    error TEXT,
+    activity_calls INTEGER,
+    activity_errors INTEGER
+  );
+
+  CREATE TABLE IF NOT EXISTS sanction_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    date TEXT, username TEXT, user_id TEXT, profile_url TEXT, country_code TEXT,
+    elo TEXT, position TEXT, action_type TEXT, suspended_until TEXT
+  );
+  CREATE INDEX IF NOT EXISTS sanction_history_user ON sanction_history (user_id);
+
+  CREATE TABLE IF NOT EXISTS unsanction_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    date TEXT, username TEXT, user_id TEXT, profile_url TEXT, country_code TEXT,
+    elo TEXT, position TEXT, previous_action_type TEXT, duration_days TEXT
+  );
+  CREATE INDEX IF NOT EXISTS unsanction_history_user ON unsanction_history (user_id);
+
+  CREATE TABLE IF NOT EXISTS watchlist (
+    user_id TEXT PRIMARY KEY,
+    nick TEXT,
+    country_code TEXT,
+    added_by TEXT,
+    added_at INTEGER
+  );
+
+  CREATE TABLE IF NOT EXISTS subscriptions (
+    discord_user_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    created_at INTEGER,
+    PRIMARY KEY (discord_user_id, user_id)
+  );
+  CREATE INDEX IF NOT EXISTS subscriptions_user ON subscriptions (user_id);
+
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT
+  );
+`);
+
+// columns added after the first release, CREATE TABLE IF NOT EXISTS leaves older databases without them
+const ADDED_COLUMNS = {
+  check_runs: { activity_calls: 'INTEGER', activity_errors: 'INTEGER' }
+};
+
+for (const [table, columns] of Object.entries(ADDED_COLUMNS)) {
+  const existing = new Set(db.pragma(`table_info(${table})`).map(column => column.name));
+  for (const [column, type] of Object.entries(columns)) {
+    if (!existing.has(column)) db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+  }
+}
+
+const statements = {
+  upsertPlayer: db.prepare(`
+    INSERT INTO players (user_id, ${Object.values(PLAYER_COLUMNS).join(', ')}, extra)
+    VALUES (@user_id, ${Object.values(PLAYER_COLUMNS).map(column => `@${column}`).join(', ')}, @extra)
+    ON CONFLICT (user_id) DO UPDATE SET
+      ${[...Object.values(PLAYER_COLUMNS), 'extra'].map(column => `${column} = excluded.${column}`).join(',\n      ')}
+  `),
+  insertRating: db.prepare('INSERT OR IGNORE INTO ratings (user_id, rating, position, timestamp) VALUES (?, ?, ?, ?)'),
+  insertEvent: db.prepare(`
+    INSERT INTO events (user_id, seq, from_status, to_status, timestamp, source, suspended_until, rating, position)
+    VALUES (@userId, @seq, @from, @to, @timestamp, @source, @suspendedUntil, @rating, @position)
+  `),
+  insertNickname: db.prepare(`
+    INSERT OR REPLACE INTO nicknames (user_id, nick, first_seen, last_seen)
+    VALUES (@userId, @nick, @firstSeen, @lastSeen)
+  `),
+  deletePlayer: db.prepare('DELETE FROM players WHERE user_id = ?'),
+  deleteRatings: db.prepare('DELETE FROM ratings WHERE user_id = ?'),
+  deleteEvents: db.prepare('DELETE FROM events WHERE user_id = ?'),
+  deleteNicknames: db.prepare('DELETE FROM nicknames WHERE user_id = ?'),
+  deleteNickname: db.prepare('DELETE FROM nicknames WHERE user_id = ? AND nick = ?'),
+  deleteRatingsBefore: db.prepare('DELETE FROM ratings WHERE user_id = ? AND timestamp < ?'),
+  setMeta: db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value'),
+  deleteMeta: db.prepare('DELETE FROM meta WHERE key = ?'),
+  allPlayerIds: db.prepare('SELECT user_id FROM players'),
+  allPlayers: db.prepare('SELECT * FROM players'),
+  allRatings: db.prepare('SELECT user_id, rating, position, timestamp FROM ratings ORDER BY user_id, timestamp'),
+  allEvents: db.prepare('SELECT * FROM events ORDER BY user_id, seq'),
+  allNicknames: db.prepare('SELECT user_id, nick, first_seen, last_seen FROM nicknames ORDER BY user_id, first_seen'),
+  allMeta: db.prepare('SELECT key, value FROM meta'),
+  getPlayer: db.prepare('SELECT * FROM players WHERE user_id = ?'),
+  playerRatings: db.prepare('SELECT rating, position, timestamp FROM ratings WHERE user_id = ? ORDER BY timestamp'),
+  playerEvents: db.prepare('SELECT * FROM events WHERE user_id = ? ORDER BY seq'),
+  playerNicknames: db.prepare('SELECT nick, first_seen AS firstSeen, last_seen AS lastSeen FROM nicknames WHERE user_id = ? ORDER BY first_seen'),
+  lastRating: db.prepare('SELECT rating, position, timestamp FROM ratings WHERE user_id = ? ORDER BY timestamp DESC LIMIT 1'),
+  playerNicks: db.prepare('SELECT user_id, nick FROM players WHERE nick IS NOT NULL'),
+  statusCounts: db.prepare('SELECT status, COUNT(*) AS count FROM players GROUP BY status'),
+  insertCheckRun: db.prepare(`
+    INSERT INTO check_runs (started_at, finished_at, success, players_checked, new_sanctions, new_deletions, unsanctions, error, activity_calls, activity_errors)
+    VALUES (@startedAt, @finishedAt, @success, @playersChecked, @newSanctions, @newDeletions, @unsanctions, @error, @activityCalls, @activityErrors)
+  `),
+  lastCheckRun: db.prepare(`
+    SELECT started_at AS startedAt, finished_at AS finishedAt, success, players_checked AS playersChecked,
+      new_sanctions AS newSanctions, new_deletions AS newDeletions, unsanctions, error,
+      activity_calls AS activityCalls, activity_errors AS activityErrors
+    FROM check_runs ORDER BY id DESC LIMIT 1
+  `),
+  insertSanction: db.prepare(`INSERT INTO sanction_history (${SANCTION_COLUMNS.map(c => HISTORY_COLUMNS[c]).join(', ')})
+    VALUES (${SANCTION_COLUMNS.map(() => '?').join(', ')})`),
+  insertUnsanction: db.prepare(`INSERT INTO unsanction_history (${UNSANCTION_COLUMNS.map(c => HISTORY_COLUMNS[c]).join(', ')})
+    VALUES (${UNSANCTION_COLUMNS.map(() => '?').join(', ')})`),
+  allWatched: db.prepare('SELECT user_id AS userId, nick, country_code AS countryCode, added_by AS addedBy, added_at AS addedAt FROM watchlist ORDER BY added_at'),
+  getWatched: db.prepare('SELECT 1 FROM watchlist WHERE user_id = ?'),
+  insertWatched: db.prepare(`
+    INSERT OR IGNORE INTO watchlist (user_id, nick, country_code, added_by, added_at)
+    VALUES (@userId, @nick, @countryCode, @addedBy, @addedAt)
+  `),
+  deleteWatched: db.prepare('DELETE FROM watchlist WHERE user_id = ?'),
+  userSubscriptions: db.prepare('SELECT user_id FROM subscriptions WHERE discord_user_id = ? ORDER BY created_at'),
+  playerSubscribers: db.prepare('SELECT discord_user_id FROM subscriptions WHERE user_id = ?'),
+  insertSubscription: db.prepare('INSERT OR IGNORE INTO subscriptions (discord_user_id, user_id, created_at) VALUES (?, ?, ?)'),
+  deleteSubscription: db.prepare('DELETE FROM subscriptions WHERE discord_user_id = ? AND user_id = ?'),
+  deleteUserSubscriptions: db.prepare('DELETE FROM subscriptions WHERE discord_user_id = ?'),
+  // aliased back to the CSV headers so callers get the same rows as with the CSV files, empty
+  // cells included
+  allSanctions: db.prepare(`SELECT ${SANCTION_COLUMNS.map(c => `COALESCE(${HISTORY_COLUMNS[c]}, '') AS ${c}`).join(', ')} FROM sanction_history ORDER BY id`),
+  allUnsanctions: db.prepare(`SELECT ${UNSANCTION_COLUMNS.map(c => `COALESCE(${HISTORY_COLUMNS[c]}, '') AS ${c}`).join(', ')} FROM unsanction_history ORDER BY id`)
+};
+
+function rowToPlayer(row) {
+  const playerData = row.extra ? JSON.parse(row.extra) : {};
+  for (const [field, column] of Object.entries(PLAYER_COLUMNS)) {
+    // missing fields stay undefined, the checks compare suspendedUntil with !==
+    if (row[column] !== null) playerData[field] = row[column];
+  }
+  playerData.ratings = [];
+  return playerData;
+}
+
+function rowToEvent(row) {
+  const event = { from: row.from_status, to: row.to_status, timestamp: row.timestamp, source: row.source };
+  if (row.suspended_until !== null) event.suspendedUntil = row.suspended_until;
+  if (row.rating !== null) event.rating = row.rating;
+  if (row.position !== null) event.position = row.position;
+  return event;
+}
+
+function playerToRow(userId, playerData) {
+  const row = { user_id: userId };
+  const extra = {};
+  for (const [field, value] of Object.entries(playerData)) {
+    if (PLAYER_COLUMNS[field]) {
+      row[PLAYER_COLUMNS[field]] = value;
+    } else if (!SEPARATE_TABLE_FIELDS.includes(field)) {
+      extra[field] = value;
+    }
+  }
+  for (const column of Object.values(PLAYER_COLUMNS)) {
+    if (row[column] === undefined) row[column] = null;
+  }
+  row.extra = Object.keys(extra).length > 0 ? JSON.stringify(extra) : null;
+  return row;
+}
+
+function loadSinglePlayer(userId) {
+  const row = statements.getPlayer.get(userId);
+  if (!row) return null;
+
+  const playerData = rowToPlayer(row);
+  playerData.ratings = statements.playerRatings.all(userId);
+  const events = statements.playerEvents.all(userId);
+  if (events.length > 0) playerData.events = events.map(rowToEvent);
+  const nicknames = statements.playerNicknames.all(userId);
+  if (nicknames.length > 0) playerData.nicknames = nicknames;
+  return playerData;
+}
+
+function deletePlayerRows(userId) {
+  statements.deleteRatings.run(userId);
+  statements.deleteEvents.run(userId);
+  statements.deleteNicknames.run(userId);
+}
+
+// what the database holds for each player of a loaded or saved `data`, a later save of the same
+// object only writes what changed since. Data the store has not seen is written in full
+const storedStates = new WeakMap();
+
+function playerState(playerData, row) {
+  const ratings = playerData.ratings || [];
+  const events = playerData.events || [];
+  return {
+    row: JSON.stringify(row),
+    firstRating: ratings[0]?.timestamp ?? null,
+    lastRating: ratings.at(-1)?.timestamp ?? null,
+    eventCount: events.length,
+    lastEvent: JSON.stringify(events.at(-1) ?? null),
+    nicknames: new Map((playerData.nicknames || []).map(entry => [entry.nick, JSON.stringify(entry)]))
+  };
+}
+
+function storedState(data) {
+  const players = new Map();
+  for (const [userId, playerData] of Object.entries(data.players)) {
+    players.set(userId, playerState(playerData, playerToRow(userId, playerData)));
+  }
+  const meta = new Map(Object.entries(data).filter(([key]) => key !== 'players').map(([key, value]) => [key, JSON.stringify(value)]));
+  return { players, meta };
+}
+
+function insertRatings(userId, ratings) {
+  for (const rating of ratings) {
+    statements.insertRating.run(userId, rating.rating, rating.position, rating.timestamp);
+  }
+}
+
+function insertEvents(userId, events, firstSeq = 0) {
+  events.forEach((event, index) => {
+    statements.insertEvent.run({
+      userId,
+      seq: firstSeq + index,
+      from: event.from ?? null,
+      to: event.to,
+      timestamp: event.timestamp,
+      source: event.source ?? null,
+      suspendedUntil: event.suspendedUntil ?? null,
+      rating: event.rating ?? null,
+      position: event.position ?? null
+    });
+  });
+}
+
+function insertNickname(userId, { nick, firstSeen, lastSeen }) {
+  statements.insertNickname.run({ userId, nick, firstSeen: firstSeen ?? null, lastSeen: lastSeen ?? null });
+}
+
+function writePlayer(userId, playerData, row) {
+  statements.upsertPlayer.run(row);
+  deletePlayerRows(userId);
+  insertRatings(userId, playerData.ratings || []);
+  insertEvents(userId, playerData.events || []);
+  // only the kept list, players tracked before it existed get theirs from getNicknames
+  for (const entry of playerData.nicknames || []) insertNickname(userId, entry);
+}
+
+// ratings are appended and the oldest dropped (checker keeps the last 30), events are appended.
+// Anything else, like a list rebuilt from the CSV files, rewrites the list
+function updatePlayer(userId, playerData, row, stored) {
+  if (JSON.stringify(row) !== stored.row) statements.upsertPlayer.run(row);
+
+  const ratings = playerData.ratings || [];
+  const appended = stored.lastRating === null || ratings.length === 0 || ratings[0].timestamp > stored.lastRating ||
+    ratings.some(rating => rating.timestamp === stored.lastRating);
+  if (!appended) {
+    statements.deleteRatings.run(userId);
+    insertRatings(userId, ratings);
+  } else if (ratings.length === 0) {
+    if (stored.lastRating !== null) statements.deleteRatings.run(userId);
+  } else {
+    if (ratings[0].timestamp !== stored.firstRating) statements.deleteRatingsBefore.run(userId, ratings[0].timestamp);
+    insertRatings(userId, stored.lastRating === null ? ratings : ratings.filter(rating => rating.timestamp > stored.lastRating));
+  }
+
+  const events = playerData.events || [];
+  if (events.length >= stored.eventCount && JSON.stringify(events[stored.eventCount - 1] ?? null) === stored.lastEvent) {
+    insertEvents(userId, events.slice(stored.eventCount), stored.eventCount);
+  } else {
+    statements.deleteEvents.run(userId);
+    insertEvents(userId, events);
+  }
+
+  const nicknames = playerData.nicknames || [];
+  for (const entry of nicknames) {
+    if (stored.nicknames.get(entry.nick) !== JSON.stringify(entry)) insertNickname(userId, entry);
+  }
+  for (const nick of stored.nicknames.keys()) {
+    if (!nicknames.some(entry => entry.nick === nick)) statements.deleteNickname.run(userId, nick);
+  }
+}
+
+// the saved data replaces what is stored, like a save of the JSON file: players missing from
+// `data.players` are deleted
+const savePlayers = db.transaction(data => {
+  const stored = storedStates.get(data);
+
+  for (const { user_id: userId } of statements.allPlayerIds.all()) {
+    if (!Object.hasOwn(data.players, userId)) {
+      statements.deletePlayer.run(userId);
+      deletePlayerRows(userId);
+    }
+  }
+
+  const players = new Map();
+  for (const [userId, playerData] of Object.entries(data.players)) {
+    const row = playerToRow(userId, playerData);
+    const storedPlayer = stored?.players.get(userId);
+    if (storedPlayer) {
+      updatePlayer(userId, playerData, row, storedPlayer);
+    } else {
+      writePlayer(userId, playerData, row);
+    }
+    players.set(userId, playerState(playerData, row));
+  }
+
+  const meta = new Map();
+  for (const { key } of statements.allMeta.all()) {
+    if (!Object.hasOwn(data, key) || key === 'players' || data[key] === undefined) statements.deleteMeta.run(key);
+  }
+  for (const [key, value] of Object.entries(data)) {
+    if (key === 'players' || value === undefined) continue;
+    const json = JSON.stringify(value);
+    if (stored?.meta.get(key) !== json) statements.setMeta.run(key, json);
+    meta.set(key, json);
+  }
+
+  storedStates.set(data, { players, meta });
+});
+
+export function initializeStorage() {
+  // tables are created when the module is loaded
+}
+
+// SQLite journals its own writes, only report a damaged database file
+export function checkIntegrity() {
+  const result = db.pragma('quick_check', { simple: true });
+  return result === 'ok' ? null : { restored: false, error: `quick_check: ${result}` };
+}
+
+export function loadPlayerData() {
+  const data = emptyPlayerData();
+
+  for (const { key, value } of statements.allMeta.all()) {
+    data[key] = JSON.parse(value);
+  }
+
+  for (const row of statements.allPlayers.all()) {
+    data.players[row.user_id] = rowToPlayer(row);
+  }
+
+  for (const row of statements.allRatings.iterate()) {
+    const playerData = data.players[row.user_id];
+    if (playerData) playerData.ratings.push({ rating: row.rating, position: row.position, timestamp: row.timestamp });
+  }
+
+  for (const row of statements.allEvents.iterate()) {
+    const playerData = data.players[row.user_id];
+    if (!playerData) continue;
+    if (!playerData.events) playerData.events = [];
+    playerData.events.push(rowToEvent(row));
+  }
+
+  for (const row of statements.allNicknames.iterate()) {
+    const playerData = data.players[row.user_id];
+    if (!playerData) continue;
+    if (!playerData.nicknames) playerData.nicknames = [];
+    playerData.nicknames.push({ nick: row.nick, firstSeen: row.first_seen, lastSeen: row.last_seen });
+  }
+
+  storedStates.set(data, storedState(data));
+  return data;
+}
+
+export function savePlayerData(data) {
+  savePlayers(data);
+}
+
+export function findPlayer(query) {
+  const userIdOrNick = parsePlayerQuery(query);
+
+  const byId = loadSinglePlayer(userIdOrNick);
+  if (byId) return { userId: userIdOrNick, playerData: byId };
+
+  const match = findByNickname(userIdOrNick, nicknameCandidates());
+  return match ? { userId: match.userId, playerData: loadSinglePlayer(match.userId) } : null;
+}
+
+function nicknameCandidates() {
+  const names = new Map();
+  for (const row of statements.allNicknames.iterate()) {
+    if (!names.has(row.user_id)) names.set(row.user_id, []);
+    names.get(row.user_id).push(row.nick);
+  }
+  return statements.playerNicks.all().map(row => ({ userId: row.user_id, nick: row.nick, names: names.get(row.user_id) || [row.nick] }));
+}
+
+// matches current and former nicknames, `formerNick` is set when a former one matched and `rank`
+// says how well it matched (see src/nicknames.js)
+export function searchPlayers(query, limit) {
+  return searchNicknames(query, nicknameCandidates())
+    .slice(0, limit)
+    .map(({ userId, nick, matchedNick, rank }) => ({
+      userId,
+      nick,
+      formerNick: matchedNick !== nick ? matchedNick : undefined,
+      rank,
+      lastRating: statements.lastRating.get(userId)
+    }));
+}
+
+export function getStats() {
+  const statusCounts = {};
+  let totalPlayers = 0;
+  for (const { status, count } of statements.statusCounts.all()) {
+    statusCounts[status] = count;
+    totalPlayers += count;
+  }
+
+  const meta = {};
+  for (const { key, value } of statements.allMeta.all()) {
+    meta[key] = JSON.parse(value);
+  }
+
+  const eventsByPlayer = {};
+  for (const row of statements.allEvents.iterate()) {
+    if (!eventsByPlayer[row.user_id]) eventsByPlayer[row.user_id] = { events: [] };
+    eventsByPlayer[row.user_id].events.push(rowToEvent(row));
+  }
+
+  return {
+    totalPlayers,
+    statusCounts,
+    lastCheck: meta.lastCheck ?? null,
+    totalChecks: meta.totalChecks || 0,
+    eventSummary: summarizeEvents(eventsByPlayer)
+  };
+}
+
+// the cells are text like in the CSV files, a number bound as is would come back as '1910.0'
+function historyValues(columns, row) {
+  return columns.map(column => row[column] === null || row[column] === undefined ? null : String(row[column]));
+}
+
+export function appendSanctionRow(row) {
+  statements.insertSanction.run(historyValues(SANCTION_COLUMNS, row));
+}
+
+export function appendUnsanctionRow(row) {
+  statements.insertUnsanction.run(historyValues(UNSANCTION_COLUMNS, row));
+}
+
+export function readSanctionRows() {
+  return statements.allSanctions.all();
+}
+
+export function readUnsanctionRows() {
+  return statements.allUnsanctions.all();
+}
+
+// async like the CSV files of the JSON store
+export async function readHistoryRows() {
+  return { sanctionRows: readSanctionRows(), unsanctionRows: readUnsanctionRows() };
+}
+
+export function recordCheckRun(run) {
+  statements.insertCheckRun.run({
+    startedAt: run.startedAt,
+    finishedAt: run.finishedAt ?? null,
+    success: run.success ? 1 : 0,
+    playersChecked: run.playersChecked ?? null,
+    newSanctions: run.newSanctions ?? null,
+    newDeletions: run.newDeletions ?? null,
+    unsanctions: run.unsanctions ?? null,
+    error: run.error ?? null,
+    activityCalls: run.activityCalls ?? null,
+    activityErrors: run.activityErrors ?? null
+  });
+}
+
+// the fields a run did not have are left out, like in check_runs.jsonl
+export function getLastCheckRun() {
+  const row = statements.lastCheckRun.get();
+  if (!row) return null;
+  const run = Object.fromEntries(Object.entries(row).filter(([, value]) => value !== null));
+  return { ...run, success: row.success === 1 };
+}
+
+export function getWatchlist() {
+  return statements.allWatched.all();
+}
+
+export function isWatched(userId) {
+  return statements.getWatched.get(userId) !== undefined;
+}
+
+// returns false when the player is already watched
+export function addToWatchlist({ userId, nick, countryCode, addedBy, addedAt }) {
+  const result = statements.insertWatched.run({
+    userId,
+    nick: nick ?? null,
+    countryCode: countryCode ?? null,
+    addedBy: addedBy ?? null,
+    addedAt: addedAt ?? null
+  });
+  return result.changes > 0;
+}
+
+export function removeFromWatchlist(userId) {
+  return statements.deleteWatched.run(userId).changes > 0;
+}
+
+export function getSubscriptions(discordUserId) {
+  return statements.userSubscriptions.all(discordUserId).map(row => row.user_id);
+}
+
+export function getSubscribers(userId) {
+  return statements.playerSubscribers.all(userId).map(row => row.discord_user_id);
+}
+
+// returns false when the player is already followed
+export function addSubscription(discordUserId, userId) {
+  return statements.insertSubscription.run(discordUserId, userId, Date.now()).changes > 0;
+}
+
+export function removeSubscription(discordUserId, userId) {
+  return statements.deleteSubscription.run(discordUserId, userId).changes > 0;
+}
+
+// returns how many players the user stopped following
+export function removeAllSubscriptions(discordUserId) {
+  return statements.deleteUserSubscriptions.run(discordUserId).changes;
+}
+
+export const importHistoryRows = db.transaction((sanctionRows, unsanctionRows) => {
+  sanctionRows.forEach(appendSanctionRow);
+  unsanctionRows.forEach(appendUnsanctionRow);
+});
@@ -0,0 +1,139 @@
+import { post } from './sinks/webhookSink.js';
+
+// Watches the check runs from the outside, for the failures nobody would see otherwise:
+//   stalled       a run has been going for more than `maxRunMs`
+//   no_success    no run finished successfully for `missedIntervals` check intervals (since the bot started)
+//   activity      more than `activityErrorThreshold` of the profile lookups of a run failed
+//   discord       the Discord gateway has been disconnected for more than `discordGraceMs`
+// Each alert is sent once to the logs channel, and to `fallbackWebhookUrl` when set (as
+// `{ content }`, a Discord webhook URL works), then once more when it clears. The webhook still
+// works when the bot lost Discord.
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+function formatMinutes(ms) {
+  return `${Math.round(ms / 60000)} min`;
+}
+
+export function createWatchdog({
+  notifier,
+  checkIntervalMs,
+  maxRunMs = 45 * 60 * 1000,
+  missedIntervals = 3,
+  activityErrorThreshold = 0.2,
+  minActivityCalls = 50, // fewer lookups say nothing about the API, a run with 3 watched players and 1 error is fine
+  discordGraceMs = 10 * 60 * 1000,
+  isDiscordConnected = () => true,
+  fallbackWebhookUrl = null,
+  tickMs = 60 * 1000,
+  now = Date.now,
+  postWebhook = post
+}) {
+  const startedAt = now();
+  let runStartedAt = null;
+  let lastSuccessAt = null;
+  let discordDownSince = null;
+  let timer = null;
+  const active = new Map(); // alert kind -> time it was raised
+
+  async function deliver(title, message, isError) {
+    console.log(`Watchdog: ${title} - ${message}`);
+    await notifier.sendStatusMessage(message, isError, title);
+
+    if (!fallbackWebhookUrl) return;
+    const body = JSON.stringify({ content: `**${title}**\n${message}` });
+    try {
+      const { status } = await postWebhook(fallbackWebhookUrl, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(body),
+        'User-Agent': 'GeoBan-Watchdog'
+      }, body, WEBHOOK_TIMEOUT_MS);
+      if (status < 200 || status >= 300) console.error(`Watchdog fallback webhook answered ${status}`);
+    } catch (error) {
+      console.error('Error sending the watchdog alert to the fallback webhook:', error.message);
+    }
+  }
+
+  async function raise(kind, title, message) {
+    if (active.has(kind)) return;
+    active.set(kind, now());
+    await deliver(title, message, true);
+  }
+
+  async function clear(kind, title, message) {
+    if (!active.has(kind)) return;
+    active.delete(kind);
+    await deliver(title, message, false);
+  }
+
+  // called every `tickMs`, the conditions that can happen while nothing else does
+  async function tick() {
+    const time = now();
+
+    if (runStartedAt !== null && time - runStartedAt > maxRunMs) {
+      await raise('stalled', '⏳ Check Stalled',
+        `The check started ${formatMinutes(time - runStartedAt)} ago and is still running (limit ${formatMinutes(maxRunMs)}), it may be stuck.`);
+    }
+
+    const silentSince = lastSuccessAt ?? startedAt;
+    if (time - silentSince > missedIntervals * checkIntervalMs) {
+      await raise('no_success', '💤 No Successful Check',
+        lastSuccessAt === null
+          ? `No check finished successfully since the bot started ${formatMinutes(time - startedAt)} ago.`
+          : `The last successful check finished ${formatMinutes(time - lastSuccessAt)} ago (${missedIntervals} check intervals missed).`);
+    }
+
+    if (isDiscordConnected()) {
+      discordDownSince = null;
+      await clear('discord', '🔌 Discord Reconnected', 'The bot is connected to Discord again.');
+    } else {
+      discordDownSince ??= time;
+      if (time - discordDownSince > discordGraceMs) {
+        await raise('discord', '🔌 Discord Disconnected',
+          `The bot has been disconnected from Discord for ${formatMinutes(time - discordDownSince)}, slash commands do not answer.`);
+      }
+    }
+  }
+
+  function runStarted() {
+    runStartedAt = now();
+  }
+
+  async function runFinished(run) {
+    const duration = now() - runStartedAt;
+    runStartedAt = null;
+    await clear('stalled', '⏳ Stalled Check Finished', `The check finished after ${formatMinutes(duration)}.`);
+
+    if (run?.success) {
+      lastSuccessAt = run.finishedAt ?? now();
+      await clear('no_success', '✅ Checks Back', 'A check finished successfully again.');
+    }
+
+    // runs that stopped before looking up any profile (expired cookie...) say nothing either way
+    if (!run || !(run.activityCalls >= minActivityCalls)) return;
+    const errorShare = run.activityErrors / run.activityCalls;
+    if (errorShare > activityErrorThreshold) {
+      await raise('activity', '⚠️ Profile Lookups Failing',
+        `${run.activityErrors} of the ${run.activityCalls} profile lookups of the last check failed (${Math.round(errorShare * 100)}%, limit ${Math.round(activityErrorThreshold * 100)}%). ` +
+        'Players on those profiles were not checked, look at the logs for the errors.');
+    } else {
+      await clear('activity', '✅ Profile Lookups Back', `${run.activityErrors} of the ${run.activityCalls} profile lookups of the last check failed.`);
+    }
+  }
+
+  return {
+    runStarted,
+    runFinished,
+    tick,
+    start() {
+      timer = setInterval(() => tick().catch(error => console.error('Error in the watchdog:', error)), tickMs);
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+    get activeAlerts() {
+      return [...active.keys()];
+    }
+  };
+}
@@ -0,0 +1,93 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAnomalyDetector, summarizeAnomalyFlags } from '../src/anomalyDetector.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const T0 = Date.parse('2025-06-01T12:00:00Z');
+
+// one hourly sample from T0 - 6h to T0, moving by `gain` ELO and `jump` places in total
+function player(nick, rating, position, gain = 0, jump = 0) {
+  const ratings = [];
+  for (let hour = 0; hour <= 6; hour++) {
+    ratings.push({
+      rating: rating + Math.round(gain * hour / 6),
+      position: position - Math.round(jump * hour / 6),
+      timestamp: T0 - (6 - hour) * HOUR
+    });
+  }
+  return { nick, status: 'active', ratings, events: [] };
+}
+
+// 40 players between 1500 and 1600 ELO moving a little, 40 between 1800 and 1900 moving a lot
+function leaderboard() {
+  const players = {};
+  for (let i = 0; i < 40; i++) {
+    players[`low${i}`] = player(`low${i}`, 1500 + i, 500 - i, (i % 7) - 3, (i % 5) - 2);
+    players[`high${i}`] = player(`high${i}`, 1800 + i, 100 - i, (i % 7) * 15 - 45, (i % 5) * 4 - 8);
+  }
+  return players;
+}
+
+describe('anomaly detector', () => {
+  const detector = createAnomalyDetector({ windowHours: 6, threshold: 4, minBandPlayers: 30 });
+
+  it('flags a spike against the players of the same ELO band', () => {
+    const players = leaderboard();
+    players.low0 = player('low0', 1500, 500, 120, 60);
+    // the same gain is normal among the players who move a lot
+    players.high0 = player('high0', 1800, 100, 120, 8);
+
+    const flagged = detector.detect(players, T0);
+
+    assert.deepEqual(flagged.map(({ userId }) => userId), ['low0']);
+    const { flag } = flagged[0];
+    assert.equal(flag.band, 1500);
+    assert.equal(flag.reference, 'band');
+    assert.equal(flag.referencePlayers, 40);
+    assert.deepEqual(flag.from, { rating: 1500, position: 500 });
+    assert.deepEqual(flag.to, { rating: 1620, position: 440 });
+    assert.equal(flag.ratingGain, 120);
+    assert.equal(flag.positionJump, 60);
+    assert.ok(flag.ratingZ >= 4);
+    assert.equal(flag.outcome, null);
+  });
+
+  it('ignores players without a baseline or not seen by the check', () => {
+    const players = leaderboard();
+    players.low0 = player('low0', 1500, 500, 120, 60);
+    players.low0.ratings = players.low0.ratings.slice(-2);
+    players.low1 = player('low1', 1501, 499, 120, 60);
+    players.low1.ratings.pop();
+
+    assert.deepEqual(detector.detect(players, T0), []);
+  });
+
+  it('records flags and resolves them with the sanctions that follow', () => {
+    const data = { players: leaderboard() };
+    data.players.low0 = player('low0', 1500, 500, 120, 60);
+    data.players.low1 = player('low1', 1501, 499, 0, 80);
+
+    const { flagged } = detector.run(data, T0);
+    assert.deepEqual(flagged.map(({ userId }) => userId).sort(), ['low0', 'low1']);
+    assert.equal(data.players.low0.anomalyFlags.length, 1);
+
+    // an open flag is not raised again
+    assert.deepEqual(detector.run(data, T0).flagged, []);
+
+    data.players.low0.events.push({ timestamp: T0 + 2 * DAY, from: 'active', to: 'banned', source: 'leaderboard_missing' });
+    let { resolved } = detector.run(data, T0 + 2 * DAY);
+    assert.deepEqual(resolved.map(({ userId, flag }) => [userId, flag.outcome]), [['low0', 'sanctioned']]);
+    assert.equal(data.players.low0.anomalyFlags[0].resolvedAt, T0 + 2 * DAY);
+
+    ({ resolved } = detector.run(data, T0 + 31 * DAY));
+    assert.deepEqual(resolved.map(({ userId, flag }) => [userId, flag.outcome]), [['low1', 'not_sanctioned']]);
+
+    assert.deepEqual(summarizeAnomalyFlags(data.players), { flagged: 2, sanctioned: 1, notSanctioned: 1, pending: 0, hitRate: 50 });
+  });
+
+  it('has no hit rate before the first outcome', () => {
+    assert.deepEqual(summarizeAnomalyFlags({ a: { anomalyFlags: [{ flaggedAt: T0, outcome: null }] }, b: {} }),
+      { flagged: 1, sanctioned: 0, notSanctioned: 0, pending: 1, hitRate: null });
+  });
+});
@@ -0,0 +1,92 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCheckCoordinator } from '../src/checkCoordinator.js';
+
+const SECOND = 1000;
+
+describe('checkCoordinator', () => {
+  let clock;
+  let runs;
+  let coordinator;
+
+  // each run waits until the test finishes it
+  function runCheck({ onProgress }) {
+    return new Promise((resolve, reject) => {
+      runs.push({ resolve, reject, onProgress });
+    });
+  }
+
+  const settled = () => new Promise(resolve => setImmediate(resolve));
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    clock = { time: Date.parse('2025-06-01T12:00:00Z') };
+    runs = [];
+    coordinator = createCheckCoordinator(runCheck, { now: () => clock.time });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('joins a running scheduled check within 60 seconds', async () => {
+    const scheduled = coordinator.requestCheck({ source: 'scheduled' });
+    clock.time += 59 * SECOND;
+    const progress = [];
+    const manual = coordinator.requestCheck({ onProgress: update => progress.push(update) });
+
+    assert.equal(scheduled.status, 'started');
+    assert.equal(manual.status, 'joined');
+    assert.equal(coordinator.isRunning(), true);
+    runs[0].onProgress({ checked: 10 });
+    runs[0].resolve('done');
+
+    assert.equal(await scheduled.promise, 'done');
+    assert.equal(await manual.promise, 'done');
+    assert.deepEqual(progress, [{ checked: 10 }]);
+    assert.equal(runs.length, 1);
+    await settled();
+    assert.equal(coordinator.isRunning(), false);
+  });
+
+  it('queues a manual request once the running check is stale, and shares the queued run', async () => {
+    const first = coordinator.requestCheck({ source: 'scheduled' });
+    clock.time += 61 * SECOND;
+    const queued = coordinator.requestCheck();
+    const later = coordinator.requestCheck();
+    // scheduled requests never queue
+    const scheduled = coordinator.requestCheck({ source: 'scheduled' });
+
+    assert.deepEqual([queued.status, later.status, scheduled.status], ['queued', 'queued', 'joined']);
+    runs[0].resolve('first');
+    assert.equal(await first.promise, 'first');
+    assert.equal(await scheduled.promise, 'first');
+    await settled();
+
+    // the queued run starts after the first one and both requests get its result
+    assert.equal(runs.length, 2);
+    assert.equal(coordinator.isRunning(), true);
+    runs[1].resolve('second');
+    assert.equal(await queued.promise, 'second');
+    assert.equal(await later.promise, 'second');
+  });
+
+  it('passes the error of a run to every caller that joined it, then starts the queued run', async () => {
+    const failure = new Error('GeoGuessr cookie expired or invalid');
+    const started = coordinator.requestCheck();
+    const joined = coordinator.requestCheck({ source: 'scheduled' });
+    clock.time += 2 * 60 * SECOND;
+    const queued = coordinator.requestCheck();
+
+    runs[0].reject(failure);
+    await assert.rejects(started.promise, failure);
+    await assert.rejects(joined.promise, failure);
+    await settled();
+
+    assert.equal(runs.length, 2);
+    runs[1].resolve('recovered');
+    assert.equal(await queued.promise, 'recovered');
+    await settled();
+    assert.equal(coordinator.isRunning(), false);
+  });
+});
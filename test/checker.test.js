@@ -0,0 +1,594 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import * as storage from '../src/storage/jsonStore.js';
+import { createApiClient } from '../src/geoguessrApi.js';
+import { createChecker } from '../src/checker.js';
+import { SOLO_DUELS_LADDER, TEAM_DUELS_LADDER, laddersFromEnv } from '../src/ladders.js';
+import { getSanctionDurationDays } from '../src/playerEvents.js';
+import { createDiscordNotifier } from '../src/notifications.js';
+import { createSnapshotArchive, diffSnapshots } from '../src/snapshots.js';
+import { createEventDispatcher } from '../src/events.js';
+import { createDiscordSink } from '../src/sinks/discordSink.js';
+import { createSubscriberSink } from '../src/sinks/subscriberSink.js';
+import { createFakeGeoguessr, VALID_COOKIE } from './support/fakeGeoguessr.js';
+import { createFakeDiscordClient } from './support/fakeDiscord.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const T0 = Date.parse('2025-06-01T12:00:00Z');
+
+const CHANNELS = {
+  banChannelId: 'bans',
+  unbanChannelId: 'unbans',
+  unsuspendedChannelId: 'unsuspended',
+  nicknameChannelId: 'nicknames',
+  logsChannelId: 'logs',
+  banRoleId: 'ban-role',
+  unbanRoleId: 'unban-role'
+};
+
+const alice = { userId: 'alice', nick: 'Alice', rating: 1900, position: 1, countryCode: 'fr' };
+const bob = { userId: 'bob', nick: 'Bob', rating: 1850, position: 2, countryCode: 'de' };
+const carol = { userId: 'carol', nick: 'Carol', rating: 1800, position: 3, countryCode: 'se' };
+
+function titles(messages) {
+  return messages.flatMap(message => message.embeds.map(embed => embed.title));
+}
+
+describe('checkForBannedPlayers', () => {
+  let originalCwd;
+  let workDir;
+  let api;
+  let discord;
+  let clock;
+  let apiClient;
+  let checker;
+  let subscriberSink;
+
+  // wired like main.js: the Discord announcements and the subscriber DMs behind the event dispatcher
+  function createTestChecker(options = {}) {
+    const notifier = createDiscordNotifier(discord, { ...CHANNELS, isWatched: userId => storage.isWatched(userId) });
+    subscriberSink = createSubscriberSink({
+      client: discord,
+      getSubscribers: userId => storage.getSubscribers(userId),
+      onDmClosed: discordUserId => storage.removeAllSubscriptions(discordUserId)
+    });
+    return createChecker({
+      apiClient,
+      storage,
+      notifier: createEventDispatcher({ notifier, sinks: [createDiscordSink(notifier), subscriberSink], now: () => clock.time }),
+      now: () => clock.time,
+      ...options
+    });
+  }
+
+  // one check at `clock.time + offset` against the scripted API state, returns what was announced
+  async function runCheck(offset, state) {
+    clock.time = T0 + offset;
+    api.setState(state);
+    discord.clear();
+    const run = await checker.checkForBannedPlayers();
+    await subscriberSink.idle();
+    return { run, data: storage.loadPlayerData(), discord };
+  }
+
+  beforeEach(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+
+    originalCwd = process.cwd();
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'geoban-test-'));
+    process.chdir(workDir);
+    storage.initializeStorage();
+
+    api = createFakeGeoguessr();
+    const baseUrl = await api.start();
+    apiClient = createApiClient({ baseUrl, cookie: VALID_COOKIE, requestsPerSecond: 1000, burst: 50, maxRetries: 0 });
+    discord = createFakeDiscordClient();
+    clock = { time: T0 };
+    checker = createTestChecker();
+  });
+
+  afterEach(async () => {
+    await api.stop();
+    process.chdir(originalCwd);
+    fs.rmSync(workDir, { recursive: true, force: true });
+    mock.restoreAll();
+  });
+
+  it('tracks the leaderboard silently on the first run', async () => {
+    const { run, data } = await runCheck(0, { leaderboard: [alice, bob] });
+
+    assert.equal(run.success, true);
+    assert.deepEqual(Object.keys(data.players).sort(), ['alice', 'bob']);
+    assert.equal(data.players.alice.status, 'active');
+    assert.equal(data.lastCheck, T0);
+    assert.deepEqual(titles(discord.sent), ['✅ Check Completed']);
+    assert.equal(storage.readSanctionRows().length, 0);
+  });
+
+  it('follows a ban, an unban and a new suspension of the same player', async () => {
+    await runCheck(0, { leaderboard: [alice, bob] });
+
+    // alice drops off the leaderboard and the API reports her banned
+    let result = await runCheck(1 * HOUR, { leaderboard: [bob], users: { alice: { isBanned: true } } });
+    assert.deepEqual(titles(result.discord.messagesIn('bans')), ['🚫 Player Banned']);
+    assert.equal(result.discord.messagesIn('bans')[0].content, '<@&ban-role>');
+    assert.equal(result.data.players.alice.status, 'banned');
+    assert.equal(result.data.players.alice.events.at(-1).source, 'missing');
+    assert.equal(result.run.newSanctions, 1);
+
+    let rows = storage.readSanctionRows();
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].UserID, 'alice');
+    assert.equal(rows[0].Action_Type, 'BANNED');
+    assert.equal(rows[0].ELO, '1900');
+
+    // the ban is lifted, the sanctioned recheck notices before she is back on the leaderboard
+    result = await runCheck(2 * HOUR, { leaderboard: [bob], users: { alice: { isBanned: false } } });
+    assert.deepEqual(titles(result.discord.messagesIn('unbans')), ['🟢 Player Unbanned/Unsuspended']);
+    assert.equal(result.data.players.alice.status, 'active');
+    assert.equal(result.data.players.alice.events.at(-1).source, 'sanctioned_recheck');
+    assert.equal(result.run.unsanctions, 1);
+
+    const unsanctionRows = storage.readUnsanctionRows();
+    assert.equal(unsanctionRows.length, 1);
+    assert.equal(unsanctionRows[0].Previous_Action_Type, 'BANNED');
+    assert.equal(unsanctionRows[0].Duration_Days, '0');
+
+    // back on the leaderboard, suspended this time
+    const suspendedUntil = new Date(T0 + 3 * HOUR + 2 * DAY).toISOString();
+    result = await runCheck(3 * HOUR, { leaderboard: [alice, bob], users: { alice: { suspendedUntil } } });
+    assert.deepEqual(titles(result.discord.messagesIn('bans')), ['⏸️ Player Suspended']);
+    assert.equal(result.data.players.alice.status, 'suspended');
+    assert.equal(result.data.players.alice.suspendedUntil, suspendedUntil);
+    assert.deepEqual(
+      result.data.players.alice.events.map(event => `${event.from}>${event.to}`),
+      ['active>banned', 'banned>active', 'active>suspended']
+    );
+
+    rows = storage.readSanctionRows();
+    assert.equal(rows.length, 2);
+    assert.equal(rows[1].Action_Type, 'SUSPENDED');
+    assert.equal(rows[1].Suspended_Until, suspendedUntil.split('T')[0]);
+
+    // nothing changed, nothing announced
+    result = await runCheck(4 * HOUR, { leaderboard: [alice, bob], users: { alice: { suspendedUntil } } });
+    assert.equal(result.discord.messagesIn('bans').length, 0);
+    assert.equal(storage.readSanctionRows().length, 2);
+  });
+
+  it('dates a second ban from the day it happened', async () => {
+    await runCheck(0, { leaderboard: [alice, bob] });
+    let result = await runCheck(1 * HOUR, { leaderboard: [alice, bob], users: { alice: { isBanned: true } } });
+    assert.equal(result.data.players.alice.bannedAt, T0 + HOUR);
+
+    await runCheck(2 * HOUR, { leaderboard: [alice, bob] });
+    result = await runCheck(5 * DAY, { leaderboard: [alice, bob], users: { alice: { isBanned: true } } });
+    assert.deepEqual(titles(result.discord.messagesIn('bans')), ['🚫 Player Banned']);
+    assert.equal(result.data.players.alice.bannedAt, T0 + 5 * DAY);
+    assert.deepEqual(
+      result.data.players.alice.events.map(event => `${event.from}>${event.to}:${event.source}`),
+      ['active>banned:leaderboard', 'banned>active:sanctioned_recheck', 'active>banned:leaderboard']
+    );
+    assert.equal(getSanctionDurationDays(result.data.players.alice, T0 + 6 * DAY), 1);
+    assert.equal(storage.readSanctionRows().length, 2);
+  });
+
+  it('attaches the ELO chart to single player ban announcements', async () => {
+    await runCheck(0, { leaderboard: [alice, bob, carol] });
+
+    let result = await runCheck(1 * HOUR, { leaderboard: [bob, carol], users: { alice: { isBanned: true } } });
+    let [message] = result.discord.messagesIn('bans');
+    assert.deepEqual(message.files.map(file => file.name), ['elo-chart.png']);
+    assert.equal(message.embeds[0].image.url, 'attachment://elo-chart.png');
+
+    // a list of players has no chart
+    result = await runCheck(2 * HOUR, { leaderboard: [alice], users: { bob: { isBanned: true }, carol: { isBanned: true } } });
+    [message] = result.discord.messagesIn('bans');
+    assert.deepEqual(titles([message]), ['🚫 2 Players Banned']);
+    assert.deepEqual(message.files, []);
+  });
+
+  it('charts the sanction being announced', async () => {
+    const charted = [];
+    const notifier = createDiscordNotifier(discord, {
+      ...CHANNELS,
+      renderChart: async playerData => { charted.push(playerData); return Buffer.from('png'); },
+      now: () => clock.time
+    });
+    checker = createTestChecker({ notifier: createEventDispatcher({ notifier, sinks: [createDiscordSink(notifier)], now: () => clock.time }) });
+
+    await runCheck(0, { leaderboard: [alice, bob] });
+    const result = await runCheck(1 * HOUR, { leaderboard: [bob], users: { alice: { isBanned: true } } });
+
+    assert.equal(charted.length, 1);
+    assert.deepEqual(
+      charted[0].events.map(event => `${event.from}>${event.to}@${event.timestamp}`),
+      [`active>banned@${T0 + HOUR}`]
+    );
+    // the tracking data itself gets the event once, when it is recorded
+    assert.equal(result.data.players.alice.events.length, 1);
+  });
+
+  it('announces a ban upgraded from a suspension', async () => {
+    const suspendedUntil = new Date(T0 + 5 * DAY).toISOString();
+    await runCheck(0, { leaderboard: [alice, bob], users: { alice: { suspendedUntil } } });
+    assert.equal(storage.loadPlayerData().players.alice.status, 'suspended');
+
+    const result = await runCheck(1 * HOUR, { leaderboard: [bob], users: { alice: { isBanned: true } } });
+    assert.deepEqual(titles(result.discord.messagesIn('bans')), ['🚫 Player Banned']);
+    assert.equal(result.data.players.alice.status, 'banned');
+    assert.equal(result.data.players.alice.suspendedUntil, undefined);
+    assert.deepEqual(storage.readSanctionRows().map(row => row.Action_Type), ['SUSPENDED', 'BANNED']);
+  });
+
+  it('records a deleted account from a 404, or a 403 while the session is logged in', async () => {
+    await runCheck(0, { leaderboard: [alice, bob, carol] });
+
+    // alice disappears and her profile is gone
+    let result = await runCheck(1 * HOUR, { leaderboard: [bob, carol], users: { alice: { status: 404 } } });
+    assert.deepEqual(titles(result.discord.messagesIn('bans')), ['🗑️ Account Deleted']);
+    assert.equal(result.data.players.alice.status, 'deleted_account');
+    assert.equal(result.data.players.alice.deletedAt, T0 + HOUR);
+    // a deleted account is not a failed lookup for the watchdog
+    assert.equal(result.run.activityErrors, 0);
+    assert.ok(result.run.activityCalls >= 3);
+
+    // bob's profile answers 403 and the session probed again is still logged in
+    result = await runCheck(2 * HOUR, { leaderboard: [carol], users: { alice: { status: 404 }, bob: { status: 403 } } });
+    assert.deepEqual(titles(result.discord.messagesIn('bans')), ['🗑️ Account Deleted']);
+    assert.equal(result.data.players.bob.status, 'deleted_account');
+    assert.equal(result.run.activityErrors, 0);
+
+    // the cookie expires during the check: carol's 403 says nothing about her account
+    let probes = 0;
+    mock.method(apiClient, 'checkAuth', async () => ++probes === 1);
+    const dave = { userId: 'dave', nick: 'Dave', rating: 1700, position: 4, countryCode: 'it' };
+    result = await runCheck(3 * HOUR, { leaderboard: [dave], users: { alice: { status: 404 }, bob: { status: 403 }, carol: { status: 403 } } });
+    assert.equal(probes, 2);
+    assert.equal(result.discord.messagesIn('bans').length, 0);
+    assert.equal(result.data.players.carol.status, 'active');
+    assert.equal(result.run.newDeletions, 0);
+    assert.equal(result.run.activityErrors, 1);
+
+    const rows = storage.readSanctionRows();
+    assert.deepEqual(rows.map(row => [row.UserID, row.Action_Type]), [['alice', 'DELETED_ACCOUNT'], ['bob', 'DELETED_ACCOUNT']]);
+  });
+
+  it('skips checks with an expired cookie and alerts once', async () => {
+    await runCheck(0, { leaderboard: [alice, bob] });
+    api.setValidCookie('rotated-ncfa');
+
+    // every profile would answer 403 with an expired cookie
+    let result = await runCheck(1 * HOUR, { leaderboard: [bob], users: { alice: { status: 403 }, bob: { status: 403 } } });
+    assert.equal(result.run.success, false);
+    assert.equal(result.run.error, 'GeoGuessr cookie expired or invalid');
+    assert.deepEqual(titles(discord.sent), ['🔑 GeoGuessr Cookie Expired']);
+    assert.equal(result.data.players.alice.status, 'active');
+    assert.equal(result.data.lastCheck, T0);
+    assert.ok(!api.requests.includes('/v3/users/alice'));
+
+    result = await runCheck(2 * HOUR, { leaderboard: [bob] });
+    assert.equal(result.run.success, false);
+    assert.equal(discord.sent.length, 0);
+
+    // a new cookie set at runtime is used by the next check
+    assert.equal(await apiClient.checkAuth('still-wrong'), false);
+    assert.equal(await apiClient.checkAuth('rotated-ncfa'), true);
+    apiClient.setCookie('rotated-ncfa');
+    result = await runCheck(3 * HOUR, { leaderboard: [alice, bob] });
+    assert.equal(result.run.success, true);
+    assert.deepEqual(titles(discord.sent), ['✅ Check Completed']);
+  });
+
+  it('returns players to active silently on the first check after a restart', async () => {
+    await runCheck(0, { leaderboard: [alice, bob], users: { alice: { isBanned: true } } });
+    assert.equal(storage.loadPlayerData().players.alice.status, 'banned');
+
+    // more than 3 hours since the last check, and the API cannot confirm anything about alice
+    const result = await runCheck(5 * HOUR, { leaderboard: [alice, bob], users: { alice: { status: 500 } } });
+    assert.equal(result.discord.messagesIn('unbans').length, 0);
+    assert.equal(result.data.players.alice.status, 'active');
+    assert.equal(result.data.players.alice.events.at(-1).source, 'leaderboard_return');
+    assert.equal(storage.readUnsanctionRows().length, 0);
+  });
+
+  it('announces a leaderboard return outside of a restart', async () => {
+    await runCheck(0, { leaderboard: [alice, bob], users: { alice: { isBanned: true } } });
+
+    const result = await runCheck(1 * HOUR, { leaderboard: [alice, bob], users: { alice: { status: 500 } } });
+    assert.deepEqual(titles(result.discord.messagesIn('unbans')), ['🟢 Player Unbanned/Unsuspended']);
+    assert.equal(result.data.players.alice.status, 'active');
+    assert.equal(result.data.players.alice.events.at(-1).source, 'leaderboard_return');
+    assert.equal(storage.readUnsanctionRows().length, 1);
+  });
+
+  it('expires a suspension that could not be rechecked and announces the return later', async () => {
+    const suspendedUntil = new Date(T0 + 90 * 60 * 1000).toISOString();
+    await runCheck(0, { leaderboard: [alice, bob], users: { alice: { suspendedUntil } } });
+
+    // the suspension ends while alice is off the leaderboard and her profile errors
+    let result = await runCheck(2 * HOUR, { leaderboard: [bob], users: { alice: { status: 500 } } });
+    assert.equal(result.data.players.alice.status, 'suspension_expired');
+    assert.equal(result.data.players.alice.suspendedUntil, undefined);
+    assert.equal(result.discord.messagesIn('unsuspended').length, 0);
+
+    result = await runCheck(3 * HOUR, { leaderboard: [alice, bob] });
+    assert.deepEqual(titles(result.discord.messagesIn('unsuspended')), ['🟢 Player Unsuspended']);
+    assert.equal(result.data.players.alice.status, 'active');
+    assert.deepEqual(
+      result.data.players.alice.events.map(event => event.source),
+      ['leaderboard', 'suspension_expired', 'leaderboard_return']
+    );
+    assert.equal(storage.readUnsanctionRows()[0].Previous_Action_Type, 'SUSPENDED');
+  });
+
+  it('sends the events of a check to the sinks next to the Discord announcements', async () => {
+    const notifier = createDiscordNotifier(discord, CHANNELS);
+    const received = [];
+    const sink = { name: 'recording', handle: events => received.push(...events) };
+    checker = createTestChecker({ notifier: createEventDispatcher({ notifier, sinks: [createDiscordSink(notifier), sink], now: () => clock.time }) });
+
+    await runCheck(0, { leaderboard: [alice, bob] });
+    let result = await runCheck(1 * HOUR, { leaderboard: [bob], users: { alice: { nick: 'Alice', isBanned: true } } });
+    assert.deepEqual(titles(result.discord.messagesIn('bans')), ['🚫 Player Banned']);
+
+    result = await runCheck(2 * HOUR, { leaderboard: [alice, { ...bob, nick: 'Bobby' }], users: { alice: { nick: 'Alice', isBanned: false } } });
+    assert.deepEqual(titles(result.discord.messagesIn('unbans')), ['🟢 Player Unbanned/Unsuspended']);
+
+    assert.deepEqual(received.map(event => [event.type, event.player.userId, event.timestamp]), [
+      ['ban', 'alice', new Date(T0 + HOUR).toISOString()],
+      ['unban', 'alice', new Date(T0 + 2 * HOUR).toISOString()],
+      ['nickname_change', 'bob', new Date(T0 + 2 * HOUR).toISOString()]
+    ]);
+    assert.deepEqual(received[0].details, { rating: 1900, position: 1, hoursSinceSeen: 1 });
+  });
+
+  it('logs a rename announcement that fails without failing the check', async () => {
+    const errors = mock.method(console, 'error', () => {});
+    const notifier = createDiscordNotifier(discord, CHANNELS);
+    checker = createTestChecker({
+      notifier: { ...notifier, sendNicknameChangeNotification: async () => { throw new Error('Discord is down'); } }
+    });
+
+    await runCheck(0, { leaderboard: [alice, bob] });
+    const result = await runCheck(1 * HOUR, { leaderboard: [alice, { ...bob, nick: 'Bobby' }] });
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.equal(result.run.success, true);
+    assert.equal(result.data.players.bob.nick, 'Bobby');
+    assert.ok(errors.mock.calls.some(call => call.arguments[0] === 'Error sending nickname change notification:'));
+  });
+
+  it('keeps every nickname and finds players by a former one', async () => {
+    await runCheck(0, { leaderboard: [alice, bob] });
+    await runCheck(1 * HOUR, { leaderboard: [{ ...alice, nick: 'Al1ce' }, bob] });
+    const result = await runCheck(2 * HOUR, { leaderboard: [{ ...alice, nick: 'Zed' }, bob] });
+
+    assert.equal(result.discord.messagesIn('nicknames').length, 1);
+    assert.deepEqual(result.data.players.alice.nicknames, [
+      { nick: 'Alice', firstSeen: T0, lastSeen: T0 },
+      { nick: 'Al1ce', firstSeen: T0 + HOUR, lastSeen: T0 + HOUR },
+      { nick: 'Zed', firstSeen: T0 + 2 * HOUR, lastSeen: T0 + 2 * HOUR }
+    ]);
+
+    assert.equal(storage.findPlayer('alice').userId, 'alice');
+    assert.equal(storage.findPlayer('AL1CE').playerData.nick, 'Zed');
+    // Cyrillic а and е
+    assert.equal(storage.findPlayer('Аlicе').userId, 'alice');
+    assert.equal(storage.findPlayer('Bo'), null);
+    assert.deepEqual(storage.searchPlayers('lic', 5).map(({ userId, nick, formerNick }) => [userId, nick, formerNick]), [['alice', 'Zed', 'Alice']]);
+  });
+
+  it('keeps the nickname of a sanctioned player whose profile only writes it another way', async () => {
+    const jose = { userId: 'jose', nick: 'Jos\u00e9', rating: 1700, position: 4, countryCode: 'es' };
+    await runCheck(0, { leaderboard: [jose, bob] });
+    await runCheck(1 * HOUR, { leaderboard: [bob], users: { jose: { isBanned: true, nick: 'José' } } });
+
+    // the same name in decomposed form (e + combining accent)
+    const result = await runCheck(2 * HOUR, { leaderboard: [bob], users: { jose: { isBanned: true, nick: 'Jose\u0301' } } });
+    assert.equal(result.data.players.jose.nick, 'Jos\u00e9');
+    assert.equal(result.discord.messagesIn('nicknames').length, 0);
+    assert.equal(storage.findPlayer('Jos\u00e9').userId, 'jose');
+
+    // a broken name is a rejected change, the stored one stays
+    const broken = await runCheck(3 * HOUR, { leaderboard: [bob], users: { jose: { isBanned: true, nick: 'Jos\ufffd' } } });
+    assert.equal(broken.data.players.jose.nick, 'Jos\u00e9');
+  });
+
+  it('checks watched players off the leaderboard and tags their announcements', async () => {
+    const dave = { nick: 'Dave', countryCode: 'it' };
+    storage.addToWatchlist({ userId: 'dave', ...dave, addedBy: 'mod', addedAt: T0 });
+
+    let result = await runCheck(0, { leaderboard: [alice, bob], users: { dave } });
+    assert.equal(result.data.players.dave.status, 'active');
+    assert.deepEqual(result.data.players.dave.ratings, []);
+    assert.ok(api.requests.includes('/v3/users/dave'));
+    assert.deepEqual(titles(discord.sent), ['✅ Check Completed']);
+
+    result = await runCheck(1 * HOUR, { leaderboard: [alice, bob], users: { dave: { ...dave, isBanned: true } } });
+    const [ban] = result.discord.messagesIn('bans');
+    assert.equal(ban.embeds[0].title, '🚫 Player Banned');
+    assert.deepEqual(ban.embeds[0].fields.find(field => field.name === 'Tag'), { name: 'Tag', value: '👁️ watchlist', inline: false });
+    assert.equal(ban.embeds[0].fields.find(field => field.name === 'Last Seen').value, 'Not on the leaderboard');
+    assert.equal(result.data.players.dave.events.at(-1).source, 'watchlist');
+    assert.equal(storage.readSanctionRows()[0].UserID, 'dave');
+
+    result = await runCheck(2 * HOUR, { leaderboard: [alice, bob], users: { dave: { nick: 'Davey', countryCode: 'it' } } });
+    const [unban] = result.discord.messagesIn('unbans');
+    assert.equal(unban.embeds[0].title, '🟢 Player Unbanned/Unsuspended');
+    assert.ok(unban.embeds[0].fields.some(field => field.value === '👁️ watchlist'));
+    const [rename] = result.discord.messagesIn('nicknames');
+    assert.ok(rename.embeds[0].fields.some(field => field.value === '👁️ watchlist'));
+    assert.equal(result.data.players.dave.status, 'active');
+
+    // unwatched players off the leaderboard are no longer checked
+    storage.removeFromWatchlist('dave');
+    result = await runCheck(3 * HOUR, { leaderboard: [alice, bob], users: { dave: { ...dave, isBanned: true } } });
+    assert.ok(!api.requests.includes('/v3/users/dave'));
+    assert.equal(result.discord.messagesIn('bans').length, 0);
+  });
+
+  it('DMs the subscribers of a player once per event', async () => {
+    checker = createTestChecker({ ladders: [SOLO_DUELS_LADDER, { ...TEAM_DUELS_LADDER, channelId: 'team-bans' }] });
+    storage.addSubscription('fan', 'alice');
+    storage.addSubscription('fan', 'bob');
+    storage.addSubscription('other-fan', 'bob');
+
+    await runCheck(0, { leaderboard: [alice, bob, carol], ladders: { [TEAM_DUELS_LADDER.path]: [alice] } });
+
+    // alice is announced in both ladder channels, with bob in the solo one
+    const result = await runCheck(1 * HOUR, {
+      leaderboard: [carol],
+      ladders: { [TEAM_DUELS_LADDER.path]: [{ userId: 'dave', nick: 'Dave', rating: 1300, position: 1, countryCode: 'it' }] },
+      users: { alice: { isBanned: true }, bob: { isBanned: true } }
+    });
+    assert.equal(result.discord.messagesIn('team-bans').length, 1);
+    assert.equal(result.discord.messagesIn('bans').length, 1);
+
+    const fanDms = result.discord.messagesIn('dm:fan');
+    assert.equal(fanDms.length, 2);
+    assert.match(fanDms[0].embeds[0].description, /Alice banned \(#1, 1900 ELO\)/);
+    assert.match(fanDms[1].embeds[0].description, /Bob banned \(#2, 1850 ELO\)/);
+    assert.match(fanDms[0].content, /\/unsubscribe/);
+    assert.equal(result.discord.messagesIn('dm:other-fan').length, 1);
+  });
+
+  it('DMs the subscribers without the Discord announcements', async () => {
+    const dmsOnly = createSubscriberSink({ client: discord, getSubscribers: userId => storage.getSubscribers(userId) });
+    const notifier = createDiscordNotifier(discord, CHANNELS);
+    checker = createTestChecker({ notifier: createEventDispatcher({ notifier, sinks: [dmsOnly], now: () => clock.time }) });
+    subscriberSink = dmsOnly;
+    storage.addSubscription('fan', 'alice');
+
+    await runCheck(0, { leaderboard: [alice, bob] });
+    const result = await runCheck(1 * HOUR, { leaderboard: [bob], users: { alice: { isBanned: true } } });
+    assert.equal(result.discord.messagesIn('bans').length, 0);
+    assert.deepEqual(result.discord.messagesIn('dm:fan').map(message => message.embeds[0].title), ['🚫 Player Banned']);
+  });
+
+  it('drops the subscriptions of a user whose DMs are closed', async () => {
+    storage.addSubscription('fan', 'alice');
+    storage.addSubscription('fan', 'bob');
+    discord.closeDms('fan');
+
+    await runCheck(0, { leaderboard: [alice, bob] });
+    await runCheck(1 * HOUR, { leaderboard: [bob], users: { alice: { isBanned: true } } });
+
+    assert.equal(discord.messagesIn('bans').length, 1);
+    assert.deepEqual(storage.getSubscriptions('fan'), []);
+  });
+
+  it('archives every leaderboard fetch and explains exits with the sanctions of the checks', async () => {
+    const snapshots = createSnapshotArchive({ now: () => clock.time });
+    checker = createTestChecker({ snapshots });
+
+    await runCheck(0, { leaderboard: [alice, bob, carol] });
+    await runCheck(1 * HOUR, { leaderboard: [bob, { ...carol, position: 2 }], users: { alice: { isBanned: true } } });
+    await runCheck(2 * HOUR, { leaderboard: [], users: {} });
+
+    // the failed fetch is not archived
+    const [first, second, third] = snapshots.list();
+    assert.equal(third, undefined);
+    assert.equal(second.timestamp, T0 + 1 * HOUR);
+
+    const diff = diffSnapshots(snapshots.load(first.id), snapshots.load(second.id), { players: storage.loadPlayerData().players });
+    assert.deepEqual(diff.left.map(p => `${p.userId}:${p.reason}`), ['alice:banned']);
+    assert.deepEqual(diff.risers.map(p => `${p.userId}:${p.previousPosition}>${p.position}`), ['carol:3>2']);
+  });
+
+  it('follows team duels unless its depth is 0', () => {
+    assert.deepEqual(laddersFromEnv({}).map(ladder => `${ladder.id}:${ladder.depth}`), ['solo:2000', 'team:500']);
+    assert.deepEqual(laddersFromEnv({ LEADERBOARD_DEPTH: '1000', TEAM_DUELS_DEPTH: '0' }).map(ladder => `${ladder.id}:${ladder.depth}`), ['solo:1000']);
+    assert.throws(() => laddersFromEnv({ TEAM_DUELS_DEPTH: 'lots' }), /"team" needs a positive depth/);
+  });
+
+  it('only tracks the configured depth of a ladder', async () => {
+    checker = createTestChecker({ ladders: [{ ...SOLO_DUELS_LADDER, depth: 2 }] });
+    const { data } = await runCheck(0, { leaderboard: [alice, bob, carol] });
+
+    assert.deepEqual(Object.keys(data.players).sort(), ['alice', 'bob']);
+    assert.ok(api.requests.includes('/v4/ranked-system/ratings'));
+  });
+
+  it('follows the solo and team duels ladders and announces sanctions in the channel of each ladder', async () => {
+    const ladders = laddersFromEnv({ TEAM_DUELS_DEPTH: '100', TEAM_DUELS_CHANNEL_ID: 'team-bans' });
+    assert.deepEqual(ladders.map(ladder => `${ladder.id}:${ladder.depth}:${ladder.channelId}`), ['solo:2000:', 'team:100:team-bans']);
+    checker = createTestChecker({ ladders });
+    const teamLeaderboard = [
+      { ...alice, rating: 1500, position: 1 },
+      { ...carol, rating: 1400, position: 2 }
+    ];
+
+    let result = await runCheck(0, { leaderboard: [alice, bob], ladders: { [TEAM_DUELS_LADDER.path]: teamLeaderboard } });
+    assert.deepEqual(result.data.players.alice.ladders, {
+      solo: { rating: 1900, position: 1, lastSeen: T0 },
+      team: { rating: 1500, position: 1, lastSeen: T0 }
+    });
+    assert.deepEqual(Object.keys(result.data.players.carol.ladders), ['team']);
+    assert.equal(result.data.players.alice.ratings[0].rating, 1900);
+    assert.equal(result.data.players.carol.ratings[0].rating, 1400);
+
+    // alice and carol both drop off every ladder they were on, banned
+    result = await runCheck(1 * HOUR, {
+      leaderboard: [bob],
+      ladders: { [TEAM_DUELS_LADDER.path]: [{ userId: 'dave', nick: 'Dave', rating: 1300, position: 1, countryCode: 'it' }] },
+      users: { alice: { isBanned: true }, carol: { isBanned: true } }
+    });
+    assert.deepEqual(titles(result.discord.messagesIn('bans')), ['🚫 Player Banned']);
+    assert.match(result.discord.messagesIn('bans')[0].embeds[0].description, /Alice/);
+    assert.deepEqual(titles(result.discord.messagesIn('team-bans')), ['🚫 2 Players Banned']);
+    assert.equal(storage.readSanctionRows().length, 2);
+  });
+
+  it('fails the run when one of the ladders cannot be fetched', async () => {
+    checker = createTestChecker({ ladders: [SOLO_DUELS_LADDER, TEAM_DUELS_LADDER] });
+    const { run } = await runCheck(0, { leaderboard: [alice, bob] });
+
+    assert.equal(run.success, false);
+    assert.equal(run.error, 'Failed to fetch leaderboard data (Team Duels)');
+  });
+
+  it('leaves the profiles to checkProfiles when verifyProfiles is off', async () => {
+    checker = createTestChecker({ verifyProfiles: false });
+    await runCheck(0, { leaderboard: [alice, bob] });
+
+    // alice leaves the leaderboard banned, the run only reads the leaderboard
+    let result = await runCheck(1 * HOUR, { leaderboard: [bob], users: { alice: { isBanned: true } } });
+    assert.equal(api.requests.filter(request => request.startsWith('/v3/users/')).length, 0);
+    assert.deepEqual(titles(result.discord.messagesIn('bans')), []);
+    assert.equal(result.data.players.alice.status, 'active');
+    assert.equal(result.run.playersChecked, 1);
+
+    discord.clear();
+    let batch = await checker.checkProfiles([{ userId: 'alice', kind: 'missing' }, { userId: 'bob', kind: 'leaderboard' }]);
+    assert.deepEqual(batch, { checked: 2, failed: [] });
+    assert.deepEqual(titles(discord.messagesIn('bans')), ['🚫 Player Banned']);
+    let data = storage.loadPlayerData();
+    assert.equal(data.players.alice.status, 'banned');
+    assert.equal(data.players.alice.events.at(-1).source, 'missing');
+    assert.equal(storage.readSanctionRows().length, 1);
+
+    // a failed lookup is reported, the unban is announced right away
+    api.setState({ leaderboard: [bob], users: { alice: { isBanned: false }, bob: { status: 500 } } });
+    discord.clear();
+    batch = await checker.checkProfiles([{ userId: 'alice', kind: 'sanctioned' }, { userId: 'bob', kind: 'leaderboard' }]);
+    assert.deepEqual(batch, { checked: 2, failed: ['bob'] });
+    assert.deepEqual(titles(discord.messagesIn('unbans')), ['🟢 Player Unbanned/Unsuspended']);
+    data = storage.loadPlayerData();
+    assert.equal(data.players.alice.status, 'active');
+    assert.equal(data.players.bob.status, 'active');
+  });
+
+  it('reports a failed run when the leaderboard cannot be fetched', async () => {
+    const { run } = await runCheck(0, { leaderboard: [] });
+
+    assert.equal(run.success, false);
+    assert.deepEqual(titles(discord.messagesIn('logs')), ['❌ Check Failed']);
+    assert.equal(fs.existsSync(storage.PLAYER_TRACKING_FILE), false);
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildCountryStats, rankCountries, buildCountryReport, getCountryName } from '../src/countryStats.js';
+
+function tracked(countryCode, status, position, events = []) {
+  return { nick: `p${position}`, countryCode, status, ratings: [{ rating: 2000 - position, position, timestamp: 0 }], events };
+}
+
+const players = {
+  fr1: tracked('FR', 'active', 3),
+  fr2: tracked('fr', 'banned', 10, [{ from: 'active', to: 'banned', timestamp: 1 }]),
+  // unbanned since, still counts as sanctioned once
+  fr3: tracked('fr', 'active', 1, [{ from: 'active', to: 'banned', timestamp: 1 }, { from: 'banned', to: 'active', timestamp: 2 }]),
+  // sanction only known from the CSV history
+  fr4: tracked('fr', 'active', 7),
+  de1: tracked('de', 'suspended', 5),
+  de2: tracked('de', 'deleted_account', 6),
+  xx1: tracked(undefined, 'active', 8)
+};
+
+const sanctionRows = [
+  { Date: '2025-01-01', UserID: 'fr4', Username: 'p7', countryCode: 'fr', ELO: '1993', Position: '7', Action_Type: 'SUSPENDED' },
+  { Date: '2025-01-03', UserID: 'fr2', Username: 'p10', countryCode: 'fr', ELO: '1990', Position: '10', Action_Type: 'BANNED' },
+  { Date: '2025-01-04', UserID: 'de1', Username: 'p5', countryCode: 'de', ELO: '1995', Position: '5', Action_Type: 'SUSPENDED' }
+];
+const unsanctionRows = [
+  { Date: '2025-01-02', UserID: 'fr4', Username: 'p7', countryCode: 'fr', ELO: '1993', Position: '7', Previous_Action_Type: 'SUSPENDED' }
+];
+
+describe('country stats', () => {
+  it('counts the players and sanctions of each country', () => {
+    const { global, countries } = buildCountryStats(players, sanctionRows);
+
+    assert.deepEqual(countries.get('fr'), {
+      countryCode: 'fr', tracked: 4, active: 3, banned: 1, suspended: 0, deleted: 0, sanctioned: 3, sanctionRate: 0.75
+    });
+    assert.equal(countries.get('de').sanctioned, 1);
+    assert.equal(countries.has(''), false);
+    assert.equal(global.tracked, 7);
+    assert.equal(global.sanctioned, 4);
+  });
+
+  it('ranks the countries', () => {
+    const { countries } = buildCountryStats(players, sanctionRows);
+
+    assert.deepEqual(rankCountries(countries).map(stats => stats.countryCode), ['fr', 'de']);
+    assert.deepEqual(rankCountries(countries, { sort: 'current' }).map(stats => stats.countryCode), ['fr', 'de']);
+    assert.deepEqual(rankCountries(countries, { sort: 'rate', minPlayers: 3 }).map(stats => stats.countryCode), ['fr']);
+  });
+
+  it('reports the best placed active players and the latest events of a country', () => {
+    const report = buildCountryReport('FR', { players, sanctionRows, unsanctionRows }, { recentLimit: 2 });
+
+    assert.equal(report.countryCode, 'fr');
+    assert.deepEqual(report.topPlayers.map(player => player.userId), ['fr3', 'fr1', 'fr4']);
+    assert.deepEqual(report.recentEvents.map(row => [row.Date, row.Action]), [['2025-01-03', 'BANNED'], ['2025-01-02', 'UNBANNED']]);
+  });
+
+  it('names the countries', () => {
+    assert.equal(getCountryName('fr'), 'France');
+    assert.equal(getCountryName('ZZ'), 'No country');
+  });
+});
@@ -0,0 +1,92 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DateTime } from 'luxon';
+import { buildDigest, getDigestPeriods, nextDigestTime, validateDigestConfig } from '../src/digest.js';
+import { createDiscordNotifier } from '../src/notifications.js';
+import { createFakeDiscordClient } from './support/fakeDiscord.js';
+
+const ZONE = 'Europe/Paris';
+const DAY = 24 * 60 * 60 * 1000;
+
+function parisTime(iso) {
+  return DateTime.fromISO(iso, { zone: ZONE }).toMillis();
+}
+
+function sanctionRow(date, userId, actionType, { elo = 1900, position = 10, countryCode = 'fr' } = {}) {
+  return {
+    Date: date,
+    Username: userId,
+    UserID: userId,
+    Profile_URL: `https://www.geoguessr.com/user/${userId}`,
+    countryCode,
+    ELO: String(elo),
+    Position: String(position),
+    Action_Type: actionType,
+    Suspended_Until: ''
+  };
+}
+
+describe('digest', () => {
+  it('runs on Monday and on the 1st at the configured hour, across a DST change', () => {
+    const options = { zone: ZONE, hour: 9 };
+    // Sunday 25 October 2026 is the switch back to winter time in Paris
+    assert.equal(nextDigestTime('weekly', parisTime('2026-10-21T12:00'), options), parisTime('2026-10-26T09:00'));
+    assert.equal(nextDigestTime('weekly', parisTime('2026-10-26T08:59'), options), parisTime('2026-10-26T09:00'));
+    assert.equal(nextDigestTime('weekly', parisTime('2026-10-26T09:00'), options), parisTime('2026-11-02T09:00'));
+    assert.equal(nextDigestTime('monthly', parisTime('2026-10-21T12:00'), options), parisTime('2026-11-01T09:00'));
+  });
+
+  it('covers the period that just ended and the one before it', () => {
+    const { current, previous } = getDigestPeriods('monthly', parisTime('2026-11-01T09:00'), ZONE);
+    assert.equal(current.start.toISODate(), '2026-10-01');
+    assert.equal(current.end.toISODate(), '2026-11-01');
+    assert.equal(previous.start.toISODate(), '2026-09-01');
+  });
+
+  it('rejects an unknown schedule or timezone', () => {
+    assert.throws(() => validateDigestConfig({ kinds: ['daily'], zone: ZONE, hour: 9 }), /Unknown digest "daily"/);
+    assert.throws(() => validateDigestConfig({ kinds: ['weekly'], zone: 'Mars/Olympus', hour: 9 }), /timezone/);
+    assert.throws(() => validateDigestConfig({ kinds: ['weekly'], zone: ZONE, hour: 24 }), /hour/);
+  });
+
+  it('counts the sanctions of the week by country and ELO band and compares with the week before', async () => {
+    const suspendedAt = parisTime('2026-10-14T10:00');
+    const history = {
+      sanctionRows: [
+        sanctionRow('2026-10-08', 'old', 'BANNED'),
+        sanctionRow('2026-10-12', 'alice', 'BANNED', { elo: 2150, position: 3 }),
+        sanctionRow('2026-10-14', 'bob', 'SUSPENDED', { elo: 1920, position: 40, countryCode: 'de' }),
+        sanctionRow('2026-10-15', 'carol', 'BANNED', { elo: 1980, position: 25 }),
+        sanctionRow('2026-10-16', 'dave', 'DELETED_ACCOUNT'),
+        sanctionRow('2026-10-19', 'next', 'BANNED')
+      ],
+      unsanctionRows: [{ Date: '2026-10-13', UserID: 'erin' }],
+      players: {
+        bob: { events: [{ from: 'active', to: 'suspended', timestamp: suspendedAt, suspendedUntil: new Date(suspendedAt + 3 * DAY).toISOString() }] }
+      }
+    };
+
+    const digest = buildDigest('weekly', parisTime('2026-10-19T09:00'), { zone: ZONE, history });
+    assert.equal(digest.period.start.toISODate(), '2026-10-12');
+    assert.deepEqual(
+      [digest.current.bans, digest.current.suspensions, digest.current.unsanctions, digest.current.deletions],
+      [2, 1, 1, 1]
+    );
+    assert.equal(digest.previous.bans, 1);
+    assert.deepEqual(digest.current.byCountry, [['fr', 2], ['de', 1]]);
+    assert.deepEqual(digest.current.byEloBand, [['2100-2199', 1], ['1900-1999', 2]]);
+    assert.deepEqual(digest.current.topSanctioned.map(row => row.UserID), ['alice', 'carol', 'bob']);
+    assert.equal(digest.current.averageSuspensionDays, 3);
+    assert.equal(digest.previous.averageSuspensionDays, null);
+
+    const discord = createFakeDiscordClient();
+    const notifier = createDiscordNotifier(discord, { digestChannelId: 'digest' });
+    await notifier.sendDigest(digest);
+
+    const [embed] = discord.messagesIn('digest')[0].embeds;
+    assert.equal(embed.title, '📅 Weekly digest: 12/10/2026 - 18/10/2026');
+    assert.match(embed.description, /🚫 Bans: \*\*2\*\* \(\+1 vs previous week: 1\)/);
+    assert.match(embed.description, /🗑️ Deleted accounts: \*\*1\*\* \(\+1 vs previous week: 0\)/);
+    assert.match(embed.fields.find(field => field.name === 'Highest Ranked Sanctioned Players').value, /^#3 .*\[alice\]/);
+  });
+});
@@ -0,0 +1,53 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildEloChartSvg, getChartMarkers, renderEloChart } from '../src/eloChart.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const T0 = Date.UTC(2026, 0, 1);
+
+const ratings = [
+  { rating: 1800, position: 12, timestamp: T0 },
+  { rating: 1850, position: 8, timestamp: T0 + HOUR },
+  { rating: 1990, position: 2, timestamp: T0 + 2 * HOUR }
+];
+
+describe('ELO chart', () => {
+  it('marks bans, suspensions and unbans', () => {
+    const markers = getChartMarkers([
+      { from: null, to: 'active', timestamp: T0 },
+      { from: 'active', to: 'suspended', timestamp: T0 + HOUR },
+      { from: 'suspended', to: 'suspension_expired', timestamp: T0 + 2 * HOUR },
+      { from: 'suspension_expired', to: 'active', timestamp: T0 + 3 * HOUR },
+      { from: 'active', to: 'banned', timestamp: T0 + 4 * HOUR },
+      { from: 'banned', to: 'deleted_account', timestamp: T0 + 5 * HOUR }
+    ]);
+    assert.deepEqual(markers.map(marker => marker.label), ['suspended', 'unbanned', 'banned']);
+  });
+
+  it('draws both series and the markers after the first sample', () => {
+    const svg = buildEloChartSvg({
+      nick: 'A&B <script>',
+      ratings,
+      events: [
+        { from: 'active', to: 'banned', timestamp: T0 - DAY },
+        { from: 'banned', to: 'active', timestamp: T0 - HOUR },
+        { from: 'active', to: 'banned', timestamp: T0 + 3 * HOUR }
+      ]
+    });
+    assert.equal((svg.match(/<polyline /g) || []).length, 2);
+    assert.equal((svg.match(/>banned</g) || []).length, 1);
+    assert.doesNotMatch(svg, />unbanned</);
+    assert.match(svg, /A&#38;B &#60;script&#62;/);
+  });
+
+  it('has nothing to draw without ratings', async () => {
+    assert.equal(buildEloChartSvg({ nick: 'Alice', ratings: [] }), null);
+    assert.equal(await renderEloChart({ nick: 'Alice' }), null);
+  });
+
+  it('renders a PNG', async () => {
+    const png = await renderEloChart({ nick: 'Alice', ratings: ratings.slice(0, 1) });
+    assert.deepEqual([...png.subarray(1, 4)], [...Buffer.from('PNG')]);
+  });
+});
@@ -0,0 +1,219 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import { createEventDispatcher, describeEvent } from '../src/events.js';
+import { createWebhookSink, signPayload } from '../src/sinks/webhookSink.js';
+import { createJsonlSink } from '../src/sinks/jsonlSink.js';
+import { createFeedSink } from '../src/sinks/feedSink.js';
+import { createEventSinks } from '../src/sinks/index.js';
+import { createDiscordSink } from '../src/sinks/discordSink.js';
+import { createSubscriberSink } from '../src/sinks/subscriberSink.js';
+import { createDiscordNotifier } from '../src/notifications.js';
+import { createFakeDiscordClient } from './support/fakeDiscord.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const T0 = Date.parse('2025-06-01T12:00:00Z');
+
+function recordingSink(announcements = false) {
+  const received = [];
+  return { name: 'recording', announcements, received, handle: (events, announcement) => received.push({ events, announcement }) };
+}
+
+const alice = { userId: 'alice', nick: 'Alice', countryCode: 'fr', confirmedBanned: true, lastRating: { rating: 1900, position: 1 }, hoursSinceSeen: 2 };
+const bob = { userId: 'bob', nick: 'Bob', countryCode: 'de', suspended: true, suspendedUntil: '2025-06-10T00:00:00.000Z', lastRating: { rating: 1850, position: 2 }, hoursSinceSeen: 0 };
+
+describe('event dispatcher', () => {
+  it('turns the announcements into typed events, once for sinks other than Discord', async () => {
+    const discord = recordingSink(true);
+    const sink = recordingSink();
+    const dispatcher = createEventDispatcher({ notifier: {}, sinks: [discord, sink], now: () => T0 });
+    // bob was already suspended until an earlier date
+    const data = { players: { alice: { status: 'active' }, bob: { status: 'suspended', suspendedUntil: '2025-06-05T00:00:00.000Z' } } };
+
+    await dispatcher.sendBanNotification([alice, bob], 'solo-channel', data);
+    await dispatcher.sendBanNotification([alice], 'team-channel', data);
+
+    assert.deepEqual(discord.received.map(({ announcement }) => announcement.args[1]), ['solo-channel', 'team-channel']);
+    assert.equal(discord.received[0].announcement.method, 'sendBanNotification');
+
+    assert.equal(sink.received.length, 1);
+    const [ban, update] = sink.received[0].events;
+    assert.equal(ban.type, 'ban');
+    assert.equal(ban.timestamp, new Date(T0).toISOString());
+    assert.deepEqual(ban.player, { userId: 'alice', nick: 'Alice', countryCode: 'fr', profileUrl: 'https://www.geoguessr.com/user/alice' });
+    assert.deepEqual(ban.details, { rating: 1900, position: 1, hoursSinceSeen: 2 });
+    assert.equal(update.type, 'suspension_update');
+    assert.equal(update.details.previousSuspendedUntil, '2025-06-05T00:00:00.000Z');
+    assert.equal(describeEvent(update), 'Bob suspension changed to end on 2025-06-10 instead of 2025-06-05');
+    assert.equal(ban.dedupKey, undefined);
+  });
+
+  it('builds unban, deletion and nickname events', async () => {
+    const sink = recordingSink();
+    const dispatcher = createEventDispatcher({ notifier: {}, sinks: [sink], now: () => T0 });
+    const playerData = { countryCode: 'fr', status: 'banned', events: [{ from: 'active', to: 'banned', timestamp: T0 - 3 * DAY }] };
+
+    await dispatcher.sendUnbanNotification({ userId: 'alice', nick: 'Alice', rating: 'N/A', position: 'N/A' }, playerData);
+    await dispatcher.sendDeletedAccountNotification([{ ...alice, confirmedBanned: false }]);
+    await dispatcher.sendNicknameChangeNotification('alice', 'Alice', 'Alicia', playerData);
+
+    const events = sink.received.flatMap(({ events }) => events);
+    assert.deepEqual(events.map(event => event.type), ['unban', 'deletion', 'nickname_change']);
+    assert.deepEqual(events[0].details, { rating: null, position: null, sanctionDays: 3 });
+    assert.equal(events[0].player.countryCode, 'fr');
+    assert.deepEqual(events[2].details, { oldNick: 'Alice', newNick: 'Alicia' });
+  });
+
+  it('sends an event once per transition, a second unban included', async () => {
+    const sink = recordingSink();
+    const dispatcher = createEventDispatcher({ notifier: {}, sinks: [sink], now: () => T0 });
+    const unbanned = { userId: 'alice', nick: 'Alice', rating: 1900, position: 1 };
+    const playerData = { status: 'banned', events: [{ from: 'active', to: 'banned', timestamp: T0 - DAY }] };
+
+    // the same unban announced in two ladder channels
+    await dispatcher.sendUnbanNotification(unbanned, playerData, 'solo-channel');
+    await dispatcher.sendUnbanNotification(unbanned, playerData, 'team-channel');
+    // banned and unbanned again a few minutes later
+    playerData.events.push({ from: 'banned', to: 'active', timestamp: T0 }, { from: 'active', to: 'banned', timestamp: T0 + 60 * 1000 });
+    await dispatcher.sendUnbanNotification(unbanned, playerData, 'solo-channel');
+    await dispatcher.sendBanNotification([alice], null, { players: { alice: playerData } });
+
+    assert.deepEqual(sink.received.flatMap(({ events }) => events).map(event => event.type), ['unban', 'unban', 'ban']);
+  });
+
+  it('DMs the subscribers after the channel announcement, without waiting for the DMs', async () => {
+    const discord = createFakeDiscordClient();
+    let release;
+    const held = new Promise(resolve => { release = resolve; });
+    const client = {
+      ...discord,
+      users: { fetch: async userId => ({ send: async payload => { await held; return (await discord.users.fetch(userId)).send(payload); } }) }
+    };
+    const notifier = createDiscordNotifier(discord, { banChannelId: 'bans' });
+    const subscribers = createSubscriberSink({ client, getSubscribers: userId => (userId === 'alice' ? ['fan'] : []) });
+    const dispatcher = createEventDispatcher({ notifier, sinks: [createDiscordSink(notifier), subscribers], now: () => T0 });
+    mock.method(console, 'log', () => {});
+
+    await dispatcher.sendBanNotification([alice, bob]);
+    assert.deepEqual(discord.sent.map(message => message.channelId), ['bans']);
+
+    release();
+    await subscribers.idle();
+    assert.deepEqual(discord.sent.map(message => message.channelId), ['bans', 'dm:fan']);
+    assert.equal(discord.sent[1].embeds[0].description, '🇫🇷 Alice banned (#1, 1900 ELO)');
+    mock.restoreAll();
+  });
+
+  it('keeps going when a sink fails', async () => {
+    mock.method(console, 'error', () => {});
+    const sink = recordingSink();
+    const failing = { name: 'failing', handle: () => { throw new Error('disk full'); } };
+    const dispatcher = createEventDispatcher({ notifier: {}, sinks: [failing, sink], now: () => T0 });
+
+    await dispatcher.sendBanNotification([alice]);
+
+    assert.equal(sink.received.length, 1);
+    mock.restoreAll();
+  });
+
+  it('rejects unknown sinks and webhooks without a URL', () => {
+    assert.throws(() => createEventSinks({ kinds: ['discord', 'email'] }), /Unknown event sink "email"/);
+    assert.throws(() => createEventSinks({ kinds: ['webhook'], webhookSecret: 's' }), /at least one URL/);
+  });
+});
+
+describe('event sinks', () => {
+  let dir;
+  let server;
+  let requests;
+  let statuses;
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'geoban-events-'));
+    requests = [];
+    statuses = [];
+  });
+
+  afterEach(async () => {
+    if (server) await new Promise(resolve => server.close(resolve));
+    server = null;
+    fs.rmSync(dir, { recursive: true, force: true });
+    mock.restoreAll();
+  });
+
+  async function startServer() {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => body += chunk);
+      req.on('end', () => {
+        requests.push({ headers: req.headers, body });
+        res.writeHead(statuses.shift() || 200);
+        res.end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return `http://127.0.0.1:${server.address().port}/hook`;
+  }
+
+  async function banEvent() {
+    const sink = recordingSink();
+    await createEventDispatcher({ notifier: {}, sinks: [sink], now: () => T0 }).sendBanNotification([alice]);
+    return sink.received[0].events[0];
+  }
+
+  it('signs webhook requests and retries server errors', async () => {
+    const url = await startServer();
+    statuses = [503, 500];
+    const waits = [];
+    const webhook = createWebhookSink({ url, secret: 'shh', retryDelayMs: 1000, sleep: async ms => waits.push(ms) });
+    const event = await banEvent();
+
+    webhook.handle([event]);
+    await webhook.idle();
+
+    assert.equal(requests.length, 3);
+    assert.deepEqual(waits, [1000, 2000]);
+    const { headers, body } = requests[2];
+    assert.deepEqual(JSON.parse(body), event);
+    assert.equal(headers['x-geoban-event'], 'ban');
+    assert.equal(headers['x-geoban-delivery'], event.id);
+    assert.equal(headers['x-geoban-signature'], signPayload('shh', headers['x-geoban-timestamp'], body));
+  });
+
+  it('does not retry a webhook that refuses the event', async () => {
+    const url = await startServer();
+    statuses = [400];
+    const webhook = createWebhookSink({ url, secret: 'shh', sleep: async () => {} });
+
+    webhook.handle([await banEvent()]);
+    await webhook.idle();
+
+    assert.equal(requests.length, 1);
+  });
+
+  it('appends events to a JSONL file and keeps an Atom feed of the latest ones', async () => {
+    const file = path.join(dir, 'events.jsonl');
+    const feedFile = path.join(dir, 'events.atom');
+    const event = await banEvent();
+    const later = { ...event, id: 'second', timestamp: new Date(T0 + DAY).toISOString(), player: { ...event.player, nick: 'A&B' } };
+
+    createJsonlSink({ file }).handle([event]);
+    createJsonlSink({ file }).handle([later]);
+    assert.deepEqual(fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line).id), [event.id, 'second']);
+
+    createFeedSink({ file: feedFile, limit: 2 }).handle([event]);
+    // a restarted bot picks the feed up where it was
+    createFeedSink({ file: feedFile, limit: 2 }).handle([later]);
+    const feed = fs.readFileSync(feedFile, 'utf8');
+
+    assert.match(feed, /^<\?xml version="1.0" encoding="utf-8"\?>\n<feed xmlns="http:\/\/www.w3.org\/2005\/Atom">/);
+    assert.deepEqual([...feed.matchAll(/<id>urn:uuid:([^<]+)<\/id>/g)].map(match => match[1]), ['second', event.id]);
+    assert.match(feed, /<title>A&amp;B banned \(#1, 1900 ELO\)<\/title>/);
+    assert.match(feed, new RegExp(`<updated>${later.timestamp}</updated>\\n  <author>`));
+  });
+});
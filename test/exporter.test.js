@@ -0,0 +1,98 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'zlib';
+import Papa from 'papaparse';
+import {
+  parseExportFilters,
+  buildHistoryExport,
+  buildTrackingExport,
+  serializeExport,
+  exportAttachment,
+  HISTORY_EXPORT_COLUMNS,
+  TRACKING_EXPORT_COLUMNS
+} from '../src/exporter.js';
+
+const sanctionRows = [
+  { Date: '2026-03-01', Username: 'Alice', UserID: 'alice', countryCode: 'fr', ELO: '2100', Position: '2', Action_Type: 'BANNED', Suspended_Until: '' },
+  { Date: '2026-03-05', Username: 'Bob', UserID: 'bob', countryCode: 'de', ELO: '1850', Position: '40', Action_Type: 'SUSPENDED', Suspended_Until: '2026-03-08' },
+  { Date: '2026-04-02', Username: 'Carol', UserID: 'carol', countryCode: 'FR', ELO: '1950', Position: '20', Action_Type: 'DELETED_ACCOUNT', Suspended_Until: '' }
+];
+const unsanctionRows = [
+  { Date: '2026-03-08', Username: 'Bob', UserID: 'bob', countryCode: 'de', ELO: '1840', Position: '45', Previous_Action_Type: 'SUSPENDED', Duration_Days: '3' }
+];
+
+describe('export', () => {
+  it('merges the history in date order with one action column', () => {
+    const rows = buildHistoryExport(sanctionRows, unsanctionRows, parseExportFilters());
+    assert.deepEqual(rows.map(row => `${row.UserID}:${row.Action}`), ['alice:BANNED', 'bob:SUSPENDED', 'bob:UNBANNED', 'carol:DELETED_ACCOUNT']);
+    assert.deepEqual(Object.keys(rows[0]), HISTORY_EXPORT_COLUMNS);
+    assert.equal(rows[2].Duration_Days, '3');
+  });
+
+  it('filters the history by date, action, country and ELO', () => {
+    const filtered = filters => buildHistoryExport(sanctionRows, unsanctionRows, parseExportFilters(filters)).map(row => row.UserID);
+    assert.deepEqual(filtered({ from: '2026-03-05', to: '2026-03-31' }), ['bob', 'bob']);
+    assert.deepEqual(filtered({ action: 'UNBANNED' }), ['bob']);
+    assert.deepEqual(filtered({ country: 'FR' }), ['alice', 'carol']);
+    assert.deepEqual(filtered({ minElo: 1900, maxElo: 2000 }), ['carol']);
+  });
+
+  it('rejects invalid filters with a readable message', () => {
+    assert.throws(() => parseExportFilters({ from: '01/03/2026' }), /`from` must be a date/);
+    assert.throws(() => parseExportFilters({ to: '2026-02-30' }), /`to` must be a date/);
+    assert.throws(() => parseExportFilters({ from: '2026-04-01', to: '2026-03-01' }), /after/);
+    assert.throws(() => parseExportFilters({ country: 'F1' }), /two-letter/);
+    assert.throws(() => parseExportFilters({ minElo: 2000, maxElo: 1000 }), /min_elo/);
+  });
+
+  it('flattens the tracking data to one CSV row per player', () => {
+    const data = {
+      players: {
+        alice: {
+          nick: 'Alice, "the best"',
+          countryCode: 'fr',
+          status: 'banned',
+          firstSeen: Date.UTC(2026, 0, 1),
+          bannedAt: Date.UTC(2026, 2, 1),
+          ratings: [{ rating: 2050, position: 3 }, { rating: 2100, position: 2 }],
+          ladders: { solo: { rating: 2100, position: 2 }, team: { rating: 1600, position: 80 } },
+          events: [{ from: null, to: 'active' }, { from: 'active', to: 'banned' }]
+        },
+        bob: { nick: 'Bob', countryCode: 'de', status: 'active', ratings: [] }
+      }
+    };
+
+    assert.deepEqual(buildTrackingExport(data, parseExportFilters({ minElo: 2000 })).map(row => row.UserID), ['alice']);
+
+    const rows = buildTrackingExport(data, parseExportFilters());
+    const parsed = Papa.parse(serializeExport(rows, TRACKING_EXPORT_COLUMNS, 'csv'), { header: true }).data;
+    assert.deepEqual(Object.keys(parsed[0]), TRACKING_EXPORT_COLUMNS);
+    assert.equal(parsed[0].Nick, 'Alice, "the best"');
+    assert.equal(parsed[0].ELO, '2100');
+    assert.equal(parsed[0].Ladders, 'solo:2100#2 team:1600#80');
+    assert.equal(parsed[0].Banned_At, '2026-03-01T00:00:00.000Z');
+    assert.equal(parsed[0].Events, '2');
+    assert.equal(parsed[1].ELO, '');
+
+    assert.equal(JSON.parse(serializeExport(rows, TRACKING_EXPORT_COLUMNS, 'json'))[1].Nick, 'Bob');
+  });
+
+  it('keeps nicknames from running as spreadsheet formulas', () => {
+    const nicks = ['=HYPERLINK("http://evil.example","x")', '+1+1', '-2+3', '@SUM(A1)'];
+    const data = { players: Object.fromEntries(nicks.map((nick, index) => [`p${index}`, { nick, status: 'active', ratings: [] }])) };
+
+    const csv = serializeExport(buildTrackingExport(data, parseExportFilters()), TRACKING_EXPORT_COLUMNS, 'csv');
+    const parsed = Papa.parse(csv, { header: true }).data;
+    assert.deepEqual(parsed.map(row => row.Nick), nicks.map(nick => `'${nick}`));
+  });
+
+  it('gzips an attachment over the limit, and gives up when it still does not fit', () => {
+    const content = JSON.stringify({ players: Array.from({ length: 2000 }, (_, index) => ({ nick: `player${index}`, status: 'active' })) });
+
+    assert.deepEqual(exportAttachment('{}', 'player_tracking.json'), { data: Buffer.from('{}'), name: 'player_tracking.json', compressed: false });
+    const gzipped = exportAttachment(content, 'player_tracking.json', 20000);
+    assert.equal(gzipped.name, 'player_tracking.json.gz');
+    assert.equal(zlib.gunzipSync(gzipped.data).toString('utf8'), content);
+    assert.equal(exportAttachment(content, 'player_tracking.json', 100), null);
+  });
+});
@@ -0,0 +1,152 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createApiClient, createTokenBucket } from '../src/geoguessrApi.js';
+import { createFakeGeoguessr, VALID_COOKIE } from './support/fakeGeoguessr.js';
+
+const T0 = Date.parse('2025-06-01T12:00:00Z');
+
+describe('token bucket', () => {
+  let clock;
+  let bucket;
+  let granted;
+
+  function take(count) {
+    for (let index = 0; index < count; index++) bucket.take().then(() => granted++);
+  }
+
+  // moves the clock and runs the timers that are due, then lets the granted requests settle
+  async function advance(ms) {
+    clock.time += ms;
+    mock.timers.tick(ms);
+    await new Promise(resolve => setImmediate(resolve));
+  }
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['setTimeout'] });
+    clock = { time: T0 };
+    granted = 0;
+    bucket = createTokenBucket({ requestsPerSecond: 10, burst: 5, now: () => clock.time });
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  it('lets a burst through, then refills at the configured rate', async () => {
+    take(8);
+    await advance(0);
+    assert.equal(granted, 5);
+    assert.equal(bucket.queued, 3);
+
+    await advance(99);
+    assert.equal(granted, 5);
+    await advance(1);
+    assert.equal(granted, 6);
+    await advance(200);
+    assert.equal(granted, 8);
+  });
+
+  it('never holds more than the burst', async () => {
+    take(5);
+    await advance(60 * 1000);
+    assert.equal(granted, 5);
+
+    take(7);
+    await advance(0);
+    assert.equal(granted, 10);
+    await advance(100);
+    assert.equal(granted, 11);
+  });
+
+  it('stops every request during a pause and does not burst after it', async () => {
+    bucket.pause(2000);
+    take(3);
+    await advance(1999);
+    assert.equal(granted, 0);
+    await advance(1);
+    assert.equal(granted, 0);
+    await advance(100);
+    assert.equal(granted, 1);
+    await advance(200);
+    assert.equal(granted, 3);
+  });
+});
+
+describe('GeoGuessr API client', () => {
+  let api;
+  let clock;
+  let client;
+
+  // real sockets, fake timers: waits until the client is idle or queued behind the bucket
+  async function until(condition) {
+    for (let attempt = 0; attempt < 1000 && !condition(); attempt++) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    assert.ok(condition(), 'timed out waiting for the client');
+  }
+
+  async function advance(ms) {
+    clock.time += ms;
+    mock.timers.tick(ms);
+    await new Promise(resolve => setImmediate(resolve));
+  }
+
+  beforeEach(async () => {
+    mock.method(console, 'log', () => {});
+    api = createFakeGeoguessr();
+    const baseUrl = await api.start();
+    api.setState({ users: { alice: { nick: 'Alice' }, bob: { nick: 'Bob' }, gone: { status: 404 } } });
+    mock.timers.enable({ apis: ['setTimeout'] });
+    clock = { time: T0 };
+    client = createApiClient({ baseUrl, cookie: VALID_COOKIE, requestsPerSecond: 10, burst: 5, now: () => clock.time });
+  });
+
+  afterEach(async () => {
+    mock.timers.reset();
+    mock.restoreAll();
+    await api.stop();
+  });
+
+  it('gives up on a 404 after one request', async () => {
+    await assert.rejects(client.getUser('gone'), { status: 404 });
+    assert.deepEqual(api.requests, ['/v3/users/gone']);
+    assert.equal(client.stats.retries, 0);
+  });
+
+  for (const [form, retryAfter] of [['seconds', () => '3'], ['HTTP date', () => new Date(clock.time + 3000).toUTCString()]]) {
+    it(`pauses for the Retry-After of a 429 given in ${form}`, async () => {
+      api.rateLimit(1, retryAfter());
+      const user = client.getUser('alice');
+      await until(() => api.requests.length === 1 && client.queued === 1);
+
+      await advance(2999);
+      await until(() => client.queued === 1);
+      assert.equal(api.requests.length, 1);
+
+      // the pause is over, the bucket was emptied by it so the retry waits for one token
+      await advance(101);
+      assert.equal((await user).nick, 'Alice');
+      assert.equal(api.requests.length, 2);
+      assert.equal(client.stats.rateLimited, 1);
+    });
+  }
+
+  it('retries a rate limited burst at the bucket rate, not all at once', async () => {
+    api.rateLimit(5, '2');
+    const users = ['alice', 'bob', 'alice', 'bob', 'alice'].map(userId => client.getUser(userId));
+    await until(() => api.requests.length === 5 && client.queued === 5);
+    assert.equal(client.stats.rateLimited, 5);
+
+    await advance(2000);
+    assert.equal(api.requests.length, 5);
+    for (let retried = 1; retried <= 5; retried++) {
+      await advance(100);
+      await until(() => api.requests.length === 5 + retried);
+      assert.equal(client.queued, 5 - retried);
+    }
+
+    assert.deepEqual((await Promise.all(users)).map(user => user.nick), ['Alice', 'Bob', 'Alice', 'Bob', 'Alice']);
+    assert.equal(api.requests.length, 10);
+    assert.equal(client.stats.retries, 5);
+  });
+});
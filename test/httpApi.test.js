@@ -0,0 +1,138 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import * as storage from '../src/storage/jsonStore.js';
+import { createHttpApi } from '../src/httpApi.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const T0 = Date.parse('2025-06-01T12:00:00Z');
+const API_KEY = 'test-key';
+
+function player(nick, countryCode, status, rating, position, events = []) {
+  return {
+    nick,
+    countryCode,
+    status,
+    firstSeen: T0 - 10 * DAY,
+    lastSeen: T0,
+    ratings: rating === null ? [] : [{ rating: rating - 20, position: position + 1, timestamp: T0 - HOUR }, { rating, position, timestamp: T0 }],
+    events
+  };
+}
+
+describe('HTTP API', () => {
+  let originalCwd;
+  let workDir;
+  let api;
+  let baseUrl;
+
+  before(async () => {
+    mock.method(console, 'error', () => {});
+    originalCwd = process.cwd();
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'geoban-api-'));
+    process.chdir(workDir);
+
+    storage.initializeStorage();
+    storage.savePlayerData({
+      lastCheck: T0,
+      totalChecks: 12,
+      players: {
+        alice: player('Alice', 'fr', 'banned', 1900, 1, [{ from: 'active', to: 'banned', timestamp: T0 - DAY, source: 'leaderboard', rating: 1900, position: 1 }]),
+        bob: player('Bob', 'de', 'suspended', 1850, 2, [{ from: 'active', to: 'suspended', timestamp: T0 - 2 * DAY, source: 'missing', suspendedUntil: '2025-06-10T00:00:00.000Z' }]),
+        carol: player('Carol', 'fr', 'active', 1800, 3),
+        dave: player('Dave', 'FR', 'active', null, null)
+      }
+    });
+    storage.appendSanctionRow({ Date: '2025-05-31', Username: 'Alice', UserID: 'alice', countryCode: 'fr', ELO: 1900, Position: 1, Action_Type: 'BANNED' });
+    storage.appendSanctionRow({ Date: '2025-05-30', Username: 'Bob', UserID: 'bob', countryCode: 'de', ELO: 1850, Position: 2, Action_Type: 'SUSPENDED' });
+    storage.recordCheckRun({ startedAt: T0 - HOUR, finishedAt: T0 - HOUR + 1000, success: false, error: 'GeoGuessr cookie expired or invalid' });
+    storage.recordCheckRun({ startedAt: T0, finishedAt: T0 + 60000, success: true, playersChecked: 2000, newSanctions: 1, newDeletions: 0, unsanctions: 0 });
+
+    api = createHttpApi({ storage, apiKey: API_KEY });
+    const { port } = await api.listen(0);
+    baseUrl = `http://127.0.0.1:${port}`;
+  });
+
+  after(async () => {
+    await api.close();
+    process.chdir(originalCwd);
+    fs.rmSync(workDir, { recursive: true, force: true });
+    mock.restoreAll();
+  });
+
+  async function get(pathname, headers = { Authorization: `Bearer ${API_KEY}` }) {
+    const response = await fetch(baseUrl + pathname, { headers });
+    return { status: response.status, body: await response.json() };
+  }
+
+  it('refuses requests without the right key', async () => {
+    assert.equal((await get('/players', {})).status, 401);
+    assert.equal((await get('/players', { Authorization: 'Bearer nope' })).status, 401);
+    assert.equal((await get('/players', { 'X-API-Key': API_KEY })).status, 200);
+  });
+
+  it('lists players best rated first with filters and pages', async () => {
+    const all = await get('/players');
+    assert.deepEqual(all.body.items.map(item => item.userId), ['alice', 'bob', 'carol', 'dave']);
+    assert.equal(all.body.items[0].rating, 1900);
+    assert.equal(all.body.items[0].firstSeen, new Date(T0 - 10 * DAY).toISOString());
+
+    const french = await get('/players?country=FR&status=active,banned');
+    assert.deepEqual(french.body.items.map(item => item.userId), ['alice', 'carol', 'dave']);
+
+    const band = await get('/players?min_elo=1800&max_elo=1850');
+    assert.deepEqual(band.body.items.map(item => item.userId), ['bob', 'carol']);
+
+    const page = await get('/players?offset=1&limit=2');
+    assert.deepEqual(page.body, { total: 4, offset: 1, limit: 2, items: page.body.items });
+    assert.deepEqual(page.body.items.map(item => item.userId), ['bob', 'carol']);
+  });
+
+  it('rejects bad parameters', async () => {
+    assert.match((await get('/players?status=kicked')).body.error, /Unknown status "kicked"/);
+    assert.equal((await get('/players?limit=501')).status, 400);
+    assert.equal((await get('/players?min_elo=1900&max_elo=1800')).status, 400);
+    assert.equal((await get('/events?since=yesterday')).status, 400);
+  });
+
+  it('returns one player with their history', async () => {
+    const { status, body } = await get('/players/alice');
+
+    assert.equal(status, 200);
+    assert.equal(body.nick, 'Alice');
+    assert.deepEqual(body.ratings.map(rating => rating.rating), [1880, 1900]);
+    assert.deepEqual(body.events.map(event => event.to), ['banned']);
+    assert.deepEqual(body.nicknames.map(entry => entry.nick), ['Alice']);
+    assert.deepEqual(body.history.map(row => [row.Date, row.Action]), [['2025-05-31', 'BANNED']]);
+
+    assert.equal((await get('/players/nobody')).status, 404);
+    assert.equal((await get('/nothing')).status, 404);
+  });
+
+  it('lists the status changes of every player newest first', async () => {
+    const { body } = await get('/events');
+    assert.deepEqual(body.items.map(event => [event.userId, event.to]), [['alice', 'banned'], ['bob', 'suspended']]);
+    assert.equal(body.items[1].suspendedUntil, '2025-06-10T00:00:00.000Z');
+
+    const recent = await get(`/events?since=${new Date(T0 - 36 * HOUR).toISOString()}`);
+    assert.deepEqual(recent.body.items.map(event => event.userId), ['alice']);
+  });
+
+  it('returns the last check run', async () => {
+    const { body } = await get('/checks/last');
+
+    assert.equal(body.lastCheck, new Date(T0).toISOString());
+    assert.equal(body.totalChecks, 12);
+    assert.equal(body.lastRun.success, true);
+    assert.equal(body.lastRun.playersChecked, 2000);
+    assert.equal(body.lastRun.error, null);
+  });
+
+  it('only answers GET requests', async () => {
+    const response = await fetch(`${baseUrl}/players`, { method: 'POST', headers: { Authorization: `Bearer ${API_KEY}` } });
+    assert.equal(response.status, 405);
+  });
+});
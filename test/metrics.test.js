@@ -0,0 +1,87 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMetrics } from '../src/metrics.js';
+import { createHttpApi } from '../src/httpApi.js';
+
+const T0 = Date.parse('2025-06-01T12:00:00Z');
+
+function createStubs() {
+  const apiClient = {
+    stats: { requests: 6, byStatus: { 200: 4, 429: 1, 404: 1 }, rateLimited: 1, retries: 2, networkErrors: 1 },
+    queued: 3
+  };
+  const storage = {
+    getStats: () => ({ totalPlayers: 3, statusCounts: { active: 2, banned: 1 }, lastCheck: T0 - 60 * 60 * 1000, totalChecks: 4 })
+  };
+  return { apiClient, storage };
+}
+
+function sample(text, line) {
+  const match = text.split('\n').find(candidate => candidate.startsWith(`${line} `));
+  return match === undefined ? undefined : Number(match.slice(line.length + 1));
+}
+
+describe('metrics', () => {
+  it('starts from the storage and the API client counters', () => {
+    const text = createMetrics(createStubs()).render();
+
+    assert.match(text, /^# HELP geoban_checks_total Check runs by result\.\n# TYPE geoban_checks_total counter\n/);
+    assert.equal(sample(text, 'geoban_tracked_players{status="active"}'), 2);
+    assert.equal(sample(text, 'geoban_tracked_players{status="banned"}'), 1);
+    assert.equal(sample(text, 'geoban_last_successful_check_timestamp_seconds'), (T0 - 60 * 60 * 1000) / 1000);
+    assert.equal(sample(text, 'geoban_geoguessr_requests_total{code="429"}'), 1);
+    assert.equal(sample(text, 'geoban_geoguessr_rate_limited_total'), 1);
+    assert.equal(sample(text, 'geoban_geoguessr_retries_total'), 2);
+    assert.equal(sample(text, 'geoban_geoguessr_network_errors_total'), 1);
+    assert.equal(sample(text, 'geoban_geoguessr_queued_requests'), 3);
+    assert.equal(sample(text, 'geoban_events_total{type="ban"}'), 0);
+    assert.equal(sample(text, 'geoban_last_check_players_checked'), undefined);
+  });
+
+  it('records the check runs and the events', () => {
+    const metrics = createMetrics(createStubs());
+
+    metrics.recordCheckRun({ startedAt: T0, finishedAt: T0 + 90 * 1000, success: true, playersChecked: 2000 });
+    metrics.recordCheckRun({ startedAt: T0 + 3600 * 1000, finishedAt: T0 + 3601 * 1000, success: false, error: 'GeoGuessr cookie expired or invalid' });
+    metrics.eventSink.handle([{ type: 'ban' }, { type: 'ban' }, { type: 'nickname_change' }]);
+    const text = metrics.render();
+
+    assert.equal(sample(text, 'geoban_checks_total{result="success"}'), 1);
+    assert.equal(sample(text, 'geoban_checks_total{result="failure"}'), 1);
+    assert.equal(sample(text, 'geoban_check_duration_seconds_bucket{le="30"}'), 1);
+    assert.equal(sample(text, 'geoban_check_duration_seconds_bucket{le="60"}'), 1);
+    assert.equal(sample(text, 'geoban_check_duration_seconds_bucket{le="120"}'), 2);
+    assert.equal(sample(text, 'geoban_check_duration_seconds_bucket{le="+Inf"}'), 2);
+    assert.equal(sample(text, 'geoban_check_duration_seconds_sum'), 91);
+    assert.equal(sample(text, 'geoban_check_duration_seconds_count'), 2);
+    assert.equal(sample(text, 'geoban_players_checked_total'), 2000);
+    assert.equal(sample(text, 'geoban_last_check_players_checked'), 2000);
+    // the failed run does not move the last successful check
+    assert.equal(sample(text, 'geoban_last_successful_check_timestamp_seconds'), (T0 + 90 * 1000) / 1000);
+    assert.equal(sample(text, 'geoban_events_total{type="ban"}'), 2);
+    assert.equal(sample(text, 'geoban_events_total{type="nickname_change"}'), 1);
+  });
+
+  it('reports the profile scanner when there is one', () => {
+    assert.equal(sample(createMetrics(createStubs()).render(), 'geoban_scanner_targets'), undefined);
+
+    const text = createMetrics({ ...createStubs(), scannerStatus: () => ({ targets: 2100, overdue: 3, checks: 540 }) }).render();
+    assert.equal(sample(text, 'geoban_scanner_targets'), 2100);
+    assert.equal(sample(text, 'geoban_scanner_overdue_players'), 3);
+    assert.equal(sample(text, 'geoban_scanner_profile_checks_total'), 540);
+  });
+
+  it('is served as text by the HTTP API', async () => {
+    const stubs = createStubs();
+    const api = createHttpApi({ storage: stubs.storage, apiKey: 'key', metrics: createMetrics(stubs) });
+    const { port } = await api.listen(0);
+    try {
+      const response = await fetch(`http://127.0.0.1:${port}/metrics`, { headers: { Authorization: 'Bearer key' } });
+      assert.equal(response.status, 200);
+      assert.equal(response.headers.get('content-type'), 'text/plain; version=0.0.4; charset=utf-8');
+      assert.match(await response.text(), /^geoban_tracked_players\{status="active"\} 2$/m);
+    } finally {
+      await api.close();
+    }
+  });
+});
@@ -0,0 +1,46 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { nickSkeleton, recordNickname, getNicknames, searchNicknames, findByNickname } from '../src/nicknames.js';
+
+describe('nicknames', () => {
+  it('reduces look-alike nicknames to the same skeleton', () => {
+    const skeleton = nickSkeleton('Flykii');
+    for (const lookAlike of ['FLYKII', 'F1yk!i', 'Fl\u0443k\u0456\u0456', 'Flÿkïi', 'Fly\u200Bkii']) {
+      assert.equal(nickSkeleton(lookAlike), skeleton, lookAlike);
+    }
+    assert.notEqual(nickSkeleton('Flyker'), skeleton);
+  });
+
+  it('starts the list of players tracked before it with their current nick', () => {
+    const playerData = { nick: 'Old', firstSeen: 10, lastSeen: 20 };
+    assert.deepEqual(getNicknames(playerData), [{ nick: 'Old', firstSeen: 10, lastSeen: 20 }]);
+
+    recordNickname(playerData, 'New', 30);
+    recordNickname(playerData, 'New', 40);
+    recordNickname(playerData, 'Old', 50);
+    // NFC and NFD spellings are one name
+    recordNickname(playerData, 'Zo\u00E9', 60);
+    recordNickname(playerData, 'Zoe\u0301', 70);
+
+    assert.deepEqual(playerData.nicknames, [
+      { nick: 'Old', firstSeen: 10, lastSeen: 50 },
+      { nick: 'New', firstSeen: 30, lastSeen: 40 },
+      { nick: 'Zo\u00E9', firstSeen: 60, lastSeen: 70 }
+    ]);
+  });
+
+  it('ranks current names before former names and look-alikes', () => {
+    const candidates = [
+      { userId: 'aaa', nick: 'Sam', names: ['Sam'] },
+      { userId: 'bbb', nick: 'Other', names: ['Sam0', 'Other'] },
+      { userId: 'ccc', nick: 'SAMO', names: ['SAMO'] },
+      { userId: 'ddd', nick: 'Nobody', names: ['Nobody'] }
+    ];
+
+    assert.deepEqual(searchNicknames('sam0', candidates).map(({ userId, matchedNick, rank }) => [userId, matchedNick, rank]),
+      [['bbb', 'Sam0', 1], ['ccc', 'SAMO', 2]]);
+    assert.deepEqual(searchNicknames('sa', candidates).map(({ userId }) => userId), ['aaa', 'bbb', 'ccc']);
+    assert.equal(findByNickname('sam', candidates).userId, 'aaa');
+    assert.equal(findByNickname('nob', candidates), null);
+  });
+});
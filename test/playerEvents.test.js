@@ -0,0 +1,70 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getSanctionDurationDays, getSanctionStart, recordStatusChange, summarizeEvents } from '../src/playerEvents.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const T0 = Date.parse('2025-06-01T12:00:00Z');
+
+function event(from, to, timestamp) {
+  return { from, to, timestamp, source: 'leaderboard' };
+}
+
+describe('playerEvents', () => {
+  it('records a transition once, and a new suspension end as a new one', () => {
+    const playerData = { status: 'active' };
+    assert.equal(recordStatusChange(playerData, 'banned', { timestamp: T0, source: 'missing', rating: 1900, position: 'N/A' }), true);
+    assert.equal(recordStatusChange(playerData, 'banned', { timestamp: T0 + HOUR, source: 'missing' }), false);
+    assert.equal(recordStatusChange(playerData, 'suspended', { timestamp: T0 + 2 * HOUR, source: 'sanctioned_recheck', suspendedUntil: '2025-06-05' }), true);
+    assert.equal(recordStatusChange(playerData, 'suspended', { timestamp: T0 + 3 * HOUR, source: 'sanctioned_recheck', suspendedUntil: '2025-06-07' }), true);
+
+    assert.equal(playerData.suspendedUntil, '2025-06-07');
+    assert.deepEqual(playerData.events, [
+      { from: 'active', to: 'banned', timestamp: T0, source: 'missing', rating: 1900 },
+      { from: 'banned', to: 'suspended', timestamp: T0 + 2 * HOUR, source: 'sanctioned_recheck', suspendedUntil: '2025-06-05' },
+      { from: 'suspended', to: 'suspended', timestamp: T0 + 3 * HOUR, source: 'sanctioned_recheck', suspendedUntil: '2025-06-07' }
+    ]);
+  });
+
+  it('counts a sanction from its start, across a ban and a suspension in a row', () => {
+    const playerData = {
+      status: 'banned',
+      bannedAt: T0 + 5 * DAY,
+      events: [
+        event('active', 'suspended', T0),
+        event('suspended', 'active', T0 + DAY),
+        event('active', 'suspended', T0 + 2 * DAY),
+        event('suspended', 'banned', T0 + 5 * DAY)
+      ]
+    };
+
+    assert.equal(getSanctionStart(playerData), T0 + 2 * DAY);
+    assert.equal(getSanctionDurationDays(playerData, T0 + 9 * DAY + HOUR), 7);
+    assert.equal(getSanctionDurationDays({ status: 'active', events: [event('banned', 'active', T0)] }, T0 + DAY), null);
+  });
+
+  it('falls back on the sanction timestamps of the records without events', () => {
+    assert.equal(getSanctionDurationDays({ status: 'banned', bannedAt: T0 }, T0 + 3 * DAY), 3);
+    assert.equal(getSanctionDurationDays({ status: 'suspended', suspendedAt: T0 }, T0 + DAY - 1), 0);
+    assert.equal(getSanctionStart({ status: 'active' }), null);
+  });
+
+  it('summarizes the events of every player', () => {
+    const players = {
+      alice: { events: [event(null, 'active', T0), event('active', 'banned', T0 + DAY), event('banned', 'active', T0 + 3 * DAY), event('active', 'banned', T0 + 10 * DAY)] },
+      bob: { events: [event('active', 'suspended', T0), event('suspended', 'suspended', T0 + DAY), event('suspended', 'banned', T0 + 2 * DAY), event('banned', 'active', T0 + 4 * DAY)] },
+      carol: { events: [event('active', 'deleted_account', T0)] },
+      dave: { status: 'active' }
+    };
+
+    assert.deepEqual(summarizeEvents(players), {
+      bans: 3,
+      suspensions: 1,
+      unsanctions: 2,
+      deletions: 1,
+      // alice 2 days, bob 4 days; alice's current ban is not over
+      averageSanctionDays: 3
+    });
+    assert.deepEqual(summarizeEvents({}), { bans: 0, suspensions: 0, unsanctions: 0, deletions: 0, averageSanctionDays: null });
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import * as storage from '../src/storage/jsonStore.js';
+import { resolvePlayer } from '../src/playerLookup.js';
+
+const T0 = Date.parse('2025-06-01T12:00:00Z');
+
+function player(nick, formerNicks = []) {
+  return {
+    nick,
+    status: 'active',
+    firstSeen: T0,
+    lastSeen: T0,
+    ratings: [{ rating: 1800, position: 10, timestamp: T0 }],
+    nicknames: [...formerNicks, nick].map(name => ({ nick: name, firstSeen: T0, lastSeen: T0 }))
+  };
+}
+
+describe('/player lookup', () => {
+  let originalCwd;
+  let workDir;
+
+  beforeEach(() => {
+    originalCwd = process.cwd();
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'geoban-lookup-'));
+    process.chdir(workDir);
+    storage.initializeStorage();
+    storage.savePlayerData({
+      players: {
+        '5f3a1b2c': player('Flykii'),
+        '6a7b8c9d': player('Zed', ['Sam']),
+        '7b8c9d0e': player('Other', ['Sam']),
+        '8c9d0e1f': player('Sam0'),
+        '9d0e1f2a': player('SAMO')
+      },
+      lastCheck: T0,
+      totalChecks: 1
+    });
+  });
+
+  afterEach(() => {
+    process.chdir(originalCwd);
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it('finds a player by nickname, whatever the case', () => {
+    const result = resolvePlayer(storage, 'flykii');
+    assert.equal(result.status, 'found');
+    assert.equal(result.userId, '5f3a1b2c');
+    assert.equal(result.playerData.nick, 'Flykii');
+  });
+
+  it('finds a player by user ID or profile URL', () => {
+    assert.equal(resolvePlayer(storage, '6a7b8c9d').userId, '6a7b8c9d');
+    assert.equal(resolvePlayer(storage, ' https://www.geoguessr.com/user/7b8c9d0e ').userId, '7b8c9d0e');
+    assert.equal(resolvePlayer(storage, 'https://www.geoguessr.com/fr/user/8c9d0e1f').userId, '8c9d0e1f');
+  });
+
+  it('prefers a current nickname over a look-alike', () => {
+    const result = resolvePlayer(storage, 'Sam0');
+    assert.equal(result.status, 'found');
+    assert.equal(result.userId, '8c9d0e1f');
+  });
+
+  it('lists the players a nickname matches equally well', () => {
+    // both were called Sam before
+    assert.deepEqual(resolvePlayer(storage, 'sam'), {
+      status: 'ambiguous',
+      matches: [
+        { userId: '6a7b8c9d', nick: 'Zed', formerNick: 'Sam' },
+        { userId: '7b8c9d0e', nick: 'Other', formerNick: 'Sam' }
+      ]
+    });
+
+    // a Cyrillic О: no exact name, two look-alikes
+    const lookAlikes = resolvePlayer(storage, 'SAM\u041E');
+    assert.equal(lookAlikes.status, 'ambiguous');
+    assert.deepEqual(lookAlikes.matches.map(match => match.userId), ['8c9d0e1f', '9d0e1f2a']);
+  });
+
+  it('says when no tracked player matches', () => {
+    assert.deepEqual(resolvePlayer(storage, 'Nobody'), { status: 'not_found' });
+    assert.deepEqual(resolvePlayer(storage, 'https://www.geoguessr.com/user/0000ffff'), { status: 'not_found' });
+    // part of a nickname is a search, not a lookup
+    assert.deepEqual(resolvePlayer(storage, 'Flyk'), { status: 'not_found' });
+  });
+});
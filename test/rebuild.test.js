@@ -0,0 +1,200 @@
+import { describe, it, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import * as jsonStore from '../src/storage/jsonStore.js';
+import { replayHistory, mergeLeaderboard, confirmSuspensions, rebuildTracking, countTrackedPlayers } from '../src/rebuild.js';
+import { openSqliteStore } from './support/sqliteStore.js';
+
+const NOW = Date.parse('2026-03-20T12:00:00.000Z');
+
+function sanction(date, userId, actionType, suspendedUntil = '') {
+  return { Date: date, Username: userId.toUpperCase(), UserID: userId, countryCode: 'fr', ELO: '1900', Position: '10', Action_Type: actionType, Suspended_Until: suspendedUntil };
+}
+
+function unsanction(date, userId, previousActionType) {
+  return { Date: date, Username: userId.toUpperCase(), UserID: userId, countryCode: 'fr', ELO: '1880', Position: '12', Previous_Action_Type: previousActionType, Duration_Days: '3' };
+}
+
+describe('rebuild from the CSV history', () => {
+  it('replays both files into the last known status of each player', () => {
+    const { data, conflicts } = replayHistory([
+      sanction('2026-03-01', 'alice', 'SUSPENDED', '2026-03-04'),
+      sanction('2026-03-10', 'alice', 'BANNED'),
+      sanction('2026-03-02', 'bob', 'SUSPENDED', '2026-03-05'),
+      sanction('2026-03-15', 'carol', 'SUSPENDED', '2026-04-15'),
+      sanction('2026-03-18', 'dave', 'DELETED_ACCOUNT')
+    ], [
+      unsanction('2026-03-04', 'alice', 'SUSPENDED')
+    ], NOW);
+
+    assert.deepEqual(conflicts, []);
+
+    const { alice, bob, carol, dave } = data.players;
+    assert.equal(alice.status, 'banned');
+    assert.equal(alice.bannedAt, Date.parse('2026-03-10'));
+    assert.equal(alice.unsuspendedAt, Date.parse('2026-03-04'));
+    assert.deepEqual(alice.events.map(event => `${event.from}>${event.to}`), ['null>suspended', 'suspended>active', 'active>banned']);
+    assert.ok(alice.events.every(event => event.source === 'csv_rebuild'));
+    assert.deepEqual(alice.ratings, [{ rating: 1900, position: 10, timestamp: Date.parse('2026-03-10') }]);
+
+    // suspension over before the rebuild, like the checks do it
+    assert.equal(bob.status, 'suspension_expired');
+    assert.equal(bob.suspendedUntil, undefined);
+
+    assert.equal(carol.status, 'suspended');
+    assert.equal(carol.suspendedUntil, '2026-04-15T00:00:00.000Z');
+    assert.equal(dave.status, 'deleted_account');
+    assert.equal(dave.deletedAt, Date.parse('2026-03-18'));
+  });
+
+  it('reports rows it cannot place instead of guessing', () => {
+    const { data, conflicts } = replayHistory([
+      sanction('2026-03-01', 'alice', 'BANNED'),
+      sanction('yesterday', 'bob', 'BANNED'),
+      sanction('2026-03-01', 'carol', 'WARNED'),
+      sanction('2026-03-08', 'erin', 'BANNED')
+    ], [
+      unsanction('2026-03-05', 'dave', 'BANNED'),
+      unsanction('2026-03-08', 'erin', 'BANNED')
+    ], NOW);
+
+    assert.deepEqual(conflicts.map(c => `${c.type}:${c.userId}`), [
+      'invalid_row:bob',
+      'invalid_row:carol',
+      'unexpected_unsanction:dave',
+      'same_day:erin'
+    ]);
+    assert.equal(data.players.alice.status, 'banned');
+    assert.equal(data.players.bob, undefined);
+    assert.equal(data.players.dave.status, 'active');
+    assert.equal(data.players.erin.status, 'active');
+  });
+
+  it('adds the leaderboard and reports sanctioned players found on it', () => {
+    const { data } = replayHistory([
+      sanction('2026-03-10', 'alice', 'BANNED'),
+      sanction('2026-03-15', 'carol', 'SUSPENDED', '2026-04-15')
+    ], [], NOW);
+
+    const conflicts = mergeLeaderboard(data, [
+      { userId: 'alice', nick: 'Alice2', rating: 2000, position: 3, countryCode: 'fr', ladders: { solo: { rating: 2000, position: 3 } } },
+      { userId: 'bob', nick: 'Bob', rating: 1950, position: 5, countryCode: 'de', ladders: { solo: { rating: 1950, position: 5 } } }
+    ], NOW);
+
+    assert.deepEqual(conflicts.map(c => `${c.type}:${c.userId}`), ['on_leaderboard:alice']);
+    assert.match(conflicts[0].detail, /banned in the history since 2026-03-10/);
+    assert.equal(data.players.alice.status, 'banned');
+    assert.equal(data.players.alice.nick, 'Alice2');
+    assert.deepEqual(data.players.alice.ladders, { solo: { rating: 2000, position: 3, lastSeen: NOW } });
+    assert.equal(data.players.bob.status, 'active');
+    assert.equal(data.players.bob.firstSeen, NOW);
+  });
+
+  it('takes the exact end of ongoing suspensions from GeoGuessr', async () => {
+    const { data } = replayHistory([
+      sanction('2026-03-15', 'carol', 'SUSPENDED', '2026-04-15'),
+      sanction('2026-03-16', 'dave', 'SUSPENDED', '2026-04-16'),
+      sanction('2026-03-17', 'erin', 'SUSPENDED', '2026-04-17')
+    ], [], NOW);
+
+    const activities = {
+      carol: { suspended: true, suspendedUntil: '2026-04-15T18:42:10.000Z' },
+      dave: { suspended: false, banned: true }
+    };
+    const conflicts = await confirmSuspensions(data, async userId => {
+      if (!activities[userId]) throw new Error('HTTP Error: 500');
+      return activities[userId];
+    });
+
+    assert.equal(data.players.carol.suspendedUntil, '2026-04-15T18:42:10.000Z');
+    assert.deepEqual(conflicts.map(c => `${c.type}:${c.userId}`), ['suspension_mismatch:dave', 'suspension_mismatch:erin']);
+    assert.match(conflicts[0].detail, /GeoGuessr says banned/);
+    assert.equal(data.players.dave.suspendedUntil, '2026-04-16T00:00:00.000Z');
+  });
+});
+
+describe('rebuildTracking', () => {
+  let sqlite;
+  let originalCwd;
+  let workDir;
+
+  before(async () => {
+    sqlite = await openSqliteStore();
+  });
+
+  after(() => {
+    sqlite.close();
+  });
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    originalCwd = process.cwd();
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'geoban-rebuild-'));
+    process.chdir(workDir);
+    sqlite.reset();
+  });
+
+  afterEach(() => {
+    process.chdir(originalCwd);
+    fs.rmSync(workDir, { recursive: true, force: true });
+    mock.restoreAll();
+  });
+
+  for (const [backend, getStorage] of [['json', () => jsonStore], ['sqlite', () => sqlite.storage]]) {
+    it(`replaces the tracking data from the history of the ${backend} store`, async () => {
+      const storage = getStorage();
+      storage.initializeStorage();
+      // stale tracking data, --force replaces it
+      storage.savePlayerData({
+        players: {
+          alice: {
+            nick: 'Alice', status: 'active', firstSeen: NOW - 90 * 86400000, lastSeen: NOW, ratings: [],
+            events: [
+              { from: null, to: 'active', timestamp: NOW - 90 * 86400000, source: 'leaderboard' },
+              { from: 'active', to: 'suspended', timestamp: NOW - 60 * 86400000, source: 'leaderboard' },
+              { from: 'suspended', to: 'active', timestamp: NOW - 50 * 86400000, source: 'sanctioned_recheck' }
+            ]
+          },
+          frank: { nick: 'Frank', status: 'active', firstSeen: NOW, lastSeen: NOW, ratings: [] }
+        },
+        lastCheck: NOW,
+        totalChecks: 40
+      });
+      storage.appendSanctionRow(sanction('2026-03-10', 'alice', 'BANNED'));
+      storage.appendSanctionRow(sanction('2026-03-15', 'carol', 'SUSPENDED', '2026-04-15'));
+
+      const { data, conflicts } = await rebuildTracking({ storage, currentTime: NOW });
+      assert.deepEqual(conflicts, []);
+      storage.savePlayerData(data);
+
+      const saved = storage.loadPlayerData();
+      assert.deepEqual(Object.keys(saved.players).sort(), ['alice', 'carol']);
+      assert.equal(saved.players.alice.status, 'banned');
+      assert.deepEqual(saved.players.alice.events.map(event => `${event.from}>${event.to}:${event.source}`), ['null>banned:csv_rebuild']);
+      assert.equal(saved.players.carol.suspendedUntil, '2026-04-15T00:00:00.000Z');
+      assert.equal(saved.totalChecks, 0);
+    });
+  }
+
+  it('rebuilds over a tracking file too corrupt to load', async () => {
+    mock.method(console, 'error', () => {});
+    jsonStore.initializeStorage();
+    fs.writeFileSync(jsonStore.PLAYER_TRACKING_FILE, '{"players": {"alice": {"nick": "Ali', 'utf8');
+    // the CSV files as a spreadsheet would save them, with an empty line
+    fs.appendFileSync(jsonStore.BANNED_SUSPENDED_CSV, '2026-03-10,"Alice, the first",alice,,fr,1900,10,BANNED,\n\n', 'utf8');
+
+    assert.throws(() => jsonStore.loadPlayerData(), /Could not load player_tracking.json/);
+    assert.equal(countTrackedPlayers(jsonStore), 0);
+
+    const { data, conflicts } = await rebuildTracking({ storage: jsonStore, currentTime: NOW });
+    assert.deepEqual(conflicts, []);
+    jsonStore.savePlayerData(data);
+
+    const saved = jsonStore.loadPlayerData();
+    assert.deepEqual(Object.keys(saved.players), ['alice']);
+    assert.equal(saved.players.alice.nick, 'Alice, the first');
+    assert.equal(saved.players.alice.status, 'banned');
+  });
+});
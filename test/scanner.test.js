@@ -0,0 +1,162 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyPlayer, createScanner } from '../src/scanner.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const T0 = Date.parse('2025-06-01T12:00:00Z');
+
+function rating(rating, position, timestamp) {
+  return { rating, position, timestamp };
+}
+
+describe('classifyPlayer', () => {
+  const context = { lastLeaderboardAt: T0, time: T0 + 5 * MINUTE };
+
+  it('sorts the players by risk', () => {
+    const steady = { status: 'active', lastSeen: T0, ratings: [rating(1800, 10, T0 - HOUR), rating(1810, 9, T0)] };
+    const mover = { status: 'active', lastSeen: T0, ratings: [rating(1700, 400, T0 - 2 * HOUR), rating(1760, 350, T0)] };
+    const flagged = { ...steady, anomalyFlags: [{ flaggedAt: T0, outcome: null }] };
+    const gone = { status: 'active', lastSeen: T0 - HOUR, ratings: [] };
+
+    assert.deepEqual(classifyPlayer(steady, context), { kind: 'leaderboard', priority: 'routine' });
+    assert.deepEqual(classifyPlayer(mover, context), { kind: 'leaderboard', priority: 'mover' });
+    assert.deepEqual(classifyPlayer(flagged, context), { kind: 'leaderboard', priority: 'mover' });
+    assert.deepEqual(classifyPlayer(gone, context), { kind: 'missing', priority: 'missing' });
+    assert.equal(classifyPlayer({ ...gone, lastSeen: T0 - 7 * HOUR }, context), null);
+    assert.deepEqual(classifyPlayer({ ...gone, lastSeen: T0 - 7 * HOUR }, { ...context, watched: true }), { kind: 'watchlist', priority: 'routine' });
+    assert.equal(classifyPlayer({ status: 'deleted_account', lastSeen: T0 }, context), null);
+  });
+
+  it('reviews the sanctioned players on the leaderboard or about to come back', () => {
+    const banned = { status: 'banned', lastSeen: T0 - 3 * HOUR };
+    const endsSoon = { status: 'suspended', lastSeen: T0 - 3 * HOUR, suspendedUntil: new Date(T0 + 30 * MINUTE).toISOString() };
+
+    assert.deepEqual(classifyPlayer(banned, context), { kind: 'sanctioned', priority: 'routine' });
+    assert.deepEqual(classifyPlayer({ ...banned, lastSeen: T0 }, context), { kind: 'sanctioned', priority: 'sanction_review' });
+    assert.deepEqual(classifyPlayer(endsSoon, context), { kind: 'sanctioned', priority: 'sanction_review' });
+    assert.deepEqual(classifyPlayer({ status: 'suspension_expired', lastSeen: T0 }, context), { kind: 'sanctioned', priority: 'sanction_review' });
+  });
+});
+
+describe('scanner', () => {
+  let clock;
+  let players;
+  let batches;
+  let failing;
+  let largestBatch;
+
+  function createTestScanner(options = {}) {
+    const checker = {
+      async checkProfiles(targets, data) {
+        assert.ok(data.players);
+        batches.push(targets);
+        largestBatch = Math.max(largestBatch, targets.length);
+        for (const { userId } of targets) {
+          if (!failing.has(userId)) data.players[userId].profileCheckedAt = clock.time;
+        }
+        return { checked: targets.length, failed: targets.map(({ userId }) => userId).filter(userId => failing.has(userId)) };
+      }
+    };
+    const storage = {
+      loadPlayerData: () => ({ players, lastCheck: T0 }),
+      getWatchlist: () => []
+    };
+    return createScanner({ checker, storage, now: () => clock.time, ...options });
+  }
+
+  // runs the ticks of `duration`, returns the checks of each player
+  async function runFor(scanner, duration, tickMs) {
+    const counts = {};
+    for (const end = clock.time + duration; clock.time < end; clock.time += tickMs) {
+      batches.length = 0;
+      await scanner.tick();
+      for (const { userId } of batches.flat()) counts[userId] = (counts[userId] || 0) + 1;
+    }
+    return counts;
+  }
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    clock = { time: T0 + MINUTE };
+    batches = [];
+    failing = new Set();
+    largestBatch = 0;
+    players = {};
+    for (let index = 0; index < 100; index++) {
+      players[`p${index}`] = { status: 'active', lastSeen: T0, ratings: [rating(1500, index + 1, T0)] };
+    }
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('checks every player within the SLA, spread over the ticks', async () => {
+    const scanner = createTestScanner({ slaMs: HOUR, tickMs: MINUTE, maxChecksPerHour: 600 });
+    const counts = await runFor(scanner, HOUR, MINUTE);
+
+    assert.equal(Object.keys(counts).length, 100);
+    assert.ok(Math.max(...Object.values(counts)) <= 2);
+    assert.equal(scanner.status.overdue, 0);
+    assert.equal(scanner.status.targets, 100);
+  });
+
+  it('rechecks the risky players first, within the hourly budget', async () => {
+    players.gone = { status: 'active', lastSeen: T0 - HOUR, ratings: [] };
+    players.banned = { status: 'banned', lastSeen: T0 };
+    const scanner = createTestScanner({ slaMs: 10 * HOUR, tickMs: MINUTE, maxChecksPerHour: 180 });
+
+    await scanner.tick();
+    assert.deepEqual(batches[0].slice(-2), [{ userId: 'gone', kind: 'missing' }, { userId: 'banned', kind: 'sanctioned' }]);
+    assert.equal(batches[0].length, 2);
+
+    // then every 15 minutes, next to the SLA share and without going over 3 lookups per tick
+    clock.time += MINUTE;
+    const counts = await runFor(scanner, HOUR, MINUTE);
+    assert.equal(counts.gone, 4);
+    assert.equal(counts.banned, 4);
+    assert.equal(largestBatch, 3);
+    assert.equal(scanner.status.checks, Object.values(counts).reduce((sum, count) => sum + count, 0) + 2);
+  });
+
+  it('retries the players whose lookup failed', async () => {
+    players = { gone: { status: 'active', lastSeen: T0 - HOUR, ratings: [] } };
+    failing.add('gone');
+    const scanner = createTestScanner({ slaMs: 10 * HOUR, tickMs: MINUTE });
+
+    await runFor(scanner, 3 * MINUTE, MINUTE);
+    assert.equal(batches.length, 1);
+    failing.clear();
+    const counts = await runFor(scanner, 3 * MINUTE, MINUTE);
+    assert.equal(counts.gone, 1);
+  });
+
+  it('keeps the check times over a restart', async () => {
+    const counts = await runFor(createTestScanner({ slaMs: HOUR, tickMs: MINUTE, maxChecksPerHour: 600 }), 30 * MINUTE, MINUTE);
+    const checked = Object.keys(counts);
+    assert.ok(checked.length > 0 && checked.length < 100);
+
+    // the players checked before the restart wait for the ones never looked up
+    const restarted = await runFor(createTestScanner({ slaMs: HOUR, tickMs: MINUTE, maxChecksPerHour: 600 }), 15 * MINUTE, MINUTE);
+    assert.ok(Object.keys(restarted).length > 0);
+    assert.ok(Object.keys(restarted).every(userId => !checked.includes(userId)));
+  });
+
+  it('never runs a batch during a check run', async () => {
+    const scanner = createTestScanner({ slaMs: HOUR, tickMs: MINUTE });
+    let release;
+    const run = scanner.exclusive(() => new Promise(resolve => { release = resolve; }));
+
+    const tick = scanner.tick();
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(batches.length, 0);
+    // the next tick is skipped while this one waits
+    assert.equal(await scanner.tick(), null);
+
+    release('done');
+    assert.equal(await run, 'done');
+    await tick;
+    assert.equal(batches.length, 1);
+  });
+});
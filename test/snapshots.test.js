@@ -0,0 +1,93 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createSnapshotArchive, diffSnapshots, snapshotId } from '../src/snapshots.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const T0 = Date.parse('2025-06-01T12:00:00Z');
+const LADDERS = [{ id: 'solo', name: 'Solo Duels', path: '/v4/ranked-system/ratings', depth: 2000 }];
+
+function entry(userId, position, rating) {
+  return { userId, nick: userId, countryCode: 'fr', rating, position, ladders: { solo: { rating, position } } };
+}
+
+describe('leaderboard snapshots', () => {
+  let dir;
+  let clock;
+  let archive;
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'geoban-snapshots-'));
+    clock = { time: T0 };
+    archive = createSnapshotArchive({ dir, keepAllDays: 2, keepDailyDays: 5, now: () => clock.time });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    mock.restoreAll();
+  });
+
+  it('stores gzipped snapshots that can be listed, found and loaded', () => {
+    archive.save(T0, [entry('alice', 1, 1900)], LADDERS);
+    clock.time = T0 + HOUR;
+    const id = archive.save(T0 + HOUR, [entry('bob', 1, 1950)], LADDERS);
+
+    assert.equal(id, snapshotId(T0 + HOUR));
+    assert.ok(fs.readdirSync(dir).every(file => file.endsWith('.json.gz')));
+    assert.deepEqual(archive.list().map(snapshot => snapshot.timestamp), [T0, T0 + HOUR]);
+
+    const snapshot = archive.load(id);
+    assert.equal(snapshot.timestamp, T0 + HOUR);
+    assert.deepEqual(snapshot.ladders, [{ id: 'solo', name: 'Solo Duels', depth: 2000 }]);
+    assert.deepEqual(snapshot.players, [{ userId: 'bob', nick: 'bob', countryCode: 'fr', ladders: { solo: { rating: 1950, position: 1 } } }]);
+
+    assert.equal(archive.find('2025-06-01 12:30').timestamp, T0);
+    assert.equal(archive.find('2025-06-01').timestamp, T0 + HOUR);
+    assert.equal(archive.find(id).timestamp, T0 + HOUR);
+    assert.equal(archive.find('2025-05-31'), null);
+    assert.equal(archive.find('yesterday'), null);
+  });
+
+  it('keeps every snapshot for a while, then one a day, then none', () => {
+    for (let hour = 0; hour < 6 * 24; hour += 6) {
+      clock.time = T0 + hour * HOUR;
+      archive.save(clock.time, [entry('alice', 1, 1900)], LADDERS);
+    }
+
+    const kept = archive.list().map(snapshot => (clock.time - snapshot.timestamp) / HOUR);
+    // the 00:00 UTC snapshot of the older days up to 5 days old, then every snapshot of the last 2 days
+    assert.deepEqual(kept, [102, 78, 54, 48, 42, 36, 30, 24, 18, 12, 6, 0]);
+  });
+
+  it('diffs two snapshots of a ladder', () => {
+    const older = { timestamp: T0, ladders: LADDERS, players: [entry('alice', 1, 1900), entry('bob', 2, 1850), entry('carol', 3, 1800), entry('dave', 4, 1790), entry('erin', 5, 1780)] };
+    const newer = { timestamp: T0 + DAY, ladders: LADDERS, players: [entry('erin', 1, 1950), entry('carol', 2, 1860), entry('frank', 3, 1820)] };
+    const players = {
+      alice: { events: [{ from: 'active', to: 'banned', timestamp: T0 + HOUR }] },
+      bob: { events: [{ from: 'active', to: 'deleted_account', timestamp: T0 + DAY }] },
+      // suspended before the older snapshot, not the reason of this exit
+      dave: { events: [{ from: 'active', to: 'suspended', timestamp: T0 - DAY }] }
+    };
+
+    const diff = diffSnapshots(older, newer, { players });
+    assert.equal(diff.ladderId, 'solo');
+    assert.deepEqual(diff.entered.map(p => p.userId), ['frank']);
+    assert.deepEqual(diff.left.map(p => `${p.userId}:${p.reason}`), ['alice:banned', 'bob:deleted', 'dave:decay']);
+    assert.deepEqual(diff.exitsByReason, { banned: 1, suspended: 0, deleted: 1, decay: 1 });
+    assert.deepEqual(diff.risers.map(p => `${p.userId}:${p.positionChange}:${p.ratingChange}`), ['erin:4:170', 'carol:1:60']);
+    assert.deepEqual(diff.fallers, []);
+  });
+
+  it('explains the exits with the sanctions found after the newer snapshot', () => {
+    const older = { timestamp: T0, ladders: LADDERS, players: [entry('alice', 1, 1900), entry('bob', 2, 1850)] };
+    const newer = { timestamp: T0 + HOUR, ladders: LADDERS, players: [entry('bob', 1, 1850)] };
+    const players = { alice: { events: [{ from: 'active', to: 'banned', timestamp: T0 + HOUR + 30 * 60 * 1000 }] } };
+
+    assert.deepEqual(diffSnapshots(older, newer, { players }).exitsByReason, { banned: 0, suspended: 0, deleted: 0, decay: 1 });
+    assert.deepEqual(diffSnapshots(older, newer, { players, graceMs: 2 * HOUR }).exitsByReason, { banned: 1, suspended: 0, deleted: 0, decay: 0 });
+  });
+});
@@ -0,0 +1,303 @@
+import { describe, it, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Database from 'better-sqlite3';
+import * as jsonStore from '../src/storage/jsonStore.js';
+import { openSqliteStore } from './support/sqliteStore.js';
+
+const HOUR = 60 * 60 * 1000;
+const T0 = Date.parse('2025-06-01T12:00:00Z');
+
+function trackingData() {
+  return {
+    players: {
+      alice: {
+        nick: 'Alice2',
+        countryCode: 'fr',
+        status: 'banned',
+        firstSeen: T0 - 48 * HOUR,
+        lastSeen: T0 - 2 * HOUR,
+        bannedAt: T0 - HOUR,
+        ratings: [{ rating: 1900, position: 1, timestamp: T0 - 3 * HOUR }, { rating: 1910, position: 1, timestamp: T0 - 2 * HOUR }],
+        events: [
+          { from: null, to: 'active', timestamp: T0 - 48 * HOUR, source: 'leaderboard' },
+          { from: 'active', to: 'banned', timestamp: T0 - HOUR, source: 'missing', rating: 1910, position: 1 }
+        ],
+        nicknames: [{ nick: 'Alice', firstSeen: T0 - 48 * HOUR, lastSeen: T0 - 3 * HOUR }, { nick: 'Alice2', firstSeen: T0 - 2 * HOUR, lastSeen: T0 - 2 * HOUR }],
+        ladders: { solo: { rating: 1910, position: 1 } },
+        anomalyFlags: [{ flaggedAt: T0 - 2 * HOUR, outcome: 'sanctioned' }]
+      },
+      bob: {
+        nick: 'Bob',
+        countryCode: 'de',
+        status: 'suspended',
+        firstSeen: T0 - 24 * HOUR,
+        lastSeen: T0,
+        suspendedUntil: '2025-06-05T00:00:00.000Z',
+        suspendedAt: T0,
+        ratings: [{ rating: 1850, position: 2, timestamp: T0 }],
+        events: [{ from: 'active', to: 'suspended', timestamp: T0, source: 'leaderboard', suspendedUntil: '2025-06-05T00:00:00.000Z' }]
+      },
+      carol: {
+        nick: 'Carol',
+        countryCode: 'se',
+        status: 'active',
+        firstSeen: T0,
+        lastSeen: T0,
+        ratings: [{ rating: 1800, position: 3, timestamp: T0 }]
+      }
+    },
+    lastCheck: T0,
+    totalChecks: 12,
+    eventCache: { lastCleanup: T0, currentCheckBans: { alice_ban_banned: true }, currentCheckUnbans: {} }
+  };
+}
+
+// the same calls on a backend, returns everything it answered
+function exercise(storage) {
+  const results = {};
+  storage.initializeStorage();
+  results.empty = storage.loadPlayerData();
+
+  storage.savePlayerData(trackingData());
+  results.saved = storage.loadPlayerData();
+
+  // carol is gone, alice was unbanned and has a new rating, bob's events were rewritten
+  const data = trackingData();
+  delete data.players.carol;
+  data.players.alice.status = 'active';
+  data.players.alice.unbannedAt = T0;
+  data.players.alice.ratings.push({ rating: 1920, position: 1, timestamp: T0 });
+  data.players.alice.events.push({ from: 'banned', to: 'active', timestamp: T0, source: 'sanctioned_recheck' });
+  data.players.bob.events = [{ from: null, to: 'suspended', timestamp: T0, source: 'csv_rebuild' }];
+  delete data.eventCache;
+  data.totalChecks = 13;
+  storage.savePlayerData(data);
+  results.replaced = storage.loadPlayerData();
+
+  results.stats = storage.getStats();
+  results.byFormerNick = storage.findPlayer('Alice');
+  results.byId = storage.findPlayer('https://www.geoguessr.com/user/bob');
+  results.unknown = storage.findPlayer('carol');
+  results.search = storage.searchPlayers('ali', 5);
+
+  storage.appendSanctionRow({ Date: '2025-06-01', Username: 'Alice2', UserID: 'alice', Profile_URL: 'https://www.geoguessr.com/user/alice', countryCode: 'fr', ELO: 1910, Position: 1, Action_Type: 'BANNED', Suspended_Until: '' });
+  storage.appendSanctionRow({ Date: '2025-06-01', Username: 'Bob, "the" second', UserID: 'bob', countryCode: 'de', ELO: 1850, Position: 2, Action_Type: 'SUSPENDED', Suspended_Until: '2025-06-05' });
+  storage.appendUnsanctionRow({ Date: '2025-06-01', Username: 'Alice2', UserID: 'alice', Profile_URL: 'https://www.geoguessr.com/user/alice', countryCode: 'fr', ELO: 1920, Position: 1, Previous_Action_Type: 'BANNED', Duration_Days: 0 });
+  results.sanctionRows = storage.readSanctionRows();
+  results.unsanctionRows = storage.readUnsanctionRows();
+
+  results.noRun = storage.getLastCheckRun();
+  storage.recordCheckRun({ startedAt: T0, finishedAt: T0 + 1000, success: false, error: 'GeoGuessr cookie expired or invalid', activityCalls: 0, activityErrors: 0 });
+  storage.recordCheckRun({ startedAt: T0 + HOUR, finishedAt: T0 + HOUR + 60000, success: true, playersChecked: 2000, newSanctions: 1, newDeletions: 0, unsanctions: 2, activityCalls: 2000, activityErrors: 12 });
+  results.lastRun = storage.getLastCheckRun();
+
+  results.watchAdded = [
+    storage.addToWatchlist({ userId: 'dave', nick: 'Dave', countryCode: 'us', addedBy: 'mod', addedAt: T0 }),
+    storage.addToWatchlist({ userId: 'erin', nick: 'Erin', countryCode: 'it', addedBy: 'mod', addedAt: T0 + 1 }),
+    storage.addToWatchlist({ userId: 'dave', nick: 'Dave', countryCode: 'us', addedBy: 'mod', addedAt: T0 + 2 })
+  ];
+  results.watched = [storage.isWatched('dave'), storage.isWatched('carol')];
+  results.watchRemoved = [storage.removeFromWatchlist('erin'), storage.removeFromWatchlist('erin')];
+  results.watchlist = storage.getWatchlist();
+
+  results.subscribed = [
+    storage.addSubscription('discord1', 'alice'),
+    storage.addSubscription('discord1', 'alice'),
+    storage.addSubscription('discord2', 'alice'),
+    storage.addSubscription('discord2', 'bob')
+  ];
+  results.subscriptions = storage.getSubscriptions('discord2');
+  results.subscribers = storage.getSubscribers('alice').sort();
+  results.unsubscribed = [storage.removeSubscription('discord1', 'alice'), storage.removeSubscription('discord1', 'alice')];
+  results.removedAll = storage.removeAllSubscriptions('discord2');
+  results.subscribersAfter = storage.getSubscribers('alice');
+
+  return results;
+}
+
+describe('storage backends', () => {
+  let sqlite;
+  let originalCwd;
+  let workDir;
+
+  before(async () => {
+    sqlite = await openSqliteStore();
+  });
+
+  after(() => {
+    sqlite.close();
+  });
+
+  beforeEach(() => {
+    originalCwd = process.cwd();
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'geoban-storage-'));
+    process.chdir(workDir);
+    sqlite.reset();
+  });
+
+  afterEach(() => {
+    process.chdir(originalCwd);
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it('answers the same on both backends', () => {
+    const json = exercise(jsonStore);
+    const sql = exercise(sqlite.storage);
+
+    for (const key of Object.keys(json)) {
+      assert.deepEqual(sql[key], json[key], `${key} differs between the JSON and SQLite stores`);
+    }
+  });
+
+  it('saves what it is given and nothing more', () => {
+    const results = exercise(sqlite.storage);
+
+    assert.deepEqual(results.saved, trackingData());
+    assert.deepEqual(Object.keys(results.replaced.players).sort(), ['alice', 'bob']);
+    assert.equal(results.replaced.eventCache, undefined);
+    assert.deepEqual(results.replaced.players.alice.ratings.map(entry => entry.rating), [1900, 1910, 1920]);
+    assert.deepEqual(results.replaced.players.bob.events, [{ from: null, to: 'suspended', timestamp: T0, source: 'csv_rebuild' }]);
+    assert.equal(results.stats.totalPlayers, 2);
+    assert.equal(results.byFormerNick.userId, 'alice');
+    assert.equal(results.unknown, null);
+    assert.equal(results.sanctionRows[1].Username, 'Bob, "the" second');
+    assert.equal(results.sanctionRows[1].Profile_URL, '');
+    assert.equal(results.sanctionRows[0].ELO, '1910');
+    assert.deepEqual(results.lastRun, { startedAt: T0 + HOUR, finishedAt: T0 + HOUR + 60000, success: true, playersChecked: 2000, newSanctions: 1, newDeletions: 0, unsanctions: 2, activityCalls: 2000, activityErrors: 12 });
+    assert.deepEqual(results.watchAdded, [true, true, false]);
+    assert.deepEqual(results.watchlist.map(entry => entry.userId), ['dave']);
+    assert.deepEqual(results.subscriptions, ['alice', 'bob']);
+    assert.equal(results.removedAll, 2);
+    assert.deepEqual(results.subscribersAfter, []);
+  });
+
+  it('writes only what changed since the data was loaded', () => {
+    const { storage } = sqlite;
+    storage.savePlayerData(trackingData());
+
+    // every row written to the player tables is logged by a trigger
+    const db = new Database(sqlite.file);
+    db.exec('CREATE TABLE writes (tbl TEXT, user_id TEXT)');
+    for (const table of ['players', 'ratings', 'events', 'nicknames']) {
+      for (const operation of ['INSERT', 'UPDATE', 'DELETE']) {
+        const row = operation === 'DELETE' ? 'old' : 'new';
+        db.exec(`CREATE TRIGGER log_${table}_${operation} AFTER ${operation} ON ${table} BEGIN INSERT INTO writes VALUES ('${table}', ${row}.user_id); END`);
+      }
+    }
+    const writes = () => db.prepare('SELECT tbl, user_id FROM writes').all().map(row => `${row.tbl}:${row.user_id}`).sort();
+    const clearWrites = () => db.exec('DELETE FROM writes');
+
+    try {
+      const data = storage.loadPlayerData();
+      data.players.alice.ratings.push({ rating: 1920, position: 1, timestamp: T0 });
+      data.players.alice.nicknames[1].lastSeen = T0;
+      data.players.bob.lastSeen = T0 + HOUR;
+      data.players.bob.events.push({ from: 'suspended', to: 'banned', timestamp: T0 + HOUR, source: 'leaderboard' });
+      storage.savePlayerData(data);
+      assert.deepEqual(writes(), ['events:bob', 'nicknames:alice', 'players:bob', 'ratings:alice']);
+      assert.deepEqual(storage.loadPlayerData(), data);
+
+      clearWrites();
+      storage.savePlayerData(data);
+      assert.deepEqual(writes(), []);
+
+      // the oldest rating dropped, a new one kept
+      data.players.alice.ratings = [...data.players.alice.ratings.slice(1), { rating: 1930, position: 1, timestamp: T0 + HOUR }];
+      storage.savePlayerData(data);
+      assert.deepEqual(writes(), ['ratings:alice', 'ratings:alice']);
+      assert.deepEqual(storage.loadPlayerData(), data);
+
+      // events replaced rather than appended are rewritten
+      clearWrites();
+      data.players.bob.events = [{ from: null, to: 'banned', timestamp: T0, source: 'csv_rebuild' }];
+      storage.savePlayerData(data);
+      assert.deepEqual(writes(), ['events:bob', 'events:bob', 'events:bob']);
+      assert.deepEqual(storage.loadPlayerData(), data);
+    } finally {
+      for (const { name } of db.prepare("SELECT name FROM sqlite_master WHERE type = 'trigger'").all()) db.exec(`DROP TRIGGER ${name}`);
+      db.exec('DROP TABLE writes');
+      db.close();
+    }
+  });
+});
+
+describe('JSON store files', () => {
+  let originalCwd;
+  let workDir;
+
+  const backupName = time => `player_tracking-${new Date(time).toISOString().replace(/[:.]/g, '-')}.json`;
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    originalCwd = process.cwd();
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'geoban-json-'));
+    process.chdir(workDir);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    process.chdir(originalCwd);
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it('restores a corrupt tracking file from the newest valid backup', () => {
+    const older = trackingData();
+    delete older.players.carol;
+    const olderBackup = path.join('backups', backupName(Date.now() - 3 * HOUR));
+    fs.mkdirSync('backups');
+    fs.writeFileSync(olderBackup, JSON.stringify(older));
+    fs.writeFileSync(path.join('backups', backupName(Date.now() - 2 * HOUR)), '{"players": {"alice"');
+    jsonStore.savePlayerData(trackingData());
+    jsonStore.savePlayerData({ ...trackingData(), totalChecks: 13 });
+    assert.equal(jsonStore.checkIntegrity(), null);
+
+    // a crash mid-write, and the backup of the last hour is broken too
+    const [newest] = fs.readdirSync('backups').sort().reverse();
+    fs.writeFileSync(path.join('backups', newest), '');
+    fs.writeFileSync(jsonStore.PLAYER_TRACKING_FILE, '{"players": {"alice": {"nick"');
+
+    const result = jsonStore.checkIntegrity();
+    assert.equal(result.restored, true);
+    assert.equal(result.backupFile, olderBackup);
+    assert.deepEqual(jsonStore.loadPlayerData(), older);
+    assert.equal(fs.readFileSync(result.corruptFile, 'utf8'), '{"players": {"alice": {"nick"');
+    assert.deepEqual(fs.readdirSync('.').filter(file => file.includes('.tmp-')), []);
+  });
+
+  it('says so when no backup is usable', () => {
+    fs.writeFileSync(jsonStore.PLAYER_TRACKING_FILE, 'null');
+    assert.deepEqual(jsonStore.checkIntegrity(), { restored: false, error: 'missing players object' });
+    assert.throws(() => jsonStore.loadPlayerData(), /Could not load player_tracking\.json/);
+  });
+
+  it('keeps one backup per hour for 2 days', () => {
+    const recent = backupName(Date.now() - 2 * HOUR);
+    fs.mkdirSync('backups');
+    fs.writeFileSync(path.join('backups', backupName(Date.now() - 3 * 24 * HOUR)), '{"players": {}}');
+    fs.writeFileSync(path.join('backups', recent), '{"players": {}}');
+
+    jsonStore.savePlayerData(trackingData());
+    jsonStore.savePlayerData(trackingData());
+    jsonStore.savePlayerData(trackingData());
+
+    const backups = fs.readdirSync('backups').sort();
+    assert.equal(backups.length, 2);
+    assert.equal(backups[0], recent);
+  });
+
+  it('moves the check runs aside when the file gets big, and reads its end only', () => {
+    const run = { startedAt: T0, finishedAt: T0 + 1000, success: true, playersChecked: 2000 };
+    const line = JSON.stringify(run) + '\n';
+    fs.writeFileSync('check_runs.jsonl', line.repeat(Math.ceil(1024 * 1024 / line.length)));
+    assert.deepEqual(jsonStore.getLastCheckRun(), run);
+
+    jsonStore.recordCheckRun({ ...run, startedAt: T0 + HOUR });
+    assert.equal(fs.readFileSync('check_runs.jsonl', 'utf8'), JSON.stringify({ ...run, startedAt: T0 + HOUR }) + '\n');
+    assert.ok(fs.statSync('check_runs.jsonl.1').size >= 1024 * 1024);
+    assert.equal(jsonStore.getLastCheckRun().startedAt, T0 + HOUR);
+  });
+});
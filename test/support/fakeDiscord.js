@@ -0,0 +1,53 @@
+// Records everything the notifier sends instead of talking to Discord. Embeds are stored as
+// their JSON form so tests can assert on titles, descriptions and fields directly.
+// DMs are recorded like channel messages, in the channel `dm:<discord user id>`.
+
+const CANNOT_SEND_MESSAGES_TO_THIS_USER = 50007;
+
+export function createFakeDiscordClient() {
+  const sent = [];
+  const closedDms = new Set();
+
+  function createChannel(channelId) {
+    return {
+      id: channelId,
+      async send(payload) {
+        if (channelId.startsWith('dm:') && closedDms.has(channelId.slice(3))) {
+          const error = new Error('Cannot send messages to this user');
+          error.code = CANNOT_SEND_MESSAGES_TO_THIS_USER;
+          throw error;
+        }
+        sent.push({
+          channelId,
+          content: payload.content,
+          embeds: (payload.embeds || []).map(embed => embed.toJSON ? embed.toJSON() : embed),
+          files: payload.files || []
+        });
+      }
+    };
+  }
+
+  return {
+    sent,
+    channels: {
+      async fetch(channelId) {
+        return createChannel(channelId);
+      }
+    },
+    users: {
+      async fetch(userId) {
+        return { id: userId, ...createChannel(`dm:${userId}`) };
+      }
+    },
+    closeDms(userId) {
+      closedDms.add(userId);
+    },
+    // messages sent to one channel since the last clear()
+    messagesIn(channelId) {
+      return sent.filter(message => message.channelId === channelId);
+    },
+    clear() {
+      sent.length = 0;
+    }
+  };
+}
@@ -0,0 +1,97 @@
+import http from 'http';
+
+// Local stand-in for the GeoGuessr API. A test scripts the state the API is in before each run:
+//   leaderboard: [{ userId, nick, rating, position, countryCode }] in ranking order (solo duels)
+//   ladders: { [ratings path]: [...] } for the other ladders
+//   users: { [userId]: { isBanned, suspendedUntil, nick, countryCode } | { status: 404 } }
+// Leaderboard players without an entry in `users` answer as active accounts.
+// /v3/profiles (the logged in account) answers 401 unless the request carries VALID_COOKIE,
+// setValidCookie() switches to another one, as if the bot's session had expired.
+// rateLimit(count, retryAfter) answers 429 to the next `count` requests, with that Retry-After.
+
+export const VALID_COOKIE = 'valid-ncfa';
+
+const SOLO_RATINGS_PATH = '/v4/ranked-system/ratings';
+
+function sendJSON(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(body));
+}
+
+export function createFakeGeoguessr() {
+  let state = { ladders: {}, users: {} };
+  let validCookie = VALID_COOKIE;
+  let rateLimited = { count: 0, retryAfter: null };
+  const requests = [];
+
+  function userProfile(userId) {
+    const listed = Object.values(state.ladders).flat().find(player => player.userId === userId);
+    const scripted = state.users[userId];
+    if (!listed && !scripted) return { status: 404 };
+
+    return {
+      id: userId,
+      nick: listed?.nick,
+      countryCode: listed?.countryCode,
+      isBanned: false,
+      suspendedUntil: null,
+      ...scripted
+    };
+  }
+
+  function handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const path = url.pathname.replace(/^\/api/, '');
+    requests.push(path);
+
+    if (rateLimited.count > 0) {
+      rateLimited.count--;
+      res.writeHead(429, rateLimited.retryAfter ? { 'Retry-After': rateLimited.retryAfter } : {});
+      return res.end();
+    }
+
+    if (path === '/v3/profiles') {
+      if (req.headers.cookie !== `_ncfa=${validCookie}`) return sendJSON(res, 401, { message: 'Unauthorized' });
+      return sendJSON(res, 200, { id: 'bot-account', nick: 'GeoBan' });
+    }
+
+    if (state.ladders[path]) {
+      const offset = Number(url.searchParams.get('offset')) || 0;
+      const limit = Number(url.searchParams.get('limit')) || 100;
+      return sendJSON(res, 200, state.ladders[path].slice(offset, offset + limit));
+    }
+
+    const userMatch = path.match(/^\/v3\/users\/([^/]+)$/);
+    if (userMatch) {
+      const { status, ...profile } = userProfile(decodeURIComponent(userMatch[1]));
+      if (status) return sendJSON(res, status, { message: `Scripted ${status}` });
+      return sendJSON(res, 200, profile);
+    }
+
+    sendJSON(res, 404, { message: 'Not found' });
+  }
+
+  const server = http.createServer(handle);
+
+  return {
+    requests,
+    setState({ leaderboard = [], ladders = {}, users = {} }) {
+      state = { ladders: { [SOLO_RATINGS_PATH]: leaderboard, ...ladders }, users };
+      requests.length = 0;
+    },
+    setValidCookie(cookie) {
+      validCookie = cookie;
+    },
+    rateLimit(count, retryAfter = null) {
+      rateLimited = { count, retryAfter };
+    },
+    async start() {
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      return `http://127.0.0.1:${server.address().port}/api`;
+    },
+    stop() {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
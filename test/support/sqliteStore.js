@@ -0,0 +1,34 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Database from 'better-sqlite3';
+
+// The SQLite store opens SQLITE_FILE when it is first imported, so a test file gets one database
+// in a temp directory for all its tests. reset() empties every table between them.
+// `setup(db)` runs on the empty database before the store opens it, to start from an older schema.
+export async function openSqliteStore({ setup = null } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'geoban-sqlite-'));
+  const file = path.join(dir, 'geoban.db');
+  if (setup) {
+    const db = new Database(file);
+    setup(db);
+    db.close();
+  }
+  process.env.SQLITE_FILE = file;
+  const storage = await import('../../src/storage/sqliteStore.js');
+
+  const db = new Database(file);
+  const tables = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'").all().map(row => row.name);
+
+  return {
+    storage,
+    file,
+    reset() {
+      for (const table of tables) db.exec(`DELETE FROM ${table}`);
+    },
+    close() {
+      db.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
@@ -0,0 +1,160 @@
+import { describe, it, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWatchdog } from '../src/watchdog.js';
+import { openSqliteStore } from './support/sqliteStore.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const T0 = Date.parse('2025-06-01T12:00:00Z');
+
+describe('watchdog', () => {
+  let clock;
+  let statusMessages;
+  let webhookPosts;
+  let connected;
+
+  function createTestWatchdog(options = {}) {
+    return createWatchdog({
+      notifier: { sendStatusMessage: async (message, isError, title) => statusMessages.push({ message, isError, title }) },
+      checkIntervalMs: HOUR,
+      isDiscordConnected: () => connected,
+      now: () => clock.time,
+      postWebhook: async (url, headers, body) => {
+        webhookPosts.push({ url, body: JSON.parse(body) });
+        return { status: 204 };
+      },
+      ...options
+    });
+  }
+
+  async function finishRun(watchdog, run) {
+    watchdog.runStarted();
+    clock.time += 5 * MINUTE;
+    await watchdog.runFinished({ startedAt: clock.time - 5 * MINUTE, finishedAt: clock.time, ...run });
+  }
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    clock = { time: T0 };
+    statusMessages = [];
+    webhookPosts = [];
+    connected = true;
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('alerts once about a stalled run and again when it finishes', async () => {
+    const watchdog = createTestWatchdog({ maxRunMs: 30 * MINUTE, fallbackWebhookUrl: 'https://example.test/hook' });
+
+    watchdog.runStarted();
+    clock.time += 20 * MINUTE;
+    await watchdog.tick();
+    assert.equal(statusMessages.length, 0);
+
+    clock.time += 20 * MINUTE;
+    await watchdog.tick();
+    clock.time += 1 * MINUTE;
+    await watchdog.tick();
+    assert.deepEqual(statusMessages.map(({ title, isError }) => [title, isError]), [['⏳ Check Stalled', true]]);
+    assert.match(statusMessages[0].message, /started 40 min ago/);
+    assert.deepEqual(webhookPosts.map(({ url, body }) => [url, body.content.split('\n')[0]]), [['https://example.test/hook', '**⏳ Check Stalled**']]);
+
+    await watchdog.runFinished({ success: true, finishedAt: clock.time });
+    assert.equal(statusMessages[1].title, '⏳ Stalled Check Finished');
+    assert.match(statusMessages[1].message, /after 41 min/);
+    assert.deepEqual(watchdog.activeAlerts, []);
+  });
+
+  it('alerts when no run succeeded for the missed intervals', async () => {
+    const watchdog = createTestWatchdog({ missedIntervals: 3 });
+
+    await finishRun(watchdog, { success: true });
+    clock.time += 2 * HOUR;
+    await finishRun(watchdog, { success: false, error: 'GeoGuessr cookie expired or invalid' });
+    await watchdog.tick();
+    assert.equal(statusMessages.length, 0);
+
+    clock.time += 1 * HOUR;
+    await watchdog.tick();
+    assert.equal(statusMessages[0].title, '💤 No Successful Check');
+    assert.match(statusMessages[0].message, /finished 185 min ago/);
+
+    await finishRun(watchdog, { success: true });
+    assert.equal(statusMessages[1].title, '✅ Checks Back');
+    assert.equal(statusMessages[1].isError, false);
+  });
+
+  it('alerts when too many profile lookups of a run failed', async () => {
+    const watchdog = createTestWatchdog({ activityErrorThreshold: 0.2, minActivityCalls: 50 });
+
+    // too few lookups to judge
+    await finishRun(watchdog, { success: true, activityCalls: 10, activityErrors: 9 });
+    await finishRun(watchdog, { success: true, activityCalls: 2000, activityErrors: 300 });
+    assert.equal(statusMessages.length, 0);
+
+    await finishRun(watchdog, { success: true, activityCalls: 2000, activityErrors: 500 });
+    await finishRun(watchdog, { success: true, activityCalls: 2000, activityErrors: 600 });
+    assert.deepEqual(statusMessages.map(({ title }) => title), ['⚠️ Profile Lookups Failing']);
+    assert.match(statusMessages[0].message, /500 of the 2000 profile lookups of the last check failed \(25%, limit 20%\)/);
+
+    await finishRun(watchdog, { success: true, activityCalls: 2000, activityErrors: 12 });
+    assert.equal(statusMessages[1].title, '✅ Profile Lookups Back');
+  });
+
+  it('alerts when Discord stays disconnected', async () => {
+    const watchdog = createTestWatchdog({ discordGraceMs: 10 * MINUTE });
+
+    connected = false;
+    await watchdog.tick();
+    clock.time += 5 * MINUTE;
+    await watchdog.tick();
+    assert.equal(statusMessages.length, 0);
+
+    clock.time += 10 * MINUTE;
+    await watchdog.tick();
+    assert.equal(statusMessages[0].title, '🔌 Discord Disconnected');
+
+    connected = true;
+    await watchdog.tick();
+    assert.equal(statusMessages[1].title, '🔌 Discord Reconnected');
+  });
+});
+
+describe('watchdog with the SQLite store', () => {
+  let sqlite;
+
+  before(async () => {
+    // a database from before the profile lookup counters were stored
+    sqlite = await openSqliteStore({
+      setup: db => db.exec(`CREATE TABLE check_runs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT, started_at INTEGER NOT NULL, finished_at INTEGER, success INTEGER NOT NULL,
+        players_checked INTEGER, new_sanctions INTEGER, new_deletions INTEGER, unsanctions INTEGER, error TEXT
+      )`)
+    });
+  });
+
+  after(() => {
+    sqlite.close();
+  });
+
+  it('alerts on failing profile lookups of a run read back from the database', async () => {
+    mock.method(console, 'log', () => {});
+    const statusMessages = [];
+    const watchdog = createWatchdog({
+      notifier: { sendStatusMessage: async (message, isError, title) => statusMessages.push(title) },
+      checkIntervalMs: HOUR
+    });
+
+    sqlite.storage.recordCheckRun({ startedAt: T0, finishedAt: T0 + 5 * MINUTE, success: true, playersChecked: 2000, activityCalls: 2000, activityErrors: 500 });
+    const run = sqlite.storage.getLastCheckRun();
+    assert.equal(run.activityCalls, 2000);
+    assert.equal(run.activityErrors, 500);
+
+    watchdog.runStarted();
+    await watchdog.runFinished(run);
+    assert.deepEqual(statusMessages, ['⚠️ Profile Lookups Failing']);
+    mock.restoreAll();
+  });
+});